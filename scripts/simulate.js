@@ -0,0 +1,81 @@
+/**
+ * Ejecuta el núcleo del juego sin navegador
+ *
+ * Uso:
+ *   node scripts/simulate.js --replay <código>     Reproduce una repetición y verifica su puntuación
+ *   node scripts/simulate.js --seed <n> --inputs <archivo.json> [--ticks <n>] [--difficulty <preset>] [--mode <modo>]
+ *     donde el archivo contiene [{ "tick": 12, "action": "jump" }, ...]
+ */
+
+import { readFileSync } from 'node:fs';
+import Simulation from '../src/simulation.js';
+import { DEFAULT_DIFFICULTY } from '../src/difficulty.js';
+import { DEFAULT_MODE } from '../src/modes.js';
+import { ReplayPlayer, decodeReplay } from '../src/replay.js';
+
+// Límite de seguridad: 30 minutos de partida
+const MAX_TICKS = 60 * 60 * 30;
+
+/**
+ * Lee los argumentos --nombre valor de la línea de comandos
+ * @param {Array<string>} argv - Argumentos
+ * @returns {Object} - Mapa nombre -> valor
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+/**
+ * Simula una partida alimentando las entradas grabadas tick a tick
+ * @param {number} seed - Semilla de la partida
+ * @param {Array<Object>} inputs - Entradas {tick, action}
+ * @param {number} maxTicks - Ticks máximos a simular
+ * @param {string} difficulty - Id del preset de dificultad
+ * @param {number} [forgiveness] - Margen de tolerancia de las colisiones
+ * @param {string} [mode] - Id del modo de juego
+ * @returns {Object} - Resultado {score, ticks, cause}
+ */
+function run(seed, inputs, maxTicks, difficulty, forgiveness, mode = DEFAULT_MODE) {
+  const sim = new Simulation({ seed, difficulty, forgiveness, mode });
+  const sorted = inputs.slice().sort((a, b) => a.tick - b.tick);
+  const player = new ReplayPlayer({ inputs: sorted, ticks: maxTicks });
+  let cause = null;
+  sim.on('death', death => {
+    cause = death.cause;
+  });
+
+  while (!sim.over && sim.tick < maxTicks) {
+    sim.step(player.actionsAt(sim.tick + 1));
+  }
+
+  return { score: sim.score, ticks: sim.tick, cause };
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+try {
+  if (args.replay) {
+    const replay = decodeReplay(args.replay);
+    const result = run(replay.seed, replay.inputs, replay.ticks, replay.difficulty, replay.forgiveness, replay.mode);
+    console.warn(JSON.stringify(result));
+    if (result.score !== replay.score || result.ticks !== replay.ticks) {
+      console.error(`La repetición no coincide: se esperaba ${replay.score} puntos en ${replay.ticks} ticks`);
+      process.exit(1);
+    }
+  } else if (args.seed !== undefined) {
+    const inputs = args.inputs ? JSON.parse(readFileSync(args.inputs, 'utf8')) : [];
+    const maxTicks = args.ticks ? parseInt(args.ticks, 10) : MAX_TICKS;
+    const difficulty = args.difficulty || DEFAULT_DIFFICULTY;
+    console.warn(JSON.stringify(run(parseInt(args.seed, 10), inputs, maxTicks, difficulty, undefined, args.mode)));
+  } else {
+    console.error('Uso: node scripts/simulate.js --replay <código> | --seed <n> [--inputs <archivo.json>] [--ticks <n>] [--difficulty <preset>] [--mode <modo>]');
+    process.exit(1);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
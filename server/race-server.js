@@ -0,0 +1,28 @@
+/**
+ * Servidor de referencia de las carreras online
+ *
+ * Uso: npm run race-server (puerto en RACE_PORT, 8787 por defecto)
+ */
+
+import { createServer } from 'node:http';
+
+import { RaceRooms } from './rooms.js';
+import { attachWebSocketServer } from './websocket.js';
+
+const port = Number(process.env.RACE_PORT) || 8787;
+const rooms = new RaceRooms();
+
+const server = createServer((request, response) => {
+  response.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8' });
+  response.end('Servidor de carreras de Pajarito Saltador: conéctate por WebSocket\n');
+});
+
+attachWebSocketServer(server, connection => {
+  const player = rooms.connect(connection);
+  connection.on('message', text => rooms.handleMessage(player, text));
+  connection.on('close', () => rooms.disconnect(player));
+});
+
+server.listen(port, () => {
+  process.stdout.write(`Servidor de carreras escuchando en ws://localhost:${port}\n`);
+});
@@ -0,0 +1,348 @@
+/**
+ * Salas de las carreras online
+ *
+ * Cada sala reúne a varios jugadores que comparten semilla. Cuando todos están
+ * listos empieza la cuenta atrás, durante la carrera se reenvían las posiciones
+ * de cada pájaro a los demás y, al terminar todos, se publica la clasificación.
+ * No depende de los sockets: cada jugador solo necesita un cliente con send(texto).
+ *
+ * Mensajes del cliente: join {room, name}, ready {ready}, state {tick, y, rotation,
+ * distance, score}, finished {score, tick}, leave.
+ * Mensajes del servidor: joined {id, room, players}, players {players},
+ * countdown {seed, seconds}, start, state {id, ...}, finished {id, score},
+ * left {id}, standings {standings}, error {message}.
+ */
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 4;
+export const COUNTDOWN_SECONDS = 3;
+
+const MAX_NAME_LENGTH = 16;
+const MAX_ROOM_LENGTH = 8;
+
+/**
+ * Normaliza el código de una sala (mayúsculas, letras y números)
+ * @param {*} code - Código recibido
+ * @returns {string} - Código válido o cadena vacía
+ */
+export function normalizeRoomCode(code) {
+  return String(code ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, MAX_ROOM_LENGTH);
+}
+
+/**
+ * Ordena a los jugadores de una carrera: más tubos primero y, con los mismos,
+ * el que más aguantó. Los desconectados van al final
+ * @param {Array<Object>} players - Jugadores {id, name, score, tick, disconnected}
+ * @returns {Array<Object>} - Clasificación {id, name, score, place, disconnected}
+ */
+export function getStandings(players) {
+  return [...players]
+    .sort((a, b) =>
+      Number(a.disconnected) - Number(b.disconnected) || b.score - a.score || b.tick - a.tick
+    )
+    .map((player, index) => ({
+      id: player.id,
+      name: player.name,
+      score: player.score,
+      place: index + 1,
+      disconnected: player.disconnected
+    }));
+}
+
+export class RaceRooms {
+  /**
+   * @param {Object} options - {countdownSeconds, createSeed, schedule, cancel}
+   *   (schedule/cancel sustituyen a setTimeout/clearTimeout en las pruebas)
+   */
+  constructor(options = {}) {
+    this.rooms = new Map();
+    this.nextId = 1;
+    this.countdownSeconds = options.countdownSeconds ?? COUNTDOWN_SECONDS;
+    this.createSeed = options.createSeed || (() => Math.floor(Math.random() * 4294967296) >>> 0);
+    this.schedule = options.schedule || ((callback, ms) => setTimeout(callback, ms));
+    this.cancel = options.cancel || (timer => clearTimeout(timer));
+  }
+
+  /**
+   * Registra un cliente recién conectado
+   * @param {Object} client - Cliente con send(texto)
+   * @returns {Object} - Jugador
+   */
+  connect(client) {
+    return {
+      id: this.nextId++,
+      client,
+      room: null,
+      name: '',
+      ready: false,
+      finished: false,
+      score: 0,
+      tick: 0,
+      disconnected: false
+    };
+  }
+
+  /**
+   * Procesa un mensaje de un jugador (los mensajes inválidos se ignoran)
+   * @param {Object} player - Jugador
+   * @param {string} text - Mensaje JSON
+   */
+  handleMessage(player, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      return;
+    }
+    if (!message || typeof message !== 'object') {
+      return;
+    }
+
+    switch (message.type) {
+    case 'join':
+      this.join(player, message.room, message.name);
+      break;
+    case 'ready':
+      this.setReady(player, message.ready !== false);
+      break;
+    case 'state':
+      this.relayState(player, message);
+      break;
+    case 'finished':
+      this.finish(player, message);
+      break;
+    case 'leave':
+      this.leave(player);
+      break;
+    default:
+      break;
+    }
+  }
+
+  /**
+   * Saca de su sala a un jugador que se ha desconectado
+   * @param {Object} player - Jugador
+   */
+  disconnect(player) {
+    this.leave(player);
+  }
+
+  /**
+   * Mete a un jugador en una sala (creándola si no existe)
+   * @param {Object} player - Jugador
+   * @param {string} code - Código de la sala
+   * @param {string} name - Nombre del jugador
+   */
+  join(player, code, name) {
+    const roomCode = normalizeRoomCode(code);
+    if (!roomCode) {
+      this.send(player, { type: 'error', message: 'Código de sala inválido' });
+      return;
+    }
+
+    const room = this.rooms.get(roomCode) || { code: roomCode, state: 'lobby', players: [], dropped: [], seed: 0, timer: null };
+    if (room.state !== 'lobby') {
+      this.send(player, { type: 'error', message: 'La carrera ya ha empezado' });
+      return;
+    }
+    if (room.players.length >= MAX_PLAYERS) {
+      this.send(player, { type: 'error', message: 'La sala está llena' });
+      return;
+    }
+
+    this.leave(player);
+    this.rooms.set(roomCode, room);
+    player.room = room;
+    player.name = String(name ?? '').trim().slice(0, MAX_NAME_LENGTH) || `Jugador ${player.id}`;
+    player.ready = false;
+    room.players.push(player);
+
+    this.send(player, { type: 'joined', id: player.id, room: roomCode, players: this.getPlayerList(room) });
+    this.broadcastPlayers(room);
+  }
+
+  /**
+   * Saca a un jugador de su sala
+   * @param {Object} player - Jugador
+   */
+  leave(player) {
+    const room = player.room;
+    if (!room) {
+      return;
+    }
+
+    room.players = room.players.filter(other => other !== player);
+    player.room = null;
+    if (room.state === 'racing' && !player.finished) {
+      // Sigue en la clasificación, al final
+      room.dropped.push({ ...player, disconnected: true });
+    }
+
+    if (room.players.length === 0) {
+      this.cancel(room.timer);
+      this.rooms.delete(room.code);
+      return;
+    }
+
+    this.broadcast(room, { type: 'left', id: player.id });
+    if (room.state === 'countdown' && room.players.length < MIN_PLAYERS) {
+      this.backToLobby(room);
+    } else if (room.state === 'racing') {
+      this.checkRaceEnd(room);
+    } else {
+      this.broadcastPlayers(room);
+      this.checkAllReady(room);
+    }
+  }
+
+  /**
+   * Marca a un jugador como listo (o no) para empezar
+   * @param {Object} player - Jugador
+   * @param {boolean} ready - Si está listo
+   */
+  setReady(player, ready) {
+    const room = player.room;
+    if (!room || room.state === 'racing') {
+      return;
+    }
+
+    player.ready = ready;
+    if (!ready && room.state === 'countdown') {
+      this.backToLobby(room);
+      return;
+    }
+    this.broadcastPlayers(room);
+    this.checkAllReady(room);
+  }
+
+  /**
+   * Empieza la cuenta atrás si hay jugadores suficientes y todos están listos
+   * @param {Object} room - Sala
+   */
+  checkAllReady(room) {
+    if (room.state !== 'lobby' || room.players.length < MIN_PLAYERS || !room.players.every(player => player.ready)) {
+      return;
+    }
+
+    room.state = 'countdown';
+    room.seed = this.createSeed();
+    room.dropped = [];
+    room.players.forEach(player => {
+      player.finished = false;
+      player.score = 0;
+      player.tick = 0;
+    });
+    this.broadcast(room, { type: 'countdown', seed: room.seed, seconds: this.countdownSeconds });
+    room.timer = this.schedule(() => {
+      room.timer = null;
+      room.state = 'racing';
+      this.broadcast(room, { type: 'start' });
+    }, this.countdownSeconds * 1000);
+  }
+
+  /**
+   * Reenvía la posición de un jugador a los demás de su sala
+   * @param {Object} player - Jugador
+   * @param {Object} message - {tick, y, rotation, distance, score}
+   */
+  relayState(player, message) {
+    const room = player.room;
+    if (!room || room.state !== 'racing' || player.finished) {
+      return;
+    }
+
+    const values = ['tick', 'y', 'rotation', 'distance', 'score'].map(field => Number(message[field]));
+    if (values.some(value => !Number.isFinite(value))) {
+      return;
+    }
+    const [tick, y, rotation, distance, score] = values;
+    this.broadcast(room, { type: 'state', id: player.id, tick, y, rotation, distance, score }, player);
+  }
+
+  /**
+   * Registra el resultado de un jugador que ha terminado
+   * @param {Object} player - Jugador
+   * @param {Object} message - {score, tick}
+   */
+  finish(player, message) {
+    const room = player.room;
+    if (!room || room.state !== 'racing' || player.finished) {
+      return;
+    }
+
+    player.finished = true;
+    player.score = Math.max(0, Math.floor(Number(message.score) || 0));
+    player.tick = Math.max(0, Math.floor(Number(message.tick) || 0));
+    this.broadcast(room, { type: 'finished', id: player.id, score: player.score });
+    this.checkRaceEnd(room);
+  }
+
+  /**
+   * Publica la clasificación cuando todos los que siguen conectados han terminado
+   * @param {Object} room - Sala
+   */
+  checkRaceEnd(room) {
+    if (room.state !== 'racing' || !room.players.every(player => player.finished)) {
+      return;
+    }
+
+    this.broadcast(room, { type: 'standings', standings: getStandings([...room.players, ...room.dropped]) });
+    this.backToLobby(room);
+  }
+
+  /**
+   * Devuelve la sala a la espera de jugadores listos
+   * @param {Object} room - Sala
+   */
+  backToLobby(room) {
+    this.cancel(room.timer);
+    room.timer = null;
+    room.state = 'lobby';
+    room.dropped = [];
+    room.players.forEach(player => {
+      player.ready = false;
+    });
+    this.broadcastPlayers(room);
+  }
+
+  /**
+   * Obtiene la lista pública de jugadores de una sala
+   * @param {Object} room - Sala
+   * @returns {Array<Object>} - {id, name, ready}
+   */
+  getPlayerList(room) {
+    return room.players.map(player => ({ id: player.id, name: player.name, ready: player.ready }));
+  }
+
+  /**
+   * Envía a todos la lista de jugadores de la sala
+   * @param {Object} room - Sala
+   */
+  broadcastPlayers(room) {
+    this.broadcast(room, { type: 'players', players: this.getPlayerList(room) });
+  }
+
+  /**
+   * Envía un mensaje a todos los jugadores de una sala
+   * @param {Object} room - Sala
+   * @param {Object} message - Mensaje
+   * @param {Object} [except] - Jugador que no lo recibe
+   */
+  broadcast(room, message, except = null) {
+    const text = JSON.stringify(message);
+    room.players.forEach(player => {
+      if (player !== except) {
+        player.client.send(text);
+      }
+    });
+  }
+
+  /**
+   * Envía un mensaje a un jugador
+   * @param {Object} player - Jugador
+   * @param {Object} message - Mensaje
+   */
+  send(player, message) {
+    player.client.send(JSON.stringify(message));
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * Servidor WebSocket mínimo (RFC 6455) sin dependencias externas
+ *
+ * Solo lo que necesita el servidor de carreras: mensajes de texto cortos sin
+ * fragmentar, ping/pong y cierre. Los clientes siempre enmascaran sus tramas.
+ */
+
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Tamaño máximo de un mensaje recibido
+const MAX_PAYLOAD = 64 * 1024;
+
+// Milisegundos que se espera a que salga la trama de cierre antes de cortar el socket
+const CLOSE_TIMEOUT = 2000;
+
+export const OPCODES = {
+  text: 0x1,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xA
+};
+
+/**
+ * Calcula la clave de aceptación de la negociación
+ * @param {string} key - Cabecera Sec-WebSocket-Key del cliente
+ * @returns {string}
+ */
+export function getAcceptKey(key) {
+  return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Codifica una trama del servidor (sin máscara)
+ * @param {number} opcode - Tipo de trama (ver OPCODES)
+ * @param {Buffer|string} payload - Contenido
+ * @returns {Buffer}
+ */
+export function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Decodifica las tramas completas de un búfer
+ * @param {Buffer} buffer - Datos recibidos
+ * @returns {Object} - {frames: [{fin, opcode, payload}], rest: bytes de una trama incompleta}
+ * @throws {Error} - Si una trama no está enmascarada o es demasiado grande
+ */
+export function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    let length = second & 0x7F;
+    let position = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < position + 2) {
+        break;
+      }
+      length = buffer.readUInt16BE(position);
+      position += 2;
+    } else if (length === 127) {
+      if (buffer.length < position + 8) {
+        break;
+      }
+      length = Number(buffer.readBigUInt64BE(position));
+      position += 8;
+    }
+
+    if ((second & 0x80) === 0) {
+      throw new Error('Trama sin máscara');
+    }
+    if (length > MAX_PAYLOAD) {
+      throw new Error('Mensaje demasiado grande');
+    }
+    if (buffer.length < position + 4 + length) {
+      break;
+    }
+
+    const mask = buffer.subarray(position, position + 4);
+    const payload = Buffer.from(buffer.subarray(position + 4, position + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0F, payload });
+    offset = position + 4 + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Conexión WebSocket de un cliente
+ * Eventos: 'message' (texto), 'close'
+ */
+export class WebSocketConnection extends EventEmitter {
+  /**
+   * @param {net.Socket} socket - Socket ya negociado
+   */
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.closed = false;
+    this.closeTimer = null;
+
+    socket.on('data', data => this.handleData(data));
+    socket.on('close', () => {
+      clearTimeout(this.closeTimer);
+      this.handleClose();
+    });
+    socket.on('error', () => {
+      socket.destroy();
+      this.handleClose();
+    });
+  }
+
+  /**
+   * Envía un mensaje de texto
+   * @param {string} text - Mensaje
+   */
+  send(text) {
+    if (!this.closed) {
+      this.socket.write(encodeFrame(OPCODES.text, text));
+    }
+  }
+
+  /**
+   * Cierra la conexión: el socket se corta cuando ha salido la trama de cierre
+   * (o pasado CLOSE_TIMEOUT si el cliente no la recoge)
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.socket.once('finish', () => this.socket.destroy());
+    this.closeTimer = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT);
+    this.socket.end(encodeFrame(OPCODES.close));
+    this.handleClose();
+  }
+
+  /**
+   * Procesa los datos recibidos por el socket
+   * @param {Buffer} data - Datos
+   */
+  handleData(data) {
+    if (this.closed) {
+      return;
+    }
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    let decoded;
+    try {
+      decoded = decodeFrames(this.buffer);
+    } catch (error) {
+      this.close();
+      return;
+    }
+    this.buffer = decoded.rest;
+
+    // Tras cerrar se ignoran las tramas que quedan en el mismo lote
+    for (const frame of decoded.frames) {
+      if (this.closed) {
+        break;
+      }
+      switch (frame.opcode) {
+      case OPCODES.text:
+        // Los mensajes del juego son cortos: no se admiten fragmentados
+        if (frame.fin) {
+          this.emit('message', frame.payload.toString('utf8'));
+        } else {
+          this.close();
+        }
+        break;
+      case OPCODES.ping:
+        this.socket.write(encodeFrame(OPCODES.pong, frame.payload));
+        break;
+      case OPCODES.close:
+        this.close();
+        break;
+      default:
+        break;
+      }
+    }
+  }
+
+  /**
+   * Marca la conexión como cerrada y avisa una sola vez
+   */
+  handleClose() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.emit('close');
+  }
+}
+
+/**
+ * Acepta conexiones WebSocket en un servidor HTTP
+ * @param {http.Server} server - Servidor HTTP
+ * @param {Function} onConnection - Función que recibe cada WebSocketConnection
+ */
+export function attachWebSocketServer(server, onConnection) {
+  server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || String(request.headers.upgrade).toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${getAcceptKey(key)}`,
+      '',
+      ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    onConnection(new WebSocketConnection(socket));
+  });
+}
@@ -0,0 +1,148 @@
+/**
+ * Registro de habilidades
+ *
+ * Cada habilidad declara su duración, cooldown, tecla por defecto, icono y los
+ * efectos que aplica mientras está activa. La simulación, el renderizado y la
+ * interfaz (botones, teclas, cooldowns y su persistencia) se generan a partir de
+ * este registro, así que añadir una habilidad solo requiere una entrada nueva.
+ *
+ * Efectos de cada habilidad (todos opcionales):
+ * - physics.speedMultiplier: multiplica la velocidad de los tubos
+ * - physics.timeScale: multiplica la velocidad del mundo (tubos y huecos móviles)
+ * - physics.jumpMultiplier: al activarla el pájaro salta con esa fuerza relativa
+ * - collision.ignorePipes: los tubos no chocan con el pájaro
+ * - render.aura: 'shield' (escudo dorado) o 'burst' (onda al activarla)
+ * - render.pipes: 'boost' (tubos resaltados por la velocidad)
+ * - render.birdAlpha: opacidad del pájaro
+ * - render.overlay: 'slow' (tinte de la cámara lenta)
+ */
+
+export const ABILITIES = {
+  invulnerability: {
+    id: 'invulnerability',
+    name: 'Escudo',
+    activeLabel: 'Escudo Activo',
+    icon: '🛡️',
+    color: '#4CAF50',
+    duration: 3, // segundos
+    cooldown: 15, // segundos
+    defaultKey: 'KeyE',
+    defaultPadButton: 2, // botón X del mando (mapeo estándar)
+    keyStorage: 'abilityKey', // nombre de antes del registro, para conservar la tecla guardada
+    replayCode: 'I',
+    collision: { ignorePipes: true },
+    render: { aura: 'shield' }
+  },
+  speedBoost: {
+    id: 'speedBoost',
+    name: 'Velocidad',
+    activeLabel: 'Velocidad Activa',
+    icon: '⚡',
+    color: '#FF6B35',
+    duration: 15,
+    cooldown: 5,
+    defaultKey: 'KeyR',
+    defaultPadButton: 3,
+    keyStorage: 'speedBoostKey',
+    replayCode: 'S',
+    physics: { speedMultiplier: 1.5 },
+    render: { pipes: 'boost' }
+  },
+  slowMotion: {
+    id: 'slowMotion',
+    name: 'Tiempo lento',
+    activeLabel: 'Tiempo lento',
+    icon: '🐢',
+    color: '#7E57C2',
+    duration: 4,
+    cooldown: 20,
+    defaultKey: 'KeyF',
+    defaultPadButton: 4,
+    defaultGesture: 'swipeLeft', // deslizamiento en la pantalla táctil (opcional)
+    replayCode: 'L',
+    physics: { timeScale: 0.5 },
+    render: { overlay: 'slow' }
+  },
+  doubleJump: {
+    id: 'doubleJump',
+    name: 'Doble salto',
+    activeLabel: '¡Salto!',
+    icon: '⏫',
+    color: '#29B6F6',
+    duration: 0.3,
+    cooldown: 3,
+    defaultKey: 'KeyQ',
+    defaultPadButton: 5,
+    defaultGesture: 'swipeUp',
+    replayCode: 'D',
+    physics: { jumpMultiplier: 1.4 },
+    render: { aura: 'burst' }
+  },
+  phaseDash: {
+    id: 'phaseDash',
+    name: 'Paso fantasma',
+    activeLabel: 'Atravesando',
+    icon: '💨',
+    color: '#26A69A',
+    duration: 0.5,
+    cooldown: 8,
+    defaultKey: 'KeyC',
+    defaultPadButton: 7,
+    defaultGesture: 'swipeRight',
+    replayCode: 'F',
+    physics: { speedMultiplier: 2.5 },
+    collision: { ignorePipes: true },
+    render: { birdAlpha: 0.45 }
+  }
+};
+
+/**
+ * Crea el estado inicial de todas las habilidades del registro
+ * @returns {Object} - Estado {active, duration, cooldown, cooldownTimer, activeTimer} por id
+ */
+export function createAbilityStates() {
+  const states = {};
+  Object.values(ABILITIES).forEach(ability => {
+    states[ability.id] = {
+      active: false,
+      duration: ability.duration,
+      cooldown: ability.cooldown,
+      cooldownTimer: 0,
+      activeTimer: 0
+    };
+  });
+  return states;
+}
+
+/**
+ * Obtiene las habilidades activas con un efecto de un grupo
+ * @param {Object} states - Estado de las habilidades
+ * @param {string} group - 'physics', 'collision' o 'render'
+ * @param {string} effect - Nombre del efecto
+ * @returns {Array<*>} - Valor del efecto en cada habilidad activa que lo tiene
+ */
+export function getActiveEffects(states, group, effect) {
+  return Object.values(ABILITIES)
+    .filter(ability => states[ability.id].active && ability[group] && ability[group][effect] !== undefined)
+    .map(ability => ability[group][effect]);
+}
+
+/**
+ * Multiplica los valores de un efecto numérico de las habilidades activas
+ * @param {Object} states - Estado de las habilidades
+ * @param {string} group - Grupo del efecto
+ * @param {string} effect - Nombre del efecto
+ * @returns {number} - Producto (1 si ninguna lo aplica)
+ */
+export function getEffectMultiplier(states, group, effect) {
+  return getActiveEffects(states, group, effect).reduce((product, value) => product * value, 1);
+}
+
+/**
+ * Obtiene el nombre con el que se guarda la tecla de una habilidad
+ * @param {string} id - Id de la habilidad
+ * @returns {string}
+ */
+export function getKeyStorageName(id) {
+  return ABILITIES[id].keyStorage || `${id}Key`;
+}
@@ -0,0 +1,146 @@
+/**
+ * Módulo de dificultad adaptativa: ajusta la partida al rendimiento del jugador
+ *
+ * El director mantiene un nivel continuo que sube con el tiempo vivo y los tubos
+ * superados limpiamente, y baja con los roces (pasar muy cerca del borde del hueco).
+ * Entre partidas, el nivel inicial se calcula a partir de las últimas partidas,
+ * restando un poco por cada muerte temprana reciente.
+ */
+
+import { DIFFICULTY_PRESETS, getDifficultyValues } from './difficulty.js';
+
+const HISTORY_KEY = 'pajaritoAdaptive';
+const MAX_HISTORY = 5;
+
+export const MAX_ADAPTIVE_LEVEL = 20;
+
+// Curva continua del modo adaptativo: va más allá de lo que alcanzan los
+// escalones fijos de los presets cuando el jugador lo permite
+export const ADAPTIVE_CURVE = {
+  id: 'adaptive',
+  name: 'Adaptativa',
+  axis: 'score',
+  every: Infinity, // el nivel lo decide el director, no la curva
+  pipeSpeed: { base: 120, step: 12, max: 360 },
+  pipeGap: { base: 185, step: -4.5, min: 95 },
+  gravity: { base: 1000 },
+  pipeSpawnInterval: { base: 1.7, step: -0.05, min: 0.7 },
+  obstacleMix: DIFFICULTY_PRESETS.normal.obstacleMix
+};
+
+const LEVEL_PER_SECOND = 0.04; // subida por tiempo vivo
+const LEVEL_PER_CLEAN_PASS = 0.12; // subida por tubo superado sin rozar
+const LEVEL_PER_NEAR_MISS = -0.35; // bajada por roce
+const SMOOTHING = 0.5; // fracción por segundo con la que el nivel aplicado sigue al objetivo
+const QUICK_DEATH_TIME = 10; // segundos: morir antes cuenta como muerte temprana
+const QUICK_DEATH_PENALTY = 1.5; // niveles menos por cada muerte temprana reciente
+const START_MARGIN = 2; // el siguiente intento empieza algo por debajo del nivel alcanzado
+
+/**
+ * Director de dificultad adaptativa de una partida
+ */
+export class AdaptiveDirector {
+  /**
+   * @param {number} startLevel - Nivel con el que empieza la partida
+   */
+  constructor(startLevel = 0) {
+    this.startLevel = clampLevel(startLevel);
+    this.targetLevel = this.startLevel;
+    this.level = this.startLevel; // nivel aplicado, suavizado
+    this.timeAlive = 0;
+    this.nearMisses = 0;
+  }
+
+  /**
+   * Avanza el director un paso de simulación
+   * @param {number} deltaTime - Tiempo transcurrido en segundos
+   */
+  update(deltaTime) {
+    this.timeAlive += deltaTime;
+    this.targetLevel = clampLevel(this.targetLevel + LEVEL_PER_SECOND * deltaTime);
+    this.level += (this.targetLevel - this.level) * Math.min(1, SMOOTHING * deltaTime);
+  }
+
+  /**
+   * Registra que el pájaro superó un par de tubos
+   * @param {boolean} nearMiss - Si lo superó rozando el borde del hueco
+   */
+  onPipePassed(nearMiss) {
+    if (nearMiss) {
+      this.nearMisses++;
+    }
+    const change = nearMiss ? LEVEL_PER_NEAR_MISS : LEVEL_PER_CLEAN_PASS;
+    this.targetLevel = clampLevel(this.targetLevel + change);
+  }
+
+  /**
+   * Obtiene los valores de la partida para el nivel actual
+   * @returns {Object} - {pipeSpeed, pipeGap, gravity, pipeSpawnInterval, obstacleMix}
+   */
+  getValues() {
+    // Los tipos de obstáculo cambian cada 3 niveles adaptativos
+    return {
+      ...getDifficultyValues(ADAPTIVE_CURVE, this.level),
+      obstacleMix: getDifficultyValues(ADAPTIVE_CURVE, Math.floor(this.level / 3)).obstacleMix
+    };
+  }
+
+  /**
+   * Resume la partida para el historial
+   * @returns {Object} - {level, timeAlive, nearMisses}
+   */
+  getSummary() {
+    return {
+      level: Math.round(this.level * 100) / 100,
+      timeAlive: Math.round(this.timeAlive * 10) / 10,
+      nearMisses: this.nearMisses
+    };
+  }
+}
+
+/**
+ * Limita un nivel al rango del modo adaptativo
+ * @param {number} level - Nivel
+ * @returns {number}
+ */
+function clampLevel(level) {
+  return Math.max(0, Math.min(MAX_ADAPTIVE_LEVEL, level));
+}
+
+/**
+ * Calcula el nivel inicial a partir de las últimas partidas
+ * @param {Array<Object>} history - Resúmenes de partidas, de la más antigua a la más reciente
+ * @returns {number} - Nivel inicial
+ */
+export function getStartingLevel(history) {
+  if (history.length === 0) {
+    return 0;
+  }
+
+  const averageLevel = history.reduce((sum, run) => sum + run.level, 0) / history.length;
+  const quickDeaths = history.filter(run => run.timeAlive < QUICK_DEATH_TIME).length;
+  return clampLevel(averageLevel - START_MARGIN - quickDeaths * QUICK_DEATH_PENALTY);
+}
+
+/**
+ * Carga el historial de partidas adaptativas
+ * @returns {Array<Object>} - Resúmenes de las últimas partidas
+ */
+export function loadAdaptiveHistory() {
+  try {
+    return JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+  } catch (e) {
+    console.warn('Error cargando el historial adaptativo:', e);
+    return [];
+  }
+}
+
+/**
+ * Añade una partida al historial adaptativo conservando solo las últimas
+ * @param {Object} summary - Resumen de la partida (ver AdaptiveDirector.getSummary)
+ */
+export function saveAdaptiveRun(summary) {
+  const history = loadAdaptiveHistory();
+  history.push(summary);
+  localStorage.setItem(HISTORY_KEY, JSON.stringify(history.slice(-MAX_HISTORY)));
+}
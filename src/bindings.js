@@ -0,0 +1,358 @@
+/**
+ * Mapa de controles: qué entradas disparan cada acción
+ *
+ * Cada acción (saltar, cada habilidad, pausa y reiniciar) puede tener varias
+ * asignaciones. Una asignación es un texto "<dispositivo>:<código>":
+ * - key:<código de tecla> (KeyboardEvent.code), por ejemplo 'key:Space'
+ * - mouse:<botón> (MouseEvent.button): 0 izquierdo, 1 central, 2 derecho
+ * - touch:<zona>: 'screen' (toda la pantalla), 'left' o 'right' (cada mitad),
+ *   'leftEdge' o 'rightEdge' (cada borde, ver gestures.js)
+ * - gesture:<gesto>: deslizamientos y toque con dos dedos
+ * - pad:<botón> (índice del botón de un mando con el mapeo estándar)
+ * El mapa se guarda como {acción: [asignaciones], version}.
+ */
+
+import { ABILITIES, getKeyStorageName } from './abilities.js';
+
+const BINDINGS_KEY = 'inputBindings';
+
+// Versión 2: asignaciones del mando; versión 3: gestos. Los mapas anteriores a cada
+// versión reciben las asignaciones por defecto de ese dispositivo
+const BINDINGS_VERSION = 3;
+const DEVICE_VERSIONS = { pad: 2, gesture: 3 };
+
+// Zonas táctiles que se pueden asignar (la de toda la pantalla incluye las mitades,
+// pero no los bordes, que tienen prioridad sobre ellas)
+export const TOUCH_ZONES = {
+  screen: 'Toque',
+  left: 'Toque izquierda',
+  right: 'Toque derecha',
+  leftEdge: 'Toque borde izquierdo',
+  rightEdge: 'Toque borde derecho'
+};
+
+// Gestos de la pantalla táctil que se pueden asignar
+export const GESTURES = {
+  swipeUp: 'Deslizar ↑',
+  swipeDown: 'Deslizar ↓',
+  swipeLeft: 'Deslizar ←',
+  swipeRight: 'Deslizar →',
+  twoFinger: 'Toque con dos dedos'
+};
+
+const MOUSE_BUTTONS = ['Clic izquierdo', 'Clic central', 'Clic derecho'];
+
+// Nombres de los botones del mando en el mapeo estándar del Gamepad API
+export const PAD_BUTTONS = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Select', 'Start', 'L3', 'R3',
+  '↑', '↓', '←', '→', 'Home'
+];
+
+/**
+ * Acciones asignables en el orden en que aparecen en la configuración.
+ * Las marcadas como required deben conservar al menos una asignación
+ */
+export const ACTIONS = [
+  { id: 'jump', name: 'Saltar', defaults: ['key:Space', 'mouse:0', 'touch:screen', 'pad:0'], required: true },
+  { id: 'jump2', name: 'Saltar (jugador 2)', defaults: ['key:ArrowUp'], required: true },
+  ...Object.values(ABILITIES).map(ability => ({
+    id: ability.id,
+    name: `${ability.icon} ${ability.name}`,
+    defaults: [
+      `key:${ability.defaultKey}`,
+      `pad:${ability.defaultPadButton}`,
+      ...(ability.defaultGesture ? [`gesture:${ability.defaultGesture}`] : [])
+    ]
+  })),
+  { id: 'pause', name: 'Pausa', defaults: ['key:Escape', 'key:KeyP', 'pad:9', 'gesture:swipeDown', 'gesture:twoFinger'] },
+  { id: 'restart', name: 'Reiniciar', defaults: ['key:Enter', 'pad:8'] }
+];
+
+/**
+ * Indica si una acción debe conservar al menos una asignación
+ * @param {string} id - Id de la acción
+ * @returns {boolean}
+ */
+function isRequired(id) {
+  return Boolean(ACTIONS.find(action => action.id === id).required);
+}
+
+/**
+ * Crea el mapa de controles por defecto
+ * @returns {Object} - Asignaciones por id de acción
+ */
+export function createDefaultBindings() {
+  const bindings = {};
+  ACTIONS.forEach(action => {
+    bindings[action.id] = action.defaults.slice();
+  });
+  return bindings;
+}
+
+/**
+ * Indica si un texto es una asignación válida
+ * @param {*} binding - Asignación
+ * @returns {boolean}
+ */
+export function isValidBinding(binding) {
+  const match = /^(key|mouse|touch|gesture|pad):(.+)$/.exec(binding);
+  if (!match) {
+    return false;
+  }
+  const [, device, code] = match;
+  switch (device) {
+  case 'key':
+    return /^\w+$/.test(code);
+  case 'mouse':
+    return /^[0-2]$/.test(code);
+  case 'pad':
+    return /^\d+$/.test(code) && Number(code) < PAD_BUTTONS.length;
+  case 'gesture':
+    return Object.prototype.hasOwnProperty.call(GESTURES, code);
+  default:
+    return Object.prototype.hasOwnProperty.call(TOUCH_ZONES, code);
+  }
+}
+
+/**
+ * Corrige un mapa guardado: descarta acciones y asignaciones desconocidas y
+ * completa las acciones que falten con sus valores por defecto
+ * @param {*} saved - Mapa leído de localStorage
+ * @param {Object} legacyKeys - Tecla guardada de cada habilidad antes del mapa (si la hay)
+ * @returns {Object} - Mapa válido
+ */
+export function normalizeBindings(saved, legacyKeys = {}) {
+  // Antes una tecla de habilidad tenía prioridad sobre la P de pausa: se le quita a la otra acción
+  const bindings = createDefaultBindings();
+  Object.entries(legacyKeys).forEach(([id, code]) => {
+    if (bindings[id] && code) {
+      const previous = bindings[id];
+      bindings[id] = [];
+      if (!addBinding(bindings, id, `key:${code}`)) {
+        bindings[id] = previous;
+      }
+    }
+  });
+  if (!saved || typeof saved !== 'object') {
+    return bindings;
+  }
+
+  ACTIONS.forEach(action => {
+    const list = saved[action.id];
+    if (!Array.isArray(list)) {
+      return;
+    }
+    const valid = list.filter((binding, index) => isValidBinding(binding) && list.indexOf(binding) === index);
+    if (valid.length > 0 || !action.required) {
+      bindings[action.id] = valid;
+    }
+  });
+
+  // Los mapas de antes de un dispositivo (el mando o los gestos) conservan sus
+  // asignaciones y ganan las de ese dispositivo que estén libres
+  const version = Number(saved.version) || 1;
+  ACTIONS.forEach(action => {
+    action.defaults
+      .filter(binding => version < DEVICE_VERSIONS[binding.split(':')[0]] && !findBindingOwner(bindings, binding))
+      .forEach(binding => bindings[action.id].push(binding));
+  });
+  return bindings;
+}
+
+/**
+ * Indica si una asignación responde a una entrada concreta
+ * (la zona de toda la pantalla responde a los toques en cualquier mitad)
+ * @param {string} bound - Asignación de una acción
+ * @param {string} input - Entrada recibida
+ * @returns {boolean}
+ */
+export function bindingMatches(bound, input) {
+  return bound === input || (bound === 'touch:screen' && (input === 'touch:left' || input === 'touch:right'));
+}
+
+/**
+ * Indica si dos asignaciones pueden dispararse con la misma entrada
+ * @param {string} a - Asignación
+ * @param {string} b - Asignación
+ * @returns {boolean}
+ */
+export function bindingsOverlap(a, b) {
+  return bindingMatches(a, b) || bindingMatches(b, a);
+}
+
+/**
+ * Obtiene las acciones que dispara una entrada
+ * @param {Object} bindings - Mapa de controles
+ * @param {string} input - Entrada recibida (por ejemplo 'key:KeyE' o 'touch:left')
+ * @returns {Array<string>} - Ids de las acciones
+ */
+export function getActionsForInput(bindings, input) {
+  return ACTIONS
+    .filter(action => bindings[action.id].some(bound => bindingMatches(bound, input)))
+    .map(action => action.id);
+}
+
+/**
+ * Busca la acción que ya usa una asignación (o una que se solapa con ella)
+ * @param {Object} bindings - Mapa de controles
+ * @param {string} binding - Asignación
+ * @param {string} except - Acción que no se tiene en cuenta
+ * @returns {string|null} - Id de la acción o null si está libre
+ */
+export function findBindingOwner(bindings, binding, except = null) {
+  const owner = ACTIONS.find(action => action.id !== except &&
+    bindings[action.id].some(bound => bindingsOverlap(bound, binding)));
+  return owner ? owner.id : null;
+}
+
+/**
+ * Lista las asignaciones que comparten varias acciones
+ * @param {Object} bindings - Mapa de controles
+ * @returns {Array<Object>} - Conflictos {binding, actions}
+ */
+export function findConflicts(bindings) {
+  const conflicts = [];
+  ACTIONS.forEach((action, index) => {
+    ACTIONS.slice(index + 1).forEach(other => {
+      bindings[action.id].forEach(binding => {
+        if (bindings[other.id].some(bound => bindingsOverlap(bound, binding))) {
+          conflicts.push({ binding, actions: [action.id, other.id] });
+        }
+      });
+    });
+  });
+  return conflicts;
+}
+
+/**
+ * Añade una asignación a una acción quitándola de cualquier otra que la usara
+ * (el mapa se modifica)
+ * @param {Object} bindings - Mapa de controles
+ * @param {string} action - Id de la acción
+ * @param {string} binding - Asignación
+ * @returns {Array<string>|null} - Acciones a las que se les quitó, o null (sin cambios)
+ *   si alguna acción obligatoria se quedaría sin asignaciones
+ */
+export function addBinding(bindings, action, binding) {
+  const remaining = {};
+  ACTIONS.forEach(other => {
+    if (other.id !== action) {
+      remaining[other.id] = bindings[other.id].filter(bound => !bindingsOverlap(bound, binding));
+    }
+  });
+  if (Object.keys(remaining).some(id => isRequired(id) && remaining[id].length === 0)) {
+    return null;
+  }
+
+  const removedFrom = Object.keys(remaining).filter(id => remaining[id].length !== bindings[id].length);
+  removedFrom.forEach(id => {
+    bindings[id] = remaining[id];
+  });
+  if (!bindings[action].includes(binding)) {
+    bindings[action].push(binding);
+  }
+  return removedFrom;
+}
+
+/**
+ * Quita una asignación de una acción (el mapa se modifica)
+ * @param {Object} bindings - Mapa de controles
+ * @param {string} action - Id de la acción
+ * @param {string} binding - Asignación
+ * @returns {boolean} - false si era la última de una acción obligatoria
+ */
+export function removeBinding(bindings, action, binding) {
+  if (isRequired(action) && bindings[action].length <= 1) {
+    return false;
+  }
+  bindings[action] = bindings[action].filter(bound => bound !== binding);
+  return true;
+}
+
+/**
+ * Obtiene el nombre de visualización de una tecla
+ * @param {string} keyCode - Código de tecla
+ * @returns {string} - Nombre para mostrar
+ */
+export function getKeyDisplayName(keyCode) {
+  const keyMap = {
+    'Space': 'ESPACIO',
+    'Escape': 'ESC',
+    'Enter': 'ENTER',
+    'Backspace': 'RETROCESO',
+    'ArrowUp': '↑',
+    'ArrowDown': '↓',
+    'ArrowLeft': '←',
+    'ArrowRight': '→',
+    'ShiftLeft': 'SHIFT',
+    'ShiftRight': 'SHIFT DER.',
+    'ControlLeft': 'CTRL',
+    'ControlRight': 'CTRL DER.',
+    'AltLeft': 'ALT',
+    'AltRight': 'ALT GR'
+  };
+  return keyMap[keyCode] || keyCode.replace('Key', '').replace('Digit', '').replace('Numpad', 'NUM ');
+}
+
+/**
+ * Obtiene el nombre de visualización de una asignación
+ * @param {string} binding - Asignación
+ * @returns {string}
+ */
+export function getBindingDisplayName(binding) {
+  const separator = binding.indexOf(':');
+  const device = binding.slice(0, separator);
+  const code = binding.slice(separator + 1);
+  switch (device) {
+  case 'key':
+    return getKeyDisplayName(code);
+  case 'mouse':
+    return MOUSE_BUTTONS[code] || `Botón ${code}`;
+  case 'pad':
+    return `Mando ${PAD_BUTTONS[code] || code}`;
+  case 'gesture':
+    return GESTURES[code] || code;
+  default:
+    return TOUCH_ZONES[code] || code;
+  }
+}
+
+/**
+ * Obtiene el nombre de una acción
+ * @param {string} id - Id de la acción
+ * @returns {string}
+ */
+export function getActionName(id) {
+  return ACTIONS.find(action => action.id === id).name;
+}
+
+/**
+ * Carga el mapa de controles (las teclas de habilidad guardadas antes del mapa
+ * se conservan la primera vez)
+ * @returns {Object}
+ */
+export function loadBindings() {
+  const legacyKeys = {};
+  Object.keys(ABILITIES).forEach(id => {
+    legacyKeys[id] = localStorage.getItem(getKeyStorageName(id));
+  });
+
+  const saved = localStorage.getItem(BINDINGS_KEY);
+  if (!saved) {
+    return normalizeBindings(null, legacyKeys);
+  }
+  try {
+    return normalizeBindings(JSON.parse(saved));
+  } catch (e) {
+    console.warn('Error cargando los controles:', e);
+    return createDefaultBindings();
+  }
+}
+
+/**
+ * Guarda el mapa de controles
+ * @param {Object} bindings - Mapa de controles
+ */
+export function saveBindings(bindings) {
+  localStorage.setItem(BINDINGS_KEY, JSON.stringify({ ...bindings, version: BINDINGS_VERSION }));
+}
@@ -0,0 +1,258 @@
+/**
+ * Módulo de campaña: niveles de longitud fija con objetivos y estrellas
+ *
+ * Cada nivel genera siempre el mismo recorrido a partir de su semilla (ver
+ * course.js), puede cambiar la física y tiene tres objetivos: el primero es
+ * obligatorio para superarlo y da la primera estrella, los otros dos dan una
+ * estrella más cada uno. Los niveles se desbloquean en orden.
+ */
+
+import { COURSE_VERSION, clampCoursePair } from './course.js';
+import { createRng } from './utils.js';
+
+const CAMPAIGN_KEY = 'pajaritoCampaign';
+
+export const MAX_STARS = 3;
+
+/**
+ * Niveles de la campaña
+ * layout: {seed, pipes, spacing, gapSize, shift (máximo cambio de altura entre
+ * huecos), itemEvery (un objeto cada N pares, 0 sin objetos)}
+ * physics: {gravity, pipeSpeed, jumpForce} (se omiten los que no cambian)
+ * goals: objetivos {type, target}, ver getGoalLabel
+ */
+export const CAMPAIGN_LEVELS = [
+  {
+    id: 'primer-vuelo',
+    name: 'Primer vuelo',
+    layout: { seed: 101, pipes: 10, spacing: 300, gapSize: 190, shift: 50, itemEvery: 2 },
+    physics: {},
+    goals: [
+      { type: 'pipes', target: 10 },
+      { type: 'items', target: 5 },
+      { type: 'noShield' }
+    ]
+  },
+  {
+    id: 'zigzag',
+    name: 'Zigzag',
+    layout: { seed: 202, pipes: 15, spacing: 280, gapSize: 175, shift: 110, itemEvery: 3 },
+    physics: {},
+    goals: [
+      { type: 'pipes', target: 15 },
+      { type: 'noShield' },
+      { type: 'nearMisses', target: 3 }
+    ]
+  },
+  {
+    id: 'recolector',
+    name: 'Recolector',
+    layout: { seed: 303, pipes: 15, spacing: 270, gapSize: 170, shift: 90, itemEvery: 1 },
+    physics: {},
+    goals: [
+      { type: 'items', target: 10 },
+      { type: 'items', target: 15 },
+      { type: 'noAbilities' }
+    ]
+  },
+  {
+    id: 'gravedad-pesada',
+    name: 'Gravedad pesada',
+    layout: { seed: 404, pipes: 20, spacing: 300, gapSize: 175, shift: 80, itemEvery: 4 },
+    physics: { gravity: 1400, jumpForce: 300 },
+    goals: [
+      { type: 'pipes', target: 20 },
+      { type: 'noShield' },
+      { type: 'items', target: 5 }
+    ]
+  },
+  {
+    id: 'luna',
+    name: 'En la luna',
+    layout: { seed: 505, pipes: 20, spacing: 280, gapSize: 165, shift: 100, itemEvery: 5 },
+    physics: { gravity: 600, jumpForce: 190 },
+    goals: [
+      { type: 'pipes', target: 20 },
+      { type: 'noAbilities' },
+      { type: 'nearMisses', target: 5 }
+    ]
+  },
+  {
+    id: 'a-toda-velocidad',
+    name: 'A toda velocidad',
+    layout: { seed: 606, pipes: 25, spacing: 340, gapSize: 170, shift: 90, itemEvery: 5 },
+    physics: { pipeSpeed: 240 },
+    goals: [
+      { type: 'pipes', target: 25 },
+      { type: 'noShield' },
+      { type: 'items', target: 5 }
+    ]
+  },
+  {
+    id: 'desfiladero',
+    name: 'Desfiladero',
+    layout: { seed: 707, pipes: 25, spacing: 260, gapSize: 135, shift: 60, itemEvery: 5 },
+    physics: {},
+    goals: [
+      { type: 'pipes', target: 25 },
+      { type: 'noShield' },
+      { type: 'nearMisses', target: 8 }
+    ]
+  },
+  {
+    id: 'gran-final',
+    name: 'Gran final',
+    layout: { seed: 808, pipes: 30, spacing: 280, gapSize: 155, shift: 110, itemEvery: 3 },
+    physics: { pipeSpeed: 190, gravity: 1100 },
+    goals: [
+      { type: 'pipes', target: 30 },
+      { type: 'noShield' },
+      { type: 'items', target: 10 }
+    ]
+  }
+];
+
+/**
+ * Obtiene un nivel de la campaña por su id
+ * @param {string} id - Id del nivel
+ * @returns {Object|null} - Nivel o null si no existe
+ */
+export function getCampaignLevel(id) {
+  return CAMPAIGN_LEVELS.find(level => level.id === id) || null;
+}
+
+/**
+ * Obtiene el nivel siguiente de la campaña
+ * @param {string} id - Id del nivel actual
+ * @returns {Object|null} - Nivel siguiente o null si es el último
+ */
+export function getNextCampaignLevel(id) {
+  const index = CAMPAIGN_LEVELS.findIndex(level => level.id === id);
+  return index === -1 ? null : CAMPAIGN_LEVELS[index + 1] || null;
+}
+
+/**
+ * Genera el recorrido de un nivel (siempre el mismo para la misma semilla)
+ * @param {Object} level - Nivel de la campaña
+ * @param {number} worldHeight - Alto del mundo de juego
+ * @returns {Object} - Recorrido
+ */
+export function createLevelCourse(level, worldHeight) {
+  const { seed, pipes, spacing, gapSize, shift, itemEvery } = level.layout;
+  const rng = createRng(seed);
+  let gapY = (worldHeight - gapSize) / 2;
+
+  const course = { version: COURSE_VERSION, name: level.name, pipes: [] };
+  for (let i = 0; i < pipes; i++) {
+    const pair = clampCoursePair({
+      spacing,
+      gapY,
+      gapSize,
+      item: itemEvery > 0 && (i + 1) % itemEvery === 0
+    }, worldHeight);
+    course.pipes.push(pair);
+    gapY = pair.gapY + (rng() * 2 - 1) * shift;
+  }
+  return course;
+}
+
+/**
+ * Obtiene el texto de un objetivo
+ * @param {Object} goal - Objetivo {type, target}
+ * @returns {string}
+ */
+export function getGoalLabel(goal) {
+  switch (goal.type) {
+  case 'pipes':
+    return `Supera ${goal.target} tubos`;
+  case 'items':
+    return `Recoge ${goal.target} objetos`;
+  case 'nearMisses':
+    return `Consigue ${goal.target} roces`;
+  case 'noShield':
+    return 'Termina sin usar el escudo';
+  case 'noAbilities':
+    return 'Termina sin usar habilidades';
+  default:
+    return goal.type;
+  }
+}
+
+/**
+ * Comprueba si una partida cumple un objetivo
+ * @param {Object} goal - Objetivo {type, target}
+ * @param {Object} run - Partida {score, completed, itemsCollected, nearMisses, abilityUses}
+ * @returns {boolean}
+ */
+export function isGoalMet(goal, run) {
+  switch (goal.type) {
+  case 'pipes':
+    return run.score >= goal.target;
+  case 'items':
+    return run.itemsCollected >= goal.target;
+  case 'nearMisses':
+    return run.nearMisses >= goal.target;
+  case 'noShield':
+    return run.completed && !run.abilityUses.invulnerability;
+  case 'noAbilities':
+    return run.completed && Object.values(run.abilityUses).every(uses => uses === 0);
+  default:
+    return false;
+  }
+}
+
+/**
+ * Valora una partida de un nivel
+ * @param {Object} level - Nivel de la campaña
+ * @param {Object} run - Partida (ver isGoalMet)
+ * @returns {Object} - {stars, cleared, goals: [{label, met}]}
+ */
+export function evaluateLevel(level, run) {
+  const goals = level.goals.map(goal => ({ label: getGoalLabel(goal), met: isGoalMet(goal, run) }));
+  const cleared = goals[0].met;
+  const stars = cleared ? goals.filter(goal => goal.met).length : 0;
+  return { stars, cleared, goals };
+}
+
+/**
+ * Carga las estrellas conseguidas en cada nivel
+ * @returns {Object} - Mapa id -> estrellas
+ */
+export function loadCampaignProgress() {
+  const saved = localStorage.getItem(CAMPAIGN_KEY);
+  if (!saved) {
+    return {};
+  }
+  try {
+    const progress = JSON.parse(saved);
+    return progress && typeof progress === 'object' ? progress : {};
+  } catch (e) {
+    console.warn('Error cargando el progreso de la campaña:', e);
+    return {};
+  }
+}
+
+/**
+ * Guarda el resultado de un nivel si mejora las estrellas anteriores
+ * @param {string} id - Id del nivel
+ * @param {number} stars - Estrellas conseguidas
+ * @returns {Object} - Progreso actualizado
+ */
+export function saveLevelStars(id, stars) {
+  const progress = loadCampaignProgress();
+  if (stars > (progress[id] || 0)) {
+    progress[id] = Math.min(stars, MAX_STARS);
+    localStorage.setItem(CAMPAIGN_KEY, JSON.stringify(progress));
+  }
+  return progress;
+}
+
+/**
+ * Indica si un nivel está desbloqueado (el primero siempre; el resto al superar el anterior)
+ * @param {number} index - Posición del nivel en CAMPAIGN_LEVELS
+ * @param {Object} progress - Progreso de la campaña
+ * @returns {boolean}
+ */
+export function isLevelUnlocked(index, progress) {
+  return index === 0 || (progress[CAMPAIGN_LEVELS[index - 1].id] || 0) > 0;
+}
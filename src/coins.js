@@ -0,0 +1,61 @@
+/**
+ * Módulo de las monedas: dónde aparecen dentro y alrededor de los huecos
+ *
+ * Las monedas usan su propio generador aleatorio (derivado de la semilla de la
+ * partida) para no alterar la secuencia de tubos: las repeticiones, los fantasmas
+ * y los retos diarios anteriores siguen teniendo los mismos tubos.
+ */
+
+// Radio de una moneda
+export const COIN_RADIUS = 8;
+
+// Probabilidad de que un par de tubos lleve monedas
+export const COIN_CHANCE = 0.6;
+
+// Sal con la que se deriva la semilla de las monedas de la de la partida
+const COIN_SEED_SALT = 0x9E3779B9;
+
+const COLUMN_SPACING = 24; // píxeles entre monedas de la columna del hueco
+const ARC_OFFSETS = [[45, 0], [75, -18], [105, 0]]; // [x tras el tubo, y] del arco
+
+/**
+ * Obtiene la semilla del generador de monedas de una partida
+ * @param {number} seed - Semilla de la partida
+ * @returns {number}
+ */
+export function getCoinSeed(seed) {
+  return (seed ^ COIN_SEED_SALT) >>> 0;
+}
+
+/**
+ * Obtiene la altura del centro de un hueco que no se desplaza
+ * @param {Object} pair - Par de tubos
+ * @returns {number|null} - Y del centro, o null si el hueco sube y baja o se desliza
+ */
+export function getFixedGapCenter(pair) {
+  if (pair.behavior === 'closing') {
+    return pair.gapCenter;
+  }
+  return pair.behavior === 'static' ? pair.gapY + pair.gapSize / 2 : null;
+}
+
+/**
+ * Crea las monedas de un par de tubos recién generado. Solo los huecos que no se
+ * desplazan llevan monedas, para que nunca queden dentro de un tubo
+ * @param {Object} pair - Par de tubos
+ * @param {Function} rng - Generador de monedas
+ * @returns {Array<Object>} - Monedas {x, y, collected}
+ */
+export function createCoins(pair, rng) {
+  const centerY = getFixedGapCenter(pair);
+  if (centerY === null || rng() >= COIN_CHANCE) {
+    return [];
+  }
+
+  // Columna en el centro del hueco o arco a la salida del tubo
+  if (rng() < 0.5) {
+    const centerX = pair.x + pair.width / 2;
+    return [-1, 0, 1].map(step => ({ x: centerX, y: centerY + step * COLUMN_SPACING, collected: false }));
+  }
+  return ARC_OFFSETS.map(([dx, dy]) => ({ x: pair.x + pair.width + dx, y: centerY + dy, collected: false }));
+}
@@ -0,0 +1,118 @@
+/**
+ * Módulo de colisiones con la forma real del pájaro
+ *
+ * El pájaro se aproxima con una cápsula (un segmento con radio) que cubre el
+ * cuerpo y el pico y gira con bird.rotation. Los tubos son rectángulos: el
+ * cuerpo y el borde ancho (labio) que rodea el hueco.
+ */
+
+// Margen de tolerancia por defecto en píxeles: se resta al radio de la cápsula
+export const DEFAULT_FORGIVENESS = 2;
+export const MAX_FORGIVENESS = 4;
+
+// Cápsula en coordenadas locales del pájaro (origen en su centro, eje X hacia el pico)
+const BIRD_CAPSULE = {
+  start: -4, // parte trasera del cuerpo
+  end: 8, // hasta la punta del pico (end + radius)
+  radius: 12 // radio del cuerpo dibujado
+};
+
+/**
+ * Obtiene la cápsula de colisión del pájaro en coordenadas del mundo
+ * @param {Object} bird - Pájaro {x, y, width, height, rotation}
+ * @param {number} forgiveness - Margen de tolerancia en píxeles
+ * @param {number} scale - Tamaño del pájaro (menor que 1 con el potenciador de miniatura)
+ * @returns {Object} - Cápsula {ax, ay, bx, by, radius}
+ */
+export function getBirdHitbox(bird, forgiveness = DEFAULT_FORGIVENESS, scale = 1) {
+  const centerX = bird.x + bird.width / 2;
+  const centerY = bird.y + bird.height / 2;
+  const cos = Math.cos(bird.rotation || 0);
+  const sin = Math.sin(bird.rotation || 0);
+
+  return {
+    ax: centerX + cos * BIRD_CAPSULE.start * scale,
+    ay: centerY + sin * BIRD_CAPSULE.start * scale,
+    bx: centerX + cos * BIRD_CAPSULE.end * scale,
+    by: centerY + sin * BIRD_CAPSULE.end * scale,
+    radius: Math.max(1, BIRD_CAPSULE.radius * scale - forgiveness)
+  };
+}
+
+/**
+ * Distancia al cuadrado de un punto a un rectángulo (0 si está dentro)
+ * @param {number} px - X del punto
+ * @param {number} py - Y del punto
+ * @param {Object} rect - Rectángulo {x, y, width, height}
+ * @returns {number}
+ */
+function pointRectDistanceSq(px, py, rect) {
+  const dx = Math.max(rect.x - px, 0, px - (rect.x + rect.width));
+  const dy = Math.max(rect.y - py, 0, py - (rect.y + rect.height));
+  return dx * dx + dy * dy;
+}
+
+/**
+ * Distancia al cuadrado de un punto a un segmento
+ * @param {number} px - X del punto
+ * @param {number} py - Y del punto
+ * @param {Object} capsule - Segmento {ax, ay, bx, by}
+ * @returns {number}
+ */
+function pointSegmentDistanceSq(px, py, { ax, ay, bx, by }) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  const cx = ax + dx * t - px;
+  const cy = ay + dy * t - py;
+  return cx * cx + cy * cy;
+}
+
+/**
+ * Indica si el segmento de la cápsula cruza el segmento CD
+ * @param {Object} capsule - Segmento {ax, ay, bx, by}
+ * @param {Array<number>} c - Punto C [x, y]
+ * @param {Array<number>} d - Punto D [x, y]
+ * @returns {boolean}
+ */
+function segmentsIntersect({ ax, ay, bx, by }, [cx, cy], [dx, dy]) {
+  const cross = (ox, oy, px, py, qx, qy) => (px - ox) * (qy - oy) - (py - oy) * (qx - ox);
+  const d1 = cross(cx, cy, dx, dy, ax, ay);
+  const d2 = cross(cx, cy, dx, dy, bx, by);
+  const d3 = cross(ax, ay, bx, by, cx, cy);
+  const d4 = cross(ax, ay, bx, by, dx, dy);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+/**
+ * Detecta si una cápsula toca un rectángulo
+ * @param {Object} capsule - Cápsula {ax, ay, bx, by, radius}
+ * @param {Object} rect - Rectángulo {x, y, width, height}
+ * @returns {boolean} - true si hay colisión
+ */
+export function capsuleIntersectsRect(capsule, rect) {
+  if (rect.width <= 0 || rect.height <= 0) {
+    return false;
+  }
+
+  // Entre un segmento y un rectángulo que no se cruzan, la distancia mínima está
+  // en un extremo del segmento o en una esquina del rectángulo
+  const radiusSq = capsule.radius * capsule.radius;
+  if (pointRectDistanceSq(capsule.ax, capsule.ay, rect) < radiusSq ||
+      pointRectDistanceSq(capsule.bx, capsule.by, rect) < radiusSq) {
+    return true;
+  }
+
+  const left = rect.x;
+  const right = rect.x + rect.width;
+  const top = rect.y;
+  const bottom = rect.y + rect.height;
+  const corners = [[left, top], [right, top], [right, bottom], [left, bottom]];
+  if (corners.some(([x, y]) => pointSegmentDistanceSq(x, y, capsule) < radiusSq)) {
+    return true;
+  }
+
+  // El segmento atraviesa el rectángulo de lado a lado
+  return corners.some((corner, i) => segmentsIntersect(capsule, corner, corners[(i + 1) % corners.length]));
+}
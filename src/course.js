@@ -0,0 +1,156 @@
+/**
+ * Módulo de recorridos: listas de pares de tubos diseñadas a mano
+ *
+ * Un recorrido es {version, name, pipes: [{spacing, gapY, gapSize, item}]}, donde
+ * spacing es la distancia en píxeles desde el par anterior (o desde el inicio
+ * de la partida para el primero), gapY el borde superior del hueco, gapSize
+ * su alto e item (opcional) indica que hay un objeto a recoger en el hueco.
+ * Se comparte como JSON.
+ */
+
+export const COURSE_VERSION = 1;
+
+const COURSE_DRAFT_KEY = 'pajaritoCourse';
+
+// Límites de cada par para que el recorrido sea jugable
+export const COURSE_LIMITS = {
+  spacing: { min: 140, max: 800 },
+  gapSize: { min: 80, max: 300 },
+  edgeMargin: 20 // distancia mínima entre el hueco y el borde del mundo
+};
+
+export const DEFAULT_COURSE_PAIR = { spacing: 250, gapY: 225, gapSize: 150 };
+
+/**
+ * Limita un valor a un rango
+ * @param {number} value - Valor
+ * @param {number} min - Mínimo
+ * @param {number} max - Máximo
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Ajusta un par a los límites del recorrido
+ * @param {Object} pair - Par {spacing, gapY, gapSize, item}
+ * @param {number} worldHeight - Alto del mundo de juego
+ * @returns {Object} - Par ajustado con valores enteros
+ */
+export function clampCoursePair({ spacing, gapY, gapSize, item }, worldHeight) {
+  const { edgeMargin } = COURSE_LIMITS;
+  const size = Math.round(clamp(gapSize, COURSE_LIMITS.gapSize.min, COURSE_LIMITS.gapSize.max));
+  const pair = {
+    spacing: Math.round(clamp(spacing, COURSE_LIMITS.spacing.min, COURSE_LIMITS.spacing.max)),
+    gapY: Math.round(clamp(gapY, edgeMargin, worldHeight - size - edgeMargin)),
+    gapSize: size
+  };
+  if (item === true) {
+    pair.item = true;
+  }
+  return pair;
+}
+
+/**
+ * Crea un recorrido nuevo con unos pares de ejemplo
+ * @param {string} name - Nombre del recorrido
+ * @returns {Object} - Recorrido
+ */
+export function createCourse(name = 'Nuevo recorrido') {
+  return {
+    version: COURSE_VERSION,
+    name,
+    pipes: [
+      { ...DEFAULT_COURSE_PAIR },
+      { ...DEFAULT_COURSE_PAIR, gapY: 150 },
+      { ...DEFAULT_COURSE_PAIR, gapY: 300 }
+    ]
+  };
+}
+
+/**
+ * Valida un recorrido y ajusta sus pares a los límites
+ * @param {Object} course - Recorrido sin validar
+ * @param {number} worldHeight - Alto del mundo de juego
+ * @returns {Object} - Recorrido válido
+ * @throws {Error} - Si no tiene el formato esperado
+ */
+export function normalizeCourse(course, worldHeight) {
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  if (!course || !Array.isArray(course.pipes) || course.pipes.length === 0 ||
+      !course.pipes.every(pair => pair && isNumber(pair.spacing) && isNumber(pair.gapY) && isNumber(pair.gapSize))) {
+    throw new Error('Recorrido inválido');
+  }
+
+  return {
+    version: COURSE_VERSION,
+    name: typeof course.name === 'string' && course.name.trim() ? course.name.trim().slice(0, 40) : 'Recorrido',
+    pipes: course.pipes.map(pair => clampCoursePair(pair, worldHeight))
+  };
+}
+
+/**
+ * Lee un recorrido exportado como JSON
+ * @param {string} text - JSON del recorrido
+ * @param {number} worldHeight - Alto del mundo de juego
+ * @returns {Object} - Recorrido válido
+ * @throws {Error} - Si el texto no es un recorrido válido
+ */
+export function parseCourse(text, worldHeight) {
+  let course;
+  try {
+    course = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Recorrido inválido');
+  }
+  return normalizeCourse(course, worldHeight);
+}
+
+/**
+ * Exporta un recorrido a JSON
+ * @param {Object} course - Recorrido
+ * @returns {string}
+ */
+export function serializeCourse(course) {
+  return JSON.stringify(course, null, 2);
+}
+
+/**
+ * Obtiene la distancia a la que aparece cada par del recorrido
+ * @param {Object} course - Recorrido
+ * @returns {Array<number>} - Distancia acumulada de cada par
+ */
+export function getCoursePositions(course) {
+  let distance = 0;
+  return course.pipes.map(pair => {
+    distance += pair.spacing;
+    return distance;
+  });
+}
+
+/**
+ * Carga el borrador del editor de recorridos
+ * @param {number} worldHeight - Alto del mundo de juego
+ * @returns {Object|null} - Recorrido o null si no hay ninguno válido
+ */
+export function loadCourseDraft(worldHeight) {
+  const saved = localStorage.getItem(COURSE_DRAFT_KEY);
+  if (!saved) {
+    return null;
+  }
+  try {
+    return parseCourse(saved, worldHeight);
+  } catch (e) {
+    console.warn('Error cargando el recorrido guardado:', e);
+    return null;
+  }
+}
+
+/**
+ * Guarda el borrador del editor de recorridos
+ * @param {Object} course - Recorrido
+ */
+export function saveCourseDraft(course) {
+  localStorage.setItem(COURSE_DRAFT_KEY, serializeCourse(course));
+}
@@ -0,0 +1,208 @@
+/**
+ * Módulo del reto diario
+ *
+ * La fecha local decide la semilla de los tubos y una regla especial, así que
+ * todos los que juegan el mismo día (aunque sea sin conexión) tienen el mismo
+ * reto. Se guarda la mejor puntuación de cada día para las rachas y el calendario.
+ */
+
+import { createRng } from './utils.js';
+
+const DAILY_KEY = 'pajaritoDaily';
+
+// Días de la semana del calendario, empezando en lunes
+export const WEEKDAY_NAMES = ['L', 'M', 'X', 'J', 'V', 'S', 'D'];
+
+/**
+ * Reglas especiales del reto diario
+ * scale: multiplicadores de los valores de la curva de dificultad y de la fuerza
+ * de salto; noAbilities: desactiva las habilidades y los potenciadores
+ */
+export const DAILY_MODIFIERS = [
+  {
+    id: 'lowGravity',
+    name: 'Gravedad baja',
+    description: 'El pájaro cae más despacio y salta menos',
+    scale: { gravity: 0.6, jumpForce: 0.8 }
+  },
+  {
+    id: 'narrowGaps',
+    name: 'Huecos estrechos',
+    description: 'Los huecos entre tubos son más pequeños',
+    scale: { pipeGap: 0.85 }
+  },
+  {
+    id: 'noAbilities',
+    name: 'Sin habilidades',
+    description: 'Todas las habilidades y los potenciadores están desactivados',
+    noAbilities: true
+  },
+  {
+    id: 'rush',
+    name: 'Con prisa',
+    description: 'Los tubos van más rápido y salen más seguidos',
+    scale: { pipeSpeed: 1.25, pipeSpawnInterval: 0.85 }
+  },
+  {
+    id: 'heavy',
+    name: 'Pájaro pesado',
+    description: 'Más gravedad y saltos más fuertes',
+    scale: { gravity: 1.4, jumpForce: 1.2 }
+  }
+];
+
+/**
+ * Obtiene una regla especial por su id
+ * @param {string} id - Id de la regla
+ * @returns {Object|null}
+ */
+export function getDailyModifier(id) {
+  return DAILY_MODIFIERS.find(modifier => modifier.id === id) || null;
+}
+
+/**
+ * Obtiene la clave de un día en hora local (AAAA-MM-DD)
+ * @param {Date} date - Fecha
+ * @returns {string}
+ */
+export function getDateKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Convierte una clave de día en fecha local
+ * @param {string} dateKey - Día (AAAA-MM-DD)
+ * @returns {Date}
+ */
+function parseDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Obtiene la semilla de un día (hash FNV-1a de su clave)
+ * @param {string} dateKey - Día (AAAA-MM-DD)
+ * @returns {number} - Semilla entera de 32 bits
+ */
+export function getDailySeed(dateKey) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < dateKey.length; i++) {
+    hash ^= dateKey.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Obtiene el reto de un día
+ * @param {Date} date - Fecha (hoy si se omite)
+ * @returns {Object} - {date, seed, modifier}
+ */
+export function getDailyChallenge(date = new Date()) {
+  const dateKey = getDateKey(date);
+  const seed = getDailySeed(dateKey);
+  // La regla sale de un generador aparte para no depender de los tubos
+  const modifier = DAILY_MODIFIERS[Math.floor(createRng(seed ^ 0x5EED)() * DAILY_MODIFIERS.length)];
+  return { date: dateKey, seed, modifier };
+}
+
+/**
+ * Carga la mejor puntuación de cada reto jugado
+ * @returns {Object} - Mapa día -> mejor puntuación
+ */
+export function loadDailyHistory() {
+  const saved = localStorage.getItem(DAILY_KEY);
+  if (!saved) {
+    return {};
+  }
+  try {
+    const history = JSON.parse(saved);
+    return history && typeof history === 'object' ? history : {};
+  } catch (e) {
+    console.warn('Error cargando el historial del reto diario:', e);
+    return {};
+  }
+}
+
+/**
+ * Guarda la puntuación de un reto si es la mejor de ese día
+ * @param {string} dateKey - Día del reto
+ * @param {number} score - Puntuación
+ * @returns {boolean} - true si es la nueva mejor del día
+ */
+export function saveDailyScore(dateKey, score) {
+  const history = loadDailyHistory();
+  const isBest = history[dateKey] === undefined || score > history[dateKey];
+  if (isBest) {
+    history[dateKey] = score;
+    localStorage.setItem(DAILY_KEY, JSON.stringify(history));
+  }
+  return isBest;
+}
+
+/**
+ * Cuenta los días seguidos con el reto jugado. La racha sigue viva si hoy
+ * todavía no se ha jugado pero sí ayer.
+ * @param {Object} history - Mapa día -> mejor puntuación
+ * @param {Date} today - Fecha de hoy
+ * @returns {number} - Días seguidos
+ */
+export function getDailyStreak(history, today = new Date()) {
+  const day = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  if (history[getDateKey(day)] === undefined) {
+    day.setDate(day.getDate() - 1);
+  }
+
+  let streak = 0;
+  while (history[getDateKey(day)] !== undefined) {
+    streak++;
+    day.setDate(day.getDate() - 1);
+  }
+  return streak;
+}
+
+/**
+ * Obtiene la racha más larga del historial
+ * @param {Object} history - Mapa día -> mejor puntuación
+ * @returns {number} - Días seguidos
+ */
+export function getBestDailyStreak(history) {
+  let best = 0;
+  Object.keys(history).forEach(dateKey => {
+    const day = parseDateKey(dateKey);
+    day.setDate(day.getDate() - 1);
+    if (history[getDateKey(day)] !== undefined) {
+      return; // no es el primer día de su racha
+    }
+
+    let streak = 0;
+    day.setDate(day.getDate() + 1);
+    while (history[getDateKey(day)] !== undefined) {
+      streak++;
+      day.setDate(day.getDate() + 1);
+    }
+    best = Math.max(best, streak);
+  });
+  return best;
+}
+
+/**
+ * Obtiene las casillas del calendario de un mes, con semanas de lunes a domingo
+ * @param {number} year - Año
+ * @param {number} month - Mes (0-11)
+ * @returns {Array<string|null>} - Días del mes (AAAA-MM-DD), con null antes del día 1
+ */
+export function getCalendarDays(year, month) {
+  const first = new Date(year, month, 1);
+  const offset = (first.getDay() + 6) % 7; // getDay() empieza en domingo
+  const days = new Array(offset).fill(null);
+
+  const day = new Date(first);
+  while (day.getMonth() === month) {
+    days.push(getDateKey(day));
+    day.setDate(day.getDate() + 1);
+  }
+  return days;
+}
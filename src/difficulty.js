@@ -0,0 +1,134 @@
+/**
+ * Módulo de dificultad: curvas declarativas y presets seleccionables
+ *
+ * Cada preset describe cómo evolucionan los parámetros de la partida por nivel.
+ * El nivel se obtiene de la puntuación o del tiempo jugado ('axis') cada 'every'
+ * puntos o segundos. Cada parámetro es {base, step, min, max}: su valor en un
+ * nivel es base + nivel * step, limitado a [min, max].
+ */
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Pesos de cada tipo de obstáculo en la curva normal (ver pipes.js)
+const NORMAL_OBSTACLE_MIX = [
+  { static: 1 },
+  { static: 0.7, sine: 0.3 },
+  { static: 0.5, sine: 0.25, closing: 0.25 },
+  { static: 0.35, sine: 0.2, closing: 0.2, slide: 0.25 },
+  { static: 0.25, sine: 0.2, closing: 0.15, slide: 0.2, double: 0.2 }
+];
+
+export const DIFFICULTY_PRESETS = {
+  easy: {
+    id: 'easy',
+    name: 'Fácil',
+    axis: 'score',
+    every: 25,
+    pipeSpeed: { base: 130, step: 20, max: 250 },
+    pipeGap: { base: 180, step: -8, min: 130 },
+    gravity: { base: 900, step: 30, max: 1100 },
+    pipeSpawnInterval: { base: 1.7, step: -0.08, min: 1.1 },
+    obstacleMix: [
+      { static: 1 },
+      { static: 1 },
+      { static: 0.8, sine: 0.2 },
+      { static: 0.6, sine: 0.25, closing: 0.15 }
+    ]
+  },
+  normal: {
+    id: 'normal',
+    name: 'Normal',
+    axis: 'score',
+    every: 25,
+    pipeSpeed: { base: 150, step: 30 },
+    pipeGap: { base: 150, step: -10, min: 100 },
+    gravity: { base: 1000, step: 50 },
+    pipeSpawnInterval: { base: 1.5, step: -0.1, min: 0.8 },
+    obstacleMix: NORMAL_OBSTACLE_MIX
+  },
+  hard: {
+    id: 'hard',
+    name: 'Difícil',
+    axis: 'score',
+    every: 20,
+    pipeSpeed: { base: 180, step: 30 },
+    pipeGap: { base: 135, step: -10, min: 95 },
+    gravity: { base: 1100, step: 50 },
+    pipeSpawnInterval: { base: 1.3, step: -0.1, min: 0.75 },
+    obstacleMix: NORMAL_OBSTACLE_MIX.slice(1)
+  },
+  insane: {
+    id: 'insane',
+    name: 'Extremo',
+    axis: 'time',
+    every: 15,
+    pipeSpeed: { base: 210, step: 25, max: 360 },
+    pipeGap: { base: 120, step: -5, min: 90 },
+    gravity: { base: 1200, step: 40, max: 1500 },
+    pipeSpawnInterval: { base: 1.1, step: -0.05, min: 0.7 },
+    obstacleMix: [
+      NORMAL_OBSTACLE_MIX[3],
+      NORMAL_OBSTACLE_MIX[4],
+      { static: 0.1, sine: 0.25, closing: 0.2, slide: 0.25, double: 0.2 }
+    ]
+  }
+};
+
+/**
+ * Obtiene un preset de dificultad
+ * @param {string|Object} difficulty - Id del preset o una curva ya construida
+ * @returns {Object} - Curva de dificultad (la normal si el id no existe)
+ */
+export function getDifficultyPreset(difficulty) {
+  if (difficulty && typeof difficulty === 'object') {
+    return difficulty;
+  }
+  return DIFFICULTY_PRESETS[difficulty] || DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY];
+}
+
+/**
+ * Indica si un id corresponde a un preset existente
+ * @param {string} id - Id del preset
+ * @returns {boolean}
+ */
+export function isDifficultyPreset(id) {
+  return Object.prototype.hasOwnProperty.call(DIFFICULTY_PRESETS, id);
+}
+
+/**
+ * Calcula el nivel de dificultad según el progreso de la partida
+ * @param {Object} curve - Curva de dificultad
+ * @param {Object} progress - Progreso {score, time (segundos)}
+ * @returns {number} - Nivel (0 al empezar)
+ */
+export function getDifficultyLevel(curve, { score, time }) {
+  const value = curve.axis === 'time' ? time : score;
+  return Math.floor(value / curve.every);
+}
+
+/**
+ * Evalúa un parámetro de la curva en un nivel
+ * @param {Object} param - Parámetro {base, step, min, max}
+ * @param {number} level - Nivel de dificultad
+ * @returns {number}
+ */
+function evaluateParam({ base, step = 0, min = -Infinity, max = Infinity }, level) {
+  return Math.min(max, Math.max(min, base + level * step));
+}
+
+/**
+ * Obtiene los valores de la partida en un nivel de dificultad
+ * @param {Object} curve - Curva de dificultad
+ * @param {number} level - Nivel de dificultad
+ * @returns {Object} - {pipeSpeed, pipeGap, gravity, pipeSpawnInterval, obstacleMix}
+ */
+export function getDifficultyValues(curve, level) {
+  const mixIndex = Math.min(level, curve.obstacleMix.length - 1);
+  return {
+    pipeSpeed: evaluateParam(curve.pipeSpeed, level),
+    pipeGap: evaluateParam(curve.pipeGap, level),
+    gravity: evaluateParam(curve.gravity, level),
+    pipeSpawnInterval: evaluateParam(curve.pipeSpawnInterval, level),
+    obstacleMix: curve.obstacleMix[mixIndex]
+  };
+}
@@ -0,0 +1,372 @@
+/**
+ * Editor de recorridos - Coloca pares de tubos sobre una línea de tiempo
+ *
+ * Cada par se selecciona con un clic y se arrastra: en vertical cambia la
+ * altura del hueco y en horizontal su separación con el par anterior. Los
+ * campos del formulario permiten ajustar los valores exactos.
+ */
+
+import {
+  DEFAULT_COURSE_PAIR,
+  clampCoursePair,
+  createCourse,
+  getCoursePositions,
+  loadCourseDraft,
+  parseCourse,
+  saveCourseDraft,
+  serializeCourse
+} from './course.js';
+
+// Margen a la izquierda de la línea de tiempo, en píxeles del canvas
+const TIMELINE_PADDING = 40;
+
+class LevelEditor {
+  /**
+   * @param {Object} options - {worldHeight, pipeWidth, onTestPlay: función que recibe el recorrido}
+   */
+  constructor(options) {
+    this.worldHeight = options.worldHeight;
+    this.pipeWidth = options.pipeWidth || 60;
+    this.onTestPlay = options.onTestPlay;
+
+    this.screen = document.getElementById('editorScreen');
+    this.canvas = document.getElementById('editorCanvas');
+    this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+    this.scrollInput = document.getElementById('editorScroll');
+
+    this.course = loadCourseDraft(this.worldHeight) || createCourse();
+    this.selected = 0;
+    this.scroll = 0;
+    this.drag = null;
+
+    if (this.screen && this.canvas) {
+      this.setupUI();
+    }
+  }
+
+  /**
+   * Escala del mundo de juego al canvas del editor
+   * @returns {number}
+   */
+  get scale() {
+    return this.canvas.height / this.worldHeight;
+  }
+
+  /**
+   * Abre el editor
+   */
+  open() {
+    if (!this.screen) {
+      return;
+    }
+    this.screen.classList.add('visible');
+    this.updateFields();
+    this.draw();
+  }
+
+  /**
+   * Indica si el editor está abierto
+   * @returns {boolean}
+   */
+  isOpen() {
+    return Boolean(this.screen && this.screen.classList.contains('visible'));
+  }
+
+  /**
+   * Cierra el editor guardando el borrador
+   */
+  close() {
+    if (!this.screen) {
+      return;
+    }
+    saveCourseDraft(this.course);
+    this.screen.classList.remove('visible');
+  }
+
+  /**
+   * Configura los controles del editor
+   */
+  setupUI() {
+    const nameInput = document.getElementById('courseNameInput');
+    const jsonInput = document.getElementById('courseJson');
+
+    // Evitar que los clics lleguen a la pantalla de inicio (que empezaría la partida)
+    this.screen.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+
+    document.getElementById('closeEditor').addEventListener('click', () => this.close());
+
+    nameInput.value = this.course.name;
+    nameInput.addEventListener('input', () => {
+      this.course.name = nameInput.value;
+    });
+
+    ['pairGapY', 'pairGapSize', 'pairSpacing'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.applyFields());
+    });
+
+    document.getElementById('addPairButton').addEventListener('click', () => this.addPair());
+    document.getElementById('removePairButton').addEventListener('click', () => this.removePair());
+
+    document.getElementById('testCourseButton').addEventListener('click', () => {
+      this.close();
+      this.onTestPlay(this.course);
+    });
+
+    document.getElementById('exportCourseButton').addEventListener('click', async () => {
+      jsonInput.value = serializeCourse(this.course);
+      jsonInput.select();
+      try {
+        await navigator.clipboard.writeText(jsonInput.value);
+      } catch (error) {
+        // Sin acceso al portapapeles: el JSON queda seleccionado para copiarlo a mano
+      }
+    });
+
+    document.getElementById('importCourseButton').addEventListener('click', () => {
+      try {
+        this.course = parseCourse(jsonInput.value, this.worldHeight);
+      } catch (error) {
+        alert(error.message);
+        return;
+      }
+      nameInput.value = this.course.name;
+      this.selected = 0;
+      this.scroll = 0;
+      saveCourseDraft(this.course);
+      this.updateFields();
+      this.draw();
+    });
+
+    this.scrollInput.addEventListener('input', () => {
+      this.scroll = parseFloat(this.scrollInput.value);
+      this.draw();
+    });
+
+    this.canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      this.setScroll(this.scroll + (e.deltaX || e.deltaY));
+    }, { passive: false });
+
+    this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    this.canvas.addEventListener('pointerup', () => this.endDrag());
+    this.canvas.addEventListener('pointercancel', () => this.endDrag());
+  }
+
+  /**
+   * Convierte la posición de un evento a píxeles del canvas
+   * @param {PointerEvent} e - Evento del puntero
+   * @returns {Object} - {x, y}
+   */
+  getCanvasPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (this.canvas.width / rect.width),
+      y: (e.clientY - rect.top) * (this.canvas.height / rect.height)
+    };
+  }
+
+  /**
+   * Obtiene la X en el canvas de una distancia del recorrido
+   * @param {number} distance - Distancia en píxeles del mundo
+   * @returns {number}
+   */
+  toCanvasX(distance) {
+    return TIMELINE_PADDING + distance * this.scale - this.scroll;
+  }
+
+  /**
+   * Selecciona el par bajo el puntero y empieza a arrastrarlo
+   * @param {PointerEvent} e - Evento del puntero
+   */
+  handlePointerDown(e) {
+    const point = this.getCanvasPoint(e);
+    const positions = getCoursePositions(this.course);
+    const width = this.pipeWidth * this.scale;
+    const index = positions.findIndex(distance => {
+      const x = this.toCanvasX(distance);
+      return point.x >= x && point.x <= x + width;
+    });
+
+    if (index === -1) {
+      return;
+    }
+
+    this.selected = index;
+    const pair = this.course.pipes[index];
+    this.drag = { x: point.x, y: point.y, gapY: pair.gapY, spacing: pair.spacing };
+    this.canvas.setPointerCapture(e.pointerId);
+    this.updateFields();
+    this.draw();
+  }
+
+  /**
+   * Mueve el par arrastrado
+   * @param {PointerEvent} e - Evento del puntero
+   */
+  handlePointerMove(e) {
+    if (!this.drag) {
+      return;
+    }
+
+    const point = this.getCanvasPoint(e);
+    const pair = this.course.pipes[this.selected];
+    this.course.pipes[this.selected] = clampCoursePair({
+      ...pair,
+      gapY: this.drag.gapY + (point.y - this.drag.y) / this.scale,
+      spacing: this.drag.spacing + (point.x - this.drag.x) / this.scale
+    }, this.worldHeight);
+    this.updateFields();
+    this.draw();
+  }
+
+  /**
+   * Termina el arrastre y guarda el borrador
+   */
+  endDrag() {
+    if (this.drag) {
+      this.drag = null;
+      saveCourseDraft(this.course);
+    }
+  }
+
+  /**
+   * Añade un par después del seleccionado
+   */
+  addPair() {
+    const current = this.course.pipes[this.selected];
+    const pair = current ? { ...current, spacing: DEFAULT_COURSE_PAIR.spacing } : { ...DEFAULT_COURSE_PAIR };
+    this.course.pipes.splice(this.selected + 1, 0, pair);
+    this.selected++;
+    this.scrollToSelected();
+    saveCourseDraft(this.course);
+    this.updateFields();
+    this.draw();
+  }
+
+  /**
+   * Elimina el par seleccionado (siempre queda al menos uno)
+   */
+  removePair() {
+    if (this.course.pipes.length <= 1) {
+      return;
+    }
+    this.course.pipes.splice(this.selected, 1);
+    this.selected = Math.min(this.selected, this.course.pipes.length - 1);
+    saveCourseDraft(this.course);
+    this.updateFields();
+    this.draw();
+  }
+
+  /**
+   * Aplica los valores del formulario al par seleccionado
+   */
+  applyFields() {
+    const read = id => parseFloat(document.getElementById(id).value);
+    const pair = this.course.pipes[this.selected];
+    this.course.pipes[this.selected] = clampCoursePair({
+      gapY: Number.isNaN(read('pairGapY')) ? pair.gapY : read('pairGapY'),
+      gapSize: Number.isNaN(read('pairGapSize')) ? pair.gapSize : read('pairGapSize'),
+      spacing: Number.isNaN(read('pairSpacing')) ? pair.spacing : read('pairSpacing')
+    }, this.worldHeight);
+    saveCourseDraft(this.course);
+    this.updateFields();
+    this.draw();
+  }
+
+  /**
+   * Muestra en el formulario los valores del par seleccionado
+   */
+  updateFields() {
+    const pair = this.course.pipes[this.selected];
+    document.getElementById('pairGapY').value = pair.gapY;
+    document.getElementById('pairGapSize').value = pair.gapSize;
+    document.getElementById('pairSpacing').value = pair.spacing;
+    document.getElementById('editorPairLabel').textContent =
+      `Par ${this.selected + 1} de ${this.course.pipes.length}`;
+  }
+
+  /**
+   * Desplaza la línea de tiempo
+   * @param {number} scroll - Desplazamiento en píxeles del canvas
+   */
+  setScroll(scroll) {
+    this.scroll = Math.max(0, Math.min(this.getMaxScroll(), scroll));
+    this.scrollInput.value = String(this.scroll);
+    this.draw();
+  }
+
+  /**
+   * Obtiene el desplazamiento máximo de la línea de tiempo
+   * @returns {number}
+   */
+  getMaxScroll() {
+    const positions = getCoursePositions(this.course);
+    const end = TIMELINE_PADDING * 2 + (positions[positions.length - 1] + this.pipeWidth) * this.scale;
+    return Math.max(0, end - this.canvas.width);
+  }
+
+  /**
+   * Desplaza la línea de tiempo hasta que el par seleccionado sea visible
+   */
+  scrollToSelected() {
+    const distance = getCoursePositions(this.course)[this.selected];
+    const x = distance * this.scale + TIMELINE_PADDING;
+    if (x - this.scroll > this.canvas.width - TIMELINE_PADDING * 2 || x < this.scroll) {
+      this.setScroll(x - this.canvas.width / 2);
+    }
+  }
+
+  /**
+   * Dibuja la línea de tiempo con los pares del recorrido
+   */
+  draw() {
+    const ctx = this.ctx;
+    const scale = this.scale;
+    const width = this.pipeWidth * scale;
+
+    this.scrollInput.max = String(this.getMaxScroll());
+    this.scrollInput.value = String(this.scroll);
+
+    ctx.fillStyle = '#87CEEB';
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+    // Línea de inicio de la partida
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(this.toCanvasX(0), 0);
+    ctx.lineTo(this.toCanvasX(0), this.canvas.height);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'center';
+    getCoursePositions(this.course).forEach((distance, index) => {
+      const pair = this.course.pipes[index];
+      const x = this.toCanvasX(distance);
+      if (x + width < 0 || x > this.canvas.width) {
+        return;
+      }
+
+      const gapTop = pair.gapY * scale;
+      const gapBottom = (pair.gapY + pair.gapSize) * scale;
+      ctx.fillStyle = index === this.selected ? '#32CD32' : '#228B22';
+      ctx.fillRect(x, 0, width, gapTop);
+      ctx.fillRect(x, gapBottom, width, this.canvas.height - gapBottom);
+
+      if (index === this.selected) {
+        ctx.strokeStyle = '#FFD700';
+        ctx.lineWidth = 3;
+        ctx.strokeRect(x, 0, width, this.canvas.height);
+      }
+
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillText(String(index + 1), x + width / 2, (gapTop + gapBottom) / 2 + 4);
+    });
+  }
+}
+
+export default LevelEditor;
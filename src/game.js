@@ -1,82 +1,236 @@
 /**
- * Módulo principal del juego - Lógica de juego
+ * Módulo principal del juego - Capa del navegador (UI, entrada y renderizado)
  */
 
-import InputManager from './input.js';
+import InputManager, { DEFAULT_JUMP_BUFFER, MAX_JUMP_BUFFER, getInputTime } from './input.js';
 import Renderer from './renderer.js';
-import * as Physics from './physics.js';
-import { checkCollision, getHighScore, setHighScore } from './utils.js';
+import Simulation, { JUMP_ACTIONS } from './simulation.js';
+import LevelEditor from './editor.js';
+import MenuNavigator from './navigation.js';
+import { normalizeCourse } from './course.js';
+import {
+  CAMPAIGN_LEVELS,
+  MAX_STARS,
+  createLevelCourse,
+  evaluateLevel,
+  getCampaignLevel,
+  getNextCampaignLevel,
+  isLevelUnlocked,
+  loadCampaignProgress,
+  saveLevelStars
+} from './campaign.js';
+import {
+  WEEKDAY_NAMES,
+  getBestDailyStreak,
+  getCalendarDays,
+  getDailyChallenge,
+  getDailyStreak,
+  getDateKey,
+  loadDailyHistory,
+  saveDailyScore
+} from './daily.js';
+import { DEFAULT_DIFFICULTY, DIFFICULTY_PRESETS, getDifficultyPreset, isDifficultyPreset } from './difficulty.js';
+import { ADAPTIVE_CURVE, getStartingLevel, loadAdaptiveHistory, saveAdaptiveRun } from './adaptive.js';
+import { DEFAULT_FORGIVENESS, MAX_FORGIVENESS } from './collision.js';
+import { getPipeHitRects } from './pipes.js';
+import { GhostRecorder, getGhostState, isBetterGhost, loadGhost, saveGhost } from './ghost.js';
+import {
+  ReplayPlayer,
+  ReplayRecorder,
+  decodeReplay,
+  encodeReplay,
+  loadSavedReplays,
+  replayHasPowerups,
+  saveReplay
+} from './replay.js';
+import { DEFAULT_MODE, GAME_MODES, getGameMode, getModeResults, isGameMode } from './modes.js';
+import { getRecord, saveRecord } from './records.js';
+import { PRACTICE_SPEEDS, PracticeSession } from './practice.js';
+import { RaceClient, getDefaultServerUrl } from './race.js';
+import { POWERUP_TYPES } from './powerups.js';
+import { ABILITIES, getActiveEffects } from './abilities.js';
+import {
+  ACTIONS,
+  GESTURES,
+  TOUCH_ZONES,
+  addBinding,
+  createDefaultBindings,
+  findConflicts,
+  getActionName,
+  getBindingDisplayName,
+  getKeyDisplayName,
+  loadBindings,
+  removeBinding,
+  saveBindings
+} from './bindings.js';
+import {
+  SHOP_CATEGORIES,
+  buyItem,
+  equipItem,
+  getCategoryItems,
+  getEquippedItems,
+  loadWallet,
+  saveWallet
+} from './shop.js';
+import { generateSeed } from './utils.js';
+import { LatencyCalibration } from './latency.js';
+import { DEFAULT_EDGE_SIZE, MAX_EDGE_SIZE, MIN_EDGE_SIZE, getZoneBounds } from './gestures.js';
+import {
+  HUD_ELEMENTS,
+  MAX_SCALE,
+  MIN_OPACITY,
+  MIN_SCALE,
+  getOrientation,
+  loadLayout,
+  placeElement,
+  saveLayout
+} from './layout.js';
+
+// Conversión de píxeles recorridos a metros para el indicador del fantasma
+const PIXELS_PER_METER = 20;
+
+// Estela del pájaro: ticks entre puntos y puntos que se dibujan
+const TRAIL_INTERVAL = 2;
+const TRAIL_LENGTH = 14;
 
 class Game {
-  constructor() {
-    this.canvas = document.getElementById('gameCanvas');
-    this.renderer = new Renderer(this.canvas);
-    this.input = new InputManager();
-
-    // Usar el viewport del renderer para las dimensiones del juego
-    Object.defineProperty(this, 'gameWidth', {
-      get: () => this.renderer.width
-    });
-    Object.defineProperty(this, 'gameHeight', {
-      get: () => this.renderer.height
-    });
-
-    this.state = 'start'; // 'start', 'playing', 'gameover'
-    this.score = 0;
-    this.highScore = getHighScore();
-
-    this.bird = {
-      x: 100,
-      y: 250,
-      width: 40,
-      height: 30,
-      velocity: 0,
-      rotation: 0,
-      wingPhase: 0, // Fase de animación de alas
-      isDying: false, // Estado de animación de muerte
-      deathAnimationTime: 0 // Tiempo transcurrido en animación de muerte
-    };
-
-    this.pipes = [];
-    this.pipeWidth = 60;
-    this.pipeGap = 150;
-    this.pipeSpeed = 150; // píxeles por segundo
-
-    this.gravity = 1000;
-    this.jumpForce = 250;
-    this.maxVelocity = 400;
+  /**
+   * @param {Object} options - Dependencias opcionales {canvas, renderer, input}
+   */
+  constructor(options = {}) {
+    this.canvas = options.canvas || document.getElementById('gameCanvas');
+    this.renderer = options.renderer || new Renderer(this.canvas);
+    this.input = options.input || new InputManager();
+
+    // Preset de dificultad elegido en la pantalla de inicio, o modo adaptativo
+    // (que no usa preset ni cuenta para los récords)
+    this.difficulty = this.loadDifficulty();
+    this.adaptive = localStorage.getItem('adaptiveDifficulty') === 'true';
+    this.shownAdaptiveLevel = null;
+
+    // Modo de juego elegido (sus reglas las aplica la simulación, ver modes.js)
+    this.mode = this.loadMode();
+    this.shownModeHud = null;
+    this.shownPowerupHud = null;
+
+    // Núcleo de reglas sin DOM, con las dimensiones del viewport del renderer
+    this.sim = new Simulation({
+      width: this.renderer.width,
+      height: this.renderer.height,
+      difficulty: this.difficulty
+    });
+    this.sim.on('score', () => this.updateScoreDisplay());
+    this.sim.on('difficulty', () => this.showChallengeNotification());
+    this.sim.on('item', () => this.updateLevelHud());
+    this.sim.on('collision', () => this.updateScoreDisplay());
+    this.sim.on('death', () => this.updateScoreDisplay());
+    this.sim.on('coin', () => this.updateCoinHud());
+    this.sim.on('powerup', ({ type }) => this.showNotification(`¡${POWERUP_TYPES[type].name}!`));
+    this.sim.on('powerupUsed', ({ type }) => {
+      this.showNotification(type === 'shield' ? '¡El escudo te ha salvado!' : '¡Has gastado una vida extra!');
+    });
 
-    // Sistema de dificultad progresiva
-    this.baseGravity = 1000;
-    this.baseJumpForce = 250;
-    this.basePipeSpeed = 150;
-    this.basePipeGap = 150;
-    this.difficultyLevel = 0;
+    this.state = 'start'; // 'start', 'playing', 'paused', 'countdown', 'rewinding', 'gameover'
+    this.highScore = getRecord(this.mode, this.difficulty); // récord del modo y preset actuales
 
+    // Bucle de paso fijo: el tiempo real se acumula y se consume en ticks
     this.lastTime = 0;
-    this.pipeSpawnTimer = 0;
-    this.pipeSpawnInterval = 1.5; // segundos
-
-    // Sistema de habilidades
-    this.abilities = {
-      invulnerability: {
-        active: false,
-        duration: 3, // segundos
-        cooldown: 15, // segundos
-        cooldownTimer: 0,
-        activeTimer: 0,
-        key: this.loadAbilityKey() // Cargar tecla guardada o usar 'E' por defecto
-      },
-      speedBoost: {
-        active: false,
-        duration: 15, // segundos
-        cooldown: 5, // segundos
-        cooldownTimer: 0,
-        activeTimer: 0,
-        speedMultiplier: 1.5, // Multiplicador de velocidad
-        key: this.loadSpeedBoostKey() // Cargar tecla guardada o usar 'R' por defecto
-      }
-    };
+    this.maxFrameTime = 0.25; // evita la "espiral de la muerte" tras pausas largas
+    this.accumulator = 0;
+    // Momento (reloj de performance.now()) en que termina el tick que se simula:
+    // las pulsaciones anteriores se aplican en él
+    this.tickEndTime = 0;
+    this.tickLength = 0; // en milisegundos reales (más en la cámara lenta de práctica)
+
+    // Pausa: cuenta atrás antes de reanudar y temporizador de la notificación,
+    // ambos en tiempo de juego para que se congelen durante la pausa
+    this.countdownDuration = 3; // segundos
+    this.countdownTimer = 0;
+    this.notificationTimer = 0;
+
+    // Repeticiones: acciones pendientes del tick, grabación y reproducción
+    this.pendingActions = [];
+    this.recorder = null;
+    this.playback = null;
+    this.lastReplay = null;
+
+    // Fantasma de la mejor partida
+    this.ghost = null; // fantasma contra el que se compite en esta partida
+    this.ghostRecorder = null;
+    this.showGhost = localStorage.getItem('showGhost') !== 'false';
+
+    // Editor de recorridos y recorrido que se está jugando (null en partidas normales)
+    this.editor = new LevelEditor({
+      worldHeight: this.sim.height,
+      pipeWidth: this.sim.pipeWidth,
+      onTestPlay: course => this.startCourse(course)
+    });
+    this.activeCourse = null;
+
+    // Nivel de la campaña elegido (null fuera de la campaña) y nivel de la
+    // partida en curso, que en las repeticiones sale de la propia repetición
+    this.activeLevel = null;
+    this.runLevel = null;
+
+    // Reto diario elegido (null fuera del reto), reto de la partida en curso
+    // y mes mostrado en el calendario
+    this.activeDaily = null;
+    this.runDaily = null;
+    this.calendarMonth = null;
+
+    // Partida a dos jugadores en la misma pantalla (cada uno con su tecla y su
+    // mitad de la pantalla táctil); la lista de pájaros está en this.sim.birds
+    this.activeVersus = false;
+
+    // Carrera online: conexión con el servidor de salas y si la partida en curso es
+    // una carrera (los rivales se dibujan con las posiciones que envía el servidor)
+    this.race = new RaceClient();
+    this.activeRace = false;
+    this.raceRoom = null; // sala de la última carrera, aunque se pierda la conexión
+
+    // Modo práctica: si se eligió, instantáneas de la partida en curso, velocidad
+    // de la cámara lenta e instantánea elegida en el panel de rebobinado
+    this.activePractice = false;
+    this.practice = null;
+    this.practiceSpeed = this.loadPracticeSpeed();
+    this.rewindTick = 0;
+    this.rewindTarget = null;
+
+    // Tienda: monedas, objetos comprados y equipados, y puntos recientes de la
+    // estela (con la distancia a la que se dejaron, para desplazarlos con el mundo)
+    this.wallet = loadWallet();
+    this.equipped = getEquippedItems(this.wallet);
+    this.trailPoints = [];
+
+    // Colisiones: margen de tolerancia y depuración visual de las cajas
+    this.forgiveness = this.loadForgiveness();
+    this.showHitboxes = localStorage.getItem('showHitboxes') === 'true';
+
+    // Mapa de controles: teclas, botones del ratón y zonas táctiles de cada acción
+    this.bindings = loadBindings();
+    this.input.setBindings(this.bindings);
+    this.input.onAction((action, time) => this.handleAction(action, time));
+
+    // Búfer de salto y calibración de la latencia en curso (null si no hay ninguna),
+    // con los momentos de las pulsaciones cuyo aleteo aún no se ha dibujado
+    this.jumpBuffer = this.loadJumpBuffer();
+    this.input.setJumpBuffer(this.jumpBuffer);
+    this.latencyTest = null;
+    this.latencyFlaps = [];
+
+    // Pantalla táctil: ancho de los bordes, zonas dibujadas sobre la partida (y si se
+    // están mostrando) y botones de habilidad, que se pueden ocultar para usar gestos
+    this.touchEdgeSize = this.loadTouchEdgeSize();
+    this.input.setEdgeSize(this.touchEdgeSize);
+    this.showTouchZones = localStorage.getItem('showTouchZones') === 'true';
+    this.shownTouchZones = null;
+    this.showAbilityButtons = localStorage.getItem('showAbilityButtons') !== 'false';
+
+    // Disposición de los marcadores y botones, y estado de su editor
+    this.hudLayout = loadLayout(window.innerWidth, window.innerHeight);
+    this.hudEditing = false;
+    this.selectedHudItem = null;
+    this.hudDrag = null; // {element, offsetX, offsetY}
 
     // Audio de fondo
     this.backgroundMusic = null;
@@ -100,6 +254,11 @@ class Game {
     this.setupUI();
     this.updateHighScoreDisplay();
     this.startGameLoop();
+
+    // Acceso directo del manifest al reto diario (?mode=daily)
+    if (new URLSearchParams(window.location.search).get('mode') === 'daily') {
+      this.openDailyScreen();
+    }
   }
 
   /**
@@ -133,37 +292,16 @@ class Game {
 
     document.getElementById('restartButton').addEventListener('click', (e) => {
       e.stopPropagation();
-      this.startGame();
-    });
-
-    // Botón de habilidad (escudo)
-    const abilityButton = document.getElementById('abilityButton');
-
-    abilityButton.addEventListener('click', (e) => {
-      e.stopPropagation();
-      // No activar si está en modo mover
-      if (abilityButton.classList.contains('move-mode')) {
+      // En las carreras la siguiente empieza cuando toda la sala vuelve a estar lista
+      if (this.activeRace) {
+        this.openRaceScreen();
         return;
       }
-      if (this.state === 'playing') {
-        this.activateInvulnerability();
-      }
+      this.startGame();
     });
 
-    // Botón de habilidad (velocidad)
-    const speedBoostButton = document.getElementById('speedBoostButton');
-    if (speedBoostButton) {
-      speedBoostButton.addEventListener('click', (e) => {
-        e.stopPropagation();
-        // No activar si está en modo mover
-        if (speedBoostButton.classList.contains('move-mode')) {
-          return;
-        }
-        if (this.state === 'playing') {
-          this.activateSpeedBoost();
-        }
-      });
-    }
+    // Botones de las habilidades, generados desde el registro
+    this.setupAbilityButtons();
 
     // Permitir iniciar el juego con espacio o clic en la pantalla de inicio
     document.getElementById('startScreen').addEventListener('click', (e) => {
@@ -173,484 +311,318 @@ class Game {
       this.startGame();
     });
 
-    // Permitir iniciar con espacio desde la pantalla de inicio
-    window.addEventListener('keydown', (e) => {
-      if ((e.code === 'Space' || e.key === ' ') && this.state === 'start') {
-        e.preventDefault();
-        this.startGame();
-      }
-
-      // Activar habilidades con las teclas configuradas
-      if (this.state === 'playing') {
-        const invulnKey = this.abilities.invulnerability.key;
-        const speedKey = this.abilities.speedBoost.key;
-
-        if (e.code === invulnKey || e.key.toLowerCase() === invulnKey.toLowerCase()) {
-          e.preventDefault();
-          this.activateInvulnerability();
-        }
+    // Selector de modo de juego y de dificultad
+    this.setupModeUI();
+    this.setupDifficultyUI();
 
-        if (e.code === speedKey || e.key.toLowerCase() === speedKey.toLowerCase()) {
-          e.preventDefault();
-          this.activateSpeedBoost();
-        }
-      }
-    });
+    // Pausa (tecla, botón y pausa automática)
+    this.setupPauseUI();
 
-    // Configuración de teclas
-    this.setupKeySettings();
+    // Repeticiones
+    this.setupReplayUI();
 
-    // Configurar movimiento del botón de habilidad
-    this.setupAbilityButtonDrag();
+    // Fantasma
+    this.setupGhostUI();
 
-    // Cargar posición guardada del botón
-    this.loadAbilityButtonPosition();
-  }
+    // Tolerancia de colisiones y cajas de depuración
+    this.setupHitboxUI();
 
-  /**
-   * Inicia el bucle principal del juego
-   */
-  startGameLoop() {
-    const gameLoop = (currentTime) => {
-      const deltaTime = Math.min((currentTime - this.lastTime) / 1000, 0.1);
-      this.lastTime = currentTime;
+    // Búfer de salto y calibración de la latencia
+    this.setupLatencyUI();
 
-      this.update(deltaTime);
-      this.render();
+    // Zonas táctiles y botones de habilidad
+    this.setupTouchUI();
 
-      requestAnimationFrame(gameLoop);
-    };
+    // Editor de recorridos
+    this.setupEditorUI();
 
-    requestAnimationFrame(gameLoop);
-  }
+    // Campaña y selección de nivel
+    this.setupCampaignUI();
 
-  /**
-   * Actualiza la lógica del juego
-   * @param {number} deltaTime - Tiempo transcurrido desde el último frame
-   */
-  update(deltaTime) {
-    if (this.state === 'playing') {
-      // Verificar y consumir el salto
-      const shouldJump = this.input.consumeJump();
+    // Reto diario
+    this.setupDailyUI();
 
-      // Actualizar habilidades
-      this.updateAbilities(deltaTime);
+    // Modo práctica y panel de rebobinado
+    this.setupPracticeUI();
 
-      // Actualizar el pájaro
-      this.updateBird(deltaTime, shouldJump);
-      this.updatePipes(deltaTime);
-      this.checkCollisions();
-      this.updateScore();
+    // Partida a dos jugadores
+    const versusButton = document.getElementById('versusButton');
+    if (versusButton) {
+      versusButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.startVersus();
+      });
     }
-  }
 
-  /**
-   * Actualiza el estado del pajarito
-   * @param {number} deltaTime - Tiempo transcurrido
-   * @param {boolean} shouldJump - Si debe saltar en este frame
-   */
-  updateBird(deltaTime, shouldJump) {
-    // Si está en animación de muerte, manejar caída especial
-    if (this.bird.isDying) {
-      this.bird.deathAnimationTime += deltaTime;
-
-      // Aplicar gravedad aumentada para caída dramática
-      Physics.applyGravity(this.bird, this.gravity * 1.5, deltaTime);
-      Physics.clampVelocity(this.bird, this.maxVelocity * 1.5);
-
-      // Rotación extrema hacia abajo (más dramática)
-      const targetRotation = Math.PI; // 180 grados (cabeza abajo)
-      this.bird.rotation += (targetRotation - this.bird.rotation) * 0.15;
-
-      // Detener animación de alas
-      this.bird.wingPhase = 0;
-
-      // Si toca el suelo o pasa suficiente tiempo, terminar animación
-      if (this.bird.y + this.bird.height >= this.gameHeight || this.bird.deathAnimationTime > 2000) {
-        this.bird.y = Math.min(this.bird.y, this.gameHeight - this.bird.height);
-        // El gameOver ya fue llamado, solo esperar a que termine la animación
-        return;
-      }
+    // Carreras online
+    this.setupRaceUI();
 
-      return;
-    }
+    // Tienda
+    this.setupShopUI();
 
-    // Salto
-    if (shouldJump) {
-      Physics.applyJump(this.bird, this.jumpForce);
-      this.bird.wingPhase = 0; // Resetear fase de alas al saltar
+    // Volver al menú desde el game over
+    const menuButton = document.getElementById('menuButton');
+    if (menuButton) {
+      menuButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.returnToMenu();
+      });
     }
 
-    // Gravedad
-    Physics.applyGravity(this.bird, this.gravity, deltaTime);
-    Physics.clampVelocity(this.bird, this.maxVelocity);
-
-    // Rotación basada en velocidad (más suave y realista)
-    const targetRotation = Math.min(this.bird.velocity * 0.002, Math.PI / 2);
-    this.bird.rotation += (targetRotation - this.bird.rotation) * 0.1; // Interpolación suave
+    // Configuración de teclas
+    this.setupKeySettings();
 
-    // Animación de alas (más rápido cuando sube, más lento cuando baja)
-    const wingSpeed = this.bird.velocity < 0 ? 15 : 8; // Más rápido subiendo
-    this.bird.wingPhase += deltaTime * wingSpeed;
-    if (this.bird.wingPhase > Math.PI * 2) {
-      this.bird.wingPhase -= Math.PI * 2;
-    }
+    // Mandos: navegación de los menús y avisos de conexión
+    this.setupGamepadUI();
 
-    // Límites del canvas - solo game over si toca el suelo
-    if (this.bird.y < 0) {
-      this.bird.y = 0;
-      this.bird.velocity = 0;
-    }
-    if (this.bird.y + this.bird.height > this.gameHeight) {
-      this.bird.y = this.gameHeight - this.bird.height;
-      this.startDeathAnimation();
-      this.gameOver();
-    }
+    // Editor de la disposición de los marcadores y botones
+    this.setupHudEditor();
   }
 
   /**
-   * Actualiza los tubos
-   * @param {number} deltaTime - Tiempo transcurrido
+   * Inicia el bucle principal del juego
    */
-  updatePipes(deltaTime) {
-    // Calcular velocidad actual (con boost si está activo)
-    let currentSpeed = this.pipeSpeed;
-    if (this.abilities.speedBoost.active) {
-      currentSpeed = this.pipeSpeed * this.abilities.speedBoost.speedMultiplier;
-    }
+  startGameLoop() {
+    const gameLoop = (currentTime) => {
+      const elapsed = (currentTime - this.lastTime) / 1000;
+      const frameTime = Math.min(elapsed, this.maxFrameTime);
+      this.lastTime = currentTime;
 
-    // Mover tubos
-    this.pipes.forEach(pipe => {
-      pipe.x -= currentSpeed * deltaTime;
-    });
+      // Los mandos se consultan en cada fotograma
+      this.input.pollGamepads();
 
-    // Eliminar tubos fuera de pantalla (más estricto para evitar artefactos visuales)
-    this.pipes = this.pipes.filter(pipe => pipe.x + pipe.width > -50 && pipe.x < this.gameWidth + 50);
+      if (this.state === 'countdown') {
+        this.updateCountdown(frameTime);
+      } else if (this.state !== 'paused') {
+        this.updateNotification(frameTime);
+      }
 
-    // Generar nuevos tubos
-    this.pipeSpawnTimer += deltaTime;
-    if (this.pipeSpawnTimer >= this.pipeSpawnInterval) {
-      this.spawnPipe();
-      this.pipeSpawnTimer = 0;
-    }
-  }
+      // Acumular el tiempo real y avanzar la simulación en pasos fijos,
+      // así el resultado no depende de la tasa de refresco de la pantalla
+      // (en práctica, la cámara lenta acumula menos tiempo por fotograma).
+      // Cada tick termina en un momento real: el tiempo que queda acumulado es el
+      // que falta por simular hasta este fotograma
+      const timeScale = this.practice ? this.practiceSpeed : 1;
+      this.accumulator += frameTime * timeScale;
+      if (elapsed > frameTime && this.state === 'playing') {
+        // Tras un parón no se simula todo el tiempo real: lo pulsado en el tramo que se
+        // salta cuenta al comienzo del primer tick en lugar de perderse
+        const simulatedStart = currentTime - this.accumulator / timeScale * 1000;
+        this.input.postponeJumps(simulatedStart - (elapsed - frameTime) * 1000, simulatedStart);
+      }
+      while (this.accumulator >= this.sim.fixedTimeStep) {
+        this.accumulator -= this.sim.fixedTimeStep;
+        this.tickEndTime = currentTime - this.accumulator / timeScale * 1000;
+        this.tickLength = this.sim.fixedTimeStep / timeScale * 1000;
+        this.update();
+      }
 
-  /**
-   * Genera un nuevo par de tubos
-   */
-  spawnPipe() {
-    const gapY = Math.random() * (this.gameHeight - this.pipeGap - 200) + 100;
+      this.render();
+      this.updateLatencyTest(currentTime);
 
-    // Tubo superior
-    this.pipes.push({
-      x: this.gameWidth,
-      y: 0,
-      width: this.pipeWidth,
-      height: gapY,
-      passed: false
-    });
+      requestAnimationFrame(gameLoop);
+    };
 
-    // Tubo inferior
-    this.pipes.push({
-      x: this.gameWidth,
-      y: gapY + this.pipeGap,
-      width: this.pipeWidth,
-      height: this.gameHeight - (gapY + this.pipeGap),
-      passed: false
-    });
+    requestAnimationFrame(gameLoop);
   }
 
   /**
-   * Verifica colisiones entre el pajarito y los tubos
+   * Avanza la lógica del juego un tick de simulación
    */
-  checkCollisions() {
-    // Si la invulnerabilidad está activa, no hay colisiones
-    if (this.abilities.invulnerability.active) {
-      return;
-    }
-
-    // Si ya está muriendo, no verificar más colisiones
-    if (this.bird.isDying) {
-      return;
-    }
+  update() {
+    if (this.state === 'playing') {
+      // Aplicar las acciones del tick (del jugador o de la repetición)
+      const performed = this.sim.step(this.collectActions(this.sim.tick + 1));
+      if (this.recorder) {
+        performed.forEach(action => this.recorder.record(this.sim.tick, action));
+      }
+      if (this.practice) {
+        this.practice.record(this.sim);
+      }
 
-    const birdRect = {
-      x: this.bird.x,
-      y: this.bird.y,
-      width: this.bird.width,
-      height: this.bird.height
-    };
+      if (this.ghostRecorder) {
+        this.ghostRecorder.sample(this.sim.tick, this.sim.bird, this.sim.distance);
+      }
+      this.recordTrail();
+      this.updateGhostDelta();
+      if (this.activeRace) {
+        this.race.sendState(this.sim.tick, this.sim.bird, this.sim.distance, this.sim.score);
+      }
+      this.updateAdaptiveLevel();
+      this.updateModeHud();
+      this.updatePowerupHud();
 
-    for (const pipe of this.pipes) {
-      const pipeRect = {
-        x: pipe.x,
-        y: pipe.y,
-        width: pipe.width,
-        height: pipe.height
-      };
+      this.updateAbilityUI();
 
-      if (checkCollision(birdRect, pipeRect)) {
-        this.startDeathAnimation();
+      // Terminar tras grabar el tick de la muerte; una repetición
+      // desincronizada tampoco debe seguir indefinidamente. En práctica se rebobina
+      if (this.sim.over && this.practice) {
+        this.openRewindPanel();
+      } else if (this.sim.over || (this.playback && this.playback.isFinished(this.sim.tick))) {
         this.gameOver();
-        return;
       }
     }
   }
 
   /**
-   * Inicia la animación de muerte del pájaro
+   * Obtiene las acciones a aplicar en un tick
+   * @param {number} tick - Tick que se va a simular
+   * @returns {Array<string>} - Acciones ('jump', 'jump2' o el id de una habilidad)
    */
-  startDeathAnimation() {
-    if (this.bird.isDying) {
-      return;
-    } // Ya está muriendo
+  collectActions(tick) {
+    if (this.playback) {
+      return this.playback.actionsAt(tick);
+    }
 
-    this.bird.isDying = true;
-    this.bird.deathAnimationTime = 0;
-    // Aumentar velocidad hacia abajo para efecto dramático
-    this.bird.velocity = Math.max(this.bird.velocity, 200);
+    // Solo las pulsaciones hechas antes del final del tick: las demás caen en uno posterior
+    const due = this.pendingActions.filter(pending => pending.time <= this.tickEndTime);
+    this.pendingActions = this.pendingActions.filter(pending => pending.time > this.tickEndTime);
+    const actions = due.map(pending => pending.action);
+    this.sim.birds.forEach((bird, player) => {
+      if (this.input.consumeJump(player, this.tickEndTime, this.tickLength)) {
+        actions.push(JUMP_ACTIONS[player]);
+      }
+    });
+    return actions;
   }
 
   /**
-   * Actualiza el sistema de habilidades
-   * @param {number} deltaTime - Tiempo transcurrido
+   * Ejecuta una acción del mapa de controles que no es un salto de la partida
+   * @param {string} action - Id de la acción
+   * @param {number} time - Momento de la pulsación
+   * @returns {boolean} - true si la acción se usó
    */
-  updateAbilities(deltaTime) {
-    // Actualizar invulnerabilidad
-    const invulnAbility = this.abilities.invulnerability;
-
-    if (invulnAbility.cooldownTimer > 0) {
-      invulnAbility.cooldownTimer -= deltaTime;
-      if (invulnAbility.cooldownTimer < 0) {
-        invulnAbility.cooldownTimer = 0;
-      }
+  handleAction(action, time = performance.now()) {
+    // Durante la calibración de la latencia los saltos solo se miden
+    if (this.latencyTest && JUMP_ACTIONS.includes(action)) {
+      return this.recordLatencyPress(time);
     }
 
-    if (invulnAbility.active) {
-      invulnAbility.activeTimer -= deltaTime;
-      if (invulnAbility.activeTimer <= 0) {
-        invulnAbility.active = false;
-        invulnAbility.activeTimer = 0;
+    if (JUMP_ACTIONS.includes(action)) {
+      // Saltar también empieza la partida desde la pantalla de inicio
+      const menuOpen = this.hudEditing || this.editor.isOpen() || document.querySelector('#levelSelectScreen.visible, #dailyScreen.visible, #raceScreen.visible, #shopScreen.visible') !== null;
+      if (action === 'jump' && this.state === 'start' && !menuOpen) {
+        this.startGame();
+        return true;
       }
+      return false;
     }
 
-    // Actualizar velocidad
-    const speedAbility = this.abilities.speedBoost;
-
-    if (speedAbility.cooldownTimer > 0) {
-      speedAbility.cooldownTimer -= deltaTime;
-      if (speedAbility.cooldownTimer < 0) {
-        speedAbility.cooldownTimer = 0;
+    if (ABILITIES[action]) {
+      if (this.state !== 'playing') {
+        return false;
       }
+      this.requestAction(action, time);
+      return true;
     }
 
-    if (speedAbility.active) {
-      speedAbility.activeTimer -= deltaTime;
-      if (speedAbility.activeTimer <= 0) {
-        speedAbility.active = false;
-        speedAbility.activeTimer = 0;
+    switch (action) {
+    case 'pause':
+      if (document.querySelector('#helpModal.visible') ||
+          (this.state !== 'playing' && this.state !== 'paused' && this.state !== 'countdown')) {
+        return false;
       }
-    }
-
-    // Actualizar UI
-    this.updateAbilityUI();
-    this.updateSpeedBoostUI();
-  }
-
-  /**
-   * Activa la habilidad de invulnerabilidad
-   */
-  activateInvulnerability() {
-    const ability = this.abilities.invulnerability;
-
-    // Verificar si está en cooldown
-    if (ability.cooldownTimer > 0) {
+      this.togglePause();
+      return true;
+    case 'restart':
+      return this.restartRun();
+    default:
       return false;
     }
-
-    // Activar habilidad
-    ability.active = true;
-    ability.activeTimer = ability.duration;
-    ability.cooldownTimer = ability.cooldown;
-
-    this.updateAbilityUI();
-    return true;
   }
 
   /**
-   * Activa la habilidad de velocidad
+   * Empieza otra partida con el mismo modo desde el game over o durante la partida
+   * (no en carreras ni repeticiones)
+   * @returns {boolean} - true si se reinició
    */
-  activateSpeedBoost() {
-    const ability = this.abilities.speedBoost;
-
-    // Verificar si está en cooldown
-    if (ability.cooldownTimer > 0) {
+  restartRun() {
+    const restartable = ['playing', 'paused', 'countdown', 'gameover'].includes(this.state);
+    if (!restartable || this.playback || this.activeRace) {
       return false;
     }
-
-    // Activar habilidad
-    ability.active = true;
-    ability.activeTimer = ability.duration;
-    ability.cooldownTimer = ability.cooldown;
-
-    this.updateSpeedBoostUI();
+    this.startGame();
     return true;
   }
 
   /**
-   * Actualiza la UI de habilidades
+   * Encola una acción del jugador para aplicarla en el tick en que se pulsó
+   * @param {string} action - Id de una habilidad
+   * @param {number} time - Momento de la pulsación
    */
-  updateAbilityUI() {
-    const ability = this.abilities.invulnerability;
-    const abilityButton = document.getElementById('abilityButton');
-    const abilityCooldown = document.getElementById('abilityCooldown');
-
-    if (!abilityButton) {
-      console.warn('abilityButton no encontrado');
+  requestAction(action, time = performance.now()) {
+    if (this.playback) {
       return;
     }
-
-    if (!abilityCooldown) {
-      console.warn('abilityCooldown no encontrado');
-      return;
-    }
-
-    // Limpiar clases anteriores
-    abilityButton.classList.remove('active', 'cooldown');
-
-    if (ability.active) {
-      abilityButton.classList.add('active');
-      abilityButton.textContent = 'Escudo Activo';
-      const remaining = Math.ceil(ability.activeTimer);
-      abilityCooldown.textContent = `${remaining}s`;
-      abilityCooldown.style.display = 'block';
-      abilityButton.disabled = true;
-    } else if (ability.cooldownTimer > 0) {
-      abilityButton.classList.add('cooldown');
-      abilityButton.textContent = 'En Cooldown';
-      const remaining = Math.ceil(ability.cooldownTimer);
-      abilityCooldown.textContent = `${remaining}s`;
-      abilityCooldown.style.display = 'block';
-      abilityButton.disabled = true;
-    } else {
-      const keyName = this.getKeyDisplayName(this.abilities.invulnerability.key);
-      abilityButton.textContent = `Escudo (${keyName})`;
-      abilityCooldown.style.display = 'none';
-      abilityButton.disabled = false;
-    }
+    this.pendingActions.push({ action, time });
   }
 
   /**
-   * Actualiza la UI de la habilidad de velocidad
+   * Crea un botón con su indicador de cooldown por cada habilidad del registro
    */
-  updateSpeedBoostUI() {
-    const ability = this.abilities.speedBoost;
-    const speedBoostButton = document.getElementById('speedBoostButton');
-    const speedBoostCooldown = document.getElementById('speedBoostCooldown');
-
-    if (!speedBoostButton) {
-      return; // Botón no existe aún, no es error
-    }
-
-    if (!speedBoostCooldown) {
+  setupAbilityButtons() {
+    const abilityBar = document.getElementById('abilityBar');
+    if (!abilityBar) {
       return;
     }
 
-    // Limpiar clases anteriores
-    speedBoostButton.classList.remove('active', 'cooldown');
+    Object.values(ABILITIES).forEach(ability => {
+      const container = document.createElement('div');
+      container.className = 'ability-container';
+      container.dataset.ability = ability.id;
 
-    if (ability.active) {
-      speedBoostButton.classList.add('active');
-      speedBoostButton.textContent = 'Velocidad Activa';
-      const remaining = Math.ceil(ability.activeTimer);
-      speedBoostCooldown.textContent = `${remaining}s`;
-      speedBoostCooldown.style.display = 'block';
-      speedBoostButton.disabled = true;
-    } else if (ability.cooldownTimer > 0) {
-      speedBoostButton.classList.add('cooldown');
-      speedBoostButton.textContent = 'En Cooldown';
-      const remaining = Math.ceil(ability.cooldownTimer);
-      speedBoostCooldown.textContent = `${remaining}s`;
-      speedBoostCooldown.style.display = 'block';
-      speedBoostButton.disabled = true;
-    } else {
-      const keyName = this.getKeyDisplayName(this.abilities.speedBoost.key);
-      speedBoostButton.textContent = `Velocidad (${keyName})`;
-      speedBoostCooldown.style.display = 'none';
-      speedBoostButton.disabled = false;
-    }
-  }
+      const button = document.createElement('button');
+      button.className = 'ability-button';
+      button.style.setProperty('--ability-color', ability.color);
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (this.state === 'playing') {
+          this.requestAction(ability.id, getInputTime(e.timeStamp));
+        }
+      });
 
-  /**
-   * Carga la tecla de habilidad guardada
-   * @returns {string} - Código de tecla
-   */
-  loadAbilityKey() {
-    const saved = localStorage.getItem('abilityKey');
-    return saved || 'KeyE'; // Por defecto 'E'
-  }
+      const cooldown = document.createElement('div');
+      cooldown.className = 'ability-cooldown';
 
-  /**
-   * Carga la tecla de velocidad guardada
-   * @returns {string} - Código de tecla
-   */
-  loadSpeedBoostKey() {
-    const saved = localStorage.getItem('speedBoostKey');
-    return saved || 'KeyR'; // Por defecto 'R'
+      container.append(button, cooldown);
+      abilityBar.appendChild(container);
+    });
   }
 
   /**
-   * Guarda la tecla de habilidad
-   * @param {string} keyCode - Código de tecla
+   * Actualiza la UI de habilidades: estado, tecla y tiempo de cada botón
    */
-  saveAbilityKey(keyCode) {
-    localStorage.setItem('abilityKey', keyCode);
-    this.abilities.invulnerability.key = keyCode;
-    this.updateAbilityUI();
-  }
-
-  /**
-   * Guarda la tecla de velocidad
-   * @param {string} keyCode - Código de tecla
-   */
-  saveSpeedBoostKey(keyCode) {
-    localStorage.setItem('speedBoostKey', keyCode);
-    this.abilities.speedBoost.key = keyCode;
-    this.updateSpeedBoostUI();
-  }
-
-  /**
-   * Obtiene el nombre de visualización de una tecla
-   * @param {string} keyCode - Código de tecla
-   * @returns {string} - Nombre para mostrar
-   */
-  getKeyDisplayName(keyCode) {
-    const keyMap = {
-      'KeyE': 'E',
-      'KeyQ': 'Q',
-      'KeyR': 'R',
-      'KeyF': 'F',
-      'KeyS': 'S',
-      'KeyD': 'D',
-      'KeyW': 'W',
-      'KeyA': 'A',
-      'KeyZ': 'Z',
-      'KeyX': 'X',
-      'KeyC': 'C',
-      'KeyV': 'V',
-      'KeyB': 'B',
-      'KeyN': 'N',
-      'KeyM': 'M',
-      'Digit1': '1',
-      'Digit2': '2',
-      'Digit3': '3',
-      'Digit4': '4',
-      'Digit5': '5',
-      'ShiftLeft': 'SHIFT',
-      'ControlLeft': 'CTRL',
-      'AltLeft': 'ALT'
-    };
-    return keyMap[keyCode] || keyCode.replace('Key', '').replace('Digit', '');
+  updateAbilityUI() {
+    document.querySelectorAll('.ability-container').forEach(container => {
+      const id = container.dataset.ability;
+      const ability = this.sim.abilities[id];
+      const button = container.querySelector('.ability-button');
+      const cooldown = container.querySelector('.ability-cooldown');
+
+      // Resetear clases
+      button.classList.remove('active', 'cooldown');
+
+      if (ability.active) {
+        button.classList.add('active');
+        button.textContent = `${ABILITIES[id].icon} ${ABILITIES[id].activeLabel}`;
+        cooldown.textContent = `${Math.ceil(ability.activeTimer)}s`;
+        cooldown.style.display = 'block';
+        button.disabled = true;
+      } else if (ability.cooldownTimer > 0) {
+        button.classList.add('cooldown');
+        button.textContent = `${ABILITIES[id].icon} En Cooldown`;
+        cooldown.textContent = `${Math.ceil(ability.cooldownTimer)}s`;
+        cooldown.style.display = 'block';
+        button.disabled = true;
+      } else {
+        // Se muestra la primera tecla asignada, si la hay
+        const key = this.bindings[id].find(binding => binding.startsWith('key:'));
+        const keyName = key ? ` (${getBindingDisplayName(key)})` : '';
+        button.textContent = `${ABILITIES[id].icon} ${ABILITIES[id].name}${keyName}`;
+        cooldown.style.display = 'none';
+        button.disabled = false;
+      }
+    });
   }
 
   /**
@@ -659,30 +631,10 @@ class Game {
    */
   getAvailableKeys() {
     return [
-      { code: 'KeyE', name: 'E' },
-      { code: 'KeyQ', name: 'Q' },
-      { code: 'KeyR', name: 'R' },
-      { code: 'KeyF', name: 'F' },
-      { code: 'KeyS', name: 'S' },
-      { code: 'KeyD', name: 'D' },
-      { code: 'KeyW', name: 'W' },
-      { code: 'KeyA', name: 'A' },
-      { code: 'KeyZ', name: 'Z' },
-      { code: 'KeyX', name: 'X' },
-      { code: 'KeyC', name: 'C' },
-      { code: 'KeyV', name: 'V' },
-      { code: 'KeyB', name: 'B' },
-      { code: 'KeyN', name: 'N' },
-      { code: 'KeyM', name: 'M' },
-      { code: 'Digit1', name: '1' },
-      { code: 'Digit2', name: '2' },
-      { code: 'Digit3', name: '3' },
-      { code: 'Digit4', name: '4' },
-      { code: 'Digit5', name: '5' },
-      { code: 'ShiftLeft', name: 'SHIFT' },
-      { code: 'ControlLeft', name: 'CTRL' },
-      { code: 'AltLeft', name: 'ALT' }
-    ];
+      'KeyE', 'KeyQ', 'KeyR', 'KeyF', 'KeyS', 'KeyD', 'KeyW', 'KeyA', 'KeyZ', 'KeyX', 'KeyC',
+      'KeyV', 'KeyB', 'KeyN', 'KeyM', 'KeyP', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5',
+      'Space', 'Enter', 'Escape', 'ArrowUp', 'ShiftLeft', 'ControlLeft', 'AltLeft'
+    ].map(code => ({ code, name: getKeyDisplayName(code) }));
   }
 
   /**
@@ -692,9 +644,10 @@ class Game {
     const settingsButton = document.getElementById('settingsButton');
     const settingsPanel = document.getElementById('settingsPanel');
     const closeSettings = document.getElementById('closeSettings');
-    const abilityKeyInput = document.getElementById('abilityKeyInput');
+    const bindingSettings = document.getElementById('bindingSettings');
+    const resetBindingsButton = document.getElementById('resetBindingsButton');
 
-    if (!settingsButton || !settingsPanel || !abilityKeyInput) {
+    if (!settingsButton || !settingsPanel || !bindingSettings) {
       return;
     }
 
@@ -707,65 +660,197 @@ class Game {
     closeSettings.addEventListener('click', (e) => {
       e.stopPropagation();
       settingsPanel.classList.remove('visible');
+      // Cancelar una asignación que se estuviera esperando
+      if (this.input.captureListener) {
+        this.input.finishCapture(null);
+      }
     });
 
-    // Configurar input de tecla
-    let waitingForKey = false;
+    // Una fila por acción con sus asignaciones
+    this.renderBindingSettings();
 
-    abilityKeyInput.addEventListener('click', () => {
-      if (waitingForKey) {
-        return;
-      }
+    if (resetBindingsButton) {
+      resetBindingsButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (!confirm('¿Restablecer todos los controles a sus valores por defecto?')) {
+          return;
+        }
+        this.bindings = createDefaultBindings();
+        this.applyBindings();
+      });
+    }
 
-      waitingForKey = true;
-      abilityKeyInput.classList.add('waiting');
-      abilityKeyInput.textContent = 'Presiona una tecla...';
+    // Configurar modal de ayuda
+    this.setupHelpModal();
 
-      const keyHandler = (e) => {
-        e.preventDefault();
-        e.stopPropagation();
+    // Configurar botón de limpiar datos
+    this.setupClearDataButton();
+  }
+
+  /**
+   * Dibuja en la configuración una fila por acción con sus asignaciones, un botón
+   * para añadir una tecla o botón del ratón o del mando y un selector de zonas táctiles
+   */
+  renderBindingSettings() {
+    const bindingSettings = document.getElementById('bindingSettings');
+    if (!bindingSettings) {
+      return;
+    }
 
-        // Ignorar teclas especiales que no queremos
-        if (e.code === 'Escape' || e.code === 'Tab' || e.code === 'Space') {
-          waitingForKey = false;
-          abilityKeyInput.classList.remove('waiting');
-          abilityKeyInput.textContent = this.getKeyDisplayName(this.abilities.invulnerability.key);
-          window.removeEventListener('keydown', keyHandler);
-          if (e.code === 'Space') {
-            alert('El espacio no está disponible para la habilidad. Usa otra tecla.');
+    const conflicts = findConflicts(this.bindings);
+    bindingSettings.innerHTML = '';
+    ACTIONS.forEach(action => {
+      const row = document.createElement('div');
+      row.className = 'binding-row';
+      const label = document.createElement('label');
+      label.textContent = action.name;
+      const list = document.createElement('div');
+      list.className = 'binding-list';
+
+      this.bindings[action.id].forEach(binding => {
+        const chip = document.createElement('button');
+        chip.className = 'binding-chip';
+        chip.title = 'Quitar';
+        chip.textContent = `${getBindingDisplayName(binding)} ×`;
+        const conflict = conflicts.find(entry => entry.binding === binding && entry.actions.includes(action.id));
+        if (conflict) {
+          const other = conflict.actions.find(id => id !== action.id);
+          chip.classList.add('conflict');
+          chip.title = `También asignada a "${getActionName(other)}"`;
+        }
+        chip.addEventListener('click', (e) => {
+          e.stopPropagation();
+          if (!removeBinding(this.bindings, action.id, binding)) {
+            alert(`"${action.name}" necesita al menos un control.`);
+            return;
           }
-          return;
+          this.applyBindings();
+        });
+        list.appendChild(chip);
+      });
+
+      const addButton = document.createElement('button');
+      addButton.className = 'binding-add';
+      addButton.textContent = '+';
+      addButton.title = 'Añadir tecla o botón del ratón o del mando';
+      addButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.waitForBinding(action.id, addButton);
+      });
+      list.appendChild(addButton);
+
+      const zoneSelect = document.createElement('select');
+      zoneSelect.className = 'binding-zone';
+      zoneSelect.title = 'Añadir zona táctil o gesto';
+      zoneSelect.appendChild(new Option('+ Toque o gesto', ''));
+      Object.entries(TOUCH_ZONES).forEach(([zone, name]) => {
+        zoneSelect.appendChild(new Option(name, `touch:${zone}`));
+      });
+      Object.entries(GESTURES).forEach(([gesture, name]) => {
+        zoneSelect.appendChild(new Option(name, `gesture:${gesture}`));
+      });
+      zoneSelect.addEventListener('change', () => {
+        if (zoneSelect.value) {
+          this.assignBinding(action.id, zoneSelect.value);
         }
+      });
+      list.appendChild(zoneSelect);
 
-        // Guardar la nueva tecla
-        this.saveAbilityKey(e.code);
-        abilityKeyInput.textContent = this.getKeyDisplayName(e.code);
-        abilityKeyInput.classList.remove('waiting');
+      row.append(label, list);
+      bindingSettings.appendChild(row);
+    });
+  }
 
-        waitingForKey = false;
-        window.removeEventListener('keydown', keyHandler);
-      };
+  /**
+   * Espera a que se pulse la tecla o el botón del ratón o del mando que se añadirá a una acción
+   * @param {string} action - Id de la acción
+   * @param {HTMLElement} addButton - Botón de añadir de la acción
+   */
+  waitForBinding(action, addButton) {
+    if (document.querySelector('.binding-add.waiting')) {
+      return;
+    }
 
-      window.addEventListener('keydown', keyHandler, { once: true });
+    addButton.classList.add('waiting');
+    addButton.textContent = 'Pulsa una tecla o un botón del ratón o del mando...';
+    this.input.captureBinding(binding => {
+      addButton.classList.remove('waiting');
+      addButton.textContent = '+';
+      if (binding) {
+        this.assignBinding(action, binding);
+      }
     });
+  }
 
-    // Inicializar display
-    abilityKeyInput.textContent = this.getKeyDisplayName(this.abilities.invulnerability.key);
+  /**
+   * Añade una asignación a una acción. Si ya la usaba otra acción, se pregunta antes
+   * de quitársela
+   * @param {string} action - Id de la acción
+   * @param {string} binding - Asignación
+   */
+  assignBinding(action, binding) {
+    const owners = findConflicts({ ...this.bindings, [action]: [binding] })
+      .filter(conflict => conflict.actions.includes(action))
+      .map(conflict => conflict.actions.find(id => id !== action));
+    if (owners.length > 0) {
+      const names = [...new Set(owners)].map(id => `"${getActionName(id)}"`).join(', ');
+      const moved = confirm(`${getBindingDisplayName(binding)} ya está asignada a ${names}. ¿Quitarla de ahí y asignarla a "${getActionName(action)}"?`);
+      if (!moved) {
+        this.renderBindingSettings();
+        return;
+      }
+    }
 
-    // Configurar toggle para mover botón
-    const moveButtonToggle = document.getElementById('moveButtonToggle');
-    if (moveButtonToggle) {
-      moveButtonToggle.addEventListener('click', () => {
-        const isActive = moveButtonToggle.classList.toggle('active');
-        this.setMoveMode(isActive);
-      });
+    if (!addBinding(this.bindings, action, binding)) {
+      alert(`No se puede mover ${getBindingDisplayName(binding)}: la acción que la usa se quedaría sin controles.`);
     }
+    this.applyBindings();
+  }
 
-    // Configurar modal de ayuda
-    this.setupHelpModal();
+  /**
+   * Guarda el mapa de controles y actualiza la entrada y la interfaz que lo muestran
+   */
+  applyBindings() {
+    saveBindings(this.bindings);
+    this.input.setBindings(this.bindings);
+    this.renderBindingSettings();
+    this.renderTouchZoneOverlay();
+    this.updateAbilityUI();
+  }
 
-    // Configurar botón de limpiar datos
-    this.setupClearDataButton();
+  /**
+   * Configura la navegación de los menús con el mando y los avisos al conectar o
+   * desconectar uno (desconectarlo en plena partida la pausa)
+   */
+  setupGamepadUI() {
+    // De arriba abajo: los modales tapan las pantallas que tienen debajo
+    this.navigator = new MenuNavigator([
+      { selector: '#hudEditorBar', initial: '#hudDoneButton', back: '#hudDoneButton' },
+      { selector: '#helpModal', back: '#closeHelp' },
+      { selector: '#latencyScreen', initial: '#latencyStartButton', back: '#closeLatency' },
+      { selector: '#settingsPanel', back: '#closeSettings' },
+      { selector: '#editorScreen', back: '#closeEditor' },
+      { selector: '#replayModal', back: '#closeReplays' },
+      { selector: '#levelSelectScreen', back: '#closeLevelSelect' },
+      { selector: '#dailyScreen', initial: '#playDailyButton', back: '#closeDaily' },
+      { selector: '#shopScreen', back: '#closeShop' },
+      { selector: '#raceScreen', back: '#closeRace' },
+      { selector: '#practicePanel', initial: '#continuePracticeButton' },
+      { selector: '#pauseScreen', initial: '#resumeButton', back: '#resumeButton' },
+      { selector: '#gameOverScreen', initial: '#restartButton', back: '#menuButton', extras: ['#settingsButton'] },
+      { selector: '#startScreen', initial: '#startButton', extras: ['#settingsButton'] }
+    ]);
+    // Mientras se calibra la latencia, A es saltar
+    this.input.onNavigate(command => !this.latencyTest && this.navigator.handle(command));
+
+    this.input.onGamepadChange(({ connected, id }) => {
+      if (connected) {
+        this.showNotification(`🎮 Mando conectado: ${id.split('(')[0].trim() || 'mando'}`);
+        return;
+      }
+      this.pauseGame();
+      this.showNotification('🎮 Mando desconectado');
+    });
   }
 
   /**
@@ -785,6 +870,7 @@ class Game {
         '¿Estás seguro de que quieres limpiar todos los datos del sitio?\n\n' +
         'Esto eliminará:\n' +
         '• Tu récord de puntuación\n' +
+        '• Tus monedas y lo comprado en la tienda\n' +
         '• Configuración guardada\n' +
         '• Cache del Service Worker\n' +
         '• Todos los datos de almacenamiento\n\n' +
@@ -906,12 +992,14 @@ class Game {
 
     keysGrid.innerHTML = '';
     const availableKeys = this.getAvailableKeys();
-    const currentKey = this.abilities.invulnerability.key;
+    const currentKeys = Object.values(this.bindings).flat()
+      .filter(binding => binding.startsWith('key:'))
+      .map(binding => binding.slice('key:'.length));
 
     availableKeys.forEach(key => {
       const keyItem = document.createElement('div');
       keyItem.className = 'key-item';
-      if (key.code === currentKey) {
+      if (currentKeys.includes(key.code)) {
         keyItem.classList.add('current');
       }
       keyItem.textContent = key.name;
@@ -919,49 +1007,6 @@ class Game {
     });
   }
 
-  /**
-   * Actualiza la puntuación cuando el pajarito pasa un tubo
-   */
-  updateScore() {
-    this.pipes.forEach(pipe => {
-      if (!pipe.passed && pipe.x + pipe.width < this.bird.x) {
-        pipe.passed = true;
-        // Solo contar cuando pasan ambos tubos del par
-        if (this.pipes.filter(p => p.passed && Math.abs(p.x - pipe.x) < 10).length === 2) {
-          this.score++;
-          this.updateScoreDisplay();
-
-          // Verificar si se alcanzó un nuevo nivel de dificultad (cada 25 puntos)
-          const newLevel = Math.floor(this.score / 25);
-          if (newLevel > this.difficultyLevel) {
-            this.difficultyLevel = newLevel;
-            this.increaseDifficulty();
-          }
-        }
-      }
-    });
-  }
-
-  /**
-   * Aumenta la dificultad del juego
-   */
-  increaseDifficulty() {
-    // Aumentar velocidad de los tubos
-    this.pipeSpeed = this.basePipeSpeed + (this.difficultyLevel * 30);
-
-    // Reducir el espacio entre tubos
-    this.pipeGap = Math.max(100, this.basePipeGap - (this.difficultyLevel * 10));
-
-    // Aumentar gravedad ligeramente
-    this.gravity = this.baseGravity + (this.difficultyLevel * 50);
-
-    // Reducir intervalo de generación de tubos
-    this.pipeSpawnInterval = Math.max(0.8, 1.5 - (this.difficultyLevel * 0.1));
-
-    // Mostrar notificación
-    this.showChallengeNotification();
-  }
-
   /**
    * Muestra una notificación de desafío
    */
@@ -974,76 +1019,339 @@ class Game {
       '¡Desafío épico!'
     ];
 
-    const messageIndex = Math.min(this.difficultyLevel - 1, messages.length - 1);
-    const message = messages[messageIndex] || `Nivel ${this.difficultyLevel} alcanzado!`;
+    const level = this.sim.difficultyLevel;
+    const messageIndex = Math.min(level - 1, messages.length - 1);
+    this.showNotification(messages[messageIndex] || `Nivel ${level} alcanzado!`);
+  }
 
+  /**
+   * Muestra un aviso breve en la parte superior de la pantalla
+   * @param {string} message - Texto del aviso
+   */
+  showNotification(message) {
     const notification = document.getElementById('challengeNotification');
     notification.textContent = message;
     notification.style.display = 'block';
 
-    // Ocultar después de 2 segundos
-    setTimeout(() => {
-      notification.style.display = 'none';
-    }, 2000);
+    // Ocultar después de 2 segundos (se congela durante la pausa)
+    this.notificationTimer = 2;
   }
 
   /**
-   * Inicia una nueva partida
+   * Descuenta el tiempo de la notificación de desafío y la oculta al terminar
+   * @param {number} frameTime - Tiempo transcurrido en segundos
    */
-  startGame() {
-    this.state = 'playing';
-    this.score = 0;
-    this.pipes = [];
-    this.pipeSpawnTimer = 0;
-
-    // Resetear dificultad
-    this.difficultyLevel = 0;
-    this.gravity = this.baseGravity;
-    this.jumpForce = this.baseJumpForce;
-    this.pipeSpeed = this.basePipeSpeed;
-    this.pipeGap = this.basePipeGap;
-    this.pipeSpawnInterval = 1.5;
-
-    // Resetear habilidades
-    this.abilities.invulnerability.active = false;
-    this.abilities.invulnerability.activeTimer = 0;
-    this.abilities.invulnerability.cooldownTimer = 0;
-
-    this.abilities.speedBoost.active = false;
-    this.abilities.speedBoost.activeTimer = 0;
-    this.abilities.speedBoost.cooldownTimer = 0;
-
-    this.bird.x = 100;
-    this.bird.y = 250;
-    this.bird.velocity = 0;
-    this.bird.rotation = 0;
-    this.bird.wingPhase = 0;
-    this.bird.isDying = false;
-    this.bird.deathAnimationTime = 0;
-
-    this.input.reset();
-    this.input.setEnabled(true); // Habilitar input cuando empieza el juego
-
-    document.getElementById('startScreen').style.display = 'none';
-    document.getElementById('gameOverScreen').style.display = 'none';
-    document.getElementById('challengeNotification').style.display = 'none';
-
-    // Mostrar contenedores de habilidades
-    const abilityContainer = document.getElementById('abilityContainer');
-    if (abilityContainer) {
-      abilityContainer.style.display = 'flex';
+  updateNotification(frameTime) {
+    if (this.notificationTimer <= 0) {
+      return;
     }
-
-    const speedBoostContainer = document.getElementById('speedBoostContainer');
-    if (speedBoostContainer) {
-      speedBoostContainer.style.display = 'flex';
+    this.notificationTimer -= frameTime;
+    if (this.notificationTimer <= 0) {
+      this.notificationTimer = 0;
+      document.getElementById('challengeNotification').style.display = 'none';
     }
+  }
 
-    this.updateScoreDisplay();
-
-    // Inicializar UI de habilidades
+  /**
+   * Configura el botón y la tecla de pausa, y la pausa automática
+   */
+  setupPauseUI() {
+    const pauseButton = document.getElementById('pauseButton');
+    const resumeButton = document.getElementById('resumeButton');
+    const quitButton = document.getElementById('quitButton');
+    const finishRunButton = document.getElementById('finishRunButton');
+
+    if (pauseButton) {
+      pauseButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.togglePause();
+      });
+    }
+
+    if (resumeButton) {
+      resumeButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.resumeGame();
+      });
+    }
+
+    if (quitButton) {
+      quitButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.quitToMenu();
+      });
+    }
+
+    if (finishRunButton) {
+      finishRunButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.finishRun();
+      });
+    }
+
+    // Pausa automática al cambiar de pestaña, recibir una llamada o perder el foco
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.pauseGame();
+      }
+    });
+    window.addEventListener('blur', () => {
+      this.pauseGame();
+    });
+  }
+
+  /**
+   * Alterna entre pausa y reanudación
+   */
+  togglePause() {
+    if (this.state === 'paused') {
+      this.resumeGame();
+    } else {
+      this.pauseGame();
+    }
+  }
+
+  /**
+   * Pausa la partida (también interrumpe una cuenta atrás en curso).
+   * Las carreras no se pausan: los rivales siguen volando
+   */
+  pauseGame() {
+    if ((this.state !== 'playing' && this.state !== 'countdown') || this.activeRace) {
+      return;
+    }
+
+    this.state = 'paused';
+    this.input.setEnabled(false);
+    this.pendingActions = [];
+
+    if (this.backgroundMusic) {
+      this.backgroundMusic.pause();
+    }
+
+    // Sin muerte la partida solo termina cuando el jugador quiere
+    const canFinish = this.sim.mode.rules.noDeath && !this.playback && !this.practice;
+    document.getElementById('finishRunButton').style.display = canFinish ? 'inline-block' : 'none';
+    document.getElementById('rewindButton').style.display = this.practice ? 'inline-block' : 'none';
+    document.getElementById('countdown').style.display = 'none';
+    document.getElementById('pauseScreen').style.display = 'flex';
+  }
+
+  /**
+   * Inicia la cuenta atrás para reanudar la partida
+   */
+  resumeGame() {
+    if (this.state !== 'paused') {
+      return;
+    }
+
+    document.getElementById('pauseScreen').style.display = 'none';
+    this.startCountdown();
+  }
+
+  /**
+   * Muestra la cuenta atrás que da paso a la partida
+   * @param {number} [duration] - Segundos de la cuenta atrás
+   */
+  startCountdown(duration = this.countdownDuration) {
+    this.state = 'countdown';
+    this.countdownTimer = duration;
+    // Los saltos pulsados al final de la cuenta atrás esperan en el búfer de salto
+    this.input.setEnabled(!this.playback);
+
+    const countdown = document.getElementById('countdown');
+    countdown.textContent = String(Math.ceil(duration));
+    countdown.style.display = 'flex';
+  }
+
+  /**
+   * Avanza la cuenta atrás y reanuda el juego al llegar a cero
+   * @param {number} frameTime - Tiempo transcurrido en segundos
+   */
+  updateCountdown(frameTime) {
+    this.countdownTimer -= frameTime;
+    const countdown = document.getElementById('countdown');
+
+    if (this.countdownTimer > 0) {
+      countdown.textContent = String(Math.ceil(this.countdownTimer));
+      return;
+    }
+
+    countdown.style.display = 'none';
+    this.state = 'playing';
+    this.accumulator = 0; // no recuperar el tiempo pasado en pausa
+    this.playBackgroundMusic();
+  }
+
+  /**
+   * Abandona la partida en pausa y vuelve a la pantalla de inicio sin guardar nada
+   */
+  quitToMenu() {
+    if (this.state !== 'paused' && this.state !== 'rewinding') {
+      return;
+    }
+
+    this.state = 'start';
+    this.recorder = null;
+    this.ghostRecorder = null;
+    this.playback = null;
+    this.practice = null;
+    this.notificationTimer = 0;
+    this.stopBackgroundMusic();
+
+    document.getElementById('pauseScreen').style.display = 'none';
+    document.getElementById('practicePanel').style.display = 'none';
+    document.getElementById('pauseButton').style.display = 'none';
+    document.getElementById('challengeNotification').style.display = 'none';
+    document.getElementById('replayBadge').style.display = 'none';
+    document.getElementById('ghostDelta').style.display = 'none';
+    document.getElementById('adaptiveLevel').style.display = 'none';
+    document.getElementById('levelHud').style.display = 'none';
+    document.getElementById('modeHud').style.display = 'none';
+    document.getElementById('coinHud').style.display = 'none';
+    document.getElementById('powerupHud').style.display = 'none';
+    document.getElementById('startScreen').style.display = 'flex';
+    this.activeCourse = null;
+    this.activeLevel = null;
+    this.activeDaily = null;
+    this.activePractice = false;
+    this.activeVersus = false;
+    this.activeRace = false;
+    this.updateGhostButton();
+  }
+
+  /**
+   * Vuelve a la pantalla de inicio desde el game over, saliendo del modo elegido
+   */
+  returnToMenu() {
+    this.state = 'start';
+    this.leaveRace();
+    this.activeCourse = null;
+    this.activeLevel = null;
+    this.activeDaily = null;
+    this.activePractice = false;
+    this.activeVersus = false;
+    this.activeRace = false;
+    document.getElementById('gameOverScreen').style.display = 'none';
+    document.getElementById('startScreen').style.display = 'flex';
+  }
+
+  /**
+   * Inicia una nueva partida
+   * @param {number} [seed] - Semilla de la partida (aleatoria si se omite)
+   * @param {Object} [replay] - Repetición a reproducir en lugar de jugar
+   */
+  startGame(seed, replay = null) {
+    this.state = 'playing';
+
+    // Los niveles de la campaña generan su recorrido y pueden cambiar la física.
+    // Los recorridos se juegan con los valores base de la dificultad normal
+    const level = replay ? getCampaignLevel(replay.level) : this.activeLevel;
+    let course = replay ? replay.course || null : this.activeCourse;
+    if (level) {
+      course = createLevelCourse(level, this.sim.height);
+    }
+
+    // El reto diario se renueva al cambiar de día aunque se reinicie desde el game over
+    if (!replay && this.activeDaily && this.activeDaily.date !== getDateKey()) {
+      this.activeDaily = getDailyChallenge();
+    }
+    const daily = replay ? replay.daily || null : this.activeDaily;
+    const practice = !replay && this.activePractice;
+    const players = !replay && this.activeVersus ? 2 : 1;
+    const race = !replay && this.activeRace;
+    if (daily && seed === undefined) {
+      seed = daily.seed;
+    }
+
+    // En modo adaptativo se empieza según las últimas partidas
+    let adaptive = null;
+    if (replay) {
+      adaptive = replay.adaptive || null;
+    } else if (this.adaptive && !course && !daily && !race && players === 1) {
+      adaptive = { startLevel: getStartingLevel(loadAdaptiveHistory()) };
+    }
+
+    // Reiniciar la simulación determinista (las repeticiones usan su propia dificultad)
+    let difficulty = replay ? replay.difficulty : this.difficulty;
+    let mode = replay ? replay.mode : this.mode;
+    if (course || daily || race) {
+      difficulty = DEFAULT_DIFFICULTY; // en las carreras todos juegan con las mismas reglas
+      mode = DEFAULT_MODE;
+    }
+    if (players > 1) {
+      mode = DEFAULT_MODE; // las reglas de los demás modos son de un solo jugador
+    }
+    this.sim.reset(seed !== undefined ? seed >>> 0 : this.getSeedFromUrl() ?? generateSeed(), {
+      difficulty,
+      mode,
+      forgiveness: replay ? replay.forgiveness : this.forgiveness,
+      adaptive,
+      course,
+      physics: level ? level.physics : null,
+      modifier: daily ? daily.modifier : null,
+      players,
+      powerups: replay ? replayHasPowerups(replay) : true
+    });
+    this.accumulator = 0;
+
+    // Grabar la partida, o reproducir la repetición indicada
+    this.pendingActions = [];
+    this.playback = replay ? new ReplayPlayer(replay) : null;
+    // La práctica no se graba: rebobinar cambia la partida y nunca cuenta para los récords.
+    // Las partidas a dos tampoco (las repeticiones son de un jugador), ni las carreras
+    const recorded = !replay && !practice && !race && players === 1;
+    this.recorder = recorded ? new ReplayRecorder(this.sim.seed, difficulty, this.forgiveness, mode) : null;
+    if (!recorded && !replay) {
+      this.lastReplay = null;
+    }
+    this.practice = practice ? new PracticeSession(this.sim) : null;
+
+    // Grabar la trayectoria y cargar el fantasma a batir (solo en partidas clásicas: no en repeticiones,
+    // prácticas, recorridos, retos diarios ni en modo adaptativo, cuyos tubos dependen de cómo se juegue)
+    const racesGhost = recorded && !adaptive && !course && !daily && mode === DEFAULT_MODE;
+    this.ghostRecorder = racesGhost ? new GhostRecorder(this.sim.seed, this.difficulty) : null;
+    if (this.ghostRecorder) {
+      this.ghostRecorder.sample(0, this.sim.bird, 0);
+    }
+    this.ghost = racesGhost && this.showGhost ? loadGhost(this.difficulty) : null;
+
+    this.input.setPlayers(players);
+    this.input.setEnabled(!replay); // Habilitar input cuando empieza el juego (no en repeticiones)
+
+    document.getElementById('startScreen').style.display = 'none';
+    document.getElementById('gameOverScreen').style.display = 'none';
+    document.getElementById('challengeNotification').style.display = 'none';
+    document.getElementById('pauseScreen').style.display = 'none';
+    document.getElementById('practicePanel').style.display = 'none';
+    document.getElementById('countdown').style.display = 'none';
+    document.getElementById('pauseButton').style.display = race ? 'none' : 'flex';
+    document.getElementById('raceStandings').style.display = 'none';
+    this.notificationTimer = 0;
+    document.getElementById('replayBadge').style.display = replay ? 'block' : 'none';
+    document.getElementById('ghostDelta').style.display = this.ghost ? 'block' : 'none';
+    this.shownAdaptiveLevel = null;
+    document.getElementById('adaptiveLevel').style.display = adaptive ? 'block' : 'none';
+    this.updateAdaptiveLevel();
+    this.shownModeHud = null;
+    this.updateModeHud();
+    this.shownPowerupHud = null;
+    this.updatePowerupHud();
+    this.trailPoints = [];
+    document.getElementById('coinHud').style.display = 'block';
+    document.getElementById('coinResult').style.display = 'none';
+    this.updateCoinHud();
+    this.runLevel = level;
+    this.runDaily = daily;
+    document.getElementById('levelHud').style.display = level || daily || practice || race || players > 1 ? 'block' : 'none';
+    this.updateLevelHud();
+
+    // Mostrar los botones de habilidades (salvo si el modo o el reto las desactivan)
+    this.updateAbilityBarVisibility();
+
+    this.updateScoreDisplay();
+
+    // Inicializar UI de habilidades
     this.updateAbilityUI();
-    this.updateSpeedBoostUI();
 
     // Reproducir música de fondo
     this.playBackgroundMusic();
@@ -1096,220 +1404,2249 @@ class Game {
     // Detener música de fondo
     this.stopBackgroundMusic();
 
-    // Actualizar récord
-    if (this.score > this.highScore) {
-      this.highScore = this.score;
-      setHighScore(this.highScore);
-      this.updateHighScoreDisplay();
+    // Las repeticiones no cuentan para el récord
+    const score = this.sim.score;
+    const adaptive = this.sim.adaptive;
+    const course = this.sim.course;
+    const daily = this.runDaily;
+    const mode = this.sim.mode;
+    // Las monedas solo se ganan en las partidas que se graban: no en repeticiones,
+    // prácticas (rebobinar permitiría recogerlas otra vez), partidas a dos ni carreras
+    const earnsCoins = this.recorder !== null;
+    if (this.activeRace) {
+      this.race.finish(score, this.sim.tick);
+    }
+    let bestToday = false;
+    let newRecord = false;
+    if (this.recorder) {
+      this.lastReplay = this.recorder.finish(score, this.sim.tick);
+      this.recorder = null;
+
+      if (course) {
+        // Los recorridos y niveles tampoco cuentan para el récord
+        this.lastReplay.course = course;
+        if (this.activeLevel) {
+          this.lastReplay.level = this.activeLevel.id;
+        }
+      } else if (daily) {
+        // El reto diario tiene su propia mejor puntuación por día
+        this.lastReplay.daily = daily;
+        bestToday = saveDailyScore(daily.date, score);
+      } else if (adaptive) {
+        // El modo adaptativo nunca cuenta para el récord: solo alimenta su historial
+        this.lastReplay.adaptive = { startLevel: adaptive.startLevel };
+        saveAdaptiveRun(adaptive.getSummary());
+      } else if (this.ghostRecorder) {
+        // Guardar la trayectoria si es la mejor partida
+        const ghost = this.ghostRecorder.finish(score);
+        this.ghostRecorder = null;
+        if (isBetterGhost(ghost, loadGhost(this.difficulty))) {
+          saveGhost(ghost);
+        }
+      }
+
+      // Actualizar récord del modo y preset jugados
+      if (!adaptive && !course && !daily) {
+        newRecord = saveRecord(mode.id, this.difficulty, score);
+        this.highScore = getRecord(this.mode, this.difficulty);
+        this.updateHighScoreDisplay();
+      }
     }
 
-    document.getElementById('finalScore').textContent = `Puntuación: ${this.score}`;
+    document.getElementById('replayBadge').style.display = 'none';
+    document.getElementById('ghostDelta').style.display = 'none';
+    document.getElementById('adaptiveLevel').style.display = 'none';
+    document.getElementById('levelHud').style.display = 'none';
+    document.getElementById('modeHud').style.display = 'none';
+    document.getElementById('coinHud').style.display = 'none';
+    document.getElementById('powerupHud').style.display = 'none';
+    document.getElementById('pauseButton').style.display = 'none';
+    document.getElementById('pauseScreen').style.display = 'none';
+    const coins = earnsCoins ? this.sim.coinsCollected : 0;
+    this.awardCoins(coins);
+    this.showCoinResult(coins);
+    this.resetReplayButtons();
+    this.updateGhostButton();
+    let title = '¡Game Over!';
+    if (this.sim.birds.length > 1) {
+      const winner = this.sim.getWinner();
+      title = winner === null ? '¡Empate!' : `¡Gana el Jugador ${winner + 1}!`;
+    } else if (this.activeRace) {
+      title = '¡Carrera terminada!';
+    } else if (this.sim.completed) {
+      title = '¡Recorrido completado!';
+    } else if (this.sim.timeUp) {
+      title = '¡Tiempo!';
+    } else if (!this.sim.bird.isDying) {
+      title = 'Partida terminada';
+    }
+    document.getElementById('gameOverTitle').textContent = title;
+    this.showModeResult(mode, newRecord);
+    document.getElementById('backToEditorButton').style.display = this.activeCourse ? 'inline-block' : 'none';
+    this.showLevelResult(this.runLevel, !this.playback);
+    if (course) {
+      document.getElementById('finalScore').textContent = `Puntuación: ${score} / ${course.pipes.length}`;
+      document.getElementById('runSeed').textContent = this.runLevel
+        ? `Campaña · ${course.name}`
+        : `Recorrido: ${course.name}`;
+    } else if (daily) {
+      document.getElementById('finalScore').textContent = `Puntuación: ${score}`;
+      const best = loadDailyHistory()[daily.date] ?? score;
+      document.getElementById('runSeed').textContent = bestToday
+        ? `Reto diario ${daily.date} · ${daily.modifier.name} · ¡Nuevo mejor del día!`
+        : `Reto diario ${daily.date} · ${daily.modifier.name} · Mejor del día: ${best}`;
+    } else if (this.sim.birds.length > 1) {
+      document.getElementById('finalScore').textContent = this.sim.birds
+        .map(bird => `Jugador ${bird.player + 1}: ${bird.score}`)
+        .join(' · ');
+      document.getElementById('runSeed').textContent =
+        `Semilla: ${this.sim.seed} · Dos jugadores · ${this.sim.difficulty.name}`;
+    } else if (this.activeRace) {
+      document.getElementById('finalScore').textContent = `Puntuación: ${score}`;
+      document.getElementById('runSeed').textContent = `Carrera online · Sala ${this.raceRoom}`;
+      this.showRaceStandings(null);
+    } else {
+      document.getElementById('finalScore').textContent = `Puntuación: ${score}`;
+      const runDifficulty = adaptive
+        ? `${ADAPTIVE_CURVE.name} (nivel ${adaptive.level.toFixed(1)})`
+        : this.sim.difficulty.name;
+      const runMode = mode.id === DEFAULT_MODE ? '' : ` · ${mode.name}`;
+      document.getElementById('runSeed').textContent = `Semilla: ${this.sim.seed}${runMode} · ${runDifficulty}`;
+    }
     document.getElementById('gameOverScreen').style.display = 'flex';
   }
 
   /**
-   * Renderiza el juego
+   * Reproduce una repetición desde el principio
+   * @param {Object} replay - Repetición a reproducir
    */
-  render() {
-    this.renderer.clear();
-    this.renderer.drawBackground();
-
-    if (this.state === 'playing' || this.state === 'gameover') {
-      this.renderer.drawPipes(this.pipes, this.abilities.speedBoost.active);
-      this.renderer.drawBird(this.bird, this.abilities.invulnerability.active);
-    }
+  watchReplay(replay) {
+    document.getElementById('replayModal').classList.remove('visible');
+    this.startGame(replay.seed, replay);
   }
 
   /**
-   * Actualiza el display de puntuación
+   * Configura los botones de repetición (game over y pantalla de inicio)
    */
-  updateScoreDisplay() {
-    document.getElementById('score').textContent = this.score;
+  setupReplayUI() {
+    const watchButton = document.getElementById('watchReplayButton');
+    const saveButton = document.getElementById('saveReplayButton');
+    const copyButton = document.getElementById('copyReplayButton');
+    const replaysButton = document.getElementById('replaysButton');
+    const replayModal = document.getElementById('replayModal');
+    const closeReplays = document.getElementById('closeReplays');
+    const loadReplayButton = document.getElementById('loadReplayButton');
+    const replayCodeInput = document.getElementById('replayCodeInput');
+
+    if (!watchButton || !saveButton || !copyButton || !replaysButton || !replayModal) {
+      return;
+    }
+
+    watchButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this.lastReplay) {
+        this.watchReplay(this.lastReplay);
+      }
+    });
+
+    saveButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (!this.lastReplay) {
+        return;
+      }
+      const kept = saveReplay(this.lastReplay);
+      saveButton.textContent = kept ? 'Guardada' : 'No supera las mejores';
+      saveButton.disabled = true;
+    });
+
+    copyButton.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      if (!this.lastReplay) {
+        return;
+      }
+      const code = encodeReplay(this.lastReplay);
+      try {
+        await navigator.clipboard.writeText(code);
+        copyButton.textContent = 'Código copiado';
+      } catch (error) {
+        // Sin acceso al portapapeles: mostrar el código para copiarlo a mano
+        prompt('Copia el código de la repetición:', code);
+      }
+    });
+
+    replaysButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.updateReplayList();
+      replayModal.classList.add('visible');
+    });
+
+    closeReplays.addEventListener('click', (e) => {
+      e.stopPropagation();
+      replayModal.classList.remove('visible');
+    });
+
+    replayModal.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (e.target === replayModal) {
+        replayModal.classList.remove('visible');
+      }
+    });
+
+    loadReplayButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      try {
+        this.watchReplay(decodeReplay(replayCodeInput.value));
+        replayCodeInput.value = '';
+      } catch (error) {
+        alert(error.message);
+      }
+    });
   }
 
   /**
-   * Actualiza el display de récord
+   * Restablece los botones de repetición de la pantalla de game over
    */
-  updateHighScoreDisplay() {
-    document.getElementById('highScore').textContent = `Récord: ${this.highScore}`;
+  resetReplayButtons() {
+    const watchButton = document.getElementById('watchReplayButton');
+    const saveButton = document.getElementById('saveReplayButton');
+    const copyButton = document.getElementById('copyReplayButton');
+    if (!watchButton || !saveButton || !copyButton) {
+      return;
+    }
+    saveButton.textContent = 'Guardar repetición';
+    saveButton.disabled = false;
+    copyButton.textContent = 'Copiar código';
+
+    // El código de repetición no guarda el nivel adaptativo, el recorrido ni la regla del
+    // reto diario: solo se puede ver ahora
+    // (las partidas a dos no tienen repetición)
+    const replay = this.lastReplay;
+    const shareable = Boolean(replay) && !(replay.adaptive || replay.course || replay.daily);
+    watchButton.style.display = replay ? '' : 'none';
+    saveButton.style.display = shareable ? '' : 'none';
+    copyButton.style.display = shareable ? '' : 'none';
   }
 
   /**
-   * Configura el arrastre del botón de habilidad
+   * Actualiza la lista de repeticiones guardadas
    */
-  setupAbilityButtonDrag() {
-    const abilityContainer = document.getElementById('abilityContainer');
-    const abilityButton = document.getElementById('abilityButton');
-
-    if (!abilityContainer || !abilityButton) {
+  updateReplayList() {
+    const replayList = document.getElementById('replayList');
+    if (!replayList) {
       return;
     }
 
-    let isDragging = false;
-    let startX = 0;
-    let startY = 0;
-    let initialX = 0;
-    let initialY = 0;
-    let moveMode = false;
+    replayList.innerHTML = '';
+    const replays = loadSavedReplays();
 
-    // Función para obtener posición desde estilo
-    const getPosition = (element) => {
-      const style = window.getComputedStyle(element);
-      const left = parseFloat(style.left) || 0;
-      const bottom = parseFloat(style.bottom) || 0;
-      const top = parseFloat(style.top) || 0;
-      const _right = parseFloat(style.right) || 0;
+    if (replays.length === 0) {
+      replayList.textContent = 'Aún no hay repeticiones guardadas';
+      return;
+    }
 
-      // Convertir a coordenadas absolutas
-      if (style.bottom !== 'auto') {
-        return { x: left, y: window.innerHeight - bottom - element.offsetHeight };
-      } else {
-        return { x: left, y: top };
+    replays.forEach(replay => {
+      const item = document.createElement('button');
+      item.className = 'replay-item';
+      const date = new Date(replay.savedAt).toLocaleDateString();
+      // Las de versiones anteriores se conservan, pero ya no se pueden reproducir
+      if (replay.outdated) {
+        item.textContent = `Versión anterior · ${date}`;
+        item.title = 'Esta repetición se grabó con otra versión del juego y no se puede reproducir';
+        item.disabled = true;
+        replayList.appendChild(item);
+        return;
       }
-    };
+      item.textContent = `${replay.score} puntos · ${getDifficultyPreset(replay.difficulty).name} · ${date}`;
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.watchReplay(replay);
+      });
+      replayList.appendChild(item);
+    });
+  }
 
-    // Función para establecer posición
-    const setPosition = (element, x, y) => {
-      // Mantener dentro de los límites de la pantalla
-      const maxX = window.innerWidth - element.offsetWidth;
-      const maxY = window.innerHeight - element.offsetHeight;
+  /**
+   * Lee una semilla forzada desde la URL (?seed=123) para reproducir partidas
+   * @returns {number|null} - Semilla o null si no hay ninguna válida
+   */
+  getSeedFromUrl() {
+    const value = new URLSearchParams(window.location.search).get('seed');
+    if (value === null || !/^\d+$/.test(value)) {
+      return null;
+    }
+    return parseInt(value, 10) >>> 0;
+  }
 
-      x = Math.max(0, Math.min(x, maxX));
-      y = Math.max(0, Math.min(y, maxY));
+  /**
+   * Renderiza el juego
+   */
+  render() {
+    this.renderer.clear();
+    this.renderer.drawBackground();
 
-      element.style.left = `${x}px`;
-      element.style.top = `${y}px`;
-      element.style.bottom = 'auto';
-      element.style.right = 'auto';
-    };
+    if (this.state !== 'start') {
+      // Efectos de dibujo de las habilidades activas (ver abilities.js)
+      const abilities = this.sim.abilities;
+      const auras = getActiveEffects(abilities, 'render', 'aura');
+      const boostedPipes = getActiveEffects(abilities, 'render', 'pipes').includes('boost');
+      const birdAlpha = Math.min(1, ...getActiveEffects(abilities, 'render', 'birdAlpha'));
+      this.renderer.drawPipes(this.sim.pipes, boostedPipes, this.equipped.pipeTheme.palette);
+      this.renderer.drawItems(this.sim.items);
+      this.renderer.drawCoins(this.sim.coins);
+      this.renderer.drawPowerups(this.sim.powerupItems);
+      this.drawGhost();
+      this.drawRaceOpponents();
+      this.drawTrail();
+      // El aspecto comprado es el del primer jugador (el segundo siempre es azul).
+      // Los potenciadores solo existen en las partidas de un jugador
+      const powerups = this.sim.powerups;
+      this.sim.birds.forEach(bird => {
+        this.renderer.drawBird(bird, auras.includes('shield'), {
+          player: bird.player,
+          skin: bird.player === 0 ? this.equipped.skin.colors : null,
+          scale: this.sim.getBirdScale(),
+          shield: powerups.shield.active ? powerups.shield.charges : 0,
+          magnet: powerups.magnet.active ? POWERUP_TYPES.magnet.range : 0,
+          alpha: birdAlpha,
+          burst: auras.includes('burst')
+        });
+      });
 
-    // Iniciar arrastre
-    const startDrag = (e) => {
-      if (!moveMode) {
-        return;
+      // Tinte de cámara lenta mientras dure la del potenciador o la de una habilidad
+      const slowTimers = Object.values(ABILITIES)
+        .filter(ability => ability.render && ability.render.overlay === 'slow' && abilities[ability.id].active)
+        .map(ability => abilities[ability.id].activeTimer);
+      if (powerups.slowTime.active) {
+        slowTimers.push(powerups.slowTime.activeTimer);
+      }
+      if (slowTimers.length > 0) {
+        this.renderer.drawSlowTime(Math.max(...slowTimers));
       }
 
-      e.preventDefault();
-      e.stopPropagation();
-
-      // Prevenir activación de habilidad durante arrastre
-      abilityButton.style.pointerEvents = 'none';
-
-      isDragging = true;
-      abilityContainer.classList.add('dragging');
-
-      const pos = getPosition(abilityContainer);
-      initialX = pos.x;
-      initialY = pos.y;
+      if (this.showHitboxes) {
+        const pipeRects = this.sim.pipes.flatMap(pair => getPipeHitRects(pair, this.sim.height));
+        const hitboxes = this.sim.birds.map(bird => this.sim.getBirdHitbox(bird));
+        this.renderer.drawHitboxes(hitboxes, pipeRects);
+      }
+    }
 
-      const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-      const clientY = e.touches ? e.touches[0].clientY : e.clientY;
+    this.updateTouchZoneOverlay();
+  }
 
-      startX = clientX - initialX;
-      startY = clientY - initialY;
-    };
+  /**
+   * Dibuja el fantasma de la mejor partida en su posición relativa al jugador
+   */
+  drawGhost() {
+    if (!this.ghost) {
+      return;
+    }
 
-    // Mover durante el arrastre
-    const drag = (e) => {
-      if (!isDragging || !moveMode) {
-        return;
-      }
+    const ghostState = getGhostState(this.ghost, this.sim.tick);
+    if (!ghostState) {
+      return;
+    }
 
-      e.preventDefault();
+    // El pájaro está fijo en X: el fantasma se desplaza según la diferencia de distancia
+    const bird = this.sim.bird;
+    this.renderer.drawBird({
+      x: bird.x + (ghostState.distance - this.sim.distance),
+      y: ghostState.y,
+      width: bird.width,
+      height: bird.height,
+      rotation: ghostState.rotation,
+      wingPhase: ghostState.finished ? 0 : this.sim.tick * 0.2,
+      isDying: ghostState.finished
+    }, false, { ghost: true });
+  }
 
-      const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-      const clientY = e.touches ? e.touches[0].clientY : e.clientY;
+  /**
+   * Actualiza el indicador de ventaja o desventaja respecto al fantasma
+   */
+  updateGhostDelta() {
+    if (!this.ghost) {
+      return;
+    }
 
-      const newX = clientX - startX;
-      const newY = clientY - startY;
+    const ghostState = getGhostState(this.ghost, this.sim.tick);
+    if (!ghostState) {
+      return;
+    }
 
-      setPosition(abilityContainer, newX, newY);
-    };
+    const ghostDelta = document.getElementById('ghostDelta');
+    const meters = Math.round((this.sim.distance - ghostState.distance) / PIXELS_PER_METER);
+    ghostDelta.textContent = `Fantasma: ${meters > 0 ? '+' : ''}${meters} m`;
+    ghostDelta.classList.toggle('ahead', meters > 0);
+    ghostDelta.classList.toggle('behind', meters < 0);
+  }
 
-    // Finalizar arrastre
-    const stopDrag = () => {
-      if (!isDragging) {
-        return;
-      }
+  /**
+   * Configura el modo fantasma y su opción en el panel de configuración
+   */
+  setupGhostUI() {
+    const ghostModeButton = document.getElementById('ghostModeButton');
+    const showGhostToggle = document.getElementById('showGhostToggle');
 
-      isDragging = false;
-      abilityContainer.classList.remove('dragging');
+    if (ghostModeButton) {
+      ghostModeButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const ghost = loadGhost(this.difficulty);
+        if (ghost) {
+          // Misma semilla que la mejor partida: ambos pájaros ven los mismos tubos
+          this.startGame(ghost.seed);
+        }
+      });
+    }
 
-      // Restaurar eventos del botón
-      setTimeout(() => {
-        abilityButton.style.pointerEvents = '';
-      }, 100);
+    if (showGhostToggle) {
+      showGhostToggle.checked = this.showGhost;
+      showGhostToggle.addEventListener('change', () => {
+        this.showGhost = showGhostToggle.checked;
+        localStorage.setItem('showGhost', String(this.showGhost));
+        this.updateGhostButton();
+      });
+    }
 
-      // Guardar posición
-      const pos = getPosition(abilityContainer);
-      this.saveAbilityButtonPosition(pos.x, pos.y);
-    };
+    this.updateGhostButton();
+  }
 
-    // Event listeners para mouse
-    abilityButton.addEventListener('mousedown', startDrag);
-    document.addEventListener('mousemove', drag);
-    document.addEventListener('mouseup', stopDrag);
-
-    // Event listeners para touch
-    abilityButton.addEventListener('touchstart', startDrag, { passive: false });
-    document.addEventListener('touchmove', drag, { passive: false });
-    document.addEventListener('touchend', stopDrag);
-
-    // Guardar referencia para setMoveMode
-    this._abilityButtonDrag = {
-      setMoveMode: (enabled) => {
-        moveMode = enabled;
-        if (enabled) {
-          abilityButton.classList.add('move-mode');
-        } else {
-          abilityButton.classList.remove('move-mode');
-          abilityContainer.classList.remove('dragging');
-          isDragging = false;
-        }
-      }
-    };
+  /**
+   * Juega un recorrido del editor
+   * @param {Object} course - Recorrido a jugar
+   */
+  startCourse(course) {
+    this.activeCourse = normalizeCourse(course, this.sim.height);
+    this.activeLevel = null;
+    this.activeDaily = null;
+    this.activePractice = false;
+    this.activeVersus = false;
+    this.activeRace = false;
+    this.startGame();
   }
 
   /**
-   * Activa o desactiva el modo de mover el botón
-   * @param {boolean} enabled - Si está habilitado
+   * Configura la entrada al editor de recorridos y la vuelta desde una prueba
    */
-  setMoveMode(enabled) {
-    if (this._abilityButtonDrag) {
-      this._abilityButtonDrag.setMoveMode(enabled);
+  setupEditorUI() {
+    const editorButton = document.getElementById('editorButton');
+    const backToEditorButton = document.getElementById('backToEditorButton');
+
+    if (editorButton) {
+      editorButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.editor.open();
+      });
+    }
+
+    if (backToEditorButton) {
+      backToEditorButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.returnToMenu();
+        this.editor.open();
+      });
     }
   }
 
   /**
-   * Carga la posición guardada del botón de habilidad
+   * Configura la pantalla de selección de nivel y los botones de la campaña
    */
-  loadAbilityButtonPosition() {
-    const abilityContainer = document.getElementById('abilityContainer');
-    if (!abilityContainer) {
+  setupCampaignUI() {
+    const levelSelectScreen = document.getElementById('levelSelectScreen');
+    const campaignButton = document.getElementById('campaignButton');
+    const closeLevelSelect = document.getElementById('closeLevelSelect');
+    const nextLevelButton = document.getElementById('nextLevelButton');
+    const levelsButton = document.getElementById('levelsButton');
+
+    if (!levelSelectScreen) {
       return;
     }
 
-    const saved = localStorage.getItem('abilityButtonPosition');
-    if (saved) {
-      try {
-        const pos = JSON.parse(saved);
-        abilityContainer.style.left = `${pos.x}px`;
-        abilityContainer.style.top = `${pos.y}px`;
-        abilityContainer.style.bottom = 'auto';
-        abilityContainer.style.right = 'auto';
-      } catch (e) {
-        console.warn('Error cargando posición del botón:', e);
-      }
+    // Evitar que los clics lleguen a la pantalla de inicio (que empezaría la partida)
+    levelSelectScreen.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+
+    if (campaignButton) {
+      campaignButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.openLevelSelect();
+      });
+    }
+
+    if (closeLevelSelect) {
+      closeLevelSelect.addEventListener('click', () => {
+        levelSelectScreen.classList.remove('visible');
+      });
+    }
+
+    if (nextLevelButton) {
+      nextLevelButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const next = this.activeLevel && getNextCampaignLevel(this.activeLevel.id);
+        if (next) {
+          this.startLevel(next);
+        }
+      });
+    }
+
+    if (levelsButton) {
+      levelsButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.returnToMenu();
+        this.openLevelSelect();
+      });
     }
   }
 
   /**
-   * Guarda la posición del botón de habilidad
-   * @param {number} x - Posición X
-   * @param {number} y - Posición Y
+   * Abre la selección de nivel con las estrellas conseguidas en cada uno
    */
-  saveAbilityButtonPosition(x, y) {
-    localStorage.setItem('abilityButtonPosition', JSON.stringify({ x, y }));
+  openLevelSelect() {
+    const levelSelectScreen = document.getElementById('levelSelectScreen');
+    const levelList = document.getElementById('levelList');
+    if (!levelSelectScreen || !levelList) {
+      return;
+    }
+
+    const progress = loadCampaignProgress();
+    levelList.innerHTML = '';
+    CAMPAIGN_LEVELS.forEach((level, index) => {
+      const unlocked = isLevelUnlocked(index, progress);
+      const button = document.createElement('button');
+      button.className = 'level-option secondary-button';
+      button.disabled = !unlocked;
+
+      const name = document.createElement('span');
+      name.textContent = `${index + 1}. ${level.name}`;
+      const stars = document.createElement('span');
+      stars.className = 'level-stars';
+      stars.textContent = unlocked ? this.getStarsText(progress[level.id] || 0) : 'Bloqueado';
+      button.append(name, stars);
+
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        levelSelectScreen.classList.remove('visible');
+        this.startLevel(level);
+      });
+      levelList.appendChild(button);
+    });
+
+    const total = CAMPAIGN_LEVELS.reduce((sum, level) => sum + (progress[level.id] || 0), 0);
+    document.getElementById('campaignStars').textContent =
+      `Estrellas: ${total} / ${CAMPAIGN_LEVELS.length * MAX_STARS}`;
+    levelSelectScreen.classList.add('visible');
+  }
+
+  /**
+   * Juega un nivel de la campaña
+   * @param {Object} level - Nivel a jugar
+   */
+  startLevel(level) {
+    this.activeCourse = null;
+    this.activeDaily = null;
+    this.activePractice = false;
+    this.activeVersus = false;
+    this.activeRace = false;
+    this.activeLevel = level;
+    this.startGame();
+  }
+
+  /**
+   * Obtiene las estrellas como texto (★ conseguidas, ☆ pendientes)
+   * @param {number} stars - Estrellas conseguidas
+   * @returns {string}
+   */
+  getStarsText(stars) {
+    return '★'.repeat(stars) + '☆'.repeat(MAX_STARS - stars);
+  }
+
+  /**
+   * Muestra en el game over los objetivos y estrellas del nivel jugado
+   * @param {Object|null} level - Nivel jugado (null fuera de la campaña)
+   * @param {boolean} save - Si se guarda el resultado (no en repeticiones)
+   */
+  showLevelResult(level, save) {
+    const levelResult = document.getElementById('levelResult');
+    const nextLevelButton = document.getElementById('nextLevelButton');
+    const levelsButton = document.getElementById('levelsButton');
+
+    levelResult.style.display = level ? 'block' : 'none';
+    levelsButton.style.display = level ? 'inline-block' : 'none';
+    nextLevelButton.style.display = 'none';
+    if (!level) {
+      return;
+    }
+
+    const result = evaluateLevel(level, this.sim);
+    if (save) {
+      saveLevelStars(level.id, result.stars);
+    }
+
+    levelResult.innerHTML = '';
+    const stars = document.createElement('div');
+    stars.className = 'level-stars';
+    stars.textContent = this.getStarsText(result.stars);
+    levelResult.appendChild(stars);
+    result.goals.forEach(goal => {
+      const item = document.createElement('div');
+      item.className = goal.met ? 'level-goal met' : 'level-goal';
+      item.textContent = `${goal.met ? '✔' : '✘'} ${goal.label}`;
+      levelResult.appendChild(item);
+    });
+
+    document.getElementById('gameOverTitle').textContent = result.cleared ? '¡Nivel superado!' : '¡Nivel fallido!';
+    if (save && result.cleared && getNextCampaignLevel(level.id)) {
+      nextLevelButton.style.display = 'inline-block';
+    }
+  }
+
+  /**
+   * Actualiza el indicador del nivel de la campaña en el HUD
+   */
+  updateLevelHud() {
+    if (this.activeRace) {
+      document.getElementById('levelHud').textContent =
+        `Carrera online · Sala ${this.raceRoom} · Rivales: ${this.race.opponents.size}`;
+      return;
+    }
+    if (this.sim.birds.length > 1) {
+      document.getElementById('levelHud').textContent = 'J1: Espacio o mitad izquierda · J2: ↑ o mitad derecha';
+      return;
+    }
+    if (this.practice) {
+      const speed = this.practiceSpeed < 1 ? ` · Cámara lenta ×${this.practiceSpeed}` : '';
+      document.getElementById('levelHud').textContent = `Práctica${speed}`;
+      return;
+    }
+    if (this.runDaily) {
+      document.getElementById('levelHud').textContent = `Reto diario · ${this.runDaily.modifier.name}`;
+      return;
+    }
+
+    const level = this.runLevel;
+    if (!level) {
+      return;
+    }
+
+    const itemGoal = level.goals.find(goal => goal.type === 'items');
+    const items = itemGoal ? ` · Objetos: ${this.sim.itemsCollected}` : '';
+    document.getElementById('levelHud').textContent = `${level.name}${items}`;
+  }
+
+  /**
+   * Configura la pantalla del reto diario
+   */
+  setupDailyUI() {
+    const dailyScreen = document.getElementById('dailyScreen');
+    const dailyButton = document.getElementById('dailyButton');
+    if (!dailyScreen) {
+      return;
+    }
+
+    // Evitar que los clics lleguen a la pantalla de inicio (que empezaría la partida)
+    dailyScreen.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+
+    if (dailyButton) {
+      dailyButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.openDailyScreen();
+      });
+    }
+
+    document.getElementById('closeDaily').addEventListener('click', () => {
+      dailyScreen.classList.remove('visible');
+    });
+
+    document.getElementById('playDailyButton').addEventListener('click', () => {
+      dailyScreen.classList.remove('visible');
+      this.startDaily();
+    });
+
+    document.getElementById('dailyPrevMonth').addEventListener('click', () => this.changeCalendarMonth(-1));
+    document.getElementById('dailyNextMonth').addEventListener('click', () => this.changeCalendarMonth(1));
+  }
+
+  /**
+   * Abre la pantalla del reto diario con el reto de hoy, las rachas y el calendario
+   */
+  openDailyScreen() {
+    const dailyScreen = document.getElementById('dailyScreen');
+    if (!dailyScreen) {
+      return;
+    }
+
+    const challenge = getDailyChallenge();
+    const history = loadDailyHistory();
+    const best = history[challenge.date];
+
+    document.getElementById('dailyModifier').textContent = `${challenge.modifier.name}: ${challenge.modifier.description}`;
+    document.getElementById('dailyBest').textContent = best === undefined
+      ? 'Aún no has jugado el reto de hoy'
+      : `Mejor de hoy: ${best}`;
+    document.getElementById('dailyStreak').textContent =
+      `Racha: ${getDailyStreak(history)} días · Mejor racha: ${getBestDailyStreak(history)} días`;
+
+    const today = new Date();
+    this.calendarMonth = { year: today.getFullYear(), month: today.getMonth() };
+    this.renderDailyCalendar();
+    dailyScreen.classList.add('visible');
+  }
+
+  /**
+   * Cambia el mes mostrado en el calendario del reto diario
+   * @param {number} delta - Meses a avanzar (negativo para retroceder)
+   */
+  changeCalendarMonth(delta) {
+    const date = new Date(this.calendarMonth.year, this.calendarMonth.month + delta, 1);
+    this.calendarMonth = { year: date.getFullYear(), month: date.getMonth() };
+    this.renderDailyCalendar();
+  }
+
+  /**
+   * Dibuja el calendario del mes con la mejor puntuación de cada reto jugado
+   */
+  renderDailyCalendar() {
+    const calendar = document.getElementById('dailyCalendar');
+    const { year, month } = this.calendarMonth;
+    const history = loadDailyHistory();
+    const todayKey = getDateKey();
+
+    document.getElementById('dailyMonth').textContent =
+      new Date(year, month, 1).toLocaleDateString('es', { month: 'long', year: 'numeric' });
+
+    calendar.innerHTML = '';
+    WEEKDAY_NAMES.forEach(name => {
+      const header = document.createElement('div');
+      header.className = 'calendar-header';
+      header.textContent = name;
+      calendar.appendChild(header);
+    });
+
+    getCalendarDays(year, month).forEach(dateKey => {
+      const cell = document.createElement('div');
+      cell.className = 'calendar-day';
+      if (dateKey) {
+        const score = history[dateKey];
+        cell.classList.toggle('played', score !== undefined);
+        cell.classList.toggle('today', dateKey === todayKey);
+        cell.textContent = String(Number(dateKey.slice(8)));
+        if (score !== undefined) {
+          const best = document.createElement('span');
+          best.textContent = score;
+          cell.appendChild(best);
+        }
+      }
+      calendar.appendChild(cell);
+    });
+  }
+
+  /**
+   * Juega el reto diario de hoy
+   */
+  startDaily() {
+    this.activeCourse = null;
+    this.activeLevel = null;
+    this.activePractice = false;
+    this.activeVersus = false;
+    this.activeRace = false;
+    this.activeDaily = getDailyChallenge();
+    this.startGame();
+  }
+
+  /**
+   * Configura la entrada al modo práctica y el panel de rebobinado
+   */
+  setupPracticeUI() {
+    const practicePanel = document.getElementById('practicePanel');
+    const practiceButton = document.getElementById('practiceButton');
+    const practiceScrub = document.getElementById('practiceScrub');
+    const speedOptions = document.getElementById('practiceSpeedOptions');
+    if (!practicePanel || !practiceScrub || !speedOptions) {
+      return;
+    }
+
+    // Evitar que los clics en el panel lleguen al canvas (que haría saltar al pájaro)
+    practicePanel.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+
+    if (practiceButton) {
+      practiceButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.startPractice();
+      });
+    }
+
+    document.getElementById('rewindButton').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.openRewindPanel();
+    });
+
+    practiceScrub.addEventListener('input', () => {
+      this.previewRewind(parseInt(practiceScrub.value, 10));
+    });
+
+    document.getElementById('checkpointButton').addEventListener('click', () => {
+      this.rewindTarget = this.practice.getCheckpoint(this.rewindTick);
+      this.continuePractice();
+    });
+    document.getElementById('continuePracticeButton').addEventListener('click', () => this.continuePractice());
+    document.getElementById('quitPracticeButton').addEventListener('click', () => this.quitToMenu());
+
+    PRACTICE_SPEEDS.forEach(speed => {
+      const button = document.createElement('button');
+      button.className = 'speed-option secondary-button';
+      button.dataset.speed = String(speed);
+      button.textContent = `×${speed}`;
+      button.addEventListener('click', () => this.setPracticeSpeed(speed));
+      speedOptions.appendChild(button);
+    });
+    this.setPracticeSpeed(this.practiceSpeed);
+  }
+
+  /**
+   * Empieza una partida de práctica con el modo y la dificultad elegidos
+   */
+  startPractice() {
+    this.activeCourse = null;
+    this.activeLevel = null;
+    this.activeDaily = null;
+    this.activePractice = true;
+    this.activeVersus = false;
+    this.activeRace = false;
+    this.startGame();
+  }
+
+  /**
+   * Empieza una partida a dos jugadores con la dificultad elegida
+   */
+  startVersus() {
+    this.activeCourse = null;
+    this.activeLevel = null;
+    this.activeDaily = null;
+    this.activePractice = false;
+    this.activeVersus = true;
+    this.activeRace = false;
+    this.startGame();
+  }
+
+  /**
+   * Configura la pantalla de las carreras online y los avisos del servidor
+   */
+  setupRaceUI() {
+    const raceScreen = document.getElementById('raceScreen');
+    const raceButton = document.getElementById('raceButton');
+    const serverInput = document.getElementById('raceServerInput');
+    const nameInput = document.getElementById('raceNameInput');
+    const roomInput = document.getElementById('raceRoomInput');
+    if (!raceScreen || !serverInput || !nameInput || !roomInput) {
+      return;
+    }
+
+    // Evitar que los clics lleguen a la pantalla de inicio (que empezaría la partida)
+    raceScreen.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+
+    if (raceButton) {
+      raceButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.openRaceScreen();
+      });
+    }
+
+    serverInput.value = localStorage.getItem('raceServer') || getDefaultServerUrl(window.location);
+    nameInput.value = localStorage.getItem('raceName') || '';
+
+    document.getElementById('closeRace').addEventListener('click', () => {
+      raceScreen.classList.remove('visible');
+      // Desde el game over se vuelve al menú; desde el menú solo se sale de la sala
+      if (this.state === 'gameover') {
+        this.returnToMenu();
+      } else {
+        this.leaveRace();
+      }
+    });
+
+    document.getElementById('raceJoinButton').addEventListener('click', () => {
+      const room = roomInput.value.trim();
+      if (!room) {
+        this.setRaceStatus('Escribe el código de la sala');
+        return;
+      }
+      localStorage.setItem('raceServer', serverInput.value.trim());
+      localStorage.setItem('raceName', nameInput.value.trim());
+      this.setRaceStatus('Conectando...');
+      this.race.connect(serverInput.value.trim(), room, nameInput.value.trim());
+    });
+
+    document.getElementById('raceReadyButton').addEventListener('click', () => {
+      const self = this.race.players.find(player => player.id === this.race.id);
+      this.race.setReady(!(self && self.ready));
+    });
+
+    this.race.on('players', players => this.renderRacePlayers(players));
+    this.race.on('countdown', ({ seed, seconds }) => this.startRace(seed, seconds));
+    this.race.on('start', () => {
+      // La cuenta atrás local termina con la del servidor aunque vaya algo retrasada
+      if (this.activeRace && this.state === 'countdown') {
+        this.countdownTimer = 0;
+      }
+    });
+    this.race.on('finished', ({ name, score }) => {
+      if (this.activeRace && this.state === 'playing') {
+        this.showNotification(`${name} ha chocado con ${score} puntos`);
+      }
+    });
+    this.race.on('left', ({ name }) => {
+      if (this.activeRace && this.state !== 'gameover') {
+        this.showNotification(`${name} ha abandonado la carrera`);
+        this.updateLevelHud();
+      }
+    });
+    this.race.on('standings', standings => this.showRaceStandings(standings));
+    this.race.on('error', message => this.setRaceStatus(message));
+    this.race.on('disconnect', () => this.handleRaceDisconnect());
+  }
+
+  /**
+   * Abre la pantalla de las carreras online (la sala se mantiene entre carreras)
+   */
+  openRaceScreen() {
+    const raceScreen = document.getElementById('raceScreen');
+    if (!raceScreen) {
+      return;
+    }
+
+    if (this.race.isConnected()) {
+      this.renderRacePlayers(this.race.players);
+    } else {
+      this.setRaceStatus('');
+      this.renderRacePlayers([]);
+    }
+    raceScreen.classList.add('visible');
+  }
+
+  /**
+   * Muestra el estado de la conexión en la pantalla de las carreras
+   * @param {string} text - Texto a mostrar
+   */
+  setRaceStatus(text) {
+    const raceStatus = document.getElementById('raceStatus');
+    if (raceStatus) {
+      raceStatus.textContent = text;
+    }
+  }
+
+  /**
+   * Muestra la lista de jugadores de la sala
+   * @param {Array<Object>} players - Jugadores {id, name, ready}
+   */
+  renderRacePlayers(players) {
+    const racePlayers = document.getElementById('racePlayers');
+    if (!racePlayers) {
+      return;
+    }
+
+    racePlayers.innerHTML = '';
+    players.forEach(player => {
+      const item = document.createElement('li');
+      item.classList.toggle('ready', player.ready);
+      const self = player.id === this.race.id ? ' (tú)' : '';
+      item.textContent = `${player.name}${self} · ${player.ready ? 'Listo' : 'Esperando'}`;
+      racePlayers.appendChild(item);
+    });
+
+    const joined = this.race.room !== null;
+    const self = players.find(player => player.id === this.race.id);
+    const readyButton = document.getElementById('raceReadyButton');
+    readyButton.style.display = joined ? 'inline-block' : 'none';
+    readyButton.textContent = self && self.ready ? 'No estoy listo' : 'Estoy listo';
+    if (joined) {
+      this.setRaceStatus(players.length < 2
+        ? `Sala ${this.race.room} · Esperando a más jugadores`
+        : `Sala ${this.race.room} · La carrera empieza cuando todos estén listos`);
+    }
+  }
+
+  /**
+   * Empieza una carrera con la semilla de la sala tras la cuenta atrás del servidor
+   * @param {number} seed - Semilla compartida
+   * @param {number} seconds - Segundos de la cuenta atrás
+   */
+  startRace(seed, seconds) {
+    document.getElementById('raceScreen').classList.remove('visible');
+    this.activeCourse = null;
+    this.activeLevel = null;
+    this.activeDaily = null;
+    this.activePractice = false;
+    this.activeVersus = false;
+    this.activeRace = true;
+    this.raceRoom = this.race.room;
+    this.startGame(seed);
+    this.startCountdown(seconds);
+  }
+
+  /**
+   * Muestra la clasificación de la carrera en la pantalla de game over
+   * @param {Array<Object>|null} standings - Clasificación del servidor, o null mientras se espera
+   */
+  showRaceStandings(standings) {
+    const raceStandings = document.getElementById('raceStandings');
+    if (!raceStandings || !this.activeRace) {
+      return;
+    }
+
+    raceStandings.innerHTML = '';
+    if (!standings) {
+      raceStandings.textContent = this.race.isConnected()
+        ? 'Esperando a que terminen los demás...'
+        : 'Sin conexión con el servidor';
+    } else {
+      const list = document.createElement('ol');
+      standings.forEach(entry => {
+        const item = document.createElement('li');
+        const status = entry.disconnected ? ' (desconectado)' : '';
+        item.textContent = `${entry.name}: ${entry.score}${status}`;
+        item.classList.toggle('race-self', entry.id === this.race.id);
+        list.appendChild(item);
+      });
+      raceStandings.appendChild(list);
+    }
+    raceStandings.style.display = 'block';
+  }
+
+  /**
+   * Avisa de que se ha perdido la conexión; una carrera en curso sigue sin rivales
+   */
+  handleRaceDisconnect() {
+    this.renderRacePlayers([]);
+    this.setRaceStatus('Sin conexión con el servidor de carreras');
+    if (!this.activeRace) {
+      return;
+    }
+    if (this.state === 'gameover') {
+      this.showRaceStandings(null);
+    } else {
+      this.showNotification('Conexión perdida: la carrera sigue sin rivales');
+      this.updateLevelHud();
+    }
+  }
+
+  /**
+   * Sale de la sala y cierra la conexión con el servidor
+   */
+  leaveRace() {
+    this.race.close();
+    this.activeRace = false;
+    document.getElementById('raceStandings').style.display = 'none';
+  }
+
+  /**
+   * Dibuja a los rivales de la carrera como fantasmas con su nombre
+   */
+  drawRaceOpponents() {
+    if (!this.activeRace) {
+      return;
+    }
+
+    // Todos vuelan a la misma X; un rival que ya ha chocado se queda atrás con sus tubos
+    const bird = this.sim.bird;
+    this.race.getOpponentStates(this.sim.tick).forEach(opponent => {
+      const drawn = {
+        x: opponent.finished ? bird.x + (opponent.distance - this.sim.distance) : bird.x,
+        y: opponent.y,
+        width: bird.width,
+        height: bird.height,
+        rotation: opponent.rotation,
+        wingPhase: opponent.finished ? 0 : this.sim.tick * 0.2,
+        isDying: opponent.finished
+      };
+      this.renderer.drawBird(drawn, false, { ghost: true });
+      this.renderer.drawBirdLabel(drawn, opponent.name);
+    });
+  }
+
+  /**
+   * Guarda la posición del pájaro para su estela si hay una equipada
+   */
+  recordTrail() {
+    if (!this.equipped.trail.style || this.sim.tick % TRAIL_INTERVAL !== 0) {
+      return;
+    }
+    const bird = this.sim.bird;
+    this.trailPoints.push({ y: bird.y + bird.height / 2, distance: this.sim.distance });
+    if (this.trailPoints.length > TRAIL_LENGTH) {
+      this.trailPoints.shift();
+    }
+  }
+
+  /**
+   * Dibuja la estela del pájaro desplazada con el mundo
+   */
+  drawTrail() {
+    const bird = this.sim.bird;
+    // Tras rebobinar en práctica se descartan los puntos que aún no se han recorrido
+    const points = this.trailPoints
+      .filter(point => point.distance <= this.sim.distance)
+      .map(point => ({ x: bird.x + bird.width / 2 - (this.sim.distance - point.distance), y: point.y }));
+    this.renderer.drawTrail(points, this.equipped.trail);
+  }
+
+  /**
+   * Actualiza el contador de monedas de la partida
+   */
+  updateCoinHud() {
+    document.getElementById('coinHud').textContent = `● ${this.sim.coinsCollected}`;
+  }
+
+  /**
+   * Suma al monedero las monedas ganadas en la partida y lo guarda
+   * @param {number} coins - Monedas ganadas
+   */
+  awardCoins(coins) {
+    if (coins <= 0) {
+      return;
+    }
+    this.wallet.coins += coins;
+    saveWallet(this.wallet);
+    this.updateShopButton();
+  }
+
+  /**
+   * Muestra en el game over las monedas ganadas y el saldo del monedero
+   * @param {number} coins - Monedas ganadas
+   */
+  showCoinResult(coins) {
+    const coinResult = document.getElementById('coinResult');
+    coinResult.textContent = `+${coins} monedas · Tienes ${this.wallet.coins}`;
+    coinResult.style.display = coins > 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Configura la tienda de aspectos, estelas y temas de tubos
+   */
+  setupShopUI() {
+    const shopScreen = document.getElementById('shopScreen');
+    const shopButton = document.getElementById('shopButton');
+    if (!shopScreen) {
+      return;
+    }
+
+    // Evitar que los clics lleguen a la pantalla de inicio (que empezaría la partida)
+    shopScreen.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+
+    if (shopButton) {
+      shopButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.renderShop();
+        shopScreen.classList.add('visible');
+      });
+    }
+
+    document.getElementById('closeShop').addEventListener('click', () => {
+      shopScreen.classList.remove('visible');
+    });
+
+    this.updateShopButton();
+  }
+
+  /**
+   * Muestra el saldo en el botón de la tienda
+   */
+  updateShopButton() {
+    const shopButton = document.getElementById('shopButton');
+    if (shopButton) {
+      shopButton.textContent = `Tienda (● ${this.wallet.coins})`;
+    }
+  }
+
+  /**
+   * Dibuja el catálogo de la tienda con el estado de cada objeto
+   */
+  renderShop() {
+    const shopItems = document.getElementById('shopItems');
+    if (!shopItems) {
+      return;
+    }
+
+    document.getElementById('shopBalance').textContent = `Tienes ● ${this.wallet.coins} monedas`;
+    shopItems.innerHTML = '';
+    SHOP_CATEGORIES.forEach(category => {
+      const title = document.createElement('h3');
+      title.textContent = category.name;
+      shopItems.appendChild(title);
+
+      const grid = document.createElement('div');
+      grid.className = 'shop-grid';
+      getCategoryItems(category.id).forEach(item => {
+        const owned = this.wallet.owned.includes(item.id);
+        const equipped = this.wallet.equipped[category.id] === item.id;
+
+        const button = document.createElement('button');
+        button.className = 'shop-item secondary-button';
+        button.classList.toggle('equipped', equipped);
+        button.disabled = !owned && this.wallet.coins < item.price;
+
+        const swatch = document.createElement('span');
+        swatch.className = 'shop-swatch';
+        swatch.style.background = this.getShopSwatch(item);
+        const label = document.createElement('span');
+        label.textContent = item.name;
+        const status = document.createElement('span');
+        status.className = 'shop-status';
+        if (equipped) {
+          status.textContent = 'Equipado';
+        } else {
+          status.textContent = owned ? 'Equipar' : `● ${item.price}`;
+        }
+        button.append(swatch, label, status);
+
+        button.addEventListener('click', () => this.selectShopItem(item.id));
+        grid.appendChild(button);
+      });
+      shopItems.appendChild(grid);
+    });
+  }
+
+  /**
+   * Obtiene el fondo CSS de la muestra de un objeto de la tienda
+   * @param {Object} item - Objeto del catálogo
+   * @returns {string}
+   */
+  getShopSwatch(item) {
+    if (item.colors) {
+      return `linear-gradient(135deg, ${item.colors.body} 60%, ${item.colors.wing} 60%)`;
+    }
+    if (item.palette) {
+      return `linear-gradient(90deg, ${item.palette.border}, ${item.palette.fill}, ${item.palette.inner})`;
+    }
+    if (item.style === 'rainbow') {
+      return 'linear-gradient(90deg, #FF0000, #FFD700, #32CD32, #1E90FF, #8A2BE2)';
+    }
+    if (item.color) {
+      return item.color;
+    }
+    return item.category === 'pipeTheme' ? '#228B22' : 'transparent';
+  }
+
+  /**
+   * Compra un objeto (si no se tenía) y lo equipa
+   * @param {string} id - Id del objeto
+   */
+  selectShopItem(id) {
+    if (!this.wallet.owned.includes(id) && !buyItem(this.wallet, id)) {
+      return;
+    }
+    equipItem(this.wallet, id);
+    saveWallet(this.wallet);
+    this.equipped = getEquippedItems(this.wallet);
+    this.trailPoints = [];
+    this.updateShopButton();
+    this.renderShop();
+  }
+
+  /**
+   * Abre el panel de rebobinado tras un choque o desde la pausa
+   */
+  openRewindPanel() {
+    if (!this.practice || (this.state !== 'playing' && this.state !== 'paused')) {
+      return;
+    }
+
+    this.state = 'rewinding';
+    this.input.setEnabled(false);
+    this.pendingActions = [];
+    if (this.backgroundMusic) {
+      this.backgroundMusic.pause();
+    }
+
+    let title = 'Rebobinar';
+    if (this.sim.timeUp) {
+      title = '¡Tiempo!';
+    } else if (this.sim.completed) {
+      title = '¡Recorrido completado!';
+    } else if (this.sim.over) {
+      title = '¡Has chocado!';
+    }
+    document.getElementById('practiceTitle').textContent = title;
+
+    // Empezar un segundo antes del final para no volver justo al choque
+    const history = this.practice.history;
+    this.rewindTick = this.sim.tick;
+    const practiceScrub = document.getElementById('practiceScrub');
+    const index = history.findLastIndex(entry => this.practice.getSecondsBack(entry, this.rewindTick) >= 1);
+    practiceScrub.max = String(history.length - 1);
+    practiceScrub.value = String(Math.max(0, index));
+    this.previewRewind(Math.max(0, index));
+
+    document.getElementById('pauseScreen').style.display = 'none';
+    document.getElementById('countdown').style.display = 'none';
+    document.getElementById('practicePanel').style.display = 'flex';
+  }
+
+  /**
+   * Muestra la partida en una instantánea del historial sin descartar las demás
+   * @param {number} index - Posición en el historial
+   */
+  previewRewind(index) {
+    this.rewindTarget = this.practice.history[index];
+    this.sim.restoreSnapshot(this.rewindTarget);
+    this.refreshPracticeHud();
+
+    const seconds = this.practice.getSecondsBack(this.rewindTarget, this.rewindTick);
+    document.getElementById('practiceScrubLabel').textContent = `−${seconds.toFixed(1)} s`;
+  }
+
+  /**
+   * Sigue jugando desde la instantánea elegida tras una cuenta atrás
+   */
+  continuePractice() {
+    if (this.state !== 'rewinding' || !this.rewindTarget) {
+      return;
+    }
+
+    this.practice.rewind(this.sim, this.rewindTarget);
+    this.rewindTarget = null;
+    this.refreshPracticeHud();
+    document.getElementById('practicePanel').style.display = 'none';
+    this.startCountdown();
+  }
+
+  /**
+   * Actualiza el HUD tras cambiar el estado de la simulación
+   */
+  refreshPracticeHud() {
+    this.shownModeHud = null;
+    this.shownPowerupHud = null;
+    this.shownAdaptiveLevel = null;
+    this.updateScoreDisplay();
+    this.updateModeHud();
+    this.updatePowerupHud();
+    this.updateAdaptiveLevel();
+    this.updateAbilityUI();
+  }
+
+  /**
+   * Carga la velocidad de la cámara lenta guardada
+   * @returns {number} - Velocidad (1 es la normal)
+   */
+  loadPracticeSpeed() {
+    const saved = parseFloat(localStorage.getItem('practiceSpeed'));
+    return PRACTICE_SPEEDS.includes(saved) ? saved : 1;
+  }
+
+  /**
+   * Cambia la velocidad de la cámara lenta de la práctica
+   * @param {number} speed - Velocidad (1 es la normal)
+   */
+  setPracticeSpeed(speed) {
+    this.practiceSpeed = speed;
+    localStorage.setItem('practiceSpeed', String(speed));
+    document.querySelectorAll('.speed-option').forEach(button => {
+      button.classList.toggle('selected', button.dataset.speed === String(speed));
+    });
+    this.updateLevelHud();
+  }
+
+  /**
+   * Carga el margen de tolerancia de las colisiones guardado
+   * @returns {number} - Píxeles entre 0 y MAX_FORGIVENESS
+   */
+  loadForgiveness() {
+    const saved = parseInt(localStorage.getItem('hitboxForgiveness'), 10);
+    if (Number.isNaN(saved)) {
+      return DEFAULT_FORGIVENESS;
+    }
+    return Math.max(0, Math.min(MAX_FORGIVENESS, saved));
+  }
+
+  /**
+   * Configura el margen de tolerancia y la opción de mostrar las cajas de colisión
+   */
+  setupHitboxUI() {
+    const forgivenessSlider = document.getElementById('forgivenessSlider');
+    const forgivenessValue = document.getElementById('forgivenessValue');
+    const showHitboxesToggle = document.getElementById('showHitboxesToggle');
+
+    if (forgivenessSlider && forgivenessValue) {
+      forgivenessSlider.max = String(MAX_FORGIVENESS);
+      forgivenessSlider.value = String(this.forgiveness);
+      forgivenessValue.textContent = `${this.forgiveness} px`;
+      forgivenessSlider.addEventListener('input', () => {
+        this.forgiveness = parseInt(forgivenessSlider.value, 10);
+        forgivenessValue.textContent = `${this.forgiveness} px`;
+        localStorage.setItem('hitboxForgiveness', String(this.forgiveness));
+      });
+    }
+
+    if (showHitboxesToggle) {
+      showHitboxesToggle.checked = this.showHitboxes;
+      showHitboxesToggle.addEventListener('change', () => {
+        this.showHitboxes = showHitboxesToggle.checked;
+        localStorage.setItem('showHitboxes', String(this.showHitboxes));
+      });
+    }
+  }
+
+  /**
+   * Carga el ancho guardado de los bordes táctiles
+   * @returns {number} - Fracción del ancho de la pantalla entre MIN_EDGE_SIZE y MAX_EDGE_SIZE
+   */
+  loadTouchEdgeSize() {
+    const saved = parseFloat(localStorage.getItem('touchEdgeSize'));
+    if (Number.isNaN(saved)) {
+      return DEFAULT_EDGE_SIZE;
+    }
+    return Math.max(MIN_EDGE_SIZE, Math.min(MAX_EDGE_SIZE, saved));
+  }
+
+  /**
+   * Configura el ancho de los bordes táctiles, la vista de las zonas y la opción de
+   * ocultar los botones de habilidad
+   */
+  setupTouchUI() {
+    const touchEdgeSlider = document.getElementById('touchEdgeSlider');
+    const touchEdgeValue = document.getElementById('touchEdgeValue');
+    const showTouchZonesToggle = document.getElementById('showTouchZonesToggle');
+    const showAbilityButtonsToggle = document.getElementById('showAbilityButtonsToggle');
+
+    if (touchEdgeSlider && touchEdgeValue) {
+      // El deslizador va en porcentaje
+      touchEdgeSlider.min = String(Math.round(MIN_EDGE_SIZE * 100));
+      touchEdgeSlider.max = String(Math.round(MAX_EDGE_SIZE * 100));
+      touchEdgeSlider.value = String(Math.round(this.touchEdgeSize * 100));
+      touchEdgeValue.textContent = `${touchEdgeSlider.value} %`;
+      touchEdgeSlider.addEventListener('input', () => {
+        this.touchEdgeSize = parseInt(touchEdgeSlider.value, 10) / 100;
+        touchEdgeValue.textContent = `${touchEdgeSlider.value} %`;
+        this.input.setEdgeSize(this.touchEdgeSize);
+        localStorage.setItem('touchEdgeSize', String(this.touchEdgeSize));
+        this.renderTouchZoneOverlay();
+      });
+    }
+
+    if (showTouchZonesToggle) {
+      showTouchZonesToggle.checked = this.showTouchZones;
+      showTouchZonesToggle.addEventListener('change', () => {
+        this.showTouchZones = showTouchZonesToggle.checked;
+        localStorage.setItem('showTouchZones', String(this.showTouchZones));
+      });
+    }
+
+    if (showAbilityButtonsToggle) {
+      showAbilityButtonsToggle.checked = this.showAbilityButtons;
+      showAbilityButtonsToggle.addEventListener('change', () => {
+        this.showAbilityButtons = showAbilityButtonsToggle.checked;
+        localStorage.setItem('showAbilityButtons', String(this.showAbilityButtons));
+        this.updateAbilityBarVisibility();
+      });
+    }
+
+    this.updateAbilityBarVisibility();
+    this.renderTouchZoneOverlay();
+  }
+
+  /**
+   * Muestra los botones de habilidad salvo si se ocultaron o el modo o el reto
+   * desactivan las habilidades
+   */
+  updateAbilityBarVisibility() {
+    const abilityBar = document.getElementById('abilityBar');
+    if (abilityBar) {
+      abilityBar.style.display = this.showAbilityButtons && this.sim.areAbilitiesAllowed() ? 'flex' : 'none';
+    }
+  }
+
+  /**
+   * Dibuja las zonas táctiles con acciones asignadas y la lista de gestos
+   */
+  renderTouchZoneOverlay() {
+    const overlay = document.getElementById('touchZoneOverlay');
+    if (!overlay) {
+      return;
+    }
+
+    // Nombres de las acciones a las que está asignada exactamente una entrada
+    const getNames = binding => ACTIONS
+      .filter(action => this.bindings[action.id].includes(binding))
+      .map(action => action.name);
+
+    overlay.innerHTML = '';
+    Object.keys(TOUCH_ZONES).forEach(zone => {
+      const names = getNames(`touch:${zone}`);
+      if (names.length === 0) {
+        return;
+      }
+      const bounds = getZoneBounds(zone, this.touchEdgeSize);
+      const element = document.createElement('div');
+      element.className = 'touch-zone';
+      element.style.left = `${bounds.left * 100}%`;
+      element.style.width = `${(bounds.right - bounds.left) * 100}%`;
+      element.textContent = names.join(' / ');
+      overlay.appendChild(element);
+    });
+
+    const gestures = Object.entries(GESTURES)
+      .map(([gesture, name]) => ({ name, actions: getNames(`gesture:${gesture}`) }))
+      .filter(gesture => gesture.actions.length > 0);
+    if (gestures.length > 0) {
+      const legend = document.createElement('div');
+      legend.className = 'touch-gesture-legend';
+      legend.textContent = gestures.map(gesture => `${gesture.name}: ${gesture.actions.join(' / ')}`).join(' · ');
+      overlay.appendChild(legend);
+    }
+  }
+
+  /**
+   * Muestra las zonas táctiles durante la partida y la cuenta atrás si se activaron
+   */
+  updateTouchZoneOverlay() {
+    const show = this.showTouchZones && (this.state === 'playing' || this.state === 'countdown');
+    if (show === this.shownTouchZones) {
+      return;
+    }
+    this.shownTouchZones = show;
+    const overlay = document.getElementById('touchZoneOverlay');
+    if (overlay) {
+      overlay.style.display = show ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Carga el búfer de salto guardado
+   * @returns {number} - Milisegundos entre 0 y MAX_JUMP_BUFFER
+   */
+  loadJumpBuffer() {
+    const saved = parseInt(localStorage.getItem('jumpBuffer'), 10);
+    if (Number.isNaN(saved)) {
+      return DEFAULT_JUMP_BUFFER;
+    }
+    return Math.max(0, Math.min(MAX_JUMP_BUFFER, saved));
+  }
+
+  /**
+   * Configura el búfer de salto y la pantalla de calibración de la latencia
+   */
+  setupLatencyUI() {
+    const jumpBufferSlider = document.getElementById('jumpBufferSlider');
+    const jumpBufferValue = document.getElementById('jumpBufferValue');
+    const latencyScreen = document.getElementById('latencyScreen');
+    const latencyButton = document.getElementById('latencyButton');
+
+    if (jumpBufferSlider && jumpBufferValue) {
+      jumpBufferSlider.max = String(MAX_JUMP_BUFFER);
+      jumpBufferSlider.value = String(this.jumpBuffer);
+      jumpBufferValue.textContent = `${this.jumpBuffer} ms`;
+      jumpBufferSlider.addEventListener('input', () => {
+        this.jumpBuffer = parseInt(jumpBufferSlider.value, 10);
+        jumpBufferValue.textContent = `${this.jumpBuffer} ms`;
+        this.input.setJumpBuffer(this.jumpBuffer);
+        localStorage.setItem('jumpBuffer', String(this.jumpBuffer));
+      });
+    }
+
+    if (!latencyScreen || !latencyButton) {
+      return;
+    }
+
+    // Evitar que los clics lleguen a la pantalla de inicio (que empezaría la partida)
+    latencyScreen.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+
+    latencyButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.pauseGame();
+      this.renderLatencyResult(this.loadLatencyResult());
+      document.getElementById('latencyStatus').textContent = 'Pulsa Empezar cuando estés listo.';
+      latencyScreen.classList.add('visible');
+    });
+
+    document.getElementById('closeLatency').addEventListener('click', () => {
+      this.stopLatencyTest();
+      latencyScreen.classList.remove('visible');
+    });
+
+    document.getElementById('latencyStartButton').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.startLatencyTest();
+    });
+
+    // El área de pulsación sirve para el ratón y las pantallas táctiles
+    document.getElementById('latencyPad').addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      this.recordLatencyPress(getInputTime(e.timeStamp));
+    });
+
+    this.renderLatencySummary(this.loadLatencyResult());
+  }
+
+  /**
+   * Empieza una calibración de la latencia (el primer pulso llega tras un segundo)
+   */
+  startLatencyTest() {
+    this.latencyTest = new LatencyCalibration(performance.now() + 1000);
+    this.latencyFlaps = [];
+    document.getElementById('latencyStartButton').disabled = true;
+    document.getElementById('latencyResult').textContent = '';
+  }
+
+  /**
+   * Interrumpe la calibración en curso sin guardar nada
+   */
+  stopLatencyTest() {
+    this.latencyTest = null;
+    this.latencyFlaps = [];
+    document.getElementById('latencyStartButton').disabled = false;
+    document.getElementById('latencyBeat').classList.remove('lit');
+  }
+
+  /**
+   * Registra una pulsación de la calibración
+   * @param {number} time - Momento de la pulsación
+   * @returns {boolean} - true si había una calibración en curso
+   */
+  recordLatencyPress(time) {
+    if (!this.latencyTest) {
+      return false;
+    }
+    this.latencyTest.recordPress(time);
+    this.latencyFlaps.push(time);
+    return true;
+  }
+
+  /**
+   * Avanza la calibración en cada fotograma: ilumina los pulsos y hace aletear al
+   * pájaro de las pulsaciones recibidas, midiendo cuánto tardó en dibujarse
+   * @param {number} currentTime - Momento del fotograma (se llama después de dibujarlo)
+   */
+  updateLatencyTest(currentTime) {
+    const test = this.latencyTest;
+    if (!test) {
+      return;
+    }
+
+    const bird = document.getElementById('latencyBird');
+    if (this.latencyFlaps.length > 0) {
+      bird.animate([
+        { transform: 'translateY(0)' },
+        { transform: 'translateY(-30px)' },
+        { transform: 'translateY(0)' }
+      ], { duration: 250, easing: 'ease-out' });
+      // El momento del fotograma puede ser anterior a la pulsación: se mide con el
+      // reloj actual, una vez dibujado el fotograma y lanzado el aleteo
+      const drawnTime = performance.now();
+      this.latencyFlaps.forEach(pressTime => test.recordFlap(pressTime, drawnTime));
+      this.latencyFlaps = [];
+    }
+
+    const beat = test.getBeatIndex(currentTime);
+    const lit = beat >= 0 && currentTime - test.getBeatTime(beat) < 150;
+    document.getElementById('latencyBeat').classList.toggle('lit', lit);
+
+    const status = document.getElementById('latencyStatus');
+    if (beat < test.warmup) {
+      status.textContent = 'Prepárate: los primeros pulsos son de práctica';
+    } else {
+      status.textContent = `Pulso ${beat - test.warmup + 1} de ${test.beats - test.warmup}`;
+    }
+
+    if (test.isFinished(currentTime)) {
+      const result = test.getResult();
+      this.stopLatencyTest();
+      if (result.rhythm) {
+        localStorage.setItem('latencyCalibration', JSON.stringify(result));
+        status.textContent = 'Calibración terminada';
+      } else {
+        status.textContent = 'No se registró ninguna pulsación a tiempo. Inténtalo de nuevo.';
+      }
+      this.renderLatencyResult(result.rhythm ? result : this.loadLatencyResult());
+      this.renderLatencySummary(this.loadLatencyResult());
+    }
+  }
+
+  /**
+   * Carga el resultado de la última calibración
+   * @returns {Object|null} - {rhythm, flap} o null si no se ha calibrado
+   */
+  loadLatencyResult() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('latencyCalibration'));
+      return saved && saved.rhythm ? saved : null;
+    } catch (e) {
+      console.warn('Error cargando la calibración de la latencia:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Muestra el resultado de una calibración en su pantalla
+   * @param {Object|null} result - {rhythm, flap}
+   */
+  renderLatencyResult(result) {
+    const latencyResult = document.getElementById('latencyResult');
+    if (!latencyResult) {
+      return;
+    }
+    latencyResult.innerHTML = '';
+    if (!result) {
+      return;
+    }
+
+    const { rhythm, flap } = result;
+    const lines = [
+      `Desfase con el ritmo: ${this.formatLatency(rhythm.median)} de mediana (±${Math.round(rhythm.jitter)} ms de variación, ${rhythm.count} pulsos)`
+    ];
+    if (flap) {
+      lines.push(`Del toque al aleteo en pantalla: ${Math.round(flap.average)} ms de media`);
+    }
+    if (rhythm.median > this.jumpBuffer) {
+      lines.push('Tus pulsaciones llegan tarde: prueba a subir el búfer de salto.');
+    }
+    lines.forEach(text => {
+      const line = document.createElement('p');
+      line.textContent = text;
+      latencyResult.appendChild(line);
+    });
+  }
+
+  /**
+   * Muestra en la configuración el resumen de la última calibración
+   * @param {Object|null} result - {rhythm, flap}
+   */
+  renderLatencySummary(result) {
+    const latencySummary = document.getElementById('latencySummary');
+    if (!latencySummary) {
+      return;
+    }
+    latencySummary.textContent = result
+      ? `Última calibración: ${this.formatLatency(result.rhythm.median)} con el ritmo, ${result.flap ? Math.round(result.flap.average) : '?'} ms hasta el aleteo`
+      : 'Mide cuánto tardan tus pulsaciones en convertirse en aleteos';
+  }
+
+  /**
+   * Formatea un desfase en milisegundos con su signo
+   * @param {number} milliseconds - Desfase (positivo si fue tarde)
+   * @returns {string}
+   */
+  formatLatency(milliseconds) {
+    const rounded = Math.round(milliseconds);
+    return `${rounded > 0 ? '+' : ''}${rounded} ms`;
+  }
+
+  /**
+   * Muestra el botón de modo fantasma solo si hay una mejor partida guardada
+   */
+  updateGhostButton() {
+    const ghostModeButton = document.getElementById('ghostModeButton');
+    if (!ghostModeButton) {
+      return;
+    }
+    const ghost = loadGhost(this.difficulty);
+    const classic = this.mode === DEFAULT_MODE && !this.adaptive;
+    ghostModeButton.style.display = ghost && this.showGhost && classic ? 'inline-block' : 'none';
+    if (ghost) {
+      ghostModeButton.textContent = `Contra tu fantasma (${ghost.score})`;
+    }
+  }
+
+  /**
+   * Actualiza el display de puntuación
+   */
+  updateScoreDisplay() {
+    const birds = this.sim.birds;
+    document.getElementById('score').textContent = birds.length > 1
+      ? birds.map(bird => `J${bird.player + 1} ${bird.score}${bird.isDying ? ' ✗' : ''}`).join(' · ')
+      : this.sim.score;
+  }
+
+  /**
+   * Actualiza el display de récord
+   */
+  updateHighScoreDisplay() {
+    const highScore = document.getElementById('highScore');
+    if (this.adaptive) {
+      highScore.textContent = `${ADAPTIVE_CURVE.name} (sin récord)`;
+      return;
+    }
+    const mode = getGameMode(this.mode);
+    const difficulty = getDifficultyPreset(this.difficulty).name;
+    const name = this.mode === DEFAULT_MODE ? difficulty : `${mode.name} · ${difficulty}`;
+    highScore.textContent = `Récord (${name}): ${this.highScore}`;
+  }
+
+  /**
+   * Actualiza el indicador del nivel adaptativo en el HUD
+   */
+  updateAdaptiveLevel() {
+    const adaptive = this.sim.adaptive;
+    if (!adaptive) {
+      return;
+    }
+
+    const level = adaptive.level.toFixed(1);
+    if (level !== this.shownAdaptiveLevel) {
+      this.shownAdaptiveLevel = level;
+      document.getElementById('adaptiveLevel').textContent = `Nivel adaptativo: ${level}`;
+    }
+  }
+
+  /**
+   * Actualiza el indicador de las reglas del modo en el HUD (tiempo restante, choques)
+   */
+  updateModeHud() {
+    const rules = this.sim.mode.rules;
+    const parts = [];
+    if (rules.timeLimit) {
+      parts.push(`Tiempo: ${Math.ceil(this.sim.getTimeLeft())} s`);
+    }
+    if (rules.noDeath) {
+      parts.push(`Choques: ${this.sim.collisions}`);
+    }
+
+    const text = parts.join(' · ');
+    if (text !== this.shownModeHud) {
+      this.shownModeHud = text;
+      const modeHud = document.getElementById('modeHud');
+      modeHud.textContent = text;
+      modeHud.style.display = text ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Actualiza el HUD con los potenciadores activos: cargas y segundos que les quedan
+   */
+  updatePowerupHud() {
+    const lines = Object.entries(this.sim.powerups)
+      .filter(([, effect]) => effect.active)
+      .map(([type, effect]) => {
+        const powerup = POWERUP_TYPES[type];
+        const parts = [powerup.symbol, powerup.name];
+        if (effect.charges > 1) {
+          parts.push(`×${effect.charges}`);
+        }
+        if (Number.isFinite(effect.activeTimer)) {
+          parts.push(`${Math.ceil(effect.activeTimer)} s`);
+        }
+        return parts.join(' ');
+      });
+
+    const text = lines.join('\n');
+    if (text !== this.shownPowerupHud) {
+      this.shownPowerupHud = text;
+      const powerupHud = document.getElementById('powerupHud');
+      powerupHud.textContent = text;
+      powerupHud.style.display = text ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Muestra en el game over los resultados propios del modo jugado
+   * @param {Object} mode - Modo de juego
+   * @param {boolean} newRecord - Si la partida batió el récord
+   */
+  showModeResult(mode, newRecord) {
+    const modeResult = document.getElementById('modeResult');
+    const lines = getModeResults(mode, {
+      score: this.sim.score,
+      ticks: this.sim.tick,
+      fixedTimeStep: this.sim.fixedTimeStep,
+      collisions: this.sim.collisions,
+      pointsLost: this.sim.pointsLost,
+      difficultyLevel: this.sim.difficultyLevel
+    });
+    if (newRecord) {
+      lines.unshift('¡Nuevo récord!');
+    }
+
+    modeResult.innerHTML = '';
+    lines.forEach(line => {
+      const item = document.createElement('div');
+      item.textContent = line;
+      modeResult.appendChild(item);
+    });
+    modeResult.style.display = lines.length > 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Termina la partida en pausa guardando su resultado (en los modos sin muerte)
+   */
+  finishRun() {
+    if (this.state !== 'paused' || !this.sim.mode.rules.noDeath) {
+      return;
+    }
+    this.gameOver();
+  }
+
+  /**
+   * Carga el modo de juego guardado
+   * @returns {string} - Id del modo
+   */
+  loadMode() {
+    const saved = localStorage.getItem('gameMode');
+    return isGameMode(saved) ? saved : DEFAULT_MODE;
+  }
+
+  /**
+   * Cambia el modo de juego y muestra su récord
+   * @param {string} mode - Id del modo
+   */
+  setMode(mode) {
+    this.mode = mode;
+    localStorage.setItem('gameMode', mode);
+    this.highScore = getRecord(mode, this.difficulty);
+    this.updateHighScoreDisplay();
+    this.updateGhostButton();
+
+    document.getElementById('modeDescription').textContent = getGameMode(mode).description;
+    document.querySelectorAll('.mode-option').forEach(button => {
+      button.classList.toggle('selected', button.dataset.mode === mode);
+    });
+  }
+
+  /**
+   * Crea los botones de selección de modo en la pantalla de inicio
+   */
+  setupModeUI() {
+    const modeOptions = document.getElementById('modeOptions');
+    if (!modeOptions) {
+      return;
+    }
+
+    Object.values(GAME_MODES).forEach(mode => {
+      const button = document.createElement('button');
+      button.className = 'mode-option secondary-button';
+      button.dataset.mode = mode.id;
+      button.textContent = mode.name;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.setMode(mode.id);
+      });
+      modeOptions.appendChild(button);
+    });
+
+    this.setMode(this.mode);
+  }
+
+  /**
+   * Carga el preset de dificultad guardado
+   * @returns {string} - Id del preset
+   */
+  loadDifficulty() {
+    const saved = localStorage.getItem('difficulty');
+    return isDifficultyPreset(saved) ? saved : DEFAULT_DIFFICULTY;
+  }
+
+  /**
+   * Cambia el preset de dificultad (o activa el modo adaptativo) y muestra su récord
+   * @param {string} difficulty - Id del preset o 'adaptive'
+   */
+  setDifficulty(difficulty) {
+    this.adaptive = difficulty === ADAPTIVE_CURVE.id;
+    localStorage.setItem('adaptiveDifficulty', String(this.adaptive));
+    if (!this.adaptive) {
+      this.difficulty = difficulty;
+      localStorage.setItem('difficulty', difficulty);
+      this.highScore = getRecord(this.mode, difficulty);
+    }
+    this.updateHighScoreDisplay();
+    this.updateGhostButton();
+
+    document.querySelectorAll('.difficulty-option').forEach(button => {
+      button.classList.toggle('selected', button.dataset.difficulty === difficulty);
+    });
+  }
+
+  /**
+   * Crea los botones de selección de dificultad en la pantalla de inicio
+   */
+  setupDifficultyUI() {
+    const difficultyOptions = document.getElementById('difficultyOptions');
+    if (!difficultyOptions) {
+      return;
+    }
+
+    [...Object.values(DIFFICULTY_PRESETS), ADAPTIVE_CURVE].forEach(preset => {
+      const button = document.createElement('button');
+      button.className = 'difficulty-option secondary-button';
+      button.dataset.difficulty = preset.id;
+      button.textContent = preset.name;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.setDifficulty(preset.id);
+      });
+      difficultyOptions.appendChild(button);
+    });
+
+    this.setDifficulty(this.adaptive ? ADAPTIVE_CURVE.id : this.difficulty);
+  }
+
+  /**
+   * Configura el editor de la disposición de la pantalla: mover, cambiar el tamaño y
+   * la opacidad de los marcadores y botones, por separado en vertical y en horizontal
+   */
+  setupHudEditor() {
+    const hudLayoutButton = document.getElementById('hudLayoutButton');
+    const hudEditorBar = document.getElementById('hudEditorBar');
+    if (!hudLayoutButton || !hudEditorBar) {
+      return;
+    }
+
+    hudLayoutButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.startHudEditing();
+    });
+
+    hudEditorBar.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+
+    // Mientras se edita, pulsar un elemento lo selecciona en lugar de activarlo
+    document.addEventListener('click', (e) => {
+      if (this.hudEditing && e.target.closest('.hud-item')) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    }, true);
+
+    HUD_ELEMENTS.forEach(item => {
+      const element = document.querySelector(item.selector);
+      if (!element) {
+        return;
+      }
+      element.classList.add('hud-item');
+      element.dataset.hudId = item.id;
+      element.dataset.hudName = item.name;
+      element.addEventListener('pointerdown', (e) => this.startHudDrag(e, item.id, element));
+    });
+
+    // El arrastre sigue al puntero aunque salga del elemento
+    window.addEventListener('pointermove', (e) => this.dragHudItem(e));
+    window.addEventListener('pointerup', () => this.stopHudDrag());
+    window.addEventListener('pointercancel', () => this.stopHudDrag());
+
+    const hudScaleSlider = document.getElementById('hudScaleSlider');
+    const hudOpacitySlider = document.getElementById('hudOpacitySlider');
+    const hudSnapToggle = document.getElementById('hudSnapToggle');
+
+    // Los deslizadores van en porcentaje
+    hudScaleSlider.min = String(MIN_SCALE * 100);
+    hudScaleSlider.max = String(MAX_SCALE * 100);
+    hudOpacitySlider.min = String(MIN_OPACITY * 100);
+    hudScaleSlider.addEventListener('input', () => {
+      this.updateHudEntry({ scale: parseInt(hudScaleSlider.value, 10) / 100 });
+    });
+    hudOpacitySlider.addEventListener('input', () => {
+      this.updateHudEntry({ opacity: parseInt(hudOpacitySlider.value, 10) / 100 });
+    });
+
+    hudSnapToggle.checked = this.hudLayout.snap;
+    hudSnapToggle.addEventListener('change', () => {
+      this.hudLayout.snap = hudSnapToggle.checked;
+      document.body.classList.toggle('hud-snap', this.hudLayout.snap);
+      saveLayout(this.hudLayout);
+    });
+
+    document.getElementById('hudResetButton').addEventListener('click', () => {
+      const orientation = this.getHudOrientation();
+      const name = orientation === 'portrait' ? 'vertical' : 'horizontal';
+      if (!confirm(`¿Devolver todos los elementos a su posición por defecto en ${name}?`)) {
+        return;
+      }
+      this.hudLayout[orientation] = {};
+      saveLayout(this.hudLayout);
+      this.applyHudLayout();
+      this.selectHudItem(null);
+    });
+
+    document.getElementById('hudDoneButton').addEventListener('click', () => {
+      this.stopHudEditing();
+    });
+
+    // Al girar la pantalla se usa la disposición de la otra orientación
+    window.addEventListener('resize', () => {
+      this.applyHudLayout();
+      if (this.hudEditing) {
+        this.updateHudEditorBar();
+      }
+    });
+
+    this.applyHudLayout();
+  }
+
+  /**
+   * Obtiene la orientación actual de la ventana
+   * @returns {string} - 'portrait' o 'landscape'
+   */
+  getHudOrientation() {
+    return getOrientation(window.innerWidth, window.innerHeight);
+  }
+
+  /**
+   * Coloca cada elemento según la disposición de la orientación actual
+   * (los que no tienen entrada vuelven a su posición del CSS)
+   */
+  applyHudLayout() {
+    const entries = this.hudLayout[this.getHudOrientation()];
+    HUD_ELEMENTS.forEach(item => {
+      const element = document.querySelector(item.selector);
+      if (!element) {
+        return;
+      }
+      const entry = entries[item.id];
+      element.style.position = entry ? 'fixed' : '';
+      element.style.left = entry ? `${entry.x * 100}%` : '';
+      element.style.top = entry ? `${entry.y * 100}%` : '';
+      element.style.right = entry ? 'auto' : '';
+      element.style.bottom = entry ? 'auto' : '';
+      element.style.transform = entry ? `scale(${entry.scale})` : '';
+      element.style.transformOrigin = entry ? 'top left' : '';
+      element.style.opacity = entry ? String(entry.opacity) : '';
+    });
+  }
+
+  /**
+   * Entra en el modo de edición de la disposición (pausa la partida si la hay)
+   */
+  startHudEditing() {
+    this.pauseGame();
+    this.hudEditing = true;
+    document.getElementById('settingsPanel').classList.remove('visible');
+    document.body.classList.add('hud-editing');
+    document.body.classList.toggle('hud-snap', this.hudLayout.snap);
+    this.selectHudItem(null);
+  }
+
+  /**
+   * Sale del modo de edición
+   */
+  stopHudEditing() {
+    this.stopHudDrag();
+    this.selectHudItem(null);
+    this.hudEditing = false;
+    document.body.classList.remove('hud-editing', 'hud-snap');
+  }
+
+  /**
+   * Selecciona el elemento que editan los deslizadores
+   * @param {string|null} id - Id del elemento o null para ninguno
+   */
+  selectHudItem(id) {
+    document.querySelectorAll('.hud-item.selected').forEach(element => element.classList.remove('selected'));
+    this.selectedHudItem = id;
+    if (id) {
+      document.querySelector(`[data-hud-id="${id}"]`).classList.add('selected');
+    }
+    this.updateHudEditorBar();
+  }
+
+  /**
+   * Muestra en la barra del editor la orientación y los valores del elemento seleccionado
+   */
+  updateHudEditorBar() {
+    const item = HUD_ELEMENTS.find(element => element.id === this.selectedHudItem);
+    const orientation = this.getHudOrientation() === 'portrait' ? 'vertical' : 'horizontal';
+    const entry = item ? this.hudLayout[this.getHudOrientation()][item.id] : null;
+    const scale = entry ? entry.scale : 1;
+    const opacity = entry ? entry.opacity : 1;
+
+    document.getElementById('hudEditorTitle').textContent = item
+      ? `${item.name} (${orientation})`
+      : `Disposición ${orientation}: arrastra o toca un elemento`;
+    const hudScaleSlider = document.getElementById('hudScaleSlider');
+    const hudOpacitySlider = document.getElementById('hudOpacitySlider');
+    hudScaleSlider.disabled = !item;
+    hudOpacitySlider.disabled = !item;
+    hudScaleSlider.value = String(Math.round(scale * 100));
+    hudOpacitySlider.value = String(Math.round(opacity * 100));
+    document.getElementById('hudScaleValue').textContent = `${Math.round(scale * 100)} %`;
+    document.getElementById('hudOpacityValue').textContent = `${Math.round(opacity * 100)} %`;
+  }
+
+  /**
+   * Obtiene la entrada del elemento seleccionado en la orientación actual, creándola
+   * con su posición en pantalla si aún no la tenía
+   * @returns {Object} - {x, y, scale, opacity}
+   */
+  getSelectedHudEntry() {
+    const entries = this.hudLayout[this.getHudOrientation()];
+    if (!entries[this.selectedHudItem]) {
+      const rect = document.querySelector(`[data-hud-id="${this.selectedHudItem}"]`).getBoundingClientRect();
+      entries[this.selectedHudItem] = {
+        x: rect.left / window.innerWidth,
+        y: rect.top / window.innerHeight,
+        scale: 1,
+        opacity: 1
+      };
+    }
+    return entries[this.selectedHudItem];
+  }
+
+  /**
+   * Cambia el tamaño o la opacidad del elemento seleccionado y guarda la disposición
+   * @param {Object} changes - {scale} u {opacity}
+   */
+  updateHudEntry(changes) {
+    if (!this.selectedHudItem) {
+      return;
+    }
+    Object.assign(this.getSelectedHudEntry(), changes);
+    saveLayout(this.hudLayout);
+    this.applyHudLayout();
+    this.updateHudEditorBar();
+  }
+
+  /**
+   * Empieza a arrastrar un elemento en el modo de edición
+   * @param {PointerEvent} e - Evento
+   * @param {string} id - Id del elemento
+   * @param {HTMLElement} element - Elemento
+   */
+  startHudDrag(e, id, element) {
+    if (!this.hudEditing) {
+      return;
+    }
+    e.preventDefault();
+    this.selectHudItem(id);
+    this.getSelectedHudEntry();
+    const rect = element.getBoundingClientRect();
+    this.hudDrag = { element, offsetX: e.clientX - rect.left, offsetY: e.clientY - rect.top };
+  }
+
+  /**
+   * Mueve el elemento que se arrastra (ajustado a la cuadrícula si está activada)
+   * @param {PointerEvent} e - Evento
+   */
+  dragHudItem(e) {
+    if (!this.hudDrag) {
+      return;
+    }
+    const { element, offsetX, offsetY } = this.hudDrag;
+    const rect = element.getBoundingClientRect();
+    const size = { width: rect.width / window.innerWidth, height: rect.height / window.innerHeight };
+    const position = placeElement(
+      (e.clientX - offsetX) / window.innerWidth,
+      (e.clientY - offsetY) / window.innerHeight,
+      size,
+      this.hudLayout.snap
+    );
+    Object.assign(this.getSelectedHudEntry(), position);
+    this.applyHudLayout();
+  }
+
+  /**
+   * Termina el arrastre y guarda la disposición
+   */
+  stopHudDrag() {
+    if (!this.hudDrag) {
+      return;
+    }
+    this.hudDrag = null;
+    saveLayout(this.hudLayout);
   }
 }
 
@@ -0,0 +1,100 @@
+/**
+ * Zonas táctiles y gestos de la pantalla
+ *
+ * Las zonas se miden en fracciones del ancho de la pantalla. Los bordes están dentro
+ * de sus mitades y tienen prioridad: un toque en un borde con acciones asignadas solo
+ * dispara las del borde; si no tiene, cuenta como un toque en su mitad.
+ * Los gestos son deslizamientos rápidos en una dirección y el toque con dos dedos.
+ * Un toque dispara su zona en cuanto empieza, para no retrasar el salto; si al levantar
+ * el dedo resulta ser un gesto, su salto se retira si todavía no se había aplicado.
+ */
+
+// Ancho de cada borde por defecto y límites del ajuste (fracción del ancho de la pantalla)
+export const DEFAULT_EDGE_SIZE = 0.15;
+export const MIN_EDGE_SIZE = 0.1;
+export const MAX_EDGE_SIZE = 0.3;
+
+// Un deslizamiento debe recorrer al menos estos píxeles en menos de estos milisegundos
+const SWIPE_DISTANCE = 50;
+const SWIPE_TIME = 400;
+
+// Milisegundos entre los dos dedos de un toque con dos dedos (al tocar y al levantarlos)
+export const TWO_FINGER_WINDOW = 150;
+
+// Píxeles que puede moverse un dedo sin dejar de ser un toque
+export const TAP_MOVEMENT = 10;
+
+/**
+ * Obtiene los límites horizontales de una zona táctil
+ * @param {string} zone - 'screen', 'left', 'right', 'leftEdge' o 'rightEdge'
+ * @param {number} edgeSize - Ancho de cada borde
+ * @returns {Object} - {left, right} en fracciones del ancho de la pantalla
+ */
+export function getZoneBounds(zone, edgeSize = DEFAULT_EDGE_SIZE) {
+  switch (zone) {
+  case 'left':
+    return { left: 0, right: 0.5 };
+  case 'right':
+    return { left: 0.5, right: 1 };
+  case 'leftEdge':
+    return { left: 0, right: edgeSize };
+  case 'rightEdge':
+    return { left: 1 - edgeSize, right: 1 };
+  default:
+    return { left: 0, right: 1 };
+  }
+}
+
+/**
+ * Obtiene las zonas en las que cae un toque, de la más concreta a la más general
+ * (la de toda la pantalla no se incluye: responde a cualquier mitad)
+ * @param {number} x - Posición horizontal del toque
+ * @param {number} width - Ancho de la pantalla
+ * @param {number} edgeSize - Ancho de cada borde
+ * @returns {Array<string>} - Por ejemplo ['rightEdge', 'right']
+ */
+export function getTouchZones(x, width, edgeSize = DEFAULT_EDGE_SIZE) {
+  const position = x / width;
+  const half = position < 0.5 ? 'left' : 'right';
+  const edge = half === 'left' ? 'leftEdge' : 'rightEdge';
+  const bounds = getZoneBounds(edge, edgeSize);
+  return position >= bounds.left && position < bounds.right ? [edge, half] : [half];
+}
+
+/**
+ * Reconoce un deslizamiento entre el principio y el final de un toque
+ * @param {Object} start - {x, y, time} al tocar
+ * @param {Object} end - {x, y, time} al levantar el dedo
+ * @returns {string|null} - 'swipeUp', 'swipeDown', 'swipeLeft', 'swipeRight' o null
+ */
+export function detectSwipe(start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  if (end.time - start.time > SWIPE_TIME || Math.hypot(dx, dy) < SWIPE_DISTANCE) {
+    return null;
+  }
+  if (Math.abs(dx) > Math.abs(dy)) {
+    return dx > 0 ? 'swipeRight' : 'swipeLeft';
+  }
+  return dy > 0 ? 'swipeDown' : 'swipeUp';
+}
+
+/**
+ * Reconoce un toque con dos dedos: tocan y se levantan casi a la vez, sin moverse, y
+ * están juntos en la pantalla la mayor parte del toque. Así dos toques rápidos
+ * alternando los pulgares, que se solapan un momento, siguen siendo dos saltos
+ * @param {Object} first - Toque {x, y, time, endX, endY, endTime}
+ * @param {Object} second - Toque {x, y, time, endX, endY, endTime}
+ * @returns {boolean}
+ */
+export function detectTwoFingerTap(first, second) {
+  const still = touch => Math.hypot(touch.endX - touch.x, touch.endY - touch.y) <= TAP_MOVEMENT;
+  if (!still(first) || !still(second) ||
+    Math.abs(first.time - second.time) > TWO_FINGER_WINDOW ||
+    Math.abs(first.endTime - second.endTime) > TWO_FINGER_WINDOW) {
+    return false;
+  }
+  const together = Math.min(first.endTime, second.endTime) - Math.max(first.time, second.time);
+  const longest = Math.max(first.endTime - first.time, second.endTime - second.time);
+  return together >= longest / 2;
+}
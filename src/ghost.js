@@ -0,0 +1,140 @@
+/**
+ * Módulo del fantasma: trayectoria de la mejor partida para competir contra ella
+ */
+
+import { DEFAULT_DIFFICULTY } from './difficulty.js';
+
+const GHOST_KEY = 'pajaritoGhost';
+const SAMPLE_INTERVAL = 2; // ticks entre muestras guardadas
+
+/**
+ * Obtiene la clave de localStorage del fantasma de un preset de dificultad
+ * (el preset normal conserva la clave original)
+ * @param {string} difficulty - Id del preset
+ * @returns {string}
+ */
+function getGhostKey(difficulty) {
+  return difficulty === DEFAULT_DIFFICULTY ? GHOST_KEY : `${GHOST_KEY}_${difficulty}`;
+}
+
+/**
+ * Graba la trayectoria del pájaro durante una partida
+ */
+export class GhostRecorder {
+  /**
+   * @param {number} seed - Semilla de la partida
+   * @param {string} difficulty - Id del preset de dificultad
+   */
+  constructor(seed, difficulty = DEFAULT_DIFFICULTY) {
+    this.seed = seed;
+    this.difficulty = difficulty;
+    this.frames = [];
+  }
+
+  /**
+   * Registra la posición del pájaro si toca muestrear en este tick
+   * @param {number} tick - Tick de simulación
+   * @param {Object} bird - Pájaro {y, rotation}
+   * @param {number} distance - Distancia recorrida en píxeles
+   */
+  sample(tick, bird, distance) {
+    if (tick % SAMPLE_INTERVAL !== 0) {
+      return;
+    }
+    this.frames.push([
+      Math.round(bird.y * 10) / 10,
+      Math.round(bird.rotation * 100) / 100,
+      Math.round(distance)
+    ]);
+  }
+
+  /**
+   * Genera el fantasma final
+   * @param {number} score - Puntuación obtenida
+   * @returns {Object} - Fantasma {seed, difficulty, score, distance, interval, frames}
+   */
+  finish(score) {
+    const last = this.frames[this.frames.length - 1];
+    return {
+      seed: this.seed,
+      difficulty: this.difficulty,
+      score,
+      distance: last ? last[2] : 0,
+      interval: SAMPLE_INTERVAL,
+      frames: this.frames
+    };
+  }
+}
+
+/**
+ * Obtiene el estado del fantasma en un tick, interpolando entre muestras
+ * @param {Object} ghost - Fantasma guardado
+ * @param {number} tick - Tick de simulación actual
+ * @returns {Object|null} - {y, rotation, distance, finished} o null si no hay muestras
+ */
+export function getGhostState(ghost, tick) {
+  const frames = ghost.frames;
+  if (frames.length === 0) {
+    return null;
+  }
+
+  const position = tick / ghost.interval;
+  const lastIndex = frames.length - 1;
+  if (position >= lastIndex) {
+    const [y, rotation, distance] = frames[lastIndex];
+    return { y, rotation, distance, finished: true };
+  }
+
+  const index = Math.floor(position);
+  const t = position - index;
+  const [y1, rotation1, distance1] = frames[index];
+  const [y2, rotation2, distance2] = frames[index + 1];
+  return {
+    y: y1 + (y2 - y1) * t,
+    rotation: rotation1 + (rotation2 - rotation1) * t,
+    distance: distance1 + (distance2 - distance1) * t,
+    finished: false
+  };
+}
+
+/**
+ * Indica si una partida supera al fantasma guardado
+ * @param {Object} candidate - Fantasma de la partida recién terminada
+ * @param {Object|null} current - Fantasma guardado
+ * @returns {boolean}
+ */
+export function isBetterGhost(candidate, current) {
+  if (!current) {
+    return candidate.frames.length > 0;
+  }
+  if (candidate.score !== current.score) {
+    return candidate.score > current.score;
+  }
+  return candidate.distance > current.distance;
+}
+
+/**
+ * Carga el fantasma de la mejor partida de un preset de dificultad
+ * @param {string} difficulty - Id del preset
+ * @returns {Object|null} - Fantasma o null si no hay ninguno
+ */
+export function loadGhost(difficulty = DEFAULT_DIFFICULTY) {
+  const saved = localStorage.getItem(getGhostKey(difficulty));
+  if (!saved) {
+    return null;
+  }
+  try {
+    return JSON.parse(saved);
+  } catch (e) {
+    console.warn('Error cargando el fantasma:', e);
+    return null;
+  }
+}
+
+/**
+ * Guarda el fantasma de la mejor partida de su preset de dificultad
+ * @param {Object} ghost - Fantasma a guardar
+ */
+export function saveGhost(ghost) {
+  localStorage.setItem(getGhostKey(ghost.difficulty || DEFAULT_DIFFICULTY), JSON.stringify(ghost));
+}
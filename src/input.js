@@ -1,29 +1,375 @@
 /**
- * Módulo de manejo de entrada (teclado, mouse, touch)
+ * Módulo de manejo de entrada (teclado, mouse, touch y mando)
+ *
+ * Las entradas se traducen a acciones con el mapa de controles (ver bindings.js).
+ * Los saltos se piden por jugador; el resto de acciones se entregan a quien
+ * escuche con onAction. Con dos jugadores, los clics y toques que saltan lo
+ * hacen por el jugador de su mitad de la pantalla, y los mandos por el jugador
+ * de su orden de conexión.
+ *
+ * En la pantalla táctil cada dedo dispara las acciones de su zona al tocar (los bordes,
+ * si tienen acciones, en lugar de las de su mitad), y al levantarlo las del gesto
+ * que haya hecho; dos dedos a la vez son un toque con dos dedos (ver gestures.js).
+ *
+ * Los mandos no generan eventos al pulsar: se consultan en cada fotograma con
+ * pollGamepads. Con un menú abierto, la cruceta (o el stick izquierdo), A y B
+ * se usan para navegarlo.
+ *
+ * Cada salto se guarda con el momento en que se pulsó (el del evento, con el reloj
+ * de performance.now()), y el juego lo aplica en el tick de simulación en el que
+ * cae ese momento aunque entre dos fotogramas se simulen varios ticks.
  */
 
-class InputManager {
+import { createDefaultBindings, getActionsForInput } from './bindings.js';
+import { JUMP_ACTIONS } from './simulation.js';
+import {
+  DEFAULT_EDGE_SIZE,
+  TAP_MOVEMENT,
+  TWO_FINGER_WINDOW,
+  detectSwipe,
+  detectTwoFingerTap,
+  getTouchZones
+} from './gestures.js';
+
+// Botones del mapeo estándar que navegan los menús
+const NAVIGATION_BUTTONS = {
+  0: 'activate',
+  1: 'back',
+  12: 'up',
+  13: 'down',
+  14: 'left',
+  15: 'right'
+};
+
+// Inclinación del stick a partir de la cual cuenta como la cruceta
+const STICK_THRESHOLD = 0.5;
+
+// Búfer de salto: milisegundos que un salto pulsado puede esperar a aplicarse después
+// de su tick (los pulsados en la cuenta atrás o varios seguidos en el mismo tick)
+export const DEFAULT_JUMP_BUFFER = 80;
+export const MAX_JUMP_BUFFER = 200;
+
+/**
+ * Obtiene el momento de una entrada con el reloj de performance.now()
+ * (los navegadores antiguos dan la marca de tiempo de los eventos en otra escala)
+ * @param {number} timeStamp - Marca de tiempo del evento o del mando
+ * @returns {number}
+ */
+export function getInputTime(timeStamp) {
+  const now = performance.now();
+  return timeStamp > 0 && timeStamp <= now ? timeStamp : now;
+}
+
+/**
+ * Saltos pendientes de un jugador, ordenados por el momento en que se pulsaron
+ */
+export class JumpQueue {
   constructor() {
-    this.jumpRequested = false;
+    this.times = [];
+  }
+
+  /**
+   * Añade un salto
+   * @param {number} time - Momento de la pulsación
+   */
+  push(time) {
+    // Los mandos se consultan por fotograma, así que puede llegar uno anterior al último
+    let index = this.times.length;
+    while (index > 0 && this.times[index - 1] > time) {
+      index--;
+    }
+    this.times.splice(index, 0, time);
+  }
+
+  /**
+   * Consume el salto más antiguo si se pulsó antes de un momento, descartando
+   * antes los que llevan esperando demasiado
+   * @param {number} until - Final del tick que se va a simular
+   * @param {number} [maxAge] - Milisegundos que puede esperar un salto (sin límite si se omite)
+   * @returns {boolean}
+   */
+  consume(until, maxAge = Infinity) {
+    if (Number.isFinite(maxAge)) {
+      this.expire(until - maxAge);
+    }
+    if (this.times.length === 0 || this.times[0] > until) {
+      return false;
+    }
+    this.times.shift();
+    return true;
+  }
+
+  /**
+   * Lleva al comienzo del tiempo simulado los saltos pulsados en un tramo que no se
+   * simula (tras un parón largo), para que el búfer no los descarte
+   * @param {number} from - Comienzo del tramo sin simular
+   * @param {number} to - Comienzo del primer tick que se simula
+   */
+  postpone(from, to) {
+    this.times = this.times.map(time => (time >= from && time < to ? to : time));
+  }
+
+  /**
+   * Retira un salto que aún no se ha aplicado
+   * @param {number} time - Momento de la pulsación
+   * @returns {boolean} - false si ya se aplicó (o no existía)
+   */
+  remove(time) {
+    const index = this.times.indexOf(time);
+    if (index === -1) {
+      return false;
+    }
+    this.times.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Descarta los saltos pulsados antes de un momento
+   * @param {number} before - Momento límite
+   */
+  expire(before) {
+    this.times = this.times.filter(time => time >= before);
+  }
+
+  /**
+   * Descarta todos los saltos
+   */
+  clear() {
+    this.times = [];
+  }
+}
+
+class InputManager {
+  /**
+   * @param {Object} bindings - Mapa de controles (el de por defecto si se omite)
+   */
+  constructor(bindings = createDefaultBindings()) {
+    this.jumpQueues = [new JumpQueue()];
+    this.jumpBuffer = DEFAULT_JUMP_BUFFER;
     this.enabled = false;
     this.lastTouchTime = 0;
-    this.touchCooldown = 100; // 100ms de cooldown entre toques
+    this.touchStarts = new Map(); // dedos en la pantalla: {x, y, time, player, moved}
+    this.liftedTouches = []; // dedos levantados hace poco, por si forman un toque con dos dedos
+    this.edgeSize = DEFAULT_EDGE_SIZE;
+    this.bindings = bindings;
+    this.actionListener = null;
+    this.captureListener = null;
+    this.navigationListener = null;
+    this.gamepadListener = null;
+    this.padButtons = new Map(); // botones pulsados de cada mando en la última consulta
     this.setupEventListeners();
   }
 
+  /**
+   * Registra quién navega los menús con el mando
+   * @param {Function} listener - Recibe la orden ('up', 'activate', 'back'...) y devuelve
+   *   true si había un menú que la usó
+   */
+  onNavigate(listener) {
+    this.navigationListener = listener;
+  }
+
+  /**
+   * Registra quién recibe los avisos de conexión y desconexión de mandos
+   * @param {Function} listener - Recibe {connected, id}
+   */
+  onGamepadChange(listener) {
+    this.gamepadListener = listener;
+  }
+
+  /**
+   * Cambia el mapa de controles
+   * @param {Object} bindings - Mapa de controles
+   */
+  setBindings(bindings) {
+    this.bindings = bindings;
+  }
+
+  /**
+   * Cambia el búfer de salto
+   * @param {number} milliseconds - Milisegundos que cuenta un salto pulsado antes de poder aplicarse
+   */
+  setJumpBuffer(milliseconds) {
+    this.jumpBuffer = milliseconds;
+  }
+
+  /**
+   * Registra quién recibe las acciones que no son saltos de la partida
+   * @param {Function} listener - Recibe el id de la acción y el momento de la pulsación,
+   *   y devuelve true si la usó
+   */
+  onAction(listener) {
+    this.actionListener = listener;
+  }
+
+  /**
+   * Espera la próxima tecla o botón del ratón o del mando para asignarlo a una acción.
+   * Escape, Tab o un toque cancelan la espera
+   * @param {Function} listener - Recibe la asignación ('key:...', 'mouse:...' o 'pad:...') o null
+   */
+  captureBinding(listener) {
+    this.captureListener = listener;
+  }
+
+  /**
+   * Termina la espera de una asignación
+   * @param {string|null} binding - Asignación capturada o null si se canceló
+   */
+  finishCapture(binding) {
+    const listener = this.captureListener;
+    this.captureListener = null;
+    listener(binding);
+  }
+
+  /**
+   * Cambia el número de jugadores que comparten el teclado y la pantalla
+   * @param {number} players - 1 o 2
+   */
+  setPlayers(players) {
+    this.jumpQueues = Array.from({ length: players }, () => new JumpQueue());
+  }
+
+  /**
+   * Obtiene el jugador al que corresponde una posición de la pantalla
+   * (con dos jugadores, el primero usa la mitad izquierda y el segundo la derecha)
+   * @param {number} clientX - Posición horizontal del clic o toque
+   * @returns {number} - Índice del jugador
+   */
+  getPlayerAt(clientX) {
+    if (this.jumpQueues.length < 2) {
+      return 0;
+    }
+    return clientX < window.innerWidth / 2 ? 0 : 1;
+  }
+
+  /**
+   * Cambia el ancho de los bordes táctiles
+   * @param {number} edgeSize - Fracción del ancho de la pantalla
+   */
+  setEdgeSize(edgeSize) {
+    this.edgeSize = edgeSize;
+  }
+
+  /**
+   * Obtiene la zona táctil de una posición de la pantalla: el borde si tiene
+   * acciones asignadas y si no, la mitad
+   * @param {number} clientX - Posición horizontal del toque
+   * @returns {string} - 'leftEdge', 'rightEdge', 'left' o 'right'
+   */
+  getTouchZone(clientX) {
+    const zones = getTouchZones(clientX, window.innerWidth, this.edgeSize);
+    return zones.find(zone => getActionsForInput(this.bindings, `touch:${zone}`).length > 0) || zones[zones.length - 1];
+  }
+
+  /**
+   * Pide un salto para un jugador si el input está habilitado
+   * @param {number} player - Índice del jugador
+   * @param {number} time - Momento de la pulsación
+   */
+  requestJump(player, time = performance.now()) {
+    if (this.enabled && player < this.jumpQueues.length) {
+      this.jumpQueues[player].push(time);
+    }
+  }
+
+  /**
+   * Obtiene el jugador al que corresponde un mando (con dos jugadores, el segundo
+   * mando conectado salta por el segundo jugador)
+   * @param {number} order - Posición del mando entre los conectados
+   * @returns {number} - Índice del jugador
+   */
+  getPlayerForPad(order) {
+    return Math.min(order, this.jumpQueues.length - 1);
+  }
+
+  /**
+   * Ejecuta las acciones asignadas a una entrada
+   * @param {string} input - Entrada recibida (por ejemplo 'key:Space' o 'touch:left')
+   * @param {number} jumpPlayer - Jugador por el que salta la acción 'jump' (según la
+   *   mitad de la pantalla o el mando)
+   * @param {number} time - Momento de la pulsación
+   * @returns {boolean} - true si alguna acción la usó
+   */
+  dispatch(input, jumpPlayer = 0, time = performance.now()) {
+    let handled = false;
+    getActionsForInput(this.bindings, input).forEach(action => {
+      let player = JUMP_ACTIONS.indexOf(action);
+      if (player === 0) {
+        player = jumpPlayer;
+      }
+      if (player !== -1 && this.enabled && player < this.jumpQueues.length) {
+        this.requestJump(player, time);
+        handled = true;
+      } else if (this.actionListener && this.actionListener(action, time)) {
+        handled = true;
+      }
+    });
+    return handled;
+  }
+
+  /**
+   * Busca, entre los dedos levantados hace poco, el que forma un toque con dos dedos
+   * con uno que se acaba de levantar. Con dos jugadores no hay toque con dos dedos:
+   * cada uno usa el suyo
+   * @param {Object} touch - Toque terminado {x, y, time, endX, endY, endTime, player}
+   * @returns {Object|null} - El otro toque o null
+   */
+  findTwoFingerPartner(touch) {
+    if (this.jumpQueues.length > 1) {
+      return null;
+    }
+    this.liftedTouches = this.liftedTouches.filter(other => touch.endTime - other.endTime <= TWO_FINGER_WINDOW);
+    const partner = this.liftedTouches.find(other => detectTwoFingerTap(other, touch));
+    if (!partner) {
+      this.liftedTouches.push(touch);
+      return null;
+    }
+    this.liftedTouches = this.liftedTouches.filter(other => other !== partner);
+    return partner;
+  }
+
+  /**
+   * Retira el salto de un toque que resultó ser un gesto, si aún no se ha aplicado
+   * @param {Object} start - Toque {time, player}
+   */
+  withdrawTouchJump(start) {
+    if (start.player < this.jumpQueues.length) {
+      this.jumpQueues[start.player].remove(start.time);
+    }
+  }
+
+  /**
+   * Indica si un clic o toque es sobre la interfaz (botones y pantallas) y no sobre el juego
+   * @param {HTMLElement} target - Elemento pulsado
+   * @returns {boolean}
+   */
+  isUiTarget(target) {
+    return target.tagName === 'BUTTON' ||
+      target.id === 'startScreen' ||
+      target.id === 'gameOverScreen' ||
+      target.id === 'pauseScreen' ||
+      target.closest('#startScreen') !== null ||
+      target.closest('#gameOverScreen') !== null ||
+      target.closest('#pauseScreen') !== null;
+  }
+
   /**
    * Configura todos los event listeners para entrada
    */
   setupEventListeners() {
-    // Teclado - funciona siempre
+    // Teclado - funciona siempre (cada acción decide si le sirve)
     window.addEventListener('keydown', (e) => {
-      if (e.code === 'Space' || e.key === ' ') {
+      if (this.captureListener) {
+        e.preventDefault();
+        const cancelled = e.code === 'Escape' || e.code === 'Tab';
+        this.finishCapture(cancelled ? null : `key:${e.code}`);
+        return;
+      }
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+        return;
+      }
+      if (this.dispatch(`key:${e.code}`, 0, getInputTime(e.timeStamp))) {
         e.preventDefault();
-        if (e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
-          if (this.enabled) {
-            this.jumpRequested = true;
-          }
-        }
       }
     });
 
@@ -37,53 +383,172 @@ class InputManager {
         return;
       }
 
-      const target = e.target;
+      if (this.captureListener) {
+        e.preventDefault();
+        this.finishCapture(`mouse:${e.button}`);
+        return;
+      }
+
       // No procesar si es un botón o está en las pantallas
-      if (target.tagName === 'BUTTON' ||
-          target.id === 'startScreen' ||
-          target.id === 'gameOverScreen' ||
-          target.closest('#startScreen') ||
-          target.closest('#gameOverScreen')) {
+      if (this.isUiTarget(e.target)) {
         return;
       }
 
-      if (this.enabled) {
+      if (this.enabled && this.dispatch(`mouse:${e.button}`, this.getPlayerAt(e.clientX), getInputTime(e.timeStamp))) {
+        e.preventDefault();
+      }
+    });
+
+    // Sin menú contextual mientras se juega o se asigna el botón derecho
+    window.addEventListener('contextmenu', (e) => {
+      if (this.enabled || this.captureListener) {
         e.preventDefault();
-        this.jumpRequested = true;
       }
     });
 
     // Touch - solo cuando está habilitado
     window.addEventListener('touchstart', (e) => {
       const now = Date.now();
-      // Cooldown para evitar múltiples saltos en el mismo toque
-      if (now - this.lastTouchTime < this.touchCooldown) {
-        e.preventDefault();
+      if (this.captureListener) {
+        this.lastTouchTime = now;
+        this.finishCapture(null);
         return;
       }
 
-      const target = e.target;
-      if (target.tagName === 'BUTTON' ||
-          target.id === 'startScreen' ||
-          target.id === 'gameOverScreen' ||
-          target.closest('#startScreen') ||
-          target.closest('#gameOverScreen')) {
+      if (this.isUiTarget(e.target)) {
         return;
       }
 
-      if (this.enabled) {
-        e.preventDefault();
-        this.lastTouchTime = now;
-        this.jumpRequested = true;
+      if (!this.enabled) {
+        return;
       }
+      e.preventDefault();
+      this.lastTouchTime = now;
+
+      // Cada dedo dispara al momento las acciones de su zona (cada toque es un salto,
+      // aunque sean muy seguidos); si luego resulta ser un gesto, se retira el salto
+      const time = getInputTime(e.timeStamp);
+      Array.from(e.changedTouches).forEach(touch => {
+        const start = { x: touch.clientX, y: touch.clientY, time, player: this.getPlayerAt(touch.clientX), moved: false };
+        this.touchStarts.set(touch.identifier, start);
+        this.dispatch(`touch:${this.getTouchZone(touch.clientX)}`, start.player, time);
+      });
     }, { passive: false });
 
-    // Evitar scroll en móviles
+    // Al levantar el dedo se reconocen los deslizamientos y el toque con dos dedos
+    window.addEventListener('touchend', (e) => {
+      const time = getInputTime(e.timeStamp);
+      Array.from(e.changedTouches).forEach(touch => {
+        const start = this.touchStarts.get(touch.identifier);
+        this.touchStarts.delete(touch.identifier);
+        if (!start || !this.enabled) {
+          return;
+        }
+        const swipe = detectSwipe(start, { x: touch.clientX, y: touch.clientY, time });
+        if (swipe) {
+          if (this.dispatch(`gesture:${swipe}`, start.player, time)) {
+            this.withdrawTouchJump(start);
+          }
+          return;
+        }
+        if (start.moved) {
+          return;
+        }
+        const partner = this.findTwoFingerPartner({ ...start, endX: touch.clientX, endY: touch.clientY, endTime: time });
+        if (partner && this.dispatch('gesture:twoFinger', start.player, time)) {
+          this.withdrawTouchJump(partner);
+          this.withdrawTouchJump(start);
+        }
+      });
+    });
+    window.addEventListener('touchcancel', (e) => {
+      Array.from(e.changedTouches).forEach(touch => this.touchStarts.delete(touch.identifier));
+    });
+
+    // Evitar scroll en móviles y marcar los dedos que se mueven (pueden estar deslizando)
     window.addEventListener('touchmove', (e) => {
+      Array.from(e.changedTouches).forEach(touch => {
+        const start = this.touchStarts.get(touch.identifier);
+        if (start && Math.hypot(touch.clientX - start.x, touch.clientY - start.y) > TAP_MOVEMENT) {
+          start.moved = true;
+        }
+      });
       if (this.enabled) {
         e.preventDefault();
       }
     }, { passive: false });
+
+    // Conexión y desconexión de mandos en caliente
+    window.addEventListener('gamepadconnected', (e) => {
+      if (this.gamepadListener) {
+        this.gamepadListener({ connected: true, id: e.gamepad.id });
+      }
+    });
+    window.addEventListener('gamepaddisconnected', (e) => {
+      this.padButtons.delete(e.gamepad.index);
+      if (this.gamepadListener) {
+        this.gamepadListener({ connected: false, id: e.gamepad.id });
+      }
+    });
+  }
+
+  /**
+   * Consulta los mandos conectados y procesa los botones recién pulsados
+   * (se llama una vez por fotograma)
+   */
+  pollGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) {
+      return;
+    }
+
+    const pads = Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+    pads.forEach((pad, order) => {
+      const previous = this.padButtons.get(pad.index) || [];
+      const pressed = this.getPressedPadButtons(pad);
+      const time = getInputTime(pad.timestamp);
+      pressed.forEach((isPressed, button) => {
+        if (isPressed && !previous[button]) {
+          this.handlePadButton(button, order, time);
+        }
+      });
+      this.padButtons.set(pad.index, pressed);
+    });
+  }
+
+  /**
+   * Obtiene qué botones de un mando están pulsados; el stick izquierdo cuenta como la cruceta
+   * @param {Gamepad} pad - Mando
+   * @returns {Array<boolean>} - Pulsado o no, por índice del mapeo estándar
+   */
+  getPressedPadButtons(pad) {
+    const pressed = pad.buttons.map(button => button.pressed);
+    while (pressed.length < 16) {
+      pressed.push(false);
+    }
+    const [x = 0, y = 0] = pad.axes;
+    pressed[12] = pressed[12] || y < -STICK_THRESHOLD;
+    pressed[13] = pressed[13] || y > STICK_THRESHOLD;
+    pressed[14] = pressed[14] || x < -STICK_THRESHOLD;
+    pressed[15] = pressed[15] || x > STICK_THRESHOLD;
+    return pressed;
+  }
+
+  /**
+   * Procesa un botón del mando recién pulsado: asignación, menú o acción de la partida
+   * @param {number} button - Índice del botón
+   * @param {number} order - Posición del mando entre los conectados
+   * @param {number} time - Momento de la pulsación
+   */
+  handlePadButton(button, order, time) {
+    if (this.captureListener) {
+      this.finishCapture(`pad:${button}`);
+      return;
+    }
+    const command = NAVIGATION_BUTTONS[button];
+    if (command && this.navigationListener && this.navigationListener(command)) {
+      return;
+    }
+    this.dispatch(`pad:${button}`, this.getPlayerForPad(order), time);
   }
 
   /**
@@ -93,27 +558,41 @@ class InputManager {
   setEnabled(enabled) {
     this.enabled = enabled;
     if (!enabled) {
-      this.jumpRequested = false;
+      this.reset();
     }
   }
 
   /**
-   * Verifica si se solicitó un salto y lo consume
+   * Verifica si un jugador pulsó saltar antes del final de un tick y consume el salto
+   * (si pulsó varias veces, cada salto se aplica en un tick)
+   * @param {number} player - Índice del jugador (el primero si se omite)
+   * @param {number} until - Momento en que termina el tick (sin límite si se omite)
+   * @param {number} tickLength - Milisegundos que dura el tick: los saltos pulsados antes
+   * de su comienzo y fuera del búfer de salto se descartan
    * @returns {boolean}
    */
-  consumeJump() {
-    if (this.jumpRequested) {
-      this.jumpRequested = false;
-      return true;
+  consumeJump(player = 0, until = Infinity, tickLength = 0) {
+    if (player >= this.jumpQueues.length) {
+      return false;
     }
-    return false;
+    const maxAge = Number.isFinite(until) ? tickLength + this.jumpBuffer : Infinity;
+    return this.jumpQueues[player].consume(until, maxAge);
+  }
+
+  /**
+   * Lleva al comienzo del tiempo simulado los saltos pulsados en un tramo que no se simula
+   * @param {number} from - Comienzo del tramo sin simular
+   * @param {number} to - Comienzo del primer tick que se simula
+   */
+  postponeJumps(from, to) {
+    this.jumpQueues.forEach(queue => queue.postpone(from, to));
   }
 
   /**
    * Resetea el estado de entrada
    */
   reset() {
-    this.jumpRequested = false;
+    this.jumpQueues.forEach(queue => queue.clear());
   }
 }
 
@@ -0,0 +1,114 @@
+/**
+ * Calibración de la latencia de la entrada
+ *
+ * El jugador pulsa saltar al ritmo de un pulso que se ilumina a intervalos fijos.
+ * Se miden dos cosas (en milisegundos, con el reloj de performance.now()):
+ * - el desfase de cada pulsación respecto al pulso más cercano, que incluye la
+ *   latencia de la pantalla, del dispositivo de entrada y la del propio jugador
+ * - el tiempo desde que el navegador recibe la pulsación hasta el fotograma que
+ *   dibuja el aleteo, que es la parte que añade el juego
+ */
+
+// Pulsos de cada calibración y los primeros, de práctica, que no se miden
+const CALIBRATION_BEATS = 12;
+const WARMUP_BEATS = 2;
+
+// Milisegundos entre pulsos
+const BEAT_INTERVAL = 700;
+
+/**
+ * Resume una lista de muestras
+ * @param {Array<number>} samples - Muestras en milisegundos
+ * @returns {Object|null} - {count, average, median, jitter} o null si no hay muestras
+ */
+export function summarizeSamples(samples) {
+  if (samples.length === 0) {
+    return null;
+  }
+  const sorted = samples.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const average = samples.reduce((sum, sample) => sum + sample, 0) / samples.length;
+  const variance = samples.reduce((sum, sample) => sum + (sample - average) ** 2, 0) / samples.length;
+  return { count: samples.length, average, median, jitter: Math.sqrt(variance) };
+}
+
+/**
+ * Una sesión de calibración
+ */
+export class LatencyCalibration {
+  /**
+   * @param {number} startTime - Momento del primer pulso
+   * @param {Object} options - {beats, warmup, interval}
+   */
+  constructor(startTime, options = {}) {
+    this.startTime = startTime;
+    this.beats = options.beats ?? CALIBRATION_BEATS;
+    this.warmup = options.warmup ?? WARMUP_BEATS;
+    this.interval = options.interval ?? BEAT_INTERVAL;
+    this.offsets = [];
+    this.flapDelays = [];
+  }
+
+  /**
+   * Obtiene el momento de un pulso
+   * @param {number} index - Índice del pulso
+   * @returns {number}
+   */
+  getBeatTime(index) {
+    return this.startTime + index * this.interval;
+  }
+
+  /**
+   * Obtiene el último pulso que ya ha sonado
+   * @param {number} time - Momento actual
+   * @returns {number} - Índice del pulso (-1 antes del primero)
+   */
+  getBeatIndex(time) {
+    if (time < this.startTime) {
+      return -1;
+    }
+    return Math.min(this.beats - 1, Math.floor((time - this.startTime) / this.interval));
+  }
+
+  /**
+   * Registra una pulsación: cuenta si está a menos de medio intervalo de un pulso medido
+   * @param {number} time - Momento de la pulsación
+   * @returns {number|null} - Desfase respecto al pulso (positivo si fue tarde) o null si no cuenta
+   */
+  recordPress(time) {
+    const index = Math.round((time - this.startTime) / this.interval);
+    if (index < this.warmup || index >= this.beats) {
+      return null;
+    }
+    const offset = time - this.getBeatTime(index);
+    this.offsets.push(offset);
+    return offset;
+  }
+
+  /**
+   * Registra cuánto tardó en dibujarse el aleteo de una pulsación
+   * @param {number} pressTime - Momento de la pulsación
+   * @param {number} drawnTime - Momento en que se terminó de dibujar el aleteo
+   */
+  recordFlap(pressTime, drawnTime) {
+    this.flapDelays.push(drawnTime - pressTime);
+  }
+
+  /**
+   * Indica si ya pasó el último pulso (con margen para pulsarlo tarde)
+   * @param {number} time - Momento actual
+   * @returns {boolean}
+   */
+  isFinished(time) {
+    return time > this.getBeatTime(this.beats - 1) + this.interval / 2;
+  }
+
+  /**
+   * Obtiene el resultado de la calibración
+   * @returns {Object} - {rhythm, flap}: resumen de los desfases y de los retrasos del aleteo
+   */
+  getResult() {
+    return { rhythm: summarizeSamples(this.offsets), flap: summarizeSamples(this.flapDelays) };
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * Disposición de los elementos de la pantalla (marcadores y botones)
+ *
+ * Cada elemento editable puede tener una posición, un tamaño y una opacidad propios,
+ * distintos en vertical y en horizontal. La posición es la de su esquina superior
+ * izquierda en fracciones del ancho y el alto de la ventana, así que se conserva al
+ * cambiar el tamaño de la ventana. Los elementos sin entrada usan la posición del CSS.
+ * Se guarda como {portrait: {id: {x, y, scale, opacity}}, landscape: {...}, snap}.
+ */
+
+import { ABILITIES } from './abilities.js';
+
+const LAYOUT_KEY = 'hudLayout';
+
+// Lado de cada celda de la cuadrícula (fracción de la ventana)
+export const GRID_SIZE = 0.025;
+
+// Límites del tamaño (escala) y de la opacidad
+export const MIN_SCALE = 0.5;
+export const MAX_SCALE = 2;
+export const MIN_OPACITY = 0.2;
+
+/**
+ * Elementos que se pueden editar: {id, selector, name}
+ */
+export const HUD_ELEMENTS = [
+  { id: 'score', selector: '#score', name: 'Puntuación' },
+  { id: 'highScore', selector: '#highScore', name: 'Récord' },
+  { id: 'pauseButton', selector: '#pauseButton', name: 'Botón de pausa' },
+  { id: 'coinHud', selector: '#coinHud', name: 'Monedas' },
+  { id: 'powerupHud', selector: '#powerupHud', name: 'Potenciadores' },
+  { id: 'ghostDelta', selector: '#ghostDelta', name: 'Distancia al fantasma' },
+  { id: 'levelHud', selector: '#levelHud', name: 'Nivel' },
+  { id: 'adaptiveLevel', selector: '#adaptiveLevel', name: 'Nivel adaptativo' },
+  { id: 'modeHud', selector: '#modeHud', name: 'Marcador del modo' },
+  ...Object.values(ABILITIES).map(ability => ({
+    id: `ability:${ability.id}`,
+    selector: `.ability-container[data-ability="${ability.id}"]`,
+    name: `${ability.icon} ${ability.name}`
+  }))
+];
+
+/**
+ * Crea una disposición sin cambios (todo en su posición por defecto)
+ * @returns {Object}
+ */
+export function createDefaultLayout() {
+  return { portrait: {}, landscape: {}, snap: true };
+}
+
+/**
+ * Obtiene la orientación de una ventana
+ * @param {number} width - Ancho
+ * @param {number} height - Alto
+ * @returns {string} - 'portrait' o 'landscape'
+ */
+export function getOrientation(width, height) {
+  return height > width ? 'portrait' : 'landscape';
+}
+
+/**
+ * Ajusta un valor a la cuadrícula
+ * @param {number} value - Fracción de la ventana
+ * @returns {number}
+ */
+export function snapToGrid(value) {
+  return Math.round(value / GRID_SIZE) * GRID_SIZE;
+}
+
+/**
+ * Limita un valor a un rango
+ * @param {number} value - Valor
+ * @param {number} min - Mínimo
+ * @param {number} max - Máximo
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Calcula la posición de un elemento que se arrastra: se ajusta a la cuadrícula si
+ * hace falta y se mantiene dentro de la ventana
+ * @param {number} x - Esquina izquierda deseada (fracción del ancho)
+ * @param {number} y - Esquina superior deseada (fracción del alto)
+ * @param {Object} size - {width, height} del elemento en fracciones de la ventana
+ * @param {boolean} snap - Si se ajusta a la cuadrícula
+ * @returns {Object} - {x, y}
+ */
+export function placeElement(x, y, size, snap) {
+  const placedX = snap ? snapToGrid(x) : x;
+  const placedY = snap ? snapToGrid(y) : y;
+  return {
+    x: clamp(placedX, 0, Math.max(0, 1 - size.width)),
+    y: clamp(placedY, 0, Math.max(0, 1 - size.height))
+  };
+}
+
+/**
+ * Corrige una entrada guardada de un elemento
+ * @param {*} entry - Entrada leída
+ * @returns {Object|null} - {x, y, scale, opacity} o null si no es válida
+ */
+function normalizeEntry(entry) {
+  if (!entry || typeof entry !== 'object' || !Number.isFinite(entry.x) || !Number.isFinite(entry.y)) {
+    return null;
+  }
+  return {
+    x: clamp(entry.x, 0, 1),
+    y: clamp(entry.y, 0, 1),
+    scale: Number.isFinite(entry.scale) ? clamp(entry.scale, MIN_SCALE, MAX_SCALE) : 1,
+    opacity: Number.isFinite(entry.opacity) ? clamp(entry.opacity, MIN_OPACITY, 1) : 1
+  };
+}
+
+/**
+ * Corrige una disposición guardada: descarta elementos desconocidos y entradas inválidas
+ * @param {*} saved - Disposición leída de localStorage
+ * @returns {Object} - Disposición válida
+ */
+export function normalizeLayout(saved) {
+  const layout = createDefaultLayout();
+  if (!saved || typeof saved !== 'object') {
+    return layout;
+  }
+  ['portrait', 'landscape'].forEach(orientation => {
+    const entries = saved[orientation] || {};
+    HUD_ELEMENTS.forEach(element => {
+      const entry = normalizeEntry(entries[element.id]);
+      if (entry) {
+        layout[orientation][element.id] = entry;
+      }
+    });
+  });
+  layout.snap = saved.snap !== false;
+  return layout;
+}
+
+/**
+ * Convierte las posiciones en píxeles de los botones de habilidad (de cuando solo se
+ * podían arrastrar esos botones) en entradas de la disposición
+ * @param {Object} positions - Posición {x, y} en píxeles por id de habilidad
+ * @param {number} width - Ancho de la ventana
+ * @param {number} height - Alto de la ventana
+ * @returns {Object} - Entradas por id de elemento
+ */
+export function convertAbilityPositions(positions, width, height) {
+  const entries = {};
+  Object.entries(positions).forEach(([id, position]) => {
+    const entry = normalizeEntry(position && { x: position.x / width, y: position.y / height });
+    if (ABILITIES[id] && entry) {
+      entries[`ability:${id}`] = entry;
+    }
+  });
+  return entries;
+}
+
+/**
+ * Carga la disposición guardada. La primera vez conserva, para la orientación
+ * actual, las posiciones de los botones de habilidad guardadas antes del editor
+ * @param {number} width - Ancho de la ventana
+ * @param {number} height - Alto de la ventana
+ * @returns {Object}
+ */
+export function loadLayout(width, height) {
+  try {
+    const saved = localStorage.getItem(LAYOUT_KEY);
+    if (saved) {
+      return normalizeLayout(JSON.parse(saved));
+    }
+
+    const layout = createDefaultLayout();
+    const positions = JSON.parse(localStorage.getItem('abilityButtonPositions') || '{}');
+    const legacy = localStorage.getItem('abilityButtonPosition');
+    if (legacy && !positions.invulnerability) {
+      positions.invulnerability = JSON.parse(legacy);
+    }
+    layout[getOrientation(width, height)] = convertAbilityPositions(positions, width, height);
+    return layout;
+  } catch (e) {
+    console.warn('Error cargando la disposición de la pantalla:', e);
+    return createDefaultLayout();
+  }
+}
+
+/**
+ * Guarda la disposición
+ * @param {Object} layout - Disposición
+ */
+export function saveLayout(layout) {
+  localStorage.setItem(LAYOUT_KEY, JSON.stringify(layout));
+}
@@ -0,0 +1,80 @@
+/**
+ * Módulo de modos de juego
+ *
+ * Cada modo se define por sus reglas, que interpreta la simulación:
+ * - timeLimit: segundos de partida; al acabarse termina sin morir
+ * - noDeath: los choques no matan, solo restan collisionPenalty puntos
+ * - noAbilities: desactiva las habilidades
+ * - startLevel: nivel de la curva de dificultad con el que se empieza
+ */
+
+export const DEFAULT_MODE = 'classic';
+
+export const GAME_MODES = {
+  classic: {
+    id: 'classic',
+    name: 'Clásico',
+    description: 'Un choque y se acabó',
+    rules: {}
+  },
+  timeAttack: {
+    id: 'timeAttack',
+    name: 'Contrarreloj',
+    description: 'Supera todos los tubos que puedas en 60 segundos',
+    rules: { timeLimit: 60 }
+  },
+  zen: {
+    id: 'zen',
+    name: 'Zen',
+    description: 'No se muere: cada choque resta 3 puntos',
+    rules: { noDeath: true, collisionPenalty: 3 }
+  },
+  hardcore: {
+    id: 'hardcore',
+    name: 'Hardcore',
+    description: 'Sin habilidades y empezando más rápido',
+    rules: { noAbilities: true, startLevel: 3 }
+  }
+};
+
+/**
+ * Obtiene un modo de juego por su id
+ * @param {string} id - Id del modo
+ * @returns {Object} - Modo (el clásico si no existe)
+ */
+export function getGameMode(id) {
+  return GAME_MODES[id] || GAME_MODES[DEFAULT_MODE];
+}
+
+/**
+ * Indica si un id corresponde a un modo de juego
+ * @param {string} id - Id del modo
+ * @returns {boolean}
+ */
+export function isGameMode(id) {
+  return Object.prototype.hasOwnProperty.call(GAME_MODES, id);
+}
+
+/**
+ * Obtiene las líneas de resultado de una partida según las reglas de su modo
+ * @param {Object} mode - Modo de juego
+ * @param {Object} run - Partida {score, ticks, fixedTimeStep, collisions, pointsLost, difficultyLevel}
+ * @returns {Array<string>}
+ */
+export function getModeResults(mode, run) {
+  const rules = mode.rules;
+  const results = [];
+  const seconds = run.ticks * run.fixedTimeStep;
+
+  if (rules.timeLimit) {
+    const perMinute = seconds > 0 ? run.score / (seconds / 60) : 0;
+    results.push(`${run.score} tubos en ${Math.round(Math.min(seconds, rules.timeLimit))} s · ${perMinute.toFixed(1)} por minuto`);
+  }
+  if (rules.noDeath) {
+    results.push(`Choques: ${run.collisions} (−${run.pointsLost} puntos) · ${Math.round(seconds)} s de vuelo`);
+  }
+  if (rules.startLevel) {
+    results.push(`Nivel de dificultad alcanzado: ${run.difficultyLevel}`);
+  }
+  return results;
+}
@@ -0,0 +1,224 @@
+/**
+ * Navegación de los menús con el mando
+ *
+ * Cada pantalla se describe con {selector, initial, back, extras}: el elemento
+ * de la pantalla, el que recibe el foco al abrirla, el botón que la cierra con B
+ * y otros botones que se pueden alcanzar desde ella (como el de configuración).
+ * Se navega por la pantalla visible que esté más arriba en la lista, moviendo el
+ * foco hacia el elemento más cercano en la dirección pulsada.
+ */
+
+const FOCUSABLE = 'button, input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Vector de cada dirección de la cruceta
+const DIRECTIONS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 }
+};
+
+/**
+ * Indica si un elemento se está mostrando
+ * @param {HTMLElement} element - Elemento
+ * @returns {boolean}
+ */
+function isShown(element) {
+  return element !== null && element.getClientRects().length > 0;
+}
+
+class MenuNavigator {
+  /**
+   * @param {Array<Object>} screens - Pantallas de arriba abajo {selector, initial, back, extras}
+   */
+  constructor(screens) {
+    this.screens = screens;
+    this.activeScreen = null;
+    this.focused = null;
+    this.focusedIndex = 0;
+
+    // Al volver al ratón o al dedo se quita el resaltado del mando
+    window.addEventListener('mousedown', () => this.clearFocus());
+    window.addEventListener('touchstart', () => this.clearFocus(), { passive: true });
+  }
+
+  /**
+   * Obtiene la pantalla por la que se navega
+   * @returns {Object|null} - Pantalla visible más arriba, o null si no hay ninguna (en partida)
+   */
+  getActiveScreen() {
+    return this.screens.find(screen => isShown(document.querySelector(screen.selector))) || null;
+  }
+
+  /**
+   * Obtiene los elementos que pueden recibir el foco en una pantalla
+   * @param {Object} screen - Pantalla
+   * @returns {Array<HTMLElement>}
+   */
+  getFocusables(screen) {
+    const root = document.querySelector(screen.selector);
+    const extras = (screen.extras || []).map(selector => document.querySelector(selector));
+    return [...root.querySelectorAll(FOCUSABLE), ...extras]
+      .filter(element => isShown(element) && !element.disabled);
+  }
+
+  /**
+   * Ejecuta una orden del mando
+   * @param {string} command - 'up', 'down', 'left', 'right', 'activate' o 'back'
+   * @returns {boolean} - true si había un menú que la usó (si no, es una entrada de la partida)
+   */
+  handle(command) {
+    const screen = this.getActiveScreen();
+    if (!screen) {
+      this.activeScreen = null;
+      this.clearFocus();
+      return false;
+    }
+
+    const items = this.getFocusables(screen);
+    if (items.length === 0) {
+      return true;
+    }
+
+    // Al abrirse una pantalla la primera pulsación solo enfoca su elemento inicial,
+    // así no se activa nada por seguir pulsando A tras chocar
+    if (screen !== this.activeScreen) {
+      this.activeScreen = screen;
+      const initial = screen.initial ? document.querySelector(screen.initial) : null;
+      this.focus(items.includes(initial) ? initial : items[0], items);
+      return true;
+    }
+    // Si el elemento enfocado desapareció (por ejemplo, al redibujar una lista) se
+    // enfoca el que ocupa su lugar
+    if (!items.includes(this.focused)) {
+      this.focus(items[Math.min(this.focusedIndex, items.length - 1)], items);
+      return true;
+    }
+
+    switch (command) {
+    case 'activate':
+      this.activate(this.focused);
+      break;
+    case 'back':
+      if (screen.back) {
+        const backButton = document.querySelector(screen.back);
+        if (isShown(backButton)) {
+          backButton.click();
+        }
+      }
+      break;
+    default:
+      if (!this.adjust(this.focused, command)) {
+        this.move(items, DIRECTIONS[command]);
+      }
+      break;
+    }
+    return true;
+  }
+
+  /**
+   * Pulsa el elemento enfocado
+   * @param {HTMLElement} element - Elemento enfocado
+   */
+  activate(element) {
+    if (element.tagName === 'SELECT') {
+      this.adjust(element, 'right');
+    } else if (element.tagName === 'TEXTAREA' || (element.tagName === 'INPUT' && element.type !== 'checkbox')) {
+      element.focus(); // se escribe con el teclado
+    } else {
+      element.click();
+    }
+  }
+
+  /**
+   * Cambia con izquierda y derecha el valor de un selector o un deslizador
+   * @param {HTMLElement} element - Elemento enfocado
+   * @param {string} command - Dirección pulsada
+   * @returns {boolean} - true si el elemento tenía un valor que cambiar
+   */
+  adjust(element, command) {
+    if (command !== 'left' && command !== 'right') {
+      return false;
+    }
+    const step = command === 'right' ? 1 : -1;
+
+    if (element.tagName === 'SELECT') {
+      const count = element.options.length;
+      element.selectedIndex = (element.selectedIndex + step + count) % count;
+    } else if (element.tagName === 'INPUT' && element.type === 'range') {
+      if (step > 0) {
+        element.stepUp();
+      } else {
+        element.stepDown();
+      }
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+    } else {
+      return false;
+    }
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
+  }
+
+  /**
+   * Mueve el foco al elemento más cercano en una dirección
+   * @param {Array<HTMLElement>} items - Elementos de la pantalla
+   * @param {Object} direction - Vector {x, y} de la dirección
+   */
+  move(items, direction) {
+    const from = this.focused.getBoundingClientRect();
+    const fromX = from.left + from.width / 2;
+    const fromY = from.top + from.height / 2;
+
+    let best = null;
+    let bestScore = Infinity;
+    items.forEach(item => {
+      if (item === this.focused) {
+        return;
+      }
+      const rect = item.getBoundingClientRect();
+      const dx = rect.left + rect.width / 2 - fromX;
+      const dy = rect.top + rect.height / 2 - fromY;
+      // Distancia en la dirección pulsada; lo que se desvía de ella cuenta el doble
+      const along = dx * direction.x + dy * direction.y;
+      const across = Math.abs(dx * direction.y) + Math.abs(dy * direction.x);
+      if (along <= 0) {
+        return;
+      }
+      const score = along + across * 2;
+      if (score < bestScore) {
+        bestScore = score;
+        best = item;
+      }
+    });
+
+    if (best) {
+      this.focus(best, items);
+    }
+  }
+
+  /**
+   * Enfoca y resalta un elemento
+   * @param {HTMLElement} element - Elemento
+   * @param {Array<HTMLElement>} items - Elementos de la pantalla
+   */
+  focus(element, items) {
+    this.clearFocus();
+    this.focused = element;
+    this.focusedIndex = items.indexOf(element);
+    element.classList.add('gamepad-focus');
+    element.focus({ preventScroll: true });
+    element.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Quita el resaltado del elemento enfocado
+   */
+  clearFocus() {
+    if (this.focused) {
+      this.focused.classList.remove('gamepad-focus');
+      this.focused = null;
+    }
+  }
+}
+
+export default MenuNavigator;
@@ -0,0 +1,201 @@
+/**
+ * Módulo de obstáculos: pares de tubos con un hueco entre ellos
+ *
+ * Comportamientos:
+ * - 'static': hueco fijo
+ * - 'sine': el hueco sube y baja siguiendo una onda senoidal
+ * - 'closing': el hueco se estrecha poco a poco alrededor de su centro
+ * - 'slide': uno de los tubos entra deslizándose desde arriba o desde abajo
+ * - 'double': no es un comportamiento de un par sino del generador, que crea dos pares escalonados
+ */
+
+import { random } from './utils.js';
+
+// Margen mínimo entre el hueco y los bordes del mundo
+const GAP_MARGIN = 40;
+
+// Borde ancho (labio) de cada tubo junto al hueco
+export const PIPE_LIP = {
+  overhang: 4, // píxeles que sobresale a cada lado
+  height: 24
+};
+
+/**
+ * Crea un par de tubos
+ * @param {Object} options - {x, width, gapY (borde superior del hueco), gapSize, behavior, ...parámetros del comportamiento}
+ * @returns {Object} - Par de tubos {x, width, gapY, gapSize, behavior, passed}
+ */
+export function createPipePair({ x, width, gapY, gapSize, behavior = 'static', ...params }) {
+  return {
+    x,
+    width,
+    gapY,
+    gapSize,
+    behavior,
+    age: 0, // segundos desde que apareció
+    passed: false,
+    ...params
+  };
+}
+
+/**
+ * Obtiene el tipo de obstáculo que corresponde a una tirada aleatoria
+ * @param {Object} mix - Pesos por tipo {static, sine, closing, slide, double}
+ * @param {number} roll - Número en [0, 1)
+ * @returns {string} - Tipo de obstáculo
+ */
+export function pickObstacleType(mix, roll) {
+  const entries = Object.entries(mix).filter(([, weight]) => weight > 0);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let threshold = roll * total;
+  for (const [type, weight] of entries) {
+    threshold -= weight;
+    if (threshold < 0) {
+      return type;
+    }
+  }
+  return entries.length > 0 ? entries[entries.length - 1][0] : 'static';
+}
+
+/**
+ * Crea los pares de tubos de un obstáculo del tipo indicado
+ * @param {string} type - 'static', 'sine', 'closing', 'slide' o 'double'
+ * @param {Object} options - {x, width, gapY, gapSize, worldHeight, rng}
+ * @returns {Array<Object>} - Pares de tubos creados
+ */
+export function createObstacle(type, { x, width, gapY, gapSize, worldHeight, rng }) {
+  const base = { x, width, gapY, gapSize };
+
+  if (type === 'sine') {
+    const maxAmplitude = Math.min(gapY - GAP_MARGIN, worldHeight - gapSize - GAP_MARGIN - gapY);
+    return [createPipePair({
+      ...base,
+      behavior: 'sine',
+      baseGapY: gapY,
+      amplitude: Math.max(0, Math.min(random(30, 60, rng), maxAmplitude)),
+      frequency: random(0.4, 0.8, rng), // oscilaciones por segundo
+      phase: random(0, Math.PI * 2, rng)
+    })];
+  }
+
+  if (type === 'closing') {
+    // Empieza más abierto de lo normal y se cierra hasta quedar más estrecho
+    const startGap = gapSize + 40;
+    return [createPipePair({
+      ...base,
+      gapY: gapY - 20,
+      gapSize: startGap,
+      behavior: 'closing',
+      gapCenter: gapY + gapSize / 2,
+      minGapSize: Math.max(90, gapSize - 30),
+      closingSpeed: 25 // píxeles por segundo
+    })];
+  }
+
+  if (type === 'slide') {
+    return [createPipePair({
+      ...base,
+      behavior: 'slide',
+      slideFrom: rng() < 0.5 ? 'top' : 'bottom',
+      startX: x,
+      slideDistance: 180, // píxeles recorridos hasta quedar completamente extendido
+      slideProgress: 0
+    })];
+  }
+
+  if (type === 'double') {
+    // Segundo par escalonado: más cerca de lo habitual y con el hueco desplazado
+    const offset = rng() < 0.5 ? -60 : 60;
+    const secondGapY = Math.max(GAP_MARGIN * 2, Math.min(gapY + offset, worldHeight - gapSize - GAP_MARGIN * 2));
+    return [
+      createPipePair({ ...base, behavior: 'static' }),
+      createPipePair({ ...base, x: x + width + 110, gapY: secondGapY, behavior: 'static', staggered: true })
+    ];
+  }
+
+  return [createPipePair(base)];
+}
+
+/**
+ * Actualiza el comportamiento de un par de tubos
+ * @param {Object} pair - Par de tubos
+ * @param {number} deltaTime - Tiempo transcurrido en segundos
+ */
+export function updatePipePair(pair, deltaTime) {
+  pair.age += deltaTime;
+
+  if (pair.behavior === 'sine') {
+    pair.gapY = pair.baseGapY + Math.sin(pair.phase + pair.age * pair.frequency * Math.PI * 2) * pair.amplitude;
+  } else if (pair.behavior === 'closing') {
+    pair.gapSize = Math.max(pair.minGapSize, pair.gapSize - pair.closingSpeed * deltaTime);
+    pair.gapY = pair.gapCenter - pair.gapSize / 2;
+  } else if (pair.behavior === 'slide') {
+    pair.slideProgress = Math.min(1, (pair.startX - pair.x) / pair.slideDistance);
+  }
+}
+
+/**
+ * Obtiene los rectángulos sólidos de un par de tubos
+ * @param {Object} pair - Par de tubos
+ * @param {number} height - Alto del mundo de juego
+ * @returns {Array<Object>} - [tubo superior, tubo inferior] como {x, y, width, height}
+ */
+export function getPipeRects(pair, height) {
+  const gapBottom = pair.gapY + pair.gapSize;
+  let topHeight = pair.gapY;
+  let bottomY = gapBottom;
+
+  // El tubo que se desliza solo ocupa la parte que ya ha salido
+  if (pair.behavior === 'slide' && pair.slideFrom === 'top') {
+    topHeight = pair.gapY * pair.slideProgress;
+  } else if (pair.behavior === 'slide' && pair.slideFrom === 'bottom') {
+    bottomY = height - (height - gapBottom) * pair.slideProgress;
+  }
+
+  return [
+    { x: pair.x, y: 0, width: pair.width, height: topHeight },
+    { x: pair.x, y: bottomY, width: pair.width, height: height - bottomY }
+  ];
+}
+
+/**
+ * Obtiene los labios de un par de tubos (el borde ancho junto al hueco)
+ * @param {Object} pair - Par de tubos
+ * @param {number} height - Alto del mundo de juego
+ * @returns {Array<Object>} - Labios de los tubos visibles como {x, y, width, height}
+ */
+export function getPipeLipRects(pair, height) {
+  const [top, bottom] = getPipeRects(pair, height);
+  const x = pair.x - PIPE_LIP.overhang;
+  const width = pair.width + PIPE_LIP.overhang * 2;
+  const lips = [];
+
+  if (top.height > 0) {
+    const lipHeight = Math.min(PIPE_LIP.height, top.height);
+    lips.push({ x, y: top.y + top.height - lipHeight, width, height: lipHeight });
+  }
+  if (bottom.height > 0) {
+    lips.push({ x, y: bottom.y, width, height: Math.min(PIPE_LIP.height, bottom.height) });
+  }
+  return lips;
+}
+
+/**
+ * Obtiene todos los rectángulos sólidos de un par: cuerpos y labios
+ * @param {Object} pair - Par de tubos
+ * @param {number} height - Alto del mundo de juego
+ * @returns {Array<Object>} - Rectángulos {x, y, width, height}
+ */
+export function getPipeHitRects(pair, height) {
+  return [...getPipeRects(pair, height), ...getPipeLipRects(pair, height)];
+}
+
+/**
+ * Indica si el par de tubos ya quedó completamente detrás de una posición X
+ * @param {Object} pair - Par de tubos
+ * @param {number} x - Posición X de referencia (borde izquierdo del pájaro)
+ * @returns {boolean}
+ */
+export function isPipePairBehind(pair, x) {
+  return pair.x + pair.width < x;
+}
@@ -0,0 +1,179 @@
+/**
+ * Módulo de los potenciadores que se recogen en los huecos de los tubos
+ *
+ * Cada potenciador tiene un estado {active, activeTimer, charges} con la misma
+ * forma que las habilidades, así que Simulation.updateAbilities descuenta su
+ * tiempo igual que el de la invulnerabilidad o el turbo. Como las monedas, usan
+ * su propio generador aleatorio para no alterar la secuencia de tubos.
+ */
+
+import { getFixedGapCenter } from './coins.js';
+
+// Radio de un potenciador
+export const POWERUP_RADIUS = 12;
+
+// Probabilidad de que un par fijo sin monedas lleve un potenciador
+export const POWERUP_CHANCE = 0.3;
+
+// Sal con la que se deriva la semilla de los potenciadores de la de la partida
+const POWERUP_SEED_SALT = 0x85EBCA6B;
+
+/**
+ * Catálogo de potenciadores. Reglas al recoger uno que ya está activo:
+ * - 'extend': suma su duración a la que queda, hasta maxDuration
+ * - 'refresh': vuelve a empezar su duración
+ * - 'charges': suma una carga (hasta maxCharges) y vuelve a empezar su duración
+ * Los que no caducan tienen duración Infinity y duran hasta gastar sus cargas.
+ */
+export const POWERUP_TYPES = {
+  shield: {
+    name: 'Escudo',
+    symbol: '🛡',
+    color: '#4FC3F7',
+    weight: 3,
+    duration: 10, // segundos
+    stacking: 'charges',
+    maxCharges: 2 // cada carga aguanta un choque
+  },
+  slowTime: {
+    name: 'Cámara lenta',
+    symbol: '⏳',
+    color: '#9575CD',
+    weight: 2,
+    duration: 5,
+    stacking: 'extend',
+    maxDuration: 10,
+    timeScale: 0.6 // velocidad del mundo (tubos y huecos móviles)
+  },
+  shrink: {
+    name: 'Miniatura',
+    symbol: '🔻',
+    color: '#FF8A65',
+    weight: 2,
+    duration: 8,
+    stacking: 'refresh',
+    scale: 0.6 // tamaño del pájaro y de su cápsula de colisión
+  },
+  magnet: {
+    name: 'Imán',
+    symbol: '🧲',
+    color: '#E53935',
+    weight: 2,
+    duration: 8,
+    stacking: 'extend',
+    maxDuration: 16,
+    range: 130, // píxeles a los que atrae las monedas
+    pull: 360 // píxeles por segundo
+  },
+  extraLife: {
+    name: 'Vida extra',
+    symbol: '❤',
+    color: '#EC407A',
+    weight: 1,
+    duration: Infinity,
+    stacking: 'charges',
+    maxCharges: 2
+  }
+};
+
+// Potenciadores que aguantan un choque, en el orden en que se gastan
+export const HIT_ABSORBERS = ['shield', 'extraLife'];
+
+/**
+ * Obtiene la semilla del generador de potenciadores de una partida
+ * @param {number} seed - Semilla de la partida
+ * @returns {number}
+ */
+export function getPowerupSeed(seed) {
+  return (seed ^ POWERUP_SEED_SALT) >>> 0;
+}
+
+/**
+ * Crea el estado inicial (inactivo) de todos los potenciadores
+ * @returns {Object} - Estado {active, activeTimer, charges} por tipo
+ */
+export function createPowerupEffects() {
+  const effects = {};
+  Object.keys(POWERUP_TYPES).forEach(type => {
+    effects[type] = { active: false, activeTimer: 0, charges: 0 };
+  });
+  return effects;
+}
+
+/**
+ * Elige el tipo de un potenciador según los pesos del catálogo
+ * @param {number} roll - Número aleatorio en [0, 1)
+ * @returns {string}
+ */
+export function pickPowerupType(roll) {
+  const types = Object.keys(POWERUP_TYPES);
+  const total = types.reduce((sum, type) => sum + POWERUP_TYPES[type].weight, 0);
+  let threshold = roll * total;
+  for (const type of types) {
+    threshold -= POWERUP_TYPES[type].weight;
+    if (threshold < 0) {
+      return type;
+    }
+  }
+  return types[types.length - 1];
+}
+
+/**
+ * Crea el potenciador de un par de tubos, en el centro de su hueco
+ * @param {Object} pair - Par de tubos
+ * @param {Function} rng - Generador de potenciadores
+ * @returns {Object|null} - Potenciador {x, y, type, collected} o null si no le toca
+ */
+export function createPowerup(pair, rng) {
+  const centerY = getFixedGapCenter(pair);
+  if (centerY === null || rng() >= POWERUP_CHANCE) {
+    return null;
+  }
+  return { x: pair.x + pair.width / 2, y: centerY, type: pickPowerupType(rng()), collected: false };
+}
+
+/**
+ * Aplica un potenciador recogido siguiendo su regla de acumulación (el estado se modifica)
+ * @param {Object} effects - Estado de los potenciadores
+ * @param {string} type - Tipo recogido
+ */
+export function applyPowerup(effects, type) {
+  const powerup = POWERUP_TYPES[type];
+  const effect = effects[type];
+
+  switch (powerup.stacking) {
+  case 'extend':
+    effect.activeTimer = effect.active
+      ? Math.min(powerup.maxDuration, effect.activeTimer + powerup.duration)
+      : powerup.duration;
+    break;
+  case 'charges':
+    effect.charges = Math.min(powerup.maxCharges, (effect.active ? effect.charges : 0) + 1);
+    effect.activeTimer = powerup.duration;
+    break;
+  default:
+    effect.activeTimer = powerup.duration;
+    break;
+  }
+  effect.active = true;
+}
+
+/**
+ * Gasta una carga de un potenciador; sin cargas deja de estar activo
+ * @param {Object} effects - Estado de los potenciadores
+ * @param {string} type - Tipo
+ * @returns {boolean} - true si tenía una carga que gastar
+ */
+export function consumePowerupCharge(effects, type) {
+  const effect = effects[type];
+  if (!effect.active || effect.charges <= 0) {
+    return false;
+  }
+
+  effect.charges--;
+  if (effect.charges === 0) {
+    effect.active = false;
+    effect.activeTimer = 0;
+  }
+  return true;
+}
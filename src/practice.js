@@ -0,0 +1,107 @@
+/**
+ * Módulo del modo práctica: puntos de control, rebobinado y cámara lenta
+ *
+ * Durante la partida se guardan instantáneas de la simulación (ver
+ * Simulation.createSnapshot): un punto de control cada pocos segundos y un
+ * historial de los últimos segundos para rebobinar con precisión. Las partidas
+ * de práctica nunca cuentan para los récords.
+ */
+
+// Segundos entre puntos de control
+export const CHECKPOINT_INTERVAL = 3;
+
+// Segundos del historial que se pueden rebobinar
+export const REWIND_SECONDS = 10;
+
+// Velocidades de la cámara lenta
+export const PRACTICE_SPEEDS = [0.25, 0.5, 0.75, 1];
+
+const HISTORY_STEP = 6; // ticks entre instantáneas del historial
+const MAX_CHECKPOINTS = 5;
+const CHECKPOINT_LEAD = 1; // segundos mínimos entre el punto de control y el choque
+
+/**
+ * Instantáneas de una partida de práctica
+ */
+export class PracticeSession {
+  /**
+   * @param {Simulation} sim - Simulación recién reiniciada (su estado es el primer punto de control)
+   */
+  constructor(sim) {
+    this.fixedTimeStep = sim.fixedTimeStep;
+    this.checkpointTicks = Math.round(CHECKPOINT_INTERVAL / sim.fixedTimeStep);
+    this.historyTicks = Math.round(REWIND_SECONDS / sim.fixedTimeStep);
+
+    const start = sim.createSnapshot();
+    this.checkpoints = [start];
+    this.history = [start];
+  }
+
+  /**
+   * Guarda las instantáneas que tocan en el tick actual (nunca de una partida terminada)
+   * @param {Simulation} sim - Simulación
+   */
+  record(sim) {
+    if (sim.over) {
+      return;
+    }
+
+    const tick = sim.tick;
+    const isHistoryTick = tick % HISTORY_STEP === 0;
+    const isCheckpointTick = tick % this.checkpointTicks === 0;
+    if (!isHistoryTick && !isCheckpointTick) {
+      return;
+    }
+
+    const snapshot = sim.createSnapshot();
+    if (isHistoryTick) {
+      this.history.push(snapshot);
+      this.history = this.history.filter(entry => entry.tick >= tick - this.historyTicks);
+    }
+    if (isCheckpointTick) {
+      this.checkpoints.push(snapshot);
+      if (this.checkpoints.length > MAX_CHECKPOINTS) {
+        this.checkpoints.shift();
+      }
+    }
+  }
+
+  /**
+   * Obtiene el último punto de control con margen suficiente antes de un tick,
+   * para no volver justo delante del choque
+   * @param {number} tick - Tick del choque
+   * @returns {Object} - Instantánea
+   */
+  getCheckpoint(tick) {
+    const latest = tick - Math.round(CHECKPOINT_LEAD / this.fixedTimeStep);
+    const candidates = this.checkpoints.filter(checkpoint => checkpoint.tick <= latest);
+    return candidates.length > 0 ? candidates[candidates.length - 1] : this.checkpoints[0];
+  }
+
+  /**
+   * Obtiene los segundos que separan una instantánea de un tick
+   * @param {Object} snapshot - Instantánea
+   * @param {number} tick - Tick de referencia
+   * @returns {number}
+   */
+  getSecondsBack(snapshot, tick) {
+    return (tick - snapshot.tick) * this.fixedTimeStep;
+  }
+
+  /**
+   * Vuelve a una instantánea y descarta las posteriores, que ya no ocurrirán
+   * @param {Simulation} sim - Simulación
+   * @param {Object} snapshot - Instantánea del historial o punto de control
+   */
+  rewind(sim, snapshot) {
+    sim.restoreSnapshot(snapshot);
+    this.history = this.history.filter(entry => entry.tick <= snapshot.tick);
+    this.checkpoints = this.checkpoints.filter(checkpoint => checkpoint.tick <= snapshot.tick);
+    if (this.history.length === 0) {
+      this.history.push(snapshot);
+    }
+    if (this.checkpoints.length === 0) {
+      this.checkpoints.push(snapshot);
+    }
+  }
+}
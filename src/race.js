@@ -0,0 +1,313 @@
+/**
+ * Módulo de las carreras online: cliente del servidor de salas (ver server/rooms.js)
+ *
+ * Todos los jugadores de una sala juegan con la misma semilla. Cada pocos ticks
+ * se envía la posición del pájaro propio y se reciben las de los rivales, que se
+ * dibujan algo retrasadas para poder interpolar entre muestras sin saltos.
+ */
+
+// Ticks entre envíos de la posición propia
+export const STATE_INTERVAL = 3;
+
+// Retraso con el que se dibuja a los rivales, en ticks
+export const INTERPOLATION_DELAY = 6;
+
+const MAX_SAMPLES = 20;
+const DEFAULT_PORT = 8787;
+
+/**
+ * Obtiene la dirección por defecto del servidor de carreras (el mismo host de la página)
+ * @param {Location} location - Ubicación de la página
+ * @returns {string}
+ */
+export function getDefaultServerUrl(location) {
+  const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${location.hostname || 'localhost'}:${DEFAULT_PORT}`;
+}
+
+/**
+ * Obtiene el estado de un rival en un tick interpolando entre sus muestras;
+ * sin muestras posteriores se queda en la última en lugar de adivinar
+ * @param {Array<Object>} samples - Muestras {tick, y, rotation, distance} ordenadas por tick
+ * @param {number} tick - Tick a dibujar
+ * @returns {Object|null} - {y, rotation, distance} o null si no hay muestras
+ */
+export function interpolateSamples(samples, tick) {
+  if (samples.length === 0) {
+    return null;
+  }
+
+  const last = samples[samples.length - 1];
+  if (tick >= last.tick) {
+    return { y: last.y, rotation: last.rotation, distance: last.distance };
+  }
+  if (tick <= samples[0].tick) {
+    const first = samples[0];
+    return { y: first.y, rotation: first.rotation, distance: first.distance };
+  }
+
+  const index = samples.findIndex(sample => sample.tick > tick);
+  const from = samples[index - 1];
+  const to = samples[index];
+  const t = (tick - from.tick) / (to.tick - from.tick);
+  return {
+    y: from.y + (to.y - from.y) * t,
+    rotation: from.rotation + (to.rotation - from.rotation) * t,
+    distance: from.distance + (to.distance - from.distance) * t
+  };
+}
+
+/**
+ * Conexión con el servidor de carreras
+ * Eventos: 'players' (lista de la sala), 'countdown' {seed, seconds}, 'start',
+ * 'finished' {id, name, score}, 'left' {id, name}, 'standings' (clasificación),
+ * 'error' (mensaje), 'disconnect' (la conexión se ha perdido sin cerrarla)
+ */
+export class RaceClient {
+  /**
+   * @param {Object} options - {WebSocket: implementación a usar (la del navegador por defecto)}
+   */
+  constructor(options = {}) {
+    this.WebSocket = options.WebSocket || globalThis.WebSocket;
+    this.listeners = {};
+    this.socket = null;
+    this.closing = false;
+    this.id = null;
+    this.room = null;
+    this.players = [];
+    this.opponents = new Map(); // id -> {id, name, samples, score, finished}
+  }
+
+  /**
+   * Suscribe un listener a un evento
+   * @param {string} type - Tipo de evento
+   * @param {Function} listener - Función a llamar con los datos del evento
+   */
+  on(type, listener) {
+    if (!this.listeners[type]) {
+      this.listeners[type] = [];
+    }
+    this.listeners[type].push(listener);
+  }
+
+  /**
+   * Emite un evento a sus listeners
+   * @param {string} type - Tipo de evento
+   * @param {*} data - Datos del evento
+   */
+  emit(type, data) {
+    (this.listeners[type] || []).forEach(listener => listener(data));
+  }
+
+  /**
+   * Se conecta al servidor y entra en una sala
+   * @param {string} url - Dirección ws:// del servidor
+   * @param {string} room - Código de la sala
+   * @param {string} name - Nombre del jugador
+   */
+  connect(url, room, name) {
+    this.close();
+    this.closing = false;
+
+    let socket;
+    try {
+      socket = new this.WebSocket(url);
+    } catch (error) {
+      this.emit('error', 'Dirección del servidor inválida');
+      return;
+    }
+
+    this.socket = socket;
+    socket.onopen = () => this.send({ type: 'join', room, name });
+    socket.onmessage = event => {
+      try {
+        this.handleMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.warn('Mensaje de carrera inválido:', error);
+      }
+    };
+    socket.onclose = () => {
+      if (this.socket !== socket) {
+        return;
+      }
+      this.socket = null;
+      if (!this.closing) {
+        this.reset();
+        this.emit('disconnect');
+      }
+    };
+  }
+
+  /**
+   * Indica si hay una conexión con el servidor
+   * @returns {boolean}
+   */
+  isConnected() {
+    return this.socket !== null;
+  }
+
+  /**
+   * Cierra la conexión sin avisar de desconexión
+   */
+  close() {
+    this.closing = true;
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.reset();
+  }
+
+  /**
+   * Olvida la sala y los rivales
+   */
+  reset() {
+    this.id = null;
+    this.room = null;
+    this.players = [];
+    this.opponents.clear();
+  }
+
+  /**
+   * Envía un mensaje si la conexión está abierta
+   * @param {Object} message - Mensaje
+   */
+  send(message) {
+    if (this.socket && this.socket.readyState === 1) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Marca al jugador como listo (o no) para empezar
+   * @param {boolean} ready - Si está listo
+   */
+  setReady(ready) {
+    this.send({ type: 'ready', ready });
+  }
+
+  /**
+   * Envía la posición del pájaro propio si toca en este tick
+   * @param {number} tick - Tick de simulación
+   * @param {Object} bird - Pájaro {y, rotation}
+   * @param {number} distance - Distancia recorrida en píxeles
+   * @param {number} score - Puntuación
+   */
+  sendState(tick, bird, distance, score) {
+    if (tick % STATE_INTERVAL !== 0) {
+      return;
+    }
+    this.send({
+      type: 'state',
+      tick,
+      y: Math.round(bird.y * 10) / 10,
+      rotation: Math.round(bird.rotation * 100) / 100,
+      distance: Math.round(distance),
+      score
+    });
+  }
+
+  /**
+   * Avisa de que la carrera propia ha terminado
+   * @param {number} score - Puntuación final
+   * @param {number} tick - Ticks aguantados
+   */
+  finish(score, tick) {
+    this.send({ type: 'finished', score, tick });
+  }
+
+  /**
+   * Procesa un mensaje del servidor
+   * @param {Object} message - Mensaje
+   */
+  handleMessage(message) {
+    switch (message.type) {
+    case 'joined':
+      this.id = message.id;
+      this.room = message.room;
+      this.players = message.players;
+      this.emit('players', this.players);
+      break;
+    case 'players':
+      this.players = message.players;
+      this.emit('players', this.players);
+      break;
+    case 'countdown':
+      this.opponents.clear();
+      this.players.filter(player => player.id !== this.id).forEach(player => {
+        this.opponents.set(player.id, { id: player.id, name: player.name, samples: [], score: 0, finished: false });
+      });
+      this.emit('countdown', { seed: message.seed, seconds: message.seconds });
+      break;
+    case 'start':
+      this.emit('start');
+      break;
+    case 'state':
+      this.addSample(message);
+      break;
+    case 'finished': {
+      const opponent = this.opponents.get(message.id);
+      if (opponent) {
+        opponent.finished = true;
+        opponent.score = message.score;
+        this.emit('finished', { id: opponent.id, name: opponent.name, score: opponent.score });
+      }
+      break;
+    }
+    case 'left': {
+      const opponent = this.opponents.get(message.id);
+      const player = this.players.find(other => other.id === message.id);
+      this.opponents.delete(message.id);
+      this.emit('left', { id: message.id, name: (opponent || player || {}).name || '' });
+      break;
+    }
+    case 'standings':
+      this.emit('standings', message.standings);
+      break;
+    case 'error':
+      this.emit('error', message.message);
+      break;
+    default:
+      break;
+    }
+  }
+
+  /**
+   * Añade una muestra de posición de un rival
+   * @param {Object} message - {id, tick, y, rotation, distance, score}
+   */
+  addSample(message) {
+    const opponent = this.opponents.get(message.id);
+    if (!opponent) {
+      return;
+    }
+
+    const samples = opponent.samples;
+    // Las muestras llegan en orden, pero se descarta cualquiera atrasada
+    if (samples.length > 0 && message.tick <= samples[samples.length - 1].tick) {
+      return;
+    }
+    samples.push({ tick: message.tick, y: message.y, rotation: message.rotation, distance: message.distance });
+    if (samples.length > MAX_SAMPLES) {
+      samples.shift();
+    }
+    opponent.score = message.score;
+  }
+
+  /**
+   * Obtiene la posición de cada rival para dibujarlo en un tick
+   * @param {number} tick - Tick de simulación propio
+   * @returns {Array<Object>} - {id, name, score, finished, y, rotation, distance}
+   */
+  getOpponentStates(tick) {
+    const states = [];
+    this.opponents.forEach(opponent => {
+      const state = interpolateSamples(opponent.samples, tick - INTERPOLATION_DELAY);
+      if (state) {
+        states.push({ id: opponent.id, name: opponent.name, score: opponent.score, finished: opponent.finished, ...state });
+      }
+    });
+    return states;
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Módulo de récords: la mejor puntuación de cada modo de juego y preset de dificultad
+ *
+ * Se guardan juntos en un único JSON {modo: {preset: puntuación}}. Antes solo
+ * había un récord por preset (pajaritoHighScore y pajaritoHighScore_<preset>),
+ * que al cargar se pasan a los del modo clásico.
+ */
+
+import { DEFAULT_DIFFICULTY, DIFFICULTY_PRESETS } from './difficulty.js';
+import { DEFAULT_MODE } from './modes.js';
+
+const RECORDS_KEY = 'pajaritoRecords';
+
+/**
+ * Obtiene la clave antigua del récord de un preset
+ * @param {string} difficulty - Id del preset
+ * @returns {string}
+ */
+function getLegacyKey(difficulty) {
+  return difficulty === DEFAULT_DIFFICULTY ? 'pajaritoHighScore' : `pajaritoHighScore_${difficulty}`;
+}
+
+/**
+ * Pasa los récords guardados con las claves antiguas al modo clásico
+ * @returns {Object} - Récords migrados
+ */
+function migrateLegacyRecords() {
+  const classic = {};
+  Object.keys(DIFFICULTY_PRESETS).forEach(difficulty => {
+    const key = getLegacyKey(difficulty);
+    const score = parseInt(localStorage.getItem(key), 10);
+    if (!Number.isNaN(score)) {
+      classic[difficulty] = score;
+    }
+    localStorage.removeItem(key);
+  });
+
+  const records = { [DEFAULT_MODE]: classic };
+  localStorage.setItem(RECORDS_KEY, JSON.stringify(records));
+  return records;
+}
+
+/**
+ * Carga todos los récords
+ * @returns {Object} - Mapa modo -> preset -> puntuación
+ */
+export function loadRecords() {
+  const saved = localStorage.getItem(RECORDS_KEY);
+  if (!saved) {
+    return migrateLegacyRecords();
+  }
+  try {
+    const records = JSON.parse(saved);
+    return records && typeof records === 'object' ? records : {};
+  } catch (e) {
+    console.warn('Error cargando los récords:', e);
+    return {};
+  }
+}
+
+/**
+ * Obtiene el récord de un modo y preset
+ * @param {string} mode - Id del modo de juego
+ * @param {string} difficulty - Id del preset de dificultad
+ * @returns {number} - Puntuación récord
+ */
+export function getRecord(mode = DEFAULT_MODE, difficulty = DEFAULT_DIFFICULTY) {
+  const records = loadRecords();
+  return (records[mode] && records[mode][difficulty]) || 0;
+}
+
+/**
+ * Guarda una puntuación si supera el récord de su modo y preset
+ * @param {string} mode - Id del modo de juego
+ * @param {string} difficulty - Id del preset de dificultad
+ * @param {number} score - Puntuación
+ * @returns {boolean} - true si es un nuevo récord
+ */
+export function saveRecord(mode, difficulty, score) {
+  const records = loadRecords();
+  const modeRecords = records[mode] || {};
+  if (score <= (modeRecords[difficulty] || 0)) {
+    return false;
+  }
+
+  modeRecords[difficulty] = score;
+  records[mode] = modeRecords;
+  localStorage.setItem(RECORDS_KEY, JSON.stringify(records));
+  return true;
+}
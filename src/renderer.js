@@ -2,6 +2,19 @@
  * Módulo de renderizado en Canvas
  */
 
+import { getPipeLipRects, getPipeRects } from './pipes.js';
+import { ITEM_RADIUS } from './simulation.js';
+import { COIN_RADIUS } from './coins.js';
+import { POWERUP_RADIUS, POWERUP_TYPES } from './powerups.js';
+
+// Colores de los tubos según su comportamiento
+const PIPE_PALETTES = {
+  static: { fill: '#228B22', border: '#006400', inner: '#32CD32' },
+  sine: { fill: '#1F8A8A', border: '#0B4F4F', inner: '#3FD0D0' },
+  closing: { fill: '#228B22', border: '#006400', inner: '#32CD32' },
+  slide: { fill: '#6B8E23', border: '#3B5E0B', inner: '#9ACD32' }
+};
+
 class Renderer {
   constructor(canvas) {
     this.canvas = canvas;
@@ -263,13 +276,49 @@ class Renderer {
   /**
    * Dibuja el pajarito
    * @param {Object} bird - Objeto pajarito {x, y, width, height, rotation, isDying, deathAnimationTime}
-   * @param {boolean} invulnerable - Si el pájaro está invulnerable
+   * @param {boolean} invulnerable - Si el pájaro está invulnerable (dibuja el escudo dorado)
+   * @param {Object} style - Estilo de dibujo {ghost: dibujar como fantasma semitransparente,
+   *   player: índice del jugador en las partidas a dos (el segundo es azul),
+   *   skin: colores del aspecto comprado en la tienda {body, wing, wing2, beak},
+   *   scale: tamaño del pájaro (miniatura), shield: cargas de escudo,
+   *   magnet: radio de atracción del imán, alpha: opacidad del pájaro,
+   *   burst: onda de un salto de habilidad}
    */
-  drawBird(bird, invulnerable = false) {
+  drawBird(bird, invulnerable = false, style = {}) {
     this.ctx.save();
 
     this.ctx.translate(bird.x + bird.width / 2, bird.y + bird.height / 2);
+
+    // Campo del imán (sin rotar, alrededor del pájaro)
+    if (style.magnet && !bird.isDying) {
+      this.drawMagnetField(style.magnet);
+    }
+
+    // Onda del doble salto
+    if (style.burst && !bird.isDying) {
+      const t = (Date.now() % 300) / 300;
+      this.ctx.strokeStyle = `rgba(255, 255, 255, ${1 - t})`;
+      this.ctx.lineWidth = 3;
+      this.ctx.beginPath();
+      this.ctx.arc(0, 0, bird.width / 2 + 20 * t, 0, Math.PI * 2);
+      this.ctx.stroke();
+    }
+
     this.ctx.rotate(bird.rotation || 0);
+    if (style.scale) {
+      this.ctx.scale(style.scale, style.scale);
+    }
+    if (style.alpha !== undefined && style.alpha < 1) {
+      this.ctx.globalAlpha = style.alpha;
+    }
+
+    // Fantasma: solo el pájaro, translúcido y sin efectos
+    if (style.ghost) {
+      this.ctx.globalAlpha = 0.35;
+      this.drawAnimatedBird(bird, style);
+      this.ctx.restore();
+      return;
+    }
 
     // Efectos visuales de muerte
     if (bird.isDying) {
@@ -335,8 +384,19 @@ class Renderer {
       this.ctx.shadowBlur = 0;
     }
 
+    // Burbuja azul del escudo recogido (más gruesa con dos cargas)
+    if (style.shield && !bird.isDying) {
+      this.ctx.fillStyle = 'rgba(79, 195, 247, 0.25)';
+      this.ctx.strokeStyle = POWERUP_TYPES.shield.color;
+      this.ctx.lineWidth = 1 + style.shield * 1.5;
+      this.ctx.beginPath();
+      this.ctx.arc(0, 0, bird.width / 2 + 6, 0, Math.PI * 2);
+      this.ctx.fill();
+      this.ctx.stroke();
+    }
+
     // Dibujar el pájaro con animación de alas (o sin alas si está muriendo)
-    this.drawAnimatedBird(bird);
+    this.drawAnimatedBird(bird, style);
 
     this.ctx.restore();
   }
@@ -344,15 +404,27 @@ class Renderer {
   /**
    * Dibuja el pájaro con animación de alas
    * @param {Object} bird - Objeto pajarito con wingPhase, isDying
+   * @param {Object} style - Estilo de dibujo {ghost, player, skin}
    */
-  drawAnimatedBird(bird) {
+  drawAnimatedBird(bird, style = {}) {
     const ctx = this.ctx;
 
-    // Si está muriendo, usar colores más apagados
-    const bodyColor = bird.isDying ? '#CCAA00' : '#FFD700';
-    const beakColor = bird.isDying ? '#CC6600' : '#FF8C00';
-    const wingColor = bird.isDying ? '#CC8800' : '#FFA500';
-    const wingColor2 = bird.isDying ? '#AA6600' : '#FF8C00';
+    // Si está muriendo, usar colores más apagados; el fantasma es blanco azulado
+    let bodyColor = bird.isDying ? '#CCAA00' : '#FFD700';
+    let beakColor = bird.isDying ? '#CC6600' : '#FF8C00';
+    let wingColor = bird.isDying ? '#CC8800' : '#FFA500';
+    let wingColor2 = bird.isDying ? '#AA6600' : '#FF8C00';
+    if (style.ghost) {
+      bodyColor = '#E0F0FF';
+      wingColor = '#B0D0F0';
+      wingColor2 = '#90B8E0';
+    } else if (style.player === 1) {
+      bodyColor = bird.isDying ? '#3A8FB7' : '#4FC3F7';
+      wingColor = bird.isDying ? '#2A6F97' : '#0288D1';
+      wingColor2 = bird.isDying ? '#1F5A7A' : '#01579B';
+    } else if (style.skin) {
+      ({ body: bodyColor, wing: wingColor, wing2: wingColor2, beak: beakColor } = style.skin);
+    }
 
     // Cuerpo del pajarito (círculo)
     ctx.fillStyle = bodyColor;
@@ -435,11 +507,12 @@ class Renderer {
   }
 
   /**
-   * Dibuja un tubo
-   * @param {Object} pipe - Objeto tubo {x, y, width, height}
-   * @param {boolean} speedBoostActive - Si la habilidad de velocidad está activa
+   * Dibuja un tubo (un rectángulo de un par)
+   * @param {Object} pipe - Rectángulo del tubo {x, y, width, height}
+   * @param {boolean} speedBoostActive - Si una habilidad resalta los tubos por la velocidad
+   * @param {Object} palette - Colores {fill, border, inner}
    */
-  drawPipe(pipe, speedBoostActive = false) {
+  drawPipe(pipe, speedBoostActive = false, palette = PIPE_PALETTES.static) {
     // Solo dibujar si el tubo está dentro o cerca del área visible
     // Evitar dibujar tubos que están muy fuera de pantalla
     if (pipe.x + pipe.width < -50 || pipe.x > this.viewport.width + 50) {
@@ -464,16 +537,16 @@ class Renderer {
       ctx.shadowOffsetY = 0;
     }
 
-    // Tubo verde principal (con tinte naranja si velocidad activa)
+    // Tubo principal (más brillante si velocidad activa)
     if (speedBoostActive) {
       ctx.fillStyle = '#32A852'; // Verde más brillante
     } else {
-      ctx.fillStyle = '#228B22';
+      ctx.fillStyle = palette.fill;
     }
     ctx.fillRect(pipe.x, pipe.y, pipe.width, pipe.height);
 
     // Borde oscuro más grueso para darle textura
-    ctx.strokeStyle = '#006400';
+    ctx.strokeStyle = palette.border;
     ctx.lineWidth = 4;
     ctx.strokeRect(pipe.x, pipe.y, pipe.width, pipe.height);
 
@@ -481,7 +554,7 @@ class Renderer {
     if (speedBoostActive) {
       ctx.strokeStyle = '#FF8C00'; // Naranja para indicar velocidad
     } else {
-      ctx.strokeStyle = '#32CD32';
+      ctx.strokeStyle = palette.inner;
     }
     ctx.lineWidth = 2;
     ctx.strokeRect(pipe.x + 2, pipe.y + 2, pipe.width - 4, pipe.height - 4);
@@ -490,14 +563,389 @@ class Renderer {
     ctx.restore();
   }
 
+  /**
+   * Dibuja un par de tubos
+   * @param {Object} pair - Par de tubos {x, width, gapY, gapSize}
+   * @param {boolean} speedBoostActive - Si una habilidad resalta los tubos por la velocidad
+   * @param {Object} [theme] - Colores del tema de la tienda {fill, border, inner}
+   */
+  drawPipePair(pair, speedBoostActive = false, theme = null) {
+    if (pair.x + pair.width < -50 || pair.x > this.viewport.width + 50) {
+      return;
+    }
+
+    // El tema solo cambia los tubos de hueco fijo: los que se mueven conservan su color de aviso
+    const fixedGap = pair.behavior === 'static' || pair.behavior === 'closing';
+    const palette = theme && fixedGap ? theme : PIPE_PALETTES[pair.behavior] || PIPE_PALETTES.static;
+    const [top, bottom] = getPipeRects(pair, this.viewport.height);
+
+    // Anticipar hasta dónde llegará el tubo que se desliza
+    if (pair.behavior === 'slide' && pair.slideProgress < 1) {
+      this.drawSlideTrack(pair);
+    }
+
+    this.drawPipe(top, speedBoostActive, palette);
+    this.drawPipe(bottom, speedBoostActive, palette);
+    getPipeLipRects(pair, this.viewport.height).forEach(lip => {
+      this.drawPipe(lip, speedBoostActive, palette);
+    });
+
+    if (pair.behavior === 'sine') {
+      this.drawSineMarkers(pair);
+    } else if (pair.behavior === 'closing') {
+      this.drawClosingStripes(pair, top, bottom);
+    } else if (pair.behavior === 'slide') {
+      this.drawSlideEdge(pair, pair.slideFrom === 'top' ? top : bottom);
+    }
+  }
+
+  /**
+   * Dibuja flechas en los bordes del hueco para indicar que se mueve verticalmente
+   * @param {Object} pair - Par de tubos con comportamiento 'sine'
+   */
+  drawSineMarkers(pair) {
+    const ctx = this.ctx;
+    const centerX = pair.x + pair.width / 2;
+    const gapBottom = pair.gapY + pair.gapSize;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    [[pair.gapY - 14, -1], [gapBottom + 14, 1]].forEach(([y, direction]) => {
+      ctx.beginPath();
+      ctx.moveTo(centerX - 8, y - direction * 4);
+      ctx.lineTo(centerX + 8, y - direction * 4);
+      ctx.lineTo(centerX, y + direction * 4);
+      ctx.closePath();
+      ctx.fill();
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Dibuja franjas de advertencia en los bordes de un hueco que se cierra
+   * @param {Object} pair - Par de tubos con comportamiento 'closing'
+   * @param {Object} top - Rectángulo del tubo superior
+   * @param {Object} bottom - Rectángulo del tubo inferior
+   */
+  drawClosingStripes(pair, top, bottom) {
+    const ctx = this.ctx;
+    const stripeHeight = 10;
+
+    ctx.save();
+    [top.y + top.height - stripeHeight, bottom.y].forEach(y => {
+      for (let i = 0; i < pair.width; i += 12) {
+        ctx.fillStyle = (i / 12) % 2 === 0 ? '#FF4136' : '#FFFFFF';
+        ctx.fillRect(pair.x + i, y, Math.min(12, pair.width - i), stripeHeight);
+      }
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Dibuja el contorno de la posición final del tubo que se desliza
+   * @param {Object} pair - Par de tubos con comportamiento 'slide'
+   */
+  drawSlideTrack(pair) {
+    const ctx = this.ctx;
+    const height = this.viewport.height;
+    const gapBottom = pair.gapY + pair.gapSize;
+    const y = pair.slideFrom === 'top' ? 0 : gapBottom;
+    const trackHeight = pair.slideFrom === 'top' ? pair.gapY : height - gapBottom;
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 6]);
+    ctx.strokeRect(pair.x, y, pair.width, trackHeight);
+    ctx.restore();
+  }
+
+  /**
+   * Dibuja franjas de peligro en el extremo del tubo que se desliza
+   * @param {Object} pair - Par de tubos con comportamiento 'slide'
+   * @param {Object} pipe - Rectángulo del tubo que se desliza
+   */
+  drawSlideEdge(pair, pipe) {
+    if (pipe.height <= 0) {
+      return;
+    }
+
+    const ctx = this.ctx;
+    const edgeHeight = Math.min(8, pipe.height);
+    const y = pair.slideFrom === 'top' ? pipe.y + pipe.height - edgeHeight : pipe.y;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(pair.x, y, pair.width, edgeHeight);
+    ctx.clip();
+    for (let i = -edgeHeight; i < pair.width; i += 10) {
+      ctx.fillStyle = (i / 10) % 2 === 0 ? '#FFD700' : '#222222';
+      ctx.beginPath();
+      ctx.moveTo(pair.x + i, y + edgeHeight);
+      ctx.lineTo(pair.x + i + edgeHeight, y);
+      ctx.lineTo(pair.x + i + edgeHeight + 5, y);
+      ctx.lineTo(pair.x + i + 5, y + edgeHeight);
+      ctx.closePath();
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
   /**
    * Dibuja todos los tubos
-   * @param {Array} pipes - Array de objetos tubo
+   * @param {Array} pipes - Array de pares de tubos
+   * @param {boolean} speedBoostActive - Si una habilidad resalta los tubos por la velocidad
+   * @param {Object} [theme] - Colores del tema de la tienda {fill, border, inner}
+   */
+  drawPipes(pipes, speedBoostActive = false, theme = null) {
+    pipes.forEach(pair => {
+      this.drawPipePair(pair, speedBoostActive, theme);
+    });
+  }
+
+  /**
+   * Dibuja las monedas, girando sobre sí mismas
+   * @param {Array<Object>} coins - Monedas {x, y, collected}
+   */
+  drawCoins(coins) {
+    const ctx = this.ctx;
+    const spin = Math.abs(Math.cos(Date.now() * 0.004));
+
+    ctx.save();
+    ctx.lineWidth = 2;
+    coins.forEach(coin => {
+      if (coin.collected) {
+        return;
+      }
+      const radiusX = Math.max(2, COIN_RADIUS * spin);
+      ctx.fillStyle = '#FFC107';
+      ctx.strokeStyle = '#B8860B';
+      ctx.beginPath();
+      ctx.ellipse(coin.x, coin.y, radiusX, COIN_RADIUS, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+
+      // Brillo interior
+      ctx.strokeStyle = '#FFE082';
+      ctx.beginPath();
+      ctx.ellipse(coin.x, coin.y, radiusX * 0.55, COIN_RADIUS * 0.55, 0, 0, Math.PI * 2);
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Dibuja el campo del imán con anillos que se cierran hacia el pájaro
+   * (el contexto ya está centrado en el pájaro)
+   * @param {number} range - Radio de atracción
    */
-  drawPipes(pipes, speedBoostActive = false) {
-    pipes.forEach(pipe => {
-      this.drawPipe(pipe, speedBoostActive);
+  drawMagnetField(range) {
+    const ctx = this.ctx;
+    const phase = (Date.now() * 0.001) % 1;
+
+    ctx.save();
+    ctx.strokeStyle = POWERUP_TYPES.magnet.color;
+    ctx.lineWidth = 2;
+    [0, 0.5].forEach(offset => {
+      const t = (phase + offset) % 1;
+      ctx.globalAlpha = 0.3 * t;
+      ctx.beginPath();
+      ctx.arc(0, 0, range * (1 - t) + 20 * t, 0, Math.PI * 2);
+      ctx.stroke();
     });
+    ctx.restore();
+  }
+
+  /**
+   * Dibuja los potenciadores que esperan en los huecos
+   * @param {Array<Object>} items - Potenciadores {x, y, type, collected}
+   */
+  drawPowerups(items) {
+    const ctx = this.ctx;
+    const bob = Math.sin(Date.now() * 0.005) * 3;
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `${POWERUP_RADIUS}px Arial`;
+    items.forEach(item => {
+      if (item.collected) {
+        return;
+      }
+      const powerup = POWERUP_TYPES[item.type];
+      const y = item.y + bob;
+
+      // Burbuja del color del potenciador con su símbolo
+      ctx.shadowBlur = 10;
+      ctx.shadowColor = powerup.color;
+      ctx.fillStyle = powerup.color;
+      ctx.beginPath();
+      ctx.arc(item.x, y, POWERUP_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.shadowBlur = 0;
+      ctx.strokeStyle = '#FFFFFF';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillText(powerup.symbol, item.x, y + 1);
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Tiñe la pantalla mientras dura la cámara lenta
+   * @param {number} timeLeft - Segundos que le quedan (parpadea al acabarse)
+   */
+  drawSlowTime(timeLeft) {
+    if (timeLeft < 1 && Math.floor(timeLeft * 8) % 2 === 0) {
+      return;
+    }
+
+    const ctx = this.ctx;
+    const { width, height } = this.viewport;
+    const gradient = ctx.createRadialGradient(width / 2, height / 2, height * 0.3, width / 2, height / 2, height * 0.75);
+    gradient.addColorStop(0, 'rgba(149, 117, 205, 0)');
+    gradient.addColorStop(1, 'rgba(149, 117, 205, 0.35)');
+
+    ctx.save();
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+  }
+
+  /**
+   * Dibuja la estela del pájaro comprada en la tienda
+   * @param {Array<Object>} points - Puntos {x, y} de la estela, del más antiguo al más reciente
+   * @param {Object} trail - Estela {style, color}
+   */
+  drawTrail(points, trail) {
+    if (!trail || !trail.style || points.length < 2) {
+      return;
+    }
+
+    const ctx = this.ctx;
+    ctx.save();
+
+    if (trail.style === 'rainbow') {
+      const colors = ['#FF0000', '#FF8C00', '#FFD700', '#32CD32', '#1E90FF', '#8A2BE2'];
+      ctx.lineWidth = 3;
+      ctx.lineCap = 'round';
+      colors.forEach((color, band) => {
+        const offset = (band - (colors.length - 1) / 2) * 3;
+        ctx.strokeStyle = color;
+        ctx.globalAlpha = 0.7;
+        ctx.beginPath();
+        points.forEach((point, index) => {
+          if (index === 0) {
+            ctx.moveTo(point.x, point.y + offset);
+          } else {
+            ctx.lineTo(point.x, point.y + offset);
+          }
+        });
+        ctx.stroke();
+      });
+    } else {
+      ctx.fillStyle = trail.color;
+      points.forEach((point, index) => {
+        const life = (index + 1) / points.length; // 1 en el punto más reciente
+        ctx.globalAlpha = life * 0.6;
+        if (trail.style === 'sparkles') {
+          // Destello de cuatro puntas
+          const size = 2 + life * 3;
+          ctx.beginPath();
+          ctx.moveTo(point.x, point.y - size);
+          ctx.lineTo(point.x + size * 0.3, point.y);
+          ctx.lineTo(point.x, point.y + size);
+          ctx.lineTo(point.x - size * 0.3, point.y);
+          ctx.closePath();
+          ctx.fill();
+          ctx.fillRect(point.x - size, point.y - 0.5, size * 2, 1);
+        } else {
+          // Nubecitas que crecen al alejarse
+          ctx.beginPath();
+          ctx.arc(point.x, point.y, 3 + (1 - life) * 6, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      });
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Dibuja los objetos a recoger de los recorridos
+   * @param {Array<Object>} items - Objetos {x, y}
+   */
+  drawItems(items) {
+    const ctx = this.ctx;
+    ctx.save();
+    items.forEach(item => {
+      // Estrella de cinco puntas dorada
+      ctx.beginPath();
+      for (let i = 0; i < 10; i++) {
+        const radius = i % 2 === 0 ? ITEM_RADIUS : ITEM_RADIUS * 0.45;
+        const angle = -Math.PI / 2 + i * Math.PI / 5;
+        ctx.lineTo(item.x + Math.cos(angle) * radius, item.y + Math.sin(angle) * radius);
+      }
+      ctx.closePath();
+      ctx.fillStyle = '#FFD700';
+      ctx.strokeStyle = '#B8860B';
+      ctx.lineWidth = 2;
+      ctx.fill();
+      ctx.stroke();
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Dibuja las formas de colisión para depuración
+   * @param {Array<Object>} hitboxes - Cápsula de cada pájaro {ax, ay, bx, by, radius}
+   * @param {Array<Object>} rects - Rectángulos sólidos de los tubos
+   */
+  drawHitboxes(hitboxes, rects) {
+    const ctx = this.ctx;
+
+    ctx.save();
+    ctx.lineWidth = 1;
+
+    ctx.strokeStyle = '#00FFFF';
+    rects.forEach(rect => {
+      if (rect.width > 0 && rect.height > 0) {
+        ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+      }
+    });
+
+    // Cápsula: dos semicírculos unidos por los lados del segmento
+    ctx.strokeStyle = '#FF00FF';
+    ctx.fillStyle = 'rgba(255, 0, 255, 0.2)';
+    hitboxes.forEach(hitbox => {
+      const angle = Math.atan2(hitbox.by - hitbox.ay, hitbox.bx - hitbox.ax);
+      ctx.beginPath();
+      ctx.arc(hitbox.bx, hitbox.by, hitbox.radius, angle - Math.PI / 2, angle + Math.PI / 2);
+      ctx.arc(hitbox.ax, hitbox.ay, hitbox.radius, angle + Math.PI / 2, angle + Math.PI * 1.5);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * Dibuja un nombre sobre un pájaro (los rivales de las carreras online)
+   * @param {Object} bird - Pájaro {x, y, width}
+   * @param {string} text - Nombre
+   */
+  drawBirdLabel(bird, text) {
+    const ctx = this.ctx;
+
+    ctx.save();
+    ctx.globalAlpha = 0.8;
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 12px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(text, bird.x + bird.width / 2, bird.y - 8);
+    ctx.restore();
   }
 }
 
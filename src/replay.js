@@ -0,0 +1,252 @@
+/**
+ * Módulo de repeticiones: grabación, reproducción y formato compacto
+ */
+
+import { ABILITIES } from './abilities.js';
+import { DEFAULT_DIFFICULTY, isDifficultyPreset } from './difficulty.js';
+import { DEFAULT_FORGIVENESS, MAX_FORGIVENESS } from './collision.js';
+import { DEFAULT_MODE, isGameMode } from './modes.js';
+
+// Versión 5: partidas con potenciadores. Las de la versión 4 (que añadió el modo de
+// juego) y las de la 3 (siempre en modo clásico) se reproducen sin potenciadores;
+// las anteriores usaban colisiones rectangulares y ya no se pueden reproducir
+const REPLAY_VERSION = 5;
+const POWERUPS_VERSION = 5;
+const REPLAY_PREFIX = 'PS';
+const SAVED_REPLAYS_KEY = 'pajaritoReplays';
+const MAX_SAVED_REPLAYS = 5;
+
+// Cada acción se codifica con una letra mayúscula para no confundirla
+// con los dígitos en base 36 de los ticks (la de cada habilidad está en su registro)
+const ACTION_CODES = {
+  jump: 'J',
+  ...Object.fromEntries(Object.values(ABILITIES).map(ability => [ability.id, ability.replayCode]))
+};
+
+const ACTIONS_BY_CODE = Object.fromEntries(
+  Object.entries(ACTION_CODES).map(([action, code]) => [code, action])
+);
+
+/**
+ * Graba las entradas de una partida etiquetadas con su tick de simulación
+ */
+export class ReplayRecorder {
+  /**
+   * @param {number} seed - Semilla de la partida
+   * @param {string} difficulty - Id del preset de dificultad
+   * @param {number} forgiveness - Margen de tolerancia de las colisiones
+   * @param {string} mode - Id del modo de juego
+   */
+  constructor(seed, difficulty = DEFAULT_DIFFICULTY, forgiveness = DEFAULT_FORGIVENESS, mode = DEFAULT_MODE) {
+    this.seed = seed;
+    this.difficulty = difficulty;
+    this.forgiveness = forgiveness;
+    this.mode = mode;
+    this.inputs = [];
+  }
+
+  /**
+   * Registra una acción realizada en un tick
+   * @param {number} tick - Tick de simulación
+   * @param {string} action - 'jump' o el id de una habilidad
+   */
+  record(tick, action) {
+    this.inputs.push({ tick, action });
+  }
+
+  /**
+   * Genera la repetición final
+   * @param {number} score - Puntuación obtenida
+   * @param {number} ticks - Tick en el que terminó la partida
+   * @returns {Object} - Repetición {version, seed, mode, difficulty, forgiveness, score, ticks, inputs}
+   */
+  finish(score, ticks) {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      mode: this.mode,
+      difficulty: this.difficulty,
+      forgiveness: this.forgiveness,
+      score,
+      ticks,
+      inputs: this.inputs.slice()
+    };
+  }
+}
+
+/**
+ * Entrega las acciones grabadas en el tick correspondiente
+ */
+export class ReplayPlayer {
+  /**
+   * @param {Object} replay - Repetición a reproducir
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this.index = 0;
+  }
+
+  /**
+   * Devuelve las acciones grabadas para un tick
+   * @param {number} tick - Tick de simulación actual
+   * @returns {Array<string>} - Acciones en el orden en que se grabaron
+   */
+  actionsAt(tick) {
+    const actions = [];
+    const inputs = this.replay.inputs;
+    while (this.index < inputs.length && inputs[this.index].tick <= tick) {
+      actions.push(inputs[this.index].action);
+      this.index++;
+    }
+    return actions;
+  }
+
+  /**
+   * Indica si ya se superó el final de la repetición
+   * @param {number} tick - Tick de simulación actual
+   * @returns {boolean}
+   */
+  isFinished(tick) {
+    return tick > this.replay.ticks;
+  }
+}
+
+/**
+ * Codifica una repetición en un texto compacto para compartir
+ * Formato: PS<versión>.<modo>.<dificultad>.<tolerancia>.<semilla>.<puntuación>.<ticks>.<entradas>
+ * donde cada entrada es la diferencia de ticks en base 36 seguida de la acción
+ * @param {Object} replay - Repetición
+ * @returns {string} - Código de la repetición
+ */
+export function encodeReplay(replay) {
+  let lastTick = 0;
+  const inputs = replay.inputs.map(({ tick, action }) => {
+    const delta = tick - lastTick;
+    lastTick = tick;
+    return delta.toString(36) + ACTION_CODES[action];
+  }).join('');
+
+  // Se mantiene la versión con la que se grabó para reproducirla con las mismas reglas
+  return [
+    `${REPLAY_PREFIX}${replay.version || REPLAY_VERSION}`,
+    replay.mode || DEFAULT_MODE,
+    replay.difficulty || DEFAULT_DIFFICULTY,
+    (replay.forgiveness ?? DEFAULT_FORGIVENESS).toString(36),
+    replay.seed.toString(36),
+    replay.score.toString(36),
+    replay.ticks.toString(36),
+    inputs
+  ].join('.');
+}
+
+/**
+ * Decodifica un código de repetición
+ * @param {string} code - Código generado por encodeReplay
+ * @returns {Object} - Repetición
+ * @throws {Error} - Si el código no es válido o es de una versión anterior
+ */
+export function decodeReplay(code) {
+  const parts = String(code).trim().split('.');
+  if (/^PS[12]$/.test(parts[0])) {
+    throw new Error('La repetición es de una versión anterior del juego');
+  }
+  // La versión 3 no tenía modo: siempre era el clásico y por lo demás es como la 4
+  if (parts[0] === `${REPLAY_PREFIX}3`) {
+    parts.splice(0, 1, `${REPLAY_PREFIX}4`, DEFAULT_MODE);
+  }
+  const version = Number(parts[0].slice(REPLAY_PREFIX.length));
+  if (parts.length !== 8 || parts[0] !== `${REPLAY_PREFIX}${version}` || version < 4 || version > REPLAY_VERSION ||
+      !isGameMode(parts[1]) || !isDifficultyPreset(parts[2])) {
+    throw new Error('Código de repetición inválido');
+  }
+
+  const [, mode, difficulty, forgivenessPart, seedPart, scorePart, ticksPart, encodedInputs] = parts;
+  const forgiveness = parseInt(forgivenessPart, 36);
+  const seed = parseInt(seedPart, 36);
+  const score = parseInt(scorePart, 36);
+  const ticks = parseInt(ticksPart, 36);
+  if ([forgiveness, seed, score, ticks].some(value => Number.isNaN(value)) || forgiveness > MAX_FORGIVENESS) {
+    throw new Error('Código de repetición inválido');
+  }
+
+  const inputs = [];
+  const entryPattern = /([0-9a-z]+)([A-Z])/g;
+  let consumed = 0;
+  let tick = 0;
+  let match;
+  while ((match = entryPattern.exec(encodedInputs)) !== null) {
+    const action = ACTIONS_BY_CODE[match[2]];
+    if (!action || match.index !== consumed) {
+      throw new Error('Código de repetición inválido');
+    }
+    tick += parseInt(match[1], 36);
+    inputs.push({ tick, action });
+    consumed = entryPattern.lastIndex;
+  }
+  if (consumed !== encodedInputs.length) {
+    throw new Error('Código de repetición inválido');
+  }
+
+  return { version, seed: seed >>> 0, mode, difficulty, forgiveness, score, ticks, inputs };
+}
+
+/**
+ * Indica si una repetición se grabó con potenciadores en los huecos
+ * @param {Object} replay - Repetición
+ * @returns {boolean}
+ */
+export function replayHasPowerups(replay) {
+  return replay.version >= POWERUPS_VERSION;
+}
+
+/**
+ * Carga las mejores repeticiones guardadas
+ * @returns {Array<Object>} - Repeticiones ordenadas de mayor a menor puntuación, seguidas
+ *   de las que no se pueden reproducir ({code, savedAt, outdated: true})
+ */
+export function loadSavedReplays() {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(SAVED_REPLAYS_KEY) || '[]');
+  } catch (e) {
+    console.warn('Error cargando repeticiones guardadas:', e);
+    return [];
+  }
+
+  // Las que no se pueden reproducir (por ejemplo, de versiones anteriores) se conservan marcadas
+  const replays = [];
+  const outdated = [];
+  saved.forEach(entry => {
+    try {
+      replays.push({ ...decodeReplay(entry.code), savedAt: entry.savedAt });
+    } catch (e) {
+      outdated.push({ code: entry.code, savedAt: entry.savedAt, outdated: true });
+    }
+  });
+  return [...replays, ...outdated];
+}
+
+/**
+ * Guarda una repetición conservando solo las mejores (las que no se pueden reproducir
+ * se conservan aparte y no cuentan para el límite)
+ * @param {Object} replay - Repetición a guardar
+ * @returns {boolean} - true si quedó entre las mejores guardadas
+ */
+export function saveReplay(replay) {
+  const code = encodeReplay(replay);
+  const saved = loadSavedReplays();
+  const outdated = saved.filter(entry => entry.outdated);
+  const replays = saved
+    .filter(entry => !entry.outdated)
+    .map(entry => ({ code: encodeReplay(entry), score: entry.score, savedAt: entry.savedAt }))
+    .filter(saved => saved.code !== code);
+
+  replays.push({ code, score: replay.score, savedAt: Date.now() });
+  replays.sort((a, b) => b.score - a.score);
+  const kept = replays.slice(0, MAX_SAVED_REPLAYS);
+
+  localStorage.setItem(SAVED_REPLAYS_KEY, JSON.stringify(
+    [...kept, ...outdated].map(({ code: savedCode, savedAt }) => ({ code: savedCode, savedAt }))
+  ));
+  return kept.some(saved => saved.code === code);
+}
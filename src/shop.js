@@ -0,0 +1,238 @@
+/**
+ * Módulo de la tienda: monedero, catálogo y objetos comprados y equipados
+ *
+ * Las monedas recogidas en las partidas se gastan en aspectos del pájaro,
+ * estelas y temas de los tubos. Son solo cosméticos: no cambian la simulación.
+ * El monedero se guarda como {coins, owned: [ids], equipped: {categoría: id}}.
+ */
+
+const WALLET_KEY = 'pajaritoWallet';
+
+export const SHOP_CATEGORIES = [
+  { id: 'skin', name: 'Pájaros' },
+  { id: 'trail', name: 'Estelas' },
+  { id: 'pipeTheme', name: 'Tubos' }
+];
+
+/**
+ * Catálogo de la tienda. El primer objeto de cada categoría es gratuito y
+ * viene equipado. Según la categoría cada objeto define:
+ * - skin: colors {body, wing, wing2, beak}
+ * - trail: style ('puffs', 'sparkles', 'rainbow' o null) y color
+ * - pipeTheme: palette {fill, border, inner} de los tubos fijos (null para los de siempre)
+ */
+export const SHOP_ITEMS = {
+  classicBird: {
+    id: 'classicBird',
+    category: 'skin',
+    name: 'Canario',
+    price: 0,
+    colors: { body: '#FFD700', wing: '#FFA500', wing2: '#FF8C00', beak: '#FF8C00' }
+  },
+  cardinal: {
+    id: 'cardinal',
+    category: 'skin',
+    name: 'Cardenal',
+    price: 50,
+    colors: { body: '#E53935', wing: '#B71C1C', wing2: '#7F0000', beak: '#FFB300' }
+  },
+  parrot: {
+    id: 'parrot',
+    category: 'skin',
+    name: 'Loro',
+    price: 120,
+    colors: { body: '#43A047', wing: '#1E88E5', wing2: '#FDD835', beak: '#FF7043' }
+  },
+  crow: {
+    id: 'crow',
+    category: 'skin',
+    name: 'Cuervo',
+    price: 200,
+    colors: { body: '#455A64', wing: '#263238', wing2: '#102027', beak: '#FFC107' }
+  },
+  flamingo: {
+    id: 'flamingo',
+    category: 'skin',
+    name: 'Flamenco',
+    price: 300,
+    colors: { body: '#F48FB1', wing: '#EC407A', wing2: '#AD1457', beak: '#212121' }
+  },
+  noTrail: {
+    id: 'noTrail',
+    category: 'trail',
+    name: 'Sin estela',
+    price: 0,
+    style: null
+  },
+  cloudTrail: {
+    id: 'cloudTrail',
+    category: 'trail',
+    name: 'Nubecitas',
+    price: 80,
+    style: 'puffs',
+    color: '#FFFFFF'
+  },
+  sparkTrail: {
+    id: 'sparkTrail',
+    category: 'trail',
+    name: 'Chispas',
+    price: 150,
+    style: 'sparkles',
+    color: '#FFD700'
+  },
+  rainbowTrail: {
+    id: 'rainbowTrail',
+    category: 'trail',
+    name: 'Arcoíris',
+    price: 250,
+    style: 'rainbow'
+  },
+  classicPipes: {
+    id: 'classicPipes',
+    category: 'pipeTheme',
+    name: 'Verdes',
+    price: 0,
+    palette: null
+  },
+  brickPipes: {
+    id: 'brickPipes',
+    category: 'pipeTheme',
+    name: 'Ladrillo',
+    price: 100,
+    palette: { fill: '#B5543C', border: '#6D2A1A', inner: '#E07A5F' }
+  },
+  icePipes: {
+    id: 'icePipes',
+    category: 'pipeTheme',
+    name: 'Hielo',
+    price: 150,
+    palette: { fill: '#81D4FA', border: '#0277BD', inner: '#E1F5FE' }
+  },
+  goldPipes: {
+    id: 'goldPipes',
+    category: 'pipeTheme',
+    name: 'Oro',
+    price: 400,
+    palette: { fill: '#D4AF37', border: '#8C6D1F', inner: '#FFE57F' }
+  }
+};
+
+/**
+ * Obtiene los objetos de una categoría en el orden del catálogo
+ * @param {string} category - Id de la categoría
+ * @returns {Array<Object>}
+ */
+export function getCategoryItems(category) {
+  return Object.values(SHOP_ITEMS).filter(item => item.category === category);
+}
+
+/**
+ * Crea un monedero vacío con los objetos gratuitos equipados
+ * @returns {Object}
+ */
+export function createWallet() {
+  const wallet = { coins: 0, owned: [], equipped: {} };
+  SHOP_CATEGORIES.forEach(category => {
+    const [free] = getCategoryItems(category.id);
+    wallet.owned.push(free.id);
+    wallet.equipped[category.id] = free.id;
+  });
+  return wallet;
+}
+
+/**
+ * Corrige un monedero guardado: descarta objetos que ya no existen y equipa los
+ * gratuitos donde haga falta
+ * @param {*} saved - Monedero leído de localStorage
+ * @returns {Object} - Monedero válido
+ */
+export function normalizeWallet(saved) {
+  const wallet = createWallet();
+  if (!saved || typeof saved !== 'object') {
+    return wallet;
+  }
+
+  wallet.coins = Math.max(0, Math.floor(Number(saved.coins) || 0));
+  (Array.isArray(saved.owned) ? saved.owned : []).forEach(id => {
+    if (SHOP_ITEMS[id] && !wallet.owned.includes(id)) {
+      wallet.owned.push(id);
+    }
+  });
+  const equipped = saved.equipped || {};
+  SHOP_CATEGORIES.forEach(category => {
+    const id = equipped[category.id];
+    if (wallet.owned.includes(id) && SHOP_ITEMS[id].category === category.id) {
+      wallet.equipped[category.id] = id;
+    }
+  });
+  return wallet;
+}
+
+/**
+ * Compra un objeto si hay monedas suficientes (el monedero se modifica)
+ * @param {Object} wallet - Monedero
+ * @param {string} id - Id del objeto
+ * @returns {boolean} - true si se ha comprado
+ */
+export function buyItem(wallet, id) {
+  const item = SHOP_ITEMS[id];
+  if (!item || wallet.owned.includes(id) || wallet.coins < item.price) {
+    return false;
+  }
+
+  wallet.coins -= item.price;
+  wallet.owned.push(id);
+  return true;
+}
+
+/**
+ * Equipa un objeto comprado en su categoría (el monedero se modifica)
+ * @param {Object} wallet - Monedero
+ * @param {string} id - Id del objeto
+ * @returns {boolean} - true si se ha equipado
+ */
+export function equipItem(wallet, id) {
+  if (!SHOP_ITEMS[id] || !wallet.owned.includes(id)) {
+    return false;
+  }
+  wallet.equipped[SHOP_ITEMS[id].category] = id;
+  return true;
+}
+
+/**
+ * Obtiene los objetos equipados de cada categoría
+ * @param {Object} wallet - Monedero
+ * @returns {Object} - {skin, trail, pipeTheme} con el objeto de cada una
+ */
+export function getEquippedItems(wallet) {
+  const items = {};
+  SHOP_CATEGORIES.forEach(category => {
+    items[category.id] = SHOP_ITEMS[wallet.equipped[category.id]];
+  });
+  return items;
+}
+
+/**
+ * Carga el monedero
+ * @returns {Object}
+ */
+export function loadWallet() {
+  const saved = localStorage.getItem(WALLET_KEY);
+  if (!saved) {
+    return createWallet();
+  }
+  try {
+    return normalizeWallet(JSON.parse(saved));
+  } catch (e) {
+    console.warn('Error cargando el monedero:', e);
+    return createWallet();
+  }
+}
+
+/**
+ * Guarda el monedero
+ * @param {Object} wallet - Monedero
+ */
+export function saveWallet(wallet) {
+  localStorage.setItem(WALLET_KEY, JSON.stringify(wallet));
+}
@@ -0,0 +1,957 @@
+/**
+ * Núcleo de simulación del juego (sin DOM)
+ *
+ * Contiene las reglas: pájaro, tubos, monedas, potenciadores, puntuación, dificultad,
+ * habilidades y colisiones. No toca document ni window, así que funciona tanto en el navegador
+ * (controlado por Game) como en Node para pruebas automatizadas.
+ */
+
+import * as Physics from './physics.js';
+import { ABILITIES, createAbilityStates, getActiveEffects, getEffectMultiplier } from './abilities.js';
+import { AdaptiveDirector } from './adaptive.js';
+import { DEFAULT_FORGIVENESS, capsuleIntersectsRect, getBirdHitbox } from './collision.js';
+import { COIN_RADIUS, createCoins, getCoinSeed } from './coins.js';
+import { getDifficultyLevel, getDifficultyPreset, getDifficultyValues } from './difficulty.js';
+import { getGameMode } from './modes.js';
+import {
+  createObstacle,
+  createPipePair,
+  getPipeHitRects,
+  isPipePairBehind,
+  pickObstacleType,
+  updatePipePair
+} from './pipes.js';
+import {
+  HIT_ABSORBERS,
+  POWERUP_RADIUS,
+  POWERUP_TYPES,
+  applyPowerup,
+  consumePowerupCharge,
+  createPowerup,
+  createPowerupEffects,
+  getPowerupSeed
+} from './powerups.js';
+import { createRng, random } from './utils.js';
+
+// Duración de un tick de simulación en segundos
+export const FIXED_TIME_STEP = 1 / 60;
+
+// Distancia al borde del hueco (px) por debajo de la cual pasar un tubo cuenta como roce
+export const NEAR_MISS_DISTANCE = 10;
+
+// Radio de los objetos a recoger en los recorridos
+export const ITEM_RADIUS = 10;
+
+// Fuerza de salto por defecto (los niveles de la campaña pueden cambiarla)
+const JUMP_FORCE = 250;
+
+// Segundos sin nuevos choques tras chocar en los modos sin muerte
+export const COLLISION_GRACE = 1;
+
+// Acción de salto de cada jugador (el segundo solo existe en partidas a dos)
+export const JUMP_ACTIONS = ['jump', 'jump2'];
+
+// Altura inicial de cada jugador
+const PLAYER_START_Y = [250, 290];
+
+// Estado de la partida que guardan las instantáneas del modo práctica (además de
+// los pájaros, las habilidades, el director adaptativo y los generadores aleatorios)
+const SNAPSHOT_FIELDS = [
+  'tick', 'distance', 'over', 'timeUp', 'collisions', 'pointsLost', 'graceTimer',
+  'courseIndex', 'nextCourseDistance', 'completed',
+  'score', 'nearMisses', 'pipes', 'pipeSpawnTimer', 'items', 'itemsCollected', 'coins', 'coinsCollected',
+  'powerupItems', 'powerups',
+  'difficultyLevel', 'pipeSpeed', 'pipeGap', 'gravity', 'pipeSpawnInterval', 'obstacleMix',
+  'jumpForce', 'abilityUses'
+];
+
+/**
+ * Crea el pájaro de un jugador en su posición inicial
+ * @param {number} player - Índice del jugador (0 el primero)
+ * @returns {Object} - Pájaro
+ */
+function createBird(player) {
+  return {
+    player,
+    x: 100,
+    y: PLAYER_START_Y[player],
+    width: 40,
+    height: 30,
+    velocity: 0,
+    rotation: 0,
+    wingPhase: 0, // Fase de animación de alas
+    isDying: false, // Estado de animación de muerte
+    deathAnimationTime: 0, // Tiempo transcurrido en animación de muerte
+    deathTick: null, // Tick en el que murió
+    score: 0, // tubos superados por este pájaro
+    nearMisses: 0
+  };
+}
+
+class Simulation {
+  /**
+   * @param {Object} options - Opciones {width, height, seed, difficulty, forgiveness, mode}
+   */
+  constructor(options = {}) {
+    this.width = options.width || 400;
+    this.height = options.height || 600;
+    this.fixedTimeStep = FIXED_TIME_STEP;
+    this.listeners = {};
+
+    // Un pájaro por jugador; todos vuelan a la misma X entre los mismos tubos
+    this.birds = [createBird(0)];
+
+    this.pipes = []; // pares de tubos (ver pipes.js)
+    this.pipeWidth = 60;
+    this.maxVelocity = 400;
+
+    // Margen de tolerancia de la cápsula de colisión en píxeles (ver collision.js)
+    this.forgiveness = options.forgiveness ?? DEFAULT_FORGIVENESS;
+
+    // Sistema de dificultad progresiva: la curva define velocidad, hueco,
+    // gravedad, intervalo y tipos de obstáculo en cada nivel (ver difficulty.js)
+    this.difficulty = getDifficultyPreset(options.difficulty);
+    this.jumpForce = JUMP_FORCE;
+
+    // Modo de juego: sus reglas cambian cómo termina la partida (ver modes.js)
+    this.mode = getGameMode(options.mode);
+
+    // Sistema de habilidades: una entrada por cada habilidad del registro (ver abilities.js)
+    this.abilities = createAbilityStates();
+
+    this.reset(options.seed || 0, { difficulty: this.difficulty });
+  }
+
+  /**
+   * Pájaro del primer jugador (el único en las partidas de un jugador)
+   * @returns {Object}
+   */
+  get bird() {
+    return this.birds[0];
+  }
+
+  /**
+   * Suscribe un listener a un evento de la simulación
+   * Eventos: 'score' {score, nearMiss, player}, 'difficulty' {level}, 'death' {cause, player},
+   * 'courseComplete' {score}, 'item' {collected}, 'coin' {collected}, 'collision' {cause, score},
+   * 'timeUp' {score}, 'powerup' {type} (recogido), 'powerupUsed' {type, cause} (aguantó un choque)
+   * @param {string} type - Tipo de evento
+   * @param {Function} listener - Función a llamar con los datos del evento
+   */
+  on(type, listener) {
+    if (!this.listeners[type]) {
+      this.listeners[type] = [];
+    }
+    this.listeners[type].push(listener);
+  }
+
+  /**
+   * Emite un evento a sus listeners
+   * @param {string} type - Tipo de evento
+   * @param {Object} data - Datos del evento
+   */
+  emit(type, data) {
+    (this.listeners[type] || []).forEach(listener => listener(data));
+  }
+
+  /**
+   * Reinicia la simulación para una nueva partida
+   * @param {number} seed - Semilla del generador de tubos
+   * @param {Object} options - Opciones {difficulty, forgiveness y mode (se mantienen los
+   *   anteriores si se omiten), adaptive: {startLevel} para jugar con dificultad adaptativa,
+   *   course: recorrido a jugar en lugar de tubos aleatorios (ver course.js),
+   *   physics: {gravity, pipeSpeed, jumpForce} fijos para el recorrido,
+   *   modifier: regla especial del reto diario (ver daily.js),
+   *   players: número de jugadores (1 o 2),
+   *   powerups: false para no generar potenciadores (repeticiones antiguas)}
+   */
+  reset(seed, options = {}) {
+    this.seed = seed >>> 0;
+    this.rng = createRng(this.seed);
+    this.coinRng = createRng(getCoinSeed(this.seed));
+    this.powerupRng = createRng(getPowerupSeed(this.seed));
+    this.tick = 0;
+    this.distance = 0; // píxeles recorridos
+    this.over = false;
+    this.timeUp = false;
+    this.collisions = 0;
+    this.pointsLost = 0; // los que restaron de verdad los choques (la puntuación no baja de 0)
+    this.graceTimer = 0;
+
+    // Modo recorrido: los tubos salen de la lista en lugar del generador aleatorio
+    this.course = options.course || null;
+    this.courseIndex = 0;
+    this.nextCourseDistance = this.course ? this.course.pipes[0].spacing : 0;
+    this.completed = false;
+
+    this.score = 0;
+    this.nearMisses = 0;
+    this.pipes = [];
+    this.pipeSpawnTimer = 0;
+    this.items = [];
+    this.itemsCollected = 0;
+    this.coins = [];
+    this.coinsCollected = 0;
+    // Potenciadores: los que esperan en los huecos y el estado de sus efectos (ver powerups.js)
+    this.powerupItems = [];
+    this.powerups = createPowerupEffects();
+    this.powerupsEnabled = options.powerups ?? true;
+
+    // Resetear dificultad
+    if (options.difficulty) {
+      this.difficulty = getDifficultyPreset(options.difficulty);
+    }
+    if (options.forgiveness !== undefined) {
+      this.forgiveness = options.forgiveness;
+    }
+    if (options.mode) {
+      this.mode = getGameMode(options.mode);
+    }
+    this.difficultyLevel = this.mode.rules.startLevel || 0;
+    this.adaptive = options.adaptive ? new AdaptiveDirector(options.adaptive.startLevel) : null;
+    this.modifier = options.modifier || null;
+    this.applyDifficulty();
+
+    // Ajustes de física del nivel (solo se mantienen en recorridos, que no suben de nivel)
+    const physics = options.physics || {};
+    this.jumpForce = (physics.jumpForce ?? JUMP_FORCE) * this.getModifierScale('jumpForce');
+    if (physics.gravity !== undefined) {
+      this.gravity = physics.gravity;
+    }
+    if (physics.pipeSpeed !== undefined) {
+      this.pipeSpeed = physics.pipeSpeed;
+    }
+
+    // Resetear habilidades y el recuento de usos
+    this.abilityUses = {};
+    Object.entries(this.abilities).forEach(([name, ability]) => {
+      ability.active = false;
+      ability.activeTimer = 0;
+      ability.cooldownTimer = 0;
+      this.abilityUses[name] = 0;
+    });
+
+    const players = Math.max(1, Math.min(JUMP_ACTIONS.length, options.players || 1));
+    this.birds = Array.from({ length: players }, (_, player) => createBird(player));
+  }
+
+  /**
+   * Avanza la simulación un tick
+   * @param {Array<string>} actions - Acciones del tick ('jump', 'jump2' o el id de una habilidad)
+   * @returns {Array<string>} - Acciones que realmente se ejecutaron
+   */
+  step(actions = []) {
+    const deltaTime = this.fixedTimeStep;
+    this.tick++;
+
+    const performed = [];
+    const jumps = this.birds.map(() => false);
+    actions.forEach(action => {
+      const player = JUMP_ACTIONS.indexOf(action);
+      if (player !== -1) {
+        if (player < jumps.length) {
+          jumps[player] = true;
+          performed.push(action);
+        }
+      } else if (this.activateAbility(action)) {
+        performed.push(action);
+      }
+    });
+
+    this.updateAbilities(deltaTime);
+    this.birds.forEach((bird, player) => this.updateBird(bird, deltaTime, jumps[player]));
+    this.updatePipes(deltaTime);
+    this.attractCoins(deltaTime);
+    this.checkCollisions();
+    this.collectCoins();
+    this.collectPowerups();
+    this.collectItems();
+    this.updateScore();
+    this.updateDifficulty();
+    this.updateTimeLimit();
+
+    return performed;
+  }
+
+  /**
+   * Guarda el estado de la partida para poder volver a él (modo práctica)
+   * @returns {Object} - Instantánea independiente de la simulación
+   */
+  createSnapshot() {
+    const snapshot = {
+      birds: this.birds,
+      abilities: this.abilities,
+      adaptive: this.adaptive,
+      rngState: this.rng.getState(),
+      coinRngState: this.coinRng.getState(),
+      powerupRngState: this.powerupRng.getState()
+    };
+    SNAPSHOT_FIELDS.forEach(field => {
+      snapshot[field] = this[field];
+    });
+    return structuredClone(snapshot);
+  }
+
+  /**
+   * Vuelve al estado guardado en una instantánea de esta misma partida
+   * @param {Object} snapshot - Instantánea creada con createSnapshot
+   */
+  restoreSnapshot(snapshot) {
+    const state = structuredClone(snapshot);
+    SNAPSHOT_FIELDS.forEach(field => {
+      this[field] = state[field];
+    });
+    this.birds = state.birds;
+    Object.entries(state.abilities).forEach(([name, ability]) => {
+      Object.assign(this.abilities[name], ability);
+    });
+    if (this.adaptive && state.adaptive) {
+      Object.assign(this.adaptive, state.adaptive);
+    }
+    this.rng.setState(state.rngState);
+    this.coinRng.setState(state.coinRngState);
+    this.powerupRng.setState(state.powerupRngState);
+  }
+
+  /**
+   * Actualiza el estado de un pájaro
+   * @param {Object} bird - Pájaro
+   * @param {number} deltaTime - Tiempo transcurrido
+   * @param {boolean} shouldJump - Si debe saltar en este tick
+   */
+  updateBird(bird, deltaTime, shouldJump) {
+    // Si está en animación de muerte, manejar caída especial
+    if (bird.isDying) {
+      bird.deathAnimationTime += deltaTime;
+
+      // Aplicar gravedad aumentada para caída dramática
+      Physics.applyGravity(bird, this.gravity * 1.5, deltaTime);
+      Physics.clampVelocity(bird, this.maxVelocity * 1.5);
+
+      // Rotación extrema hacia abajo (más dramática)
+      const targetRotation = Math.PI; // 180 grados (cabeza abajo)
+      bird.rotation += (targetRotation - bird.rotation) * 0.15;
+
+      // Detener animación de alas
+      bird.wingPhase = 0;
+
+      // Si toca el suelo, quedarse apoyado en él
+      if (bird.y + bird.height >= this.height) {
+        bird.y = this.height - bird.height;
+      }
+      return;
+    }
+
+    // Salto
+    if (shouldJump) {
+      Physics.applyJump(bird, this.jumpForce);
+      bird.wingPhase = 0; // Resetear fase de alas al saltar
+    }
+
+    // Gravedad
+    Physics.applyGravity(bird, this.gravity, deltaTime);
+    Physics.clampVelocity(bird, this.maxVelocity);
+
+    // Rotación basada en velocidad (más suave y realista)
+    const targetRotation = Math.min(bird.velocity * 0.002, Math.PI / 2);
+    bird.rotation += (targetRotation - bird.rotation) * 0.1; // Interpolación suave
+
+    // Animación de alas (más rápido cuando sube, más lento cuando baja)
+    const wingSpeed = bird.velocity < 0 ? 15 : 8; // Más rápido subiendo
+    bird.wingPhase += deltaTime * wingSpeed;
+    if (bird.wingPhase > Math.PI * 2) {
+      bird.wingPhase -= Math.PI * 2;
+    }
+
+    // Límites del viewport - solo muere si toca el suelo
+    if (bird.y < 0) {
+      bird.y = 0;
+      bird.velocity = 0;
+    }
+    if (bird.y + bird.height > this.height) {
+      bird.y = this.height - bird.height;
+      this.hit('ground', bird);
+      // Si sobrevive (sin muerte, escudo o vida extra) el suelo lo hace rebotar
+      if (!bird.isDying) {
+        bird.velocity = -this.jumpForce;
+      }
+    }
+  }
+
+  /**
+   * Actualiza los tubos
+   * @param {number} deltaTime - Tiempo transcurrido
+   */
+  updatePipes(deltaTime) {
+    // Calcular velocidad actual (acelerada por las habilidades y frenada por la cámara lenta)
+    const currentSpeed = this.pipeSpeed * getEffectMultiplier(this.abilities, 'physics', 'speedMultiplier');
+    const worldTime = deltaTime * this.getTimeScale();
+
+    this.distance += currentSpeed * worldTime;
+
+    // Mover tubos y actualizar su comportamiento (hueco móvil, cierre, deslizamiento)
+    this.pipes.forEach(pair => {
+      pair.x -= currentSpeed * worldTime;
+      updatePipePair(pair, worldTime);
+    });
+    [this.items, this.coins, this.powerupItems].forEach(list => {
+      list.forEach(item => {
+        item.x -= currentSpeed * worldTime;
+      });
+    });
+
+    // Eliminar tubos, objetos, monedas y potenciadores que ya salieron por la izquierda
+    this.pipes = this.pipes.filter(pair => pair.x + pair.width > -50);
+    this.items = this.items.filter(item => !item.collected && item.x + ITEM_RADIUS > -50);
+    this.coins = this.coins.filter(coin => !coin.collected && coin.x + COIN_RADIUS > -50);
+    this.powerupItems = this.powerupItems.filter(item => !item.collected && item.x + POWERUP_RADIUS > -50);
+
+    // Generar nuevos tubos
+    if (this.course) {
+      this.spawnCoursePipes();
+      return;
+    }
+    this.pipeSpawnTimer += worldTime;
+    if (this.pipeSpawnTimer >= this.pipeSpawnInterval) {
+      this.pipeSpawnTimer = 0;
+      this.spawnPipe();
+    }
+  }
+
+  /**
+   * Genera los pares del recorrido cuya distancia ya se alcanzó
+   */
+  spawnCoursePipes() {
+    const pipes = this.course.pipes;
+    while (this.courseIndex < pipes.length && this.distance >= this.nextCourseDistance) {
+      const pair = pipes[this.courseIndex];
+      // Compensar lo que se avanzó de más dentro del tick
+      const x = this.width - (this.distance - this.nextCourseDistance);
+      this.pipes.push(createPipePair({
+        x,
+        width: this.pipeWidth,
+        gapY: pair.gapY,
+        gapSize: pair.gapSize
+      }));
+
+      // Objeto a recoger en el centro del hueco
+      if (pair.item) {
+        this.items.push({ x: x + this.pipeWidth / 2, y: pair.gapY + pair.gapSize / 2, collected: false });
+      }
+
+      this.courseIndex++;
+      if (this.courseIndex < pipes.length) {
+        this.nextCourseDistance += pipes[this.courseIndex].spacing;
+      }
+    }
+  }
+
+  /**
+   * Genera un nuevo obstáculo, eligiendo su tipo según el nivel de dificultad
+   */
+  spawnPipe() {
+    const gapY = random(100, this.height - this.pipeGap - 100, this.rng);
+
+    // Sin variantes disponibles no se consume el generador (el nivel 0 es siempre igual)
+    const mix = this.getObstacleMix();
+    const type = Object.keys(mix).length > 1 ? pickObstacleType(mix, this.rng()) : 'static';
+
+    const pairs = createObstacle(type, {
+      x: this.width,
+      width: this.pipeWidth,
+      gapY,
+      gapSize: this.pipeGap,
+      worldHeight: this.height,
+      rng: this.rng
+    });
+    this.pipes.push(...pairs);
+    // Los potenciadores solo aparecen en los huecos fijos que no llevan monedas
+    pairs.forEach(pair => {
+      const coins = createCoins(pair, this.coinRng);
+      this.coins.push(...coins);
+      if (coins.length === 0 && this.arePowerupsAllowed()) {
+        const powerup = createPowerup(pair, this.powerupRng);
+        if (powerup) {
+          this.powerupItems.push(powerup);
+        }
+      }
+    });
+
+    // Si el obstáculo ocupa más de un par, retrasar el siguiente para no solaparlos
+    const extraWidth = pairs[pairs.length - 1].x - this.width;
+    if (extraWidth > 0) {
+      this.pipeSpawnTimer = -extraWidth / this.pipeSpeed;
+    }
+  }
+
+  /**
+   * Obtiene los pesos de cada tipo de obstáculo para el nivel actual
+   * @returns {Object} - Pesos por tipo
+   */
+  getObstacleMix() {
+    return this.obstacleMix;
+  }
+
+  /**
+   * Verifica colisiones entre el pajarito y los tubos
+   */
+  checkCollisions() {
+    // Tras un choque sin muerte hay un momento sin nuevos choques
+    if (this.graceTimer > 0) {
+      this.graceTimer = Math.max(0, this.graceTimer - this.fixedTimeStep);
+      return;
+    }
+
+    // Con una habilidad que atraviesa los tubos (escudo, paso fantasma) no hay colisiones
+    if (getActiveEffects(this.abilities, 'collision', 'ignorePipes').length > 0) {
+      return;
+    }
+
+    // Los pájaros que ya están muriendo no chocan más
+    this.birds.filter(bird => !bird.isDying).forEach(bird => {
+      if (this.hitsPipe(bird)) {
+        this.hit('pipe', bird);
+      }
+    });
+  }
+
+  /**
+   * Comprueba si un pájaro toca algún tubo
+   * @param {Object} bird - Pájaro
+   * @returns {boolean}
+   */
+  hitsPipe(bird) {
+    // Cápsula que sigue la rotación del pájaro contra los cuerpos y labios de los tubos
+    const hitbox = this.getBirdHitbox(bird);
+    return this.pipes.some(pair =>
+      getPipeHitRects(pair, this.height).some(pipeRect => capsuleIntersectsRect(hitbox, pipeRect))
+    );
+  }
+
+  /**
+   * Recoge las monedas que tocan los pájaros vivos
+   */
+  collectCoins() {
+    if (this.coins.length === 0) {
+      return;
+    }
+
+    this.birds.filter(bird => !bird.isDying).forEach(bird => {
+      const hitbox = this.getBirdHitbox(bird);
+      this.coins.forEach(coin => {
+        const rect = {
+          x: coin.x - COIN_RADIUS,
+          y: coin.y - COIN_RADIUS,
+          width: COIN_RADIUS * 2,
+          height: COIN_RADIUS * 2
+        };
+        if (!coin.collected && capsuleIntersectsRect(hitbox, rect)) {
+          coin.collected = true;
+          this.coinsCollected++;
+          this.emit('coin', { collected: this.coinsCollected });
+        }
+      });
+    });
+  }
+
+  /**
+   * Acerca al pájaro las monedas cercanas mientras el imán está activo
+   * @param {number} deltaTime - Tiempo transcurrido
+   */
+  attractCoins(deltaTime) {
+    if (!this.powerups.magnet.active || this.bird.isDying) {
+      return;
+    }
+
+    const { range, pull } = POWERUP_TYPES.magnet;
+    const centerX = this.bird.x + this.bird.width / 2;
+    const centerY = this.bird.y + this.bird.height / 2;
+    this.coins.forEach(coin => {
+      const dx = centerX - coin.x;
+      const dy = centerY - coin.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance > 0 && distance < range) {
+        const move = Math.min(distance, pull * deltaTime);
+        coin.x += dx / distance * move;
+        coin.y += dy / distance * move;
+      }
+    });
+  }
+
+  /**
+   * Recoge los potenciadores que tocan los pájaros vivos
+   */
+  collectPowerups() {
+    if (this.powerupItems.length === 0) {
+      return;
+    }
+
+    this.birds.filter(bird => !bird.isDying).forEach(bird => {
+      const hitbox = this.getBirdHitbox(bird);
+      this.powerupItems.forEach(item => {
+        const rect = {
+          x: item.x - POWERUP_RADIUS,
+          y: item.y - POWERUP_RADIUS,
+          width: POWERUP_RADIUS * 2,
+          height: POWERUP_RADIUS * 2
+        };
+        if (!item.collected && capsuleIntersectsRect(hitbox, rect)) {
+          item.collected = true;
+          applyPowerup(this.powerups, item.type);
+          this.emit('powerup', { type: item.type });
+        }
+      });
+    });
+  }
+
+  /**
+   * Recoge los objetos que tocan los pájaros
+   */
+  collectItems() {
+    if (this.items.length === 0) {
+      return;
+    }
+    this.birds.filter(bird => !bird.isDying).forEach(bird => this.collectBirdItems(bird));
+  }
+
+  /**
+   * Recoge los objetos que toca un pájaro
+   * @param {Object} bird - Pájaro
+   */
+  collectBirdItems(bird) {
+    const hitbox = this.getBirdHitbox(bird);
+    this.items.forEach(item => {
+      const rect = {
+        x: item.x - ITEM_RADIUS,
+        y: item.y - ITEM_RADIUS,
+        width: ITEM_RADIUS * 2,
+        height: ITEM_RADIUS * 2
+      };
+      if (!item.collected && capsuleIntersectsRect(hitbox, rect)) {
+        item.collected = true;
+        this.itemsCollected++;
+        this.emit('item', { collected: this.itemsCollected });
+      }
+    });
+  }
+
+  /**
+   * Obtiene la cápsula de colisión actual de un pájaro
+   * @param {Object} bird - Pájaro (el del primer jugador si se omite)
+   * @returns {Object} - Cápsula {ax, ay, bx, by, radius}
+   */
+  getBirdHitbox(bird = this.bird) {
+    return getBirdHitbox(bird, this.forgiveness, this.getBirdScale());
+  }
+
+  /**
+   * Obtiene el tamaño del pájaro (menor mientras dura la miniatura)
+   * @returns {number}
+   */
+  getBirdScale() {
+    return this.powerups.shrink.active ? POWERUP_TYPES.shrink.scale : 1;
+  }
+
+  /**
+   * Obtiene la velocidad del mundo respecto a la normal (menor con la cámara lenta
+   * del potenciador o de las habilidades)
+   * @returns {number}
+   */
+  getTimeScale() {
+    const powerupScale = this.powerups.slowTime.active ? POWERUP_TYPES.slowTime.timeScale : 1;
+    return powerupScale * getEffectMultiplier(this.abilities, 'physics', 'timeScale');
+  }
+
+  /**
+   * Aplica un choque: mata al pájaro o, en los modos sin muerte, resta puntos
+   * @param {string} cause - Causa del choque ('ground' o 'pipe')
+   * @param {Object} bird - Pájaro que choca (el del primer jugador si se omite)
+   */
+  hit(cause, bird = this.bird) {
+    if (this.graceTimer > 0 || this.absorbHit(cause)) {
+      return;
+    }
+
+    const rules = this.mode.rules;
+    if (!rules.noDeath) {
+      this.kill(cause, bird);
+      return;
+    }
+    if (this.over) {
+      return;
+    }
+
+    const penalty = rules.collisionPenalty || 0;
+    this.collisions++;
+    this.pointsLost += Math.min(this.score, penalty);
+    this.score = Math.max(0, this.score - penalty);
+    bird.score = Math.max(0, bird.score - penalty);
+    this.graceTimer = COLLISION_GRACE;
+    this.emit('collision', { cause, score: this.score });
+  }
+
+  /**
+   * Gasta un escudo o una vida extra para aguantar un choque; después hay un
+   * momento sin nuevos choques para poder salir del tubo
+   * @param {string} cause - Causa del choque
+   * @returns {boolean} - true si el choque se ha aguantado
+   */
+  absorbHit(cause) {
+    const type = HIT_ABSORBERS.find(name => this.powerups[name].active);
+    if (!type) {
+      return false;
+    }
+
+    consumePowerupCharge(this.powerups, type);
+    this.graceTimer = COLLISION_GRACE;
+    this.emit('powerupUsed', { type, cause });
+    return true;
+  }
+
+  /**
+   * Inicia la animación de muerte de un pájaro y termina la partida si era el último
+   * @param {string} cause - Causa de la muerte ('ground' o 'pipe')
+   * @param {Object} bird - Pájaro que muere (el del primer jugador si se omite)
+   */
+  kill(cause, bird = this.bird) {
+    if (bird.isDying) {
+      return;
+    } // Ya está muriendo
+
+    bird.isDying = true;
+    bird.deathAnimationTime = 0;
+    bird.deathTick = this.tick;
+    // Aumentar velocidad hacia abajo para efecto dramático
+    bird.velocity = Math.max(bird.velocity, 200);
+
+    // La partida termina cuando no queda ningún pájaro vivo
+    this.over = this.birds.every(other => other.isDying);
+    this.emit('death', { cause, player: bird.player });
+  }
+
+  /**
+   * Actualiza los temporizadores de las habilidades y de los potenciadores
+   * @param {number} deltaTime - Tiempo transcurrido
+   */
+  updateAbilities(deltaTime) {
+    [...Object.values(this.abilities), ...Object.values(this.powerups)].forEach(ability => {
+      if (ability.cooldownTimer > 0) {
+        ability.cooldownTimer -= deltaTime;
+        if (ability.cooldownTimer < 0) {
+          ability.cooldownTimer = 0;
+        }
+      }
+
+      if (ability.active) {
+        ability.activeTimer -= deltaTime;
+        if (ability.activeTimer <= 0) {
+          ability.active = false;
+          ability.activeTimer = 0;
+        }
+      }
+    });
+  }
+
+  /**
+   * Activa una habilidad si no está en cooldown
+   * @param {string} name - Id de la habilidad en el registro
+   * @returns {boolean} - true si la habilidad se activó
+   */
+  activateAbility(name) {
+    const ability = this.abilities[name];
+
+    // Verificar si existe, si está en cooldown y si las reglas las permiten
+    if (!ability || ability.cooldownTimer > 0 || !this.areAbilitiesAllowed()) {
+      return false;
+    }
+
+    // Activar habilidad
+    ability.active = true;
+    ability.activeTimer = ability.duration;
+    ability.cooldownTimer = ability.cooldown;
+    this.abilityUses[name]++;
+
+    // Las habilidades de salto impulsan al pájaro al activarse
+    const { physics } = ABILITIES[name];
+    if (physics && physics.jumpMultiplier && !this.bird.isDying) {
+      Physics.applyJump(this.bird, this.jumpForce * physics.jumpMultiplier);
+      this.bird.wingPhase = 0;
+    }
+    return true;
+  }
+
+  /**
+   * Indica si las reglas del modo y del reto diario permiten usar habilidades
+   * (en las partidas a dos no hay: serían compartidas por ambos jugadores)
+   * @returns {boolean}
+   */
+  areAbilitiesAllowed() {
+    const rules = this.mode.rules;
+    return !rules.noAbilities && !(this.modifier && this.modifier.noAbilities) && this.birds.length === 1;
+  }
+
+  /**
+   * Indica si pueden aparecer potenciadores: con las mismas reglas que las habilidades
+   * @returns {boolean}
+   */
+  arePowerupsAllowed() {
+    return this.powerupsEnabled && this.areAbilitiesAllowed();
+  }
+
+  /**
+   * Termina la partida al agotarse el tiempo del modo contrarreloj
+   */
+  updateTimeLimit() {
+    const timeLimit = this.mode.rules.timeLimit;
+    if (!timeLimit || this.over) {
+      return;
+    }
+    if (this.tick * this.fixedTimeStep >= timeLimit - 1e-9) {
+      this.over = true;
+      this.timeUp = true;
+      this.emit('timeUp', { score: this.score });
+    }
+  }
+
+  /**
+   * Obtiene los segundos que quedan de partida (Infinity si no hay límite)
+   * @returns {number}
+   */
+  getTimeLeft() {
+    const timeLimit = this.mode.rules.timeLimit;
+    return timeLimit ? Math.max(0, timeLimit - this.tick * this.fixedTimeStep) : Infinity;
+  }
+
+  /**
+   * Actualiza la puntuación cuando el pajarito pasa un tubo
+   */
+  updateScore() {
+    // Puntúan los pájaros vivos y los que han muerto en este mismo tick
+    const scorers = this.birds.filter(bird => bird.deathTick === null || bird.deathTick === this.tick);
+    this.pipes.forEach(pair => {
+      if (pair.passed) {
+        return;
+      }
+
+      // Menor distancia de cada pájaro al borde del hueco mientras lo atraviesa
+      scorers.forEach(bird => {
+        if (bird.x + bird.width > pair.x && bird.x < pair.x + pair.width) {
+          const clearance = Math.min(bird.y - pair.gapY, pair.gapY + pair.gapSize - (bird.y + bird.height));
+          pair.minClearance = pair.minClearance || [];
+          pair.minClearance[bird.player] = Math.min(pair.minClearance[bird.player] ?? Infinity, clearance);
+        }
+      });
+
+      // Todos los pájaros vuelan a la misma X, así que superan cada par a la vez
+      if (scorers.length > 0 && isPipePairBehind(pair, this.bird.x)) {
+        pair.passed = true;
+        // La puntuación de la partida es la del pájaro que más ha aguantado
+        this.score++;
+        scorers.forEach(bird => this.scorePipe(pair, bird));
+
+        // El recorrido termina al superar su último par
+        if (this.course && this.score === this.course.pipes.length && !this.over) {
+          this.completed = true;
+          this.over = true;
+          this.emit('courseComplete', { score: this.score });
+        }
+      }
+    });
+  }
+
+  /**
+   * Obtiene el ganador de una partida a dos: el que más tubos ha superado o,
+   * con los mismos, el que más ha aguantado
+   * @returns {number|null} - Índice del jugador ganador, o null si hay empate
+   */
+  getWinner() {
+    const ranked = [...this.birds].sort((a, b) =>
+      b.score - a.score || (b.deathTick ?? Infinity) - (a.deathTick ?? Infinity)
+    );
+    const [first, second] = ranked;
+    if (second && first.score === second.score && first.deathTick === second.deathTick) {
+      return null;
+    }
+    return first.player;
+  }
+
+  /**
+   * Suma a un pájaro el par de tubos que acaba de superar
+   * @param {Object} pair - Par de tubos
+   * @param {Object} bird - Pájaro
+   */
+  scorePipe(pair, bird) {
+    const clearance = pair.minClearance && pair.minClearance[bird.player];
+    const nearMiss = clearance !== undefined && clearance < NEAR_MISS_DISTANCE;
+    bird.score++;
+    if (nearMiss) {
+      bird.nearMisses++;
+      this.nearMisses++;
+    }
+    if (this.adaptive) {
+      this.adaptive.onPipePassed(nearMiss);
+    }
+    this.emit('score', { score: this.score, nearMiss, player: bird.player });
+  }
+
+  /**
+   * Sube de nivel si la partida alcanzó el siguiente tramo de la curva
+   * (en modo adaptativo el director ajusta los valores de forma continua y
+   * los recorridos mantienen los valores iniciales)
+   */
+  updateDifficulty() {
+    if (this.course) {
+      return;
+    }
+    if (this.adaptive) {
+      if (!this.over) {
+        this.adaptive.update(this.fixedTimeStep);
+        this.applyDifficulty();
+      }
+      return;
+    }
+
+    const level = (this.mode.rules.startLevel || 0) + getDifficultyLevel(this.difficulty, {
+      score: this.score,
+      time: this.tick * this.fixedTimeStep
+    });
+    if (level > this.difficultyLevel) {
+      this.difficultyLevel = level;
+      this.increaseDifficulty();
+    }
+  }
+
+  /**
+   * Aplica los valores de la curva de dificultad para el nivel actual
+   */
+  applyDifficulty() {
+    const values = this.adaptive
+      ? this.adaptive.getValues()
+      : getDifficultyValues(this.difficulty, this.difficultyLevel);
+    this.pipeSpeed = values.pipeSpeed * this.getModifierScale('pipeSpeed');
+    this.pipeGap = values.pipeGap * this.getModifierScale('pipeGap');
+    this.gravity = values.gravity * this.getModifierScale('gravity');
+    this.pipeSpawnInterval = values.pipeSpawnInterval * this.getModifierScale('pipeSpawnInterval'); // segundos
+    this.obstacleMix = values.obstacleMix;
+  }
+
+  /**
+   * Obtiene el multiplicador que la regla especial aplica a un valor
+   * @param {string} name - Valor ('pipeSpeed', 'pipeGap', 'gravity', 'pipeSpawnInterval', 'jumpForce')
+   * @returns {number}
+   */
+  getModifierScale(name) {
+    const scale = this.modifier && this.modifier.scale;
+    return (scale && scale[name]) || 1;
+  }
+
+  /**
+   * Aumenta la dificultad del juego al nivel actual
+   */
+  increaseDifficulty() {
+    this.applyDifficulty();
+    this.emit('difficulty', { level: this.difficultyLevel });
+  }
+}
+
+export default Simulation;
@@ -20,27 +20,42 @@ export function loadImage(src) {
  * Genera un número aleatorio entre min y max (inclusive)
  * @param {number} min - Valor mínimo
  * @param {number} max - Valor máximo
+ * @param {Function} rng - Generador a usar (por defecto Math.random)
  * @returns {number} - Número aleatorio
  */
-export function random(min, max) {
-  return Math.random() * (max - min) + min;
+export function random(min, max, rng = Math.random) {
+  return rng() * (max - min) + min;
 }
 
 /**
- * Obtiene el récord guardado en localStorage
- * @returns {number} - Puntuación récord
+ * Crea un generador pseudoaleatorio determinista (mulberry32)
+ * La misma semilla produce siempre la misma secuencia
+ * @param {number} seed - Semilla entera de 32 bits
+ * @returns {Function} - Función que devuelve números en [0, 1), con getState() y
+ *   setState(state) para guardar y recuperar su posición en la secuencia
  */
-export function getHighScore() {
-  const score = localStorage.getItem('pajaritoHighScore');
-  return score ? parseInt(score, 10) : 0;
+export function createRng(seed) {
+  let state = seed >>> 0;
+  const rng = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.getState = () => state;
+  rng.setState = (value) => {
+    state = value >>> 0;
+  };
+  return rng;
 }
 
 /**
- * Guarda un nuevo récord en localStorage
- * @param {number} score - Nueva puntuación récord
+ * Genera una semilla aleatoria para una nueva partida
+ * @returns {number} - Semilla entera de 32 bits
  */
-export function setHighScore(score) {
-  localStorage.setItem('pajaritoHighScore', score.toString());
+export function generateSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
 }
 
 /**
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Simulation, { FIXED_TIME_STEP } from '../src/simulation.js';
+import { ABILITIES, createAbilityStates, getEffectMultiplier, getKeyStorageName } from '../src/abilities.js';
+import { placeWallOnBird, runAutopilot, runScript } from './helpers.js';
+
+describe('abilities', () => {
+  describe('registry', () => {
+    it('gives every ability a unique uppercase replay code', () => {
+      const codes = Object.values(ABILITIES).map(ability => ability.replayCode);
+      codes.forEach(code => assert.match(code, /^[A-Z]$/));
+      assert.equal(new Set([...codes, 'J']).size, codes.length + 1);
+    });
+
+    it('keeps the legacy storage names of the original keys', () => {
+      assert.equal(getKeyStorageName('invulnerability'), 'abilityKey');
+      assert.equal(getKeyStorageName('speedBoost'), 'speedBoostKey');
+      assert.equal(getKeyStorageName('slowMotion'), 'slowMotionKey');
+    });
+
+    it('multiplies the effects of every active ability', () => {
+      const states = createAbilityStates();
+      assert.equal(getEffectMultiplier(states, 'physics', 'speedMultiplier'), 1);
+
+      states.speedBoost.active = true;
+      states.phaseDash.active = true;
+      const expected = ABILITIES.speedBoost.physics.speedMultiplier * ABILITIES.phaseDash.physics.speedMultiplier;
+      assert.equal(getEffectMultiplier(states, 'physics', 'speedMultiplier'), expected);
+    });
+
+  });
+
+  describe('effects', () => {
+    it('slows the world down with slow motion', () => {
+      const sim = new Simulation({ seed: 1 });
+      sim.step(['slowMotion']);
+      const before = sim.distance;
+      sim.step();
+
+      const expected = sim.pipeSpeed * ABILITIES.slowMotion.physics.timeScale * FIXED_TIME_STEP;
+      assert.ok(Math.abs(sim.distance - before - expected) < 1e-9);
+    });
+
+    it('launches the bird upwards with the double jump', () => {
+      const sim = new Simulation({ seed: 1 });
+      runScript(sim, 20);
+      assert.ok(sim.bird.velocity > 0);
+
+      sim.step(['doubleJump']);
+
+      assert.ok(sim.bird.velocity < 0);
+    });
+
+    it('dashes through pipes faster with the phase dash', () => {
+      const sim = new Simulation({ seed: 1 });
+      placeWallOnBird(sim);
+      const before = sim.distance;
+
+      sim.step(['phaseDash']);
+
+      assert.equal(sim.over, false);
+      const expected = sim.pipeSpeed * ABILITIES.phaseDash.physics.speedMultiplier * FIXED_TIME_STEP;
+      assert.ok(Math.abs(sim.distance - before - expected) < 1e-9);
+    });
+
+    it('keeps each ability on its own cooldown', () => {
+      const sim = new Simulation({ seed: 1 });
+      assert.deepEqual(sim.step(['doubleJump', 'phaseDash']), ['doubleJump', 'phaseDash']);
+      assert.deepEqual(sim.step(['doubleJump', 'slowMotion']), ['slowMotion']);
+
+      runAutopilot(sim, current => current.abilities.doubleJump.cooldownTimer === 0);
+      assert.equal(sim.over, false);
+      assert.ok(sim.abilities.phaseDash.cooldownTimer > 0);
+      assert.deepEqual(sim.step(['doubleJump']), ['doubleJump']);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Simulation, { FIXED_TIME_STEP } from '../src/simulation.js';
+import { AdaptiveDirector, MAX_ADAPTIVE_LEVEL, getStartingLevel } from '../src/adaptive.js';
+import { DIFFICULTY_PRESETS, getDifficultyValues } from '../src/difficulty.js';
+import { createPipePair } from '../src/pipes.js';
+import { hover } from './helpers.js';
+
+const TICKS_PER_SECOND = Math.round(1 / FIXED_TIME_STEP);
+
+/**
+ * Avanza el director un número de segundos
+ */
+function advance(director, seconds) {
+  for (let i = 0; i < seconds * TICKS_PER_SECOND; i++) {
+    director.update(FIXED_TIME_STEP);
+  }
+}
+
+describe('adaptive difficulty', () => {
+  describe('director', () => {
+    it('ramps up gently with time alive and clean passes', () => {
+      const director = new AdaptiveDirector(0);
+      advance(director, 10);
+      const afterTime = director.level;
+
+      for (let i = 0; i < 10; i++) {
+        director.onPipePassed(false);
+      }
+      advance(director, 10);
+
+      assert.ok(afterTime > 0 && afterTime < 1);
+      assert.ok(director.level > afterTime + 0.5);
+    });
+
+    it('eases off after near misses', () => {
+      const director = new AdaptiveDirector(5);
+      director.onPipePassed(true);
+      director.onPipePassed(true);
+      advance(director, 5);
+
+      assert.ok(director.level < 5);
+      assert.equal(director.getSummary().nearMisses, 2);
+    });
+
+    it('pushes a strong player past the fixed preset steps', () => {
+      const director = new AdaptiveDirector(MAX_ADAPTIVE_LEVEL);
+      const hardest = getDifficultyValues(DIFFICULTY_PRESETS.normal, 6);
+      const values = director.getValues();
+
+      assert.ok(values.pipeSpeed > hardest.pipeSpeed);
+      assert.ok(values.pipeGap < hardest.pipeGap);
+    });
+
+    it('starts lower after recent quick deaths', () => {
+      const steady = [{ level: 8, timeAlive: 60 }, { level: 8, timeAlive: 60 }];
+      const struggling = [{ level: 8, timeAlive: 60 }, { level: 8, timeAlive: 4 }];
+
+      assert.equal(getStartingLevel([]), 0);
+      assert.ok(getStartingLevel(struggling) < getStartingLevel(steady));
+      assert.equal(getStartingLevel([{ level: 1, timeAlive: 2 }]), 0);
+    });
+  });
+
+  describe('simulation', () => {
+    it('reports near misses when the bird skims the gap edge', () => {
+      const sim = new Simulation({ seed: 1 });
+      const events = [];
+      sim.on('score', event => events.push(event));
+      sim.pipeSpawnInterval = Infinity;
+      sim.pipes.push(createPipePair({ x: 150, width: sim.pipeWidth, gapY: sim.bird.y - 60, gapSize: sim.pipeGap }));
+      sim.pipes.push(createPipePair({ x: 400, width: sim.pipeWidth, gapY: sim.bird.y - 36, gapSize: sim.pipeGap }));
+
+      hover(sim, 3 * TICKS_PER_SECOND);
+
+      assert.equal(sim.over, false);
+      assert.deepEqual(events, [{ score: 1, nearMiss: false, player: 0 }, { score: 2, nearMiss: true, player: 0 }]);
+      assert.equal(sim.nearMisses, 1);
+    });
+
+    it('lets the director drive the values instead of the preset steps', () => {
+      const sim = new Simulation({ seed: 1 });
+      const levels = [];
+      sim.on('difficulty', ({ level }) => levels.push(level));
+      sim.reset(1, { adaptive: { startLevel: 4 } });
+      const startSpeed = sim.pipeSpeed;
+      sim.score = 100;
+
+      hover(sim, 5 * TICKS_PER_SECOND);
+
+      assert.deepEqual(levels, []);
+      assert.ok(sim.adaptive.level > 4);
+      assert.ok(sim.pipeSpeed > startSpeed);
+    });
+
+    it('drops the director on the next regular reset', () => {
+      const sim = new Simulation({ seed: 1 });
+      sim.reset(1, { adaptive: { startLevel: 4 } });
+      sim.reset(2);
+
+      assert.equal(sim.adaptive, null);
+      assert.equal(sim.pipeSpeed, DIFFICULTY_PRESETS.normal.pipeSpeed.base);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ACTIONS,
+  addBinding,
+  createDefaultBindings,
+  findBindingOwner,
+  findConflicts,
+  getActionsForInput,
+  getBindingDisplayName,
+  getKeyDisplayName,
+  normalizeBindings,
+  removeBinding
+} from '../src/bindings.js';
+import { ABILITIES } from '../src/abilities.js';
+
+describe('bindings', () => {
+  describe('defaults', () => {
+    it('maps every action, including each ability of the registry', () => {
+      const bindings = createDefaultBindings();
+      ['jump', 'jump2', 'pause', 'restart', ...Object.keys(ABILITIES)].forEach(id => {
+        assert.ok(bindings[id].length > 0, id);
+      });
+      assert.equal(Object.keys(bindings).length, ACTIONS.length);
+    });
+
+    it('has no conflicts', () => {
+      assert.deepEqual(findConflicts(createDefaultBindings()), []);
+    });
+
+    it('pauses and uses some abilities with gestures', () => {
+      const bindings = createDefaultBindings();
+      assert.deepEqual(getActionsForInput(bindings, 'gesture:twoFinger'), ['pause']);
+      assert.deepEqual(getActionsForInput(bindings, 'gesture:swipeUp'), ['doubleJump']);
+    });
+
+    it('jumps with space, the left mouse button, a touch anywhere and the A button', () => {
+      const bindings = createDefaultBindings();
+      ['key:Space', 'mouse:0', 'touch:left', 'touch:right', 'pad:0'].forEach(input => {
+        assert.deepEqual(getActionsForInput(bindings, input), ['jump']);
+      });
+      assert.deepEqual(getActionsForInput(bindings, 'mouse:2'), []);
+    });
+
+    it('maps each ability and the pause to its own controller button', () => {
+      const bindings = createDefaultBindings();
+      const padBindings = Object.values(bindings).flat().filter(binding => binding.startsWith('pad:'));
+
+      assert.equal(new Set(padBindings).size, padBindings.length);
+      assert.deepEqual(getActionsForInput(bindings, 'pad:9'), ['pause']);
+    });
+  });
+
+  describe('editing', () => {
+    it('allows several bindings per action', () => {
+      const bindings = createDefaultBindings();
+      addBinding(bindings, 'pause', 'mouse:1');
+
+      assert.deepEqual(getActionsForInput(bindings, 'mouse:1'), ['pause']);
+      assert.deepEqual(getActionsForInput(bindings, 'key:KeyP'), ['pause']);
+    });
+
+    it('moves a binding away from the action that used it', () => {
+      const bindings = createDefaultBindings();
+      const removedFrom = addBinding(bindings, 'speedBoost', 'key:KeyE');
+
+      assert.deepEqual(removedFrom, ['invulnerability']);
+      assert.deepEqual(bindings.invulnerability, [`pad:${ABILITIES.invulnerability.defaultPadButton}`]);
+      assert.deepEqual(getActionsForInput(bindings, 'key:KeyE'), ['speedBoost']);
+    });
+
+    it('treats a whole-screen touch as overlapping both halves', () => {
+      const bindings = createDefaultBindings();
+      assert.equal(findBindingOwner(bindings, 'touch:right', 'pause'), 'jump');
+
+      bindings.pause.push('touch:right');
+      assert.deepEqual(findConflicts(bindings), [{ binding: 'touch:screen', actions: ['jump', 'pause'] }]);
+    });
+
+    it('lets the screen edges take over from the whole-screen touch', () => {
+      const bindings = createDefaultBindings();
+      const removedFrom = addBinding(bindings, 'invulnerability', 'touch:rightEdge');
+
+      assert.deepEqual(removedFrom, []);
+      assert.deepEqual(getActionsForInput(bindings, 'touch:rightEdge'), ['invulnerability']);
+      assert.deepEqual(getActionsForInput(bindings, 'touch:right'), ['jump']);
+      assert.deepEqual(findConflicts(bindings), []);
+    });
+
+    it('never leaves a required action without bindings', () => {
+      const bindings = createDefaultBindings();
+      bindings.jump2 = ['key:ArrowUp'];
+
+      assert.equal(removeBinding(bindings, 'jump2', 'key:ArrowUp'), false);
+      assert.equal(addBinding(bindings, 'pause', 'key:ArrowUp'), null);
+      assert.deepEqual(bindings.jump2, ['key:ArrowUp']);
+      assert.equal(removeBinding(bindings, 'restart', 'key:Enter'), true);
+      assert.deepEqual(bindings.restart, ['pad:8']);
+    });
+  });
+
+  describe('persistence', () => {
+    it('drops unknown actions and invalid bindings', () => {
+      const bindings = normalizeBindings({
+        jump: ['key:Space', 'key:Space', 'mouse:7', 'touch:top', 'pad:40', 'nonsense'],
+        pause: [],
+        teleport: ['key:KeyT'],
+        version: 3
+      });
+
+      assert.deepEqual(bindings.jump, ['key:Space']);
+      assert.deepEqual(bindings.pause, []);
+      assert.equal(bindings.teleport, undefined);
+      assert.deepEqual(bindings.restart, ['key:Enter', 'pad:8']);
+    });
+
+    it('adds the free controller defaults to maps saved before gamepad support', () => {
+      const bindings = normalizeBindings({ jump: ['key:Space'], pause: ['key:KeyP'], restart: ['pad:0'] });
+
+      assert.deepEqual(bindings.jump, ['key:Space']);
+      assert.deepEqual(bindings.restart, ['pad:0', 'pad:8']);
+      assert.deepEqual(bindings.pause, ['key:KeyP', 'pad:9', 'gesture:swipeDown', 'gesture:twoFinger']);
+      assert.deepEqual(bindings.invulnerability, ['key:KeyE', `pad:${ABILITIES.invulnerability.defaultPadButton}`]);
+    });
+
+    it('adds the free gesture defaults to maps saved before gestures', () => {
+      const bindings = normalizeBindings({ pause: ['key:KeyP'], doubleJump: ['gesture:swipeDown'], version: 2 });
+
+      assert.deepEqual(bindings.pause, ['key:KeyP', 'gesture:twoFinger']);
+      assert.deepEqual(bindings.doubleJump, ['gesture:swipeDown', 'gesture:swipeUp']);
+      assert.deepEqual(bindings.jump, createDefaultBindings().jump);
+    });
+
+    it('keeps the ability keys saved before the action map', () => {
+      const bindings = normalizeBindings(null, { invulnerability: 'KeyP', speedBoost: null });
+
+      assert.deepEqual(bindings.invulnerability, ['key:KeyP']);
+      assert.deepEqual(bindings.pause, ['key:Escape', 'pad:9', 'gesture:swipeDown', 'gesture:twoFinger']);
+      assert.deepEqual(bindings.speedBoost, [`key:${ABILITIES.speedBoost.defaultKey}`, `pad:${ABILITIES.speedBoost.defaultPadButton}`]);
+    });
+  });
+
+  describe('display names', () => {
+    it('names keys, mouse buttons and touch zones', () => {
+      assert.equal(getKeyDisplayName('KeyE'), 'E');
+      assert.equal(getKeyDisplayName('Digit3'), '3');
+      assert.equal(getBindingDisplayName('key:Space'), 'ESPACIO');
+      assert.equal(getBindingDisplayName('mouse:2'), 'Clic derecho');
+      assert.equal(getBindingDisplayName('touch:left'), 'Toque izquierda');
+      assert.equal(getBindingDisplayName('pad:9'), 'Mando Start');
+      assert.equal(getBindingDisplayName('touch:rightEdge'), 'Toque borde derecho');
+      assert.equal(getBindingDisplayName('gesture:twoFinger'), 'Toque con dos dedos');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Simulation from '../src/simulation.js';
+import {
+  CAMPAIGN_LEVELS,
+  createLevelCourse,
+  evaluateLevel,
+  getNextCampaignLevel,
+  isLevelUnlocked
+} from '../src/campaign.js';
+import { createPipePair } from '../src/pipes.js';
+import { hover, runAutopilot } from './helpers.js';
+
+const WORLD_HEIGHT = 600;
+
+/**
+ * Crea una simulación jugando un nivel de la campaña
+ * @param {Object} level - Nivel
+ * @returns {Simulation}
+ */
+function playLevel(level) {
+  const sim = new Simulation({ seed: 1 });
+  sim.reset(1, { course: createLevelCourse(level, WORLD_HEIGHT), physics: level.physics });
+  return sim;
+}
+
+const RUN = {
+  score: 10,
+  completed: true,
+  itemsCollected: 2,
+  nearMisses: 0,
+  abilityUses: { invulnerability: 0, speedBoost: 1 }
+};
+
+describe('campaign', () => {
+  describe('levels', () => {
+    it('always generates the same layout for a level', () => {
+      const level = CAMPAIGN_LEVELS[1];
+      const course = createLevelCourse(level, WORLD_HEIGHT);
+
+      assert.deepEqual(createLevelCourse(level, WORLD_HEIGHT), course);
+      assert.equal(course.pipes.length, level.layout.pipes);
+      assert.equal(course.pipes.filter(pair => pair.item).length,
+        Math.floor(level.layout.pipes / level.layout.itemEvery));
+    });
+
+    it('can finish every level', () => {
+      CAMPAIGN_LEVELS.forEach(level => {
+        const sim = playLevel(level);
+        runAutopilot(sim, () => false);
+        assert.equal(sim.completed, true, level.id);
+      });
+    });
+
+    it('applies the physics tweaks of the level', () => {
+      const level = CAMPAIGN_LEVELS.find(candidate => candidate.physics.jumpForce);
+      const sim = playLevel(level);
+
+      assert.equal(sim.jumpForce, level.physics.jumpForce);
+      assert.equal(sim.gravity, level.physics.gravity);
+
+      sim.reset(1);
+      assert.equal(sim.jumpForce, 250);
+    });
+
+    it('unlocks levels in sequence', () => {
+      const [first, second] = CAMPAIGN_LEVELS;
+
+      assert.equal(isLevelUnlocked(0, {}), true);
+      assert.equal(isLevelUnlocked(1, {}), false);
+      assert.equal(isLevelUnlocked(1, { [first.id]: 1 }), true);
+      assert.equal(getNextCampaignLevel(first.id), second);
+      assert.equal(getNextCampaignLevel(CAMPAIGN_LEVELS[CAMPAIGN_LEVELS.length - 1].id), null);
+    });
+  });
+
+  describe('stars', () => {
+    const level = {
+      goals: [{ type: 'pipes', target: 10 }, { type: 'noShield' }, { type: 'items', target: 3 }]
+    };
+
+    it('gives one star for the main goal and one per bonus goal', () => {
+      assert.equal(evaluateLevel(level, RUN).stars, 2);
+      assert.equal(evaluateLevel(level, { ...RUN, itemsCollected: 3 }).stars, 3);
+    });
+
+    it('gives no stars without the main goal', () => {
+      const result = evaluateLevel(level, { ...RUN, score: 9, completed: false, itemsCollected: 3 });
+
+      assert.equal(result.cleared, false);
+      assert.equal(result.stars, 0);
+    });
+
+    it('requires finishing without the shield', () => {
+      assert.equal(evaluateLevel(level, { ...RUN, abilityUses: { invulnerability: 1 } }).goals[1].met, false);
+      assert.equal(evaluateLevel(level, { ...RUN, completed: false }).goals[1].met, false);
+    });
+  });
+
+  describe('simulation', () => {
+    it('collects items in the gap and counts ability uses', () => {
+      const sim = new Simulation({ seed: 1 });
+      sim.reset(1, {
+        course: { name: 'Objeto', pipes: [{ spacing: 200, gapY: sim.bird.y - 90, gapSize: 160, item: true }] }
+      });
+      let collected = 0;
+      sim.on('item', event => {
+        collected = event.collected;
+      });
+
+      sim.step(['speedBoost']);
+      hover(sim, 200);
+
+      assert.equal(collected, 1);
+      assert.equal(sim.itemsCollected, 1);
+      assert.equal(sim.completed, true);
+      assert.deepEqual(sim.abilityUses, { invulnerability: 0, speedBoost: 1, slowMotion: 0, doubleJump: 0, phaseDash: 0 });
+    });
+
+    it('moves items with the pipes', () => {
+      const sim = new Simulation({ seed: 1 });
+      sim.pipes.push(createPipePair({ x: 300, width: 60, gapY: 200, gapSize: 150 }));
+      sim.items.push({ x: 330, y: 275, collected: false });
+      sim.pipeSpawnInterval = Infinity;
+
+      sim.step(['jump']);
+
+      assert.equal(sim.items[0].x, sim.pipes[0].x + 30);
+    });
+  });
+});
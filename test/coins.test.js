@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Simulation from '../src/simulation.js';
+import { COIN_RADIUS, createCoins } from '../src/coins.js';
+import { createRng } from '../src/utils.js';
+import { createPipePair } from '../src/pipes.js';
+import { runAutopilot, runScript } from './helpers.js';
+
+/**
+ * Generador que siempre devuelve el mismo valor
+ */
+function fixedRng(value) {
+  return () => value;
+}
+
+describe('coins', () => {
+  describe('layout', () => {
+    const pair = createPipePair({ x: 400, width: 60, gapY: 200, gapSize: 150 });
+
+    it('places a column in the middle of static gaps', () => {
+      const coins = createCoins(pair, fixedRng(0.1));
+
+      assert.deepEqual(coins.map(coin => [coin.x, coin.y]), [[430, 251], [430, 275], [430, 299]]);
+      coins.forEach(coin => {
+        assert.ok(coin.y - COIN_RADIUS > pair.gapY && coin.y + COIN_RADIUS < pair.gapY + pair.gapSize);
+      });
+    });
+
+    it('places an arc after the pipe and sometimes nothing', () => {
+      assert.ok(createCoins(pair, fixedRng(0.55)).every(coin => coin.x > pair.x + pair.width));
+      assert.deepEqual(createCoins(pair, fixedRng(0.9)), []);
+    });
+
+    it('skips gaps that move', () => {
+      const moving = createPipePair({ x: 400, width: 60, gapY: 200, gapSize: 150, behavior: 'sine', amplitude: 40 });
+
+      assert.deepEqual(createCoins(moving, fixedRng(0.1)), []);
+    });
+  });
+
+  describe('simulation', () => {
+    it('does not change the pipe layout', () => {
+      const a = new Simulation({ seed: 77 });
+      const b = new Simulation({ seed: 77 });
+      b.coinRng = createRng(12345);
+      runScript(a, 600, {});
+      runScript(b, 600, {});
+
+      assert.deepEqual(a.pipes, b.pipes);
+      assert.notDeepEqual(a.coins, b.coins);
+    });
+
+    it('lays out the same coins for the same seed', () => {
+      const a = new Simulation({ seed: 99 });
+      const b = new Simulation({ seed: 99 });
+      runAutopilot(a, sim => sim.tick >= 900);
+      runAutopilot(b, sim => sim.tick >= 900);
+
+      assert.deepEqual(a.coins, b.coins);
+      assert.equal(a.coinsCollected, b.coinsCollected);
+    });
+
+    it('collects coins the bird touches', () => {
+      const sim = new Simulation({ seed: 5 });
+      const events = [];
+      sim.on('coin', data => events.push(data));
+      const bird = sim.bird;
+      const coin = { x: bird.x + bird.width / 2, y: bird.y + bird.height / 2, collected: false };
+      sim.coins.push(coin);
+
+      sim.step(['jump']);
+      sim.step([]);
+
+      assert.ok(coin.collected);
+      assert.equal(sim.coinsCollected, 1);
+      assert.deepEqual(events, [{ collected: 1 }]);
+      assert.ok(!sim.coins.includes(coin));
+    });
+
+    it('restores coins from a snapshot', () => {
+      const sim = new Simulation({ seed: 31 });
+      runAutopilot(sim, s => s.tick >= 300);
+      const snapshot = sim.createSnapshot();
+      runAutopilot(sim, s => s.tick >= 900);
+      const coins = sim.coins.map(coin => ({ ...coin }));
+      const collected = sim.coinsCollected;
+
+      sim.restoreSnapshot(snapshot);
+      runAutopilot(sim, s => s.tick >= 900);
+
+      assert.deepEqual(sim.coins, coins);
+      assert.equal(sim.coinsCollected, collected);
+    });
+  });
+});
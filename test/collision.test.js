@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Simulation from '../src/simulation.js';
+import { capsuleIntersectsRect, getBirdHitbox } from '../src/collision.js';
+import { PIPE_LIP, createPipePair, getPipeLipRects } from '../src/pipes.js';
+import { checkCollision } from '../src/utils.js';
+
+const BIRD = { x: 100, y: 250, width: 40, height: 30, rotation: 0 };
+
+describe('collision', () => {
+  describe('capsule', () => {
+    it('lets a pipe corner pass that the full sprite rectangle would hit', () => {
+      const corner = { x: BIRD.x + 30, y: BIRD.y - 50, width: 60, height: 52 };
+
+      assert.equal(checkCollision(BIRD, corner), true);
+      assert.equal(capsuleIntersectsRect(getBirdHitbox(BIRD), corner), false);
+    });
+
+    it('follows the bird rotation', () => {
+      const below = { x: BIRD.x, y: BIRD.y + 31, width: 40, height: 20 };
+      const noseDown = { ...BIRD, rotation: Math.PI / 2 };
+
+      assert.equal(capsuleIntersectsRect(getBirdHitbox(BIRD), below), false);
+      assert.equal(capsuleIntersectsRect(getBirdHitbox(noseDown), below), true);
+    });
+
+    it('shrinks by the forgiveness margin', () => {
+      // Borde superior a 11 px del eje de la cápsula
+      const below = { x: BIRD.x, y: BIRD.y + BIRD.height / 2 + 11, width: 40, height: 20 };
+
+      assert.equal(capsuleIntersectsRect(getBirdHitbox(BIRD, 0), below), true);
+      assert.equal(capsuleIntersectsRect(getBirdHitbox(BIRD, 2), below), false);
+    });
+
+    it('detects a thin rectangle crossing the middle of the segment', () => {
+      const capsule = { ax: 0, ay: 0, bx: 100, by: 0, radius: 1 };
+
+      assert.equal(capsuleIntersectsRect(capsule, { x: 40, y: -50, width: 2, height: 100 }), true);
+      assert.equal(capsuleIntersectsRect(capsule, { x: 40, y: 5, width: 2, height: 100 }), false);
+    });
+
+    it('ignores empty rectangles', () => {
+      assert.equal(capsuleIntersectsRect(getBirdHitbox(BIRD), { x: BIRD.x, y: BIRD.y, width: 40, height: 0 }), false);
+    });
+  });
+
+  describe('pipe lips', () => {
+    it('adds a wider lip at the gap edge of each pipe', () => {
+      const pair = createPipePair({ x: 200, width: 60, gapY: 200, gapSize: 150 });
+      const [topLip, bottomLip] = getPipeLipRects(pair, 600);
+
+      assert.equal(topLip.x, 200 - PIPE_LIP.overhang);
+      assert.equal(topLip.width, 60 + PIPE_LIP.overhang * 2);
+      assert.equal(topLip.y + topLip.height, 200);
+      assert.equal(bottomLip.y, 350);
+    });
+
+    it('kills the bird when only the lip overlaps it', () => {
+      const sim = new Simulation({ seed: 1 });
+      const hitbox = sim.getBirdHitbox();
+      const noseX = hitbox.bx + hitbox.radius;
+      // El cuerpo del tubo empieza justo después de la punta del pico; el labio la alcanza
+      sim.pipes.push(createPipePair({ x: noseX + 1, width: sim.pipeWidth, gapY: hitbox.by + 5, gapSize: 150 }));
+      sim.pipeSpawnInterval = Infinity;
+      sim.pipeSpeed = 0;
+
+      sim.step();
+
+      assert.equal(sim.over, true);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Simulation from '../src/simulation.js';
+import { DIFFICULTY_PRESETS } from '../src/difficulty.js';
+import { COURSE_LIMITS, getCoursePositions, parseCourse, serializeCourse } from '../src/course.js';
+import { runAutopilot } from './helpers.js';
+
+const WORLD_HEIGHT = 600;
+
+const COURSE = {
+  version: 1,
+  name: 'Prueba',
+  pipes: [
+    { spacing: 200, gapY: 200, gapSize: 160 },
+    { spacing: 300, gapY: 260, gapSize: 160 },
+    { spacing: 250, gapY: 180, gapSize: 160 }
+  ]
+};
+
+describe('course', () => {
+  describe('format', () => {
+    it('round-trips through JSON', () => {
+      assert.deepEqual(parseCourse(serializeCourse(COURSE), WORLD_HEIGHT), COURSE);
+    });
+
+    it('clamps pairs to playable limits', () => {
+      const course = parseCourse(JSON.stringify({
+        name: '  ',
+        pipes: [{ spacing: 10, gapY: -100, gapSize: 1000 }]
+      }), WORLD_HEIGHT);
+      const [pair] = course.pipes;
+
+      assert.equal(course.name, 'Recorrido');
+      assert.equal(pair.spacing, COURSE_LIMITS.spacing.min);
+      assert.equal(pair.gapSize, COURSE_LIMITS.gapSize.max);
+      assert.equal(pair.gapY, COURSE_LIMITS.edgeMargin);
+    });
+
+    it('rejects malformed courses', () => {
+      assert.throws(() => parseCourse('no es json', WORLD_HEIGHT), /inválido/);
+      assert.throws(() => parseCourse('{"pipes": []}', WORLD_HEIGHT), /inválido/);
+      assert.throws(() => parseCourse('{"pipes": [{"spacing": 200}]}', WORLD_HEIGHT), /inválido/);
+    });
+  });
+
+  describe('simulation', () => {
+    it('spawns the authored pairs at their spacing', () => {
+      const sim = new Simulation({ seed: 1 });
+      sim.reset(1, { course: COURSE });
+      const spawned = [];
+
+      runAutopilot(sim, () => {
+        sim.pipes.forEach(pair => {
+          if (!spawned.includes(pair)) {
+            spawned.push(pair);
+            // Al aparecer, el par está a la distancia del recorrido desde el borde derecho
+            pair.spawnDistance = sim.distance - (sim.width - pair.x);
+          }
+        });
+        return sim.courseIndex === COURSE.pipes.length;
+      });
+
+      const positions = getCoursePositions(COURSE);
+      assert.equal(spawned.length, COURSE.pipes.length);
+      spawned.forEach((pair, i) => {
+        assert.ok(Math.abs(pair.spawnDistance - positions[i]) < 1e-6, `par ${i}`);
+        assert.equal(pair.gapY, COURSE.pipes[i].gapY);
+        assert.equal(pair.gapSize, COURSE.pipes[i].gapSize);
+      });
+    });
+
+    it('completes after the last pair without levelling up', () => {
+      // Más pares de los que hacen falta para subir de nivel en la dificultad normal
+      const longCourse = { ...COURSE, pipes: Array.from({ length: 12 }, (_, i) => COURSE.pipes[i % 3]) };
+      const sim = new Simulation({ seed: 1 });
+      sim.reset(1, { course: longCourse });
+      const levels = [];
+      let completed = null;
+      sim.on('difficulty', ({ level }) => levels.push(level));
+      sim.on('courseComplete', ({ score }) => {
+        completed = score;
+      });
+
+      runAutopilot(sim, () => false);
+
+      assert.equal(sim.completed, true);
+      assert.equal(sim.over, true);
+      assert.equal(completed, longCourse.pipes.length);
+      assert.equal(sim.pipeSpeed, DIFFICULTY_PRESETS.normal.pipeSpeed.base);
+      assert.deepEqual(levels, []);
+    });
+  });
+});
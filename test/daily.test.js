@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Simulation from '../src/simulation.js';
+import { DIFFICULTY_PRESETS, getDifficultyValues } from '../src/difficulty.js';
+import {
+  DAILY_MODIFIERS,
+  getBestDailyStreak,
+  getCalendarDays,
+  getDailyChallenge,
+  getDailyModifier,
+  getDailyStreak,
+  getDateKey
+} from '../src/daily.js';
+
+describe('daily challenge', () => {
+  describe('challenge', () => {
+    it('gives the same seed and rule to the whole local day', () => {
+      const morning = getDailyChallenge(new Date(2026, 9, 19, 0, 5));
+      const night = getDailyChallenge(new Date(2026, 9, 19, 23, 55));
+
+      assert.equal(morning.date, '2026-10-19');
+      assert.deepEqual(night, morning);
+      assert.notEqual(getDailyChallenge(new Date(2026, 9, 20)).seed, morning.seed);
+    });
+
+    it('uses every rule over a month', () => {
+      const used = new Set();
+      for (let day = 1; day <= 31; day++) {
+        used.add(getDailyChallenge(new Date(2026, 0, day)).modifier.id);
+      }
+
+      assert.equal(used.size, DAILY_MODIFIERS.length);
+    });
+  });
+
+  describe('history', () => {
+    const history = {
+      '2026-10-10': 4,
+      '2026-10-11': 9,
+      '2026-10-12': 2,
+      '2026-10-17': 5,
+      '2026-10-18': 7
+    };
+
+    it('keeps the streak alive until the end of today', () => {
+      assert.equal(getDailyStreak(history, new Date(2026, 9, 19)), 2);
+      assert.equal(getDailyStreak({ ...history, '2026-10-19': 1 }, new Date(2026, 9, 19)), 3);
+      assert.equal(getDailyStreak(history, new Date(2026, 9, 20)), 0);
+    });
+
+    it('finds the longest streak', () => {
+      assert.equal(getBestDailyStreak(history), 3);
+      assert.equal(getBestDailyStreak({}), 0);
+    });
+
+    it('lays out the calendar from Monday', () => {
+      const days = getCalendarDays(2026, 9);
+
+      // El 1 de octubre de 2026 es jueves
+      assert.deepEqual(days.slice(0, 4), [null, null, null, '2026-10-01']);
+      assert.equal(days[days.length - 1], '2026-10-31');
+      assert.equal(getDateKey(new Date(2026, 0, 5)), '2026-01-05');
+    });
+  });
+
+  describe('rules', () => {
+    it('scales the curve values on every level', () => {
+      const modifier = getDailyModifier('lowGravity');
+      const sim = new Simulation({ seed: 1 });
+      sim.reset(1, { difficulty: 'normal', modifier });
+
+      assert.equal(sim.gravity, DIFFICULTY_PRESETS.normal.gravity.base * modifier.scale.gravity);
+      assert.equal(sim.jumpForce, 250 * modifier.scale.jumpForce);
+
+      sim.difficultyLevel = 2;
+      sim.increaseDifficulty();
+      assert.equal(sim.gravity, getDifficultyValues(DIFFICULTY_PRESETS.normal, 2).gravity * modifier.scale.gravity);
+    });
+
+    it('blocks abilities when the rule disables them', () => {
+      const sim = new Simulation({ seed: 1 });
+      sim.reset(1, { modifier: getDailyModifier('noAbilities') });
+
+      assert.deepEqual(sim.step(['invulnerability', 'speedBoost']), []);
+
+      sim.reset(1);
+      assert.deepEqual(sim.step(['invulnerability']), ['invulnerability']);
+    });
+  });
+});
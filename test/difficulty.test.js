@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Simulation, { FIXED_TIME_STEP } from '../src/simulation.js';
+import {
+  DIFFICULTY_PRESETS,
+  getDifficultyLevel,
+  getDifficultyPreset,
+  getDifficultyValues
+} from '../src/difficulty.js';
+
+const TICKS_PER_SECOND = Math.round(1 / FIXED_TIME_STEP);
+
+describe('difficulty', () => {
+  describe('curves', () => {
+    it('keeps the original normal ramp', () => {
+      const normal = DIFFICULTY_PRESETS.normal;
+
+      for (let level = 0; level < 10; level++) {
+        const values = getDifficultyValues(normal, level);
+        assert.equal(values.pipeSpeed, 150 + level * 30);
+        assert.equal(values.pipeGap, Math.max(100, 150 - level * 10));
+        assert.equal(values.gravity, 1000 + level * 50);
+        assert.ok(Math.abs(values.pipeSpawnInterval - Math.max(0.8, 1.5 - level * 0.1)) < 1e-9);
+      }
+    });
+
+    it('clamps every preset to its limits', () => {
+      Object.values(DIFFICULTY_PRESETS).forEach(preset => {
+        const values = getDifficultyValues(preset, 100);
+        assert.ok(values.pipeGap >= preset.pipeGap.min, preset.id);
+        assert.ok(values.pipeSpawnInterval >= preset.pipeSpawnInterval.min, preset.id);
+        assert.equal(values.obstacleMix, preset.obstacleMix[preset.obstacleMix.length - 1]);
+      });
+    });
+
+    it('orders the presets from easiest to hardest at the start', () => {
+      const [easy, normal, hard, insane] = ['easy', 'normal', 'hard', 'insane']
+        .map(id => getDifficultyValues(DIFFICULTY_PRESETS[id], 0));
+
+      assert.ok(easy.pipeGap > normal.pipeGap && normal.pipeGap > hard.pipeGap && hard.pipeGap > insane.pipeGap);
+      assert.ok(easy.pipeSpeed < normal.pipeSpeed && normal.pipeSpeed < hard.pipeSpeed && hard.pipeSpeed < insane.pipeSpeed);
+    });
+
+    it('measures the level against score or time depending on the axis', () => {
+      const byScore = { axis: 'score', every: 10 };
+      const byTime = { axis: 'time', every: 15 };
+
+      assert.equal(getDifficultyLevel(byScore, { score: 25, time: 100 }), 2);
+      assert.equal(getDifficultyLevel(byTime, { score: 25, time: 31 }), 2);
+    });
+
+    it('falls back to normal for unknown presets', () => {
+      assert.equal(getDifficultyPreset('missing'), DIFFICULTY_PRESETS.normal);
+    });
+  });
+
+  describe('simulation', () => {
+    it('starts from the base values of the chosen preset', () => {
+      const sim = new Simulation({ seed: 1, difficulty: 'easy' });
+
+      assert.equal(sim.pipeSpeed, DIFFICULTY_PRESETS.easy.pipeSpeed.base);
+      assert.equal(sim.pipeGap, DIFFICULTY_PRESETS.easy.pipeGap.base);
+
+      sim.reset(2, { difficulty: 'hard' });
+      assert.equal(sim.difficulty.id, 'hard');
+      assert.equal(sim.gravity, DIFFICULTY_PRESETS.hard.gravity.base);
+
+      sim.reset(3);
+      assert.equal(sim.difficulty.id, 'hard');
+    });
+
+    it('steps up a time based preset without scoring', () => {
+      const sim = new Simulation({ seed: 1, difficulty: 'insane' });
+      const levels = [];
+      sim.on('difficulty', ({ level }) => levels.push(level));
+      sim.pipeSpawnInterval = Infinity;
+
+      for (let i = 0; i < DIFFICULTY_PRESETS.insane.every * TICKS_PER_SECOND; i++) {
+        sim.updateDifficulty();
+        sim.tick++;
+      }
+      sim.updateDifficulty();
+
+      assert.equal(sim.score, 0);
+      assert.deepEqual(levels, [1]);
+      assert.equal(sim.pipeSpeed, getDifficultyValues(DIFFICULTY_PRESETS.insane, 1).pipeSpeed);
+    });
+  });
+});
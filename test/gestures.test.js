@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { detectSwipe, detectTwoFingerTap, getTouchZones, getZoneBounds } from '../src/gestures.js';
+
+describe('gestures', () => {
+  describe('touch zones', () => {
+    it('puts each edge inside its half', () => {
+      assert.deepEqual(getTouchZones(10, 1000, 0.15), ['leftEdge', 'left']);
+      assert.deepEqual(getTouchZones(300, 1000, 0.15), ['left']);
+      assert.deepEqual(getTouchZones(600, 1000, 0.15), ['right']);
+      assert.deepEqual(getTouchZones(900, 1000, 0.15), ['rightEdge', 'right']);
+    });
+
+    it('sizes the edges as a fraction of the screen', () => {
+      assert.deepEqual(getZoneBounds('rightEdge', 0.2), { left: 0.8, right: 1 });
+      assert.deepEqual(getZoneBounds('screen'), { left: 0, right: 1 });
+      assert.deepEqual(getTouchZones(900, 1000, 0.05), ['right']);
+    });
+  });
+
+  describe('detectSwipe', () => {
+    it('recognizes quick swipes by their main direction', () => {
+      const start = { x: 100, y: 100, time: 0 };
+      assert.equal(detectSwipe(start, { x: 110, y: 20, time: 150 }), 'swipeUp');
+      assert.equal(detectSwipe(start, { x: 90, y: 200, time: 150 }), 'swipeDown');
+      assert.equal(detectSwipe(start, { x: 20, y: 110, time: 150 }), 'swipeLeft');
+      assert.equal(detectSwipe(start, { x: 200, y: 90, time: 150 }), 'swipeRight');
+    });
+
+    it('ignores short or slow movements', () => {
+      const start = { x: 100, y: 100, time: 0 };
+      assert.equal(detectSwipe(start, { x: 120, y: 100, time: 100 }), null);
+      assert.equal(detectSwipe(start, { x: 300, y: 100, time: 1000 }), null);
+    });
+  });
+
+  describe('detectTwoFingerTap', () => {
+    const tap = (x, time, endTime, endX = x) => ({ x, y: 300, time, endX, endY: 300, endTime });
+
+    it('recognizes two fingers that touch and lift together', () => {
+      assert.equal(detectTwoFingerTap(tap(100, 0, 120), tap(300, 30, 130)), true);
+    });
+
+    it('keeps fast alternating thumb taps as separate taps', () => {
+      // El segundo pulgar toca justo antes de que se levante el primero
+      assert.equal(detectTwoFingerTap(tap(100, 0, 100), tap(600, 80, 180)), false);
+      assert.equal(detectTwoFingerTap(tap(600, 80, 180), tap(100, 160, 260)), false);
+    });
+
+    it('ignores fingers that move or lift far apart', () => {
+      assert.equal(detectTwoFingerTap(tap(100, 0, 120, 140), tap(300, 30, 130)), false);
+      assert.equal(detectTwoFingerTap(tap(100, 0, 400), tap(300, 30, 130)), false);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Utilidades compartidas por las pruebas de la simulación
+ */
+
+import { createPipePair } from '../src/pipes.js';
+
+/**
+ * Decide si el pájaro debe saltar para atravesar el próximo hueco
+ * @param {Simulation} sim - Simulación
+ * @returns {boolean}
+ */
+export function shouldAutopilotJump(sim) {
+  const bird = sim.bird;
+  const nextPair = sim.pipes.find(pair => pair.x + pair.width >= bird.x);
+  const targetBottom = nextPair ? nextPair.gapY + nextPair.gapSize - 12 : sim.height / 2 + 40;
+  return bird.y + bird.height >= targetBottom;
+}
+
+/**
+ * Avanza la simulación saltando automáticamente hasta cumplir una condición
+ * @param {Simulation} sim - Simulación
+ * @param {Function} until - Condición de parada
+ * @param {number} maxTicks - Límite de ticks de seguridad
+ * @returns {number} - Ticks simulados
+ */
+export function runAutopilot(sim, until, maxTicks = 60 * 60 * 5) {
+  let ticks = 0;
+  while (!until(sim) && !sim.over && ticks < maxTicks) {
+    sim.step(shouldAutopilotJump(sim) ? ['jump'] : []);
+    ticks++;
+  }
+  return ticks;
+}
+
+/**
+ * Avanza la simulación un número fijo de ticks con las acciones indicadas por tick
+ * @param {Simulation} sim - Simulación
+ * @param {number} ticks - Ticks a simular
+ * @param {Object} script - Mapa tick -> acciones
+ */
+export function runScript(sim, ticks, script = {}) {
+  for (let i = 0; i < ticks; i++) {
+    sim.step(script[sim.tick + 1] || []);
+  }
+}
+
+/**
+ * Mantiene al pájaro flotando a su altura actual mientras pasan los ticks
+ * @param {Simulation} sim - Simulación
+ * @param {number} ticks - Ticks a simular
+ */
+export function hover(sim, ticks) {
+  const altitude = sim.bird.y;
+  for (let i = 0; i < ticks && !sim.over; i++) {
+    sim.step(sim.bird.y >= altitude && sim.bird.velocity > 0 ? ['jump'] : []);
+  }
+}
+
+/**
+ * Coloca una pared de tubo sin hueco sobre el pájaro
+ * @param {Simulation} sim - Simulación
+ */
+export function placeWallOnBird(sim) {
+  sim.pipes.push(createPipePair({ x: sim.bird.x, width: sim.pipeWidth, gapY: sim.height, gapSize: 0 }));
+}
+
+/**
+ * Instala un localStorage mínimo en memoria (las pruebas corren en Node, sin navegador)
+ */
+export function installLocalStorage() {
+  const store = new Map();
+  globalThis.localStorage = {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key)
+  };
+}
+
+/**
+ * Quita el localStorage instalado con installLocalStorage
+ */
+export function removeLocalStorage() {
+  delete globalThis.localStorage;
+}
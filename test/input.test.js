@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { JumpQueue } from '../src/input.js';
+
+describe('input', () => {
+  describe('JumpQueue', () => {
+    it('applies each press in the tick where it happened', () => {
+      const queue = new JumpQueue();
+      queue.push(105);
+      queue.push(110);
+
+      assert.equal(queue.consume(100), false);
+      assert.equal(queue.consume(116), true);
+      // El segundo toque del mismo tick se aplica en el siguiente
+      assert.equal(queue.consume(133), true);
+      assert.equal(queue.consume(150), false);
+    });
+
+    it('keeps presses in order even if they arrive late', () => {
+      const queue = new JumpQueue();
+      queue.push(120);
+      queue.push(100);
+
+      assert.deepEqual(queue.times, [100, 120]);
+    });
+
+    it('drops presses older than the buffer', () => {
+      const queue = new JumpQueue();
+      queue.push(100);
+      queue.push(200);
+      queue.expire(150);
+
+      assert.equal(queue.consume(Infinity), true);
+      assert.equal(queue.consume(Infinity), false);
+      assert.deepEqual(queue.times, []);
+    });
+
+    it('keeps the presses made during a long frame', () => {
+      const tick = 1000 / 60;
+      // Último fotograma en 1000, parón hasta 1500: solo se simulan los últimos 250 ms
+      const playHitch = postpone => {
+        const queue = new JumpQueue();
+        queue.push(1100);
+        if (postpone) {
+          queue.postpone(1000, 1250);
+        }
+        return queue.consume(1250 + tick, tick + 80);
+      };
+
+      assert.equal(playHitch(false), false);
+      assert.equal(playHitch(true), true);
+    });
+
+    it('withdraws a press only while it has not been applied', () => {
+      const queue = new JumpQueue();
+      queue.push(100);
+      queue.push(110);
+
+      assert.equal(queue.remove(110), true);
+      assert.equal(queue.consume(116), true);
+      assert.equal(queue.remove(100), false);
+      assert.deepEqual(queue.times, []);
+    });
+
+    it('only lets presses wait for later ticks within the buffer', () => {
+      const tick = 1000 / 60;
+      const playTicks = buffer => {
+        const queue = new JumpQueue();
+        [101, 102, 103].forEach(time => queue.push(time));
+        return [1, 2, 3].map(index => queue.consume(100 + index * tick, tick + buffer));
+      };
+
+      // Sin búfer, los toques que no caben en su tick se pierden
+      assert.deepEqual(playTicks(0), [true, false, false]);
+      assert.deepEqual(playTicks(40), [true, true, true]);
+      assert.deepEqual(playTicks(20), [true, true, false]);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LatencyCalibration, summarizeSamples } from '../src/latency.js';
+
+describe('latency', () => {
+  describe('summarizeSamples', () => {
+    it('returns null without samples', () => {
+      assert.equal(summarizeSamples([]), null);
+    });
+
+    it('computes the average, median and jitter', () => {
+      assert.deepEqual(summarizeSamples([10, 30, 20, 40]), {
+        count: 4,
+        average: 25,
+        median: 25,
+        jitter: Math.sqrt(125)
+      });
+      assert.equal(summarizeSamples([50, 10, 20]).median, 20);
+    });
+  });
+
+  describe('LatencyCalibration', () => {
+    it('measures each press against the nearest beat', () => {
+      const test = new LatencyCalibration(1000, { beats: 4, warmup: 1, interval: 500 });
+
+      assert.equal(test.recordPress(1040), null); // pulso de práctica
+      assert.equal(test.recordPress(1530), 30);
+      assert.equal(test.recordPress(1980), -20);
+      assert.equal(test.recordPress(2510), 10);
+      assert.equal(test.recordPress(3000), null); // después del último pulso
+
+      assert.equal(test.getResult().rhythm.median, 10);
+    });
+
+    it('tracks the current beat and when the calibration ends', () => {
+      const test = new LatencyCalibration(1000, { beats: 4, warmup: 1, interval: 500 });
+
+      assert.equal(test.getBeatIndex(900), -1);
+      assert.equal(test.getBeatIndex(1600), 1);
+      assert.equal(test.getBeatIndex(5000), 3);
+      assert.equal(test.isFinished(2700), false);
+      assert.equal(test.isFinished(2800), true);
+    });
+
+    it('measures the delay until the flap is drawn', () => {
+      const test = new LatencyCalibration(0);
+      test.recordFlap(100, 116);
+      test.recordFlap(200, 208);
+
+      assert.deepEqual(test.getResult(), { rhythm: null, flap: { count: 2, average: 12, median: 12, jitter: 4 } });
+    });
+  });
+});
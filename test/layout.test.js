@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  GRID_SIZE,
+  HUD_ELEMENTS,
+  MAX_SCALE,
+  MIN_OPACITY,
+  convertAbilityPositions,
+  getOrientation,
+  normalizeLayout,
+  placeElement,
+  snapToGrid
+} from '../src/layout.js';
+import { ABILITIES } from '../src/abilities.js';
+
+describe('layout', () => {
+  it('lists every ability button as an editable element', () => {
+    Object.keys(ABILITIES).forEach(id => {
+      assert.ok(HUD_ELEMENTS.some(element => element.id === `ability:${id}`), id);
+    });
+    assert.equal(new Set(HUD_ELEMENTS.map(element => element.id)).size, HUD_ELEMENTS.length);
+  });
+
+  it('tells portrait from landscape windows', () => {
+    assert.equal(getOrientation(390, 844), 'portrait');
+    assert.equal(getOrientation(1280, 720), 'landscape');
+  });
+
+  describe('placeElement', () => {
+    it('snaps positions to the grid', () => {
+      assert.ok(Math.abs(snapToGrid(0.26) - 0.25) < 1e-9);
+      const position = placeElement(0.51, 0.2 + GRID_SIZE * 0.6, { width: 0.1, height: 0.1 }, true);
+      assert.ok(Math.abs(position.x - 0.5) < 1e-9);
+      assert.ok(Math.abs(position.y - (0.2 + GRID_SIZE)) < 1e-9);
+    });
+
+    it('keeps the element inside the window', () => {
+      assert.deepEqual(placeElement(0.95, -0.2, { width: 0.2, height: 0.1 }, false), { x: 0.8, y: 0 });
+    });
+  });
+
+  describe('persistence', () => {
+    it('keeps separate layouts per orientation and drops invalid entries', () => {
+      const layout = normalizeLayout({
+        portrait: { score: { x: 0.4, y: 0.05, scale: 5, opacity: 0 }, unknown: { x: 0, y: 0 } },
+        landscape: { highScore: { x: 'left', y: 0 } },
+        snap: false
+      });
+
+      assert.deepEqual(layout.portrait, { score: { x: 0.4, y: 0.05, scale: MAX_SCALE, opacity: MIN_OPACITY } });
+      assert.deepEqual(layout.landscape, {});
+      assert.equal(layout.snap, false);
+      assert.equal(normalizeLayout(null).snap, true);
+    });
+
+    it('converts the pixel positions of the old ability button drag', () => {
+      const entries = convertAbilityPositions({ invulnerability: { x: 200, y: 600 }, teleport: { x: 0, y: 0 } }, 800, 1000);
+
+      assert.deepEqual(entries, { 'ability:invulnerability': { x: 0.25, y: 0.6, scale: 1, opacity: 1 } });
+    });
+  });
+});
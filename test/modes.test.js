@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Simulation from '../src/simulation.js';
+import { GAME_MODES, getModeResults } from '../src/modes.js';
+import { runAutopilot, runScript } from './helpers.js';
+
+/**
+ * Crea una simulación de un modo de juego
+ * @param {string} mode - Id del modo
+ * @returns {Simulation}
+ */
+function playMode(mode) {
+  const sim = new Simulation({ seed: 7 });
+  sim.reset(7, { mode });
+  return sim;
+}
+
+describe('game modes', () => {
+  it('ends time attack runs when the time is up without killing the bird', () => {
+    const sim = playMode('timeAttack');
+    // Sin tubos para que el pájaro aguante todo el tiempo
+    const ticks = runAutopilot(sim, () => {
+      sim.pipes = [];
+      return false;
+    });
+
+    assert.equal(ticks, 60 * 60);
+    assert.ok(sim.over);
+    assert.ok(sim.timeUp);
+    assert.equal(sim.bird.isDying, false);
+    assert.equal(sim.getTimeLeft(), 0);
+  });
+
+  it('subtracts points on zen collisions instead of dying', () => {
+    const sim = playMode('zen');
+    let collisions = 0;
+    sim.on('collision', () => collisions++);
+    sim.score = 5;
+
+    // Sin saltar, el pájaro toca el suelo, rebota y sigue vivo
+    runScript(sim, 120);
+
+    assert.equal(sim.over, false);
+    assert.equal(sim.bird.isDying, false);
+    assert.ok(collisions >= 1);
+    assert.equal(sim.collisions, collisions);
+    assert.equal(sim.score, Math.max(0, 5 - collisions * GAME_MODES.zen.rules.collisionPenalty));
+    assert.equal(sim.pointsLost, 5 - sim.score);
+  });
+
+  it('only counts the points a collision actually takes', () => {
+    const sim = playMode('zen');
+    sim.score = 1;
+    sim.hit('pipe');
+
+    assert.equal(sim.score, 0);
+    assert.equal(sim.pointsLost, 1);
+  });
+
+  it('ignores collisions during the grace period', () => {
+    const sim = playMode('zen');
+    sim.hit('pipe');
+    sim.hit('pipe');
+
+    assert.equal(sim.collisions, 1);
+  });
+
+  it('blocks abilities and starts at a higher level in hardcore', () => {
+    const sim = playMode('hardcore');
+
+    assert.equal(sim.difficultyLevel, GAME_MODES.hardcore.rules.startLevel);
+    assert.equal(sim.areAbilitiesAllowed(), false);
+    assert.equal(sim.activateAbility('invulnerability'), false);
+    assert.equal(sim.abilityUses.invulnerability, 0);
+  });
+
+  it('keeps the classic rules when the mode is unknown', () => {
+    const sim = playMode('nope');
+
+    assert.equal(sim.mode.id, 'classic');
+    assert.equal(sim.difficultyLevel, 0);
+    assert.ok(sim.areAbilitiesAllowed());
+  });
+
+
+  it('describes the results of each mode', () => {
+    const run = { score: 30, ticks: 3600, fixedTimeStep: 1 / 60, collisions: 2, pointsLost: 4, difficultyLevel: 5 };
+
+    assert.deepEqual(getModeResults(GAME_MODES.classic, run), []);
+    assert.deepEqual(getModeResults(GAME_MODES.timeAttack, run), ['30 tubos en 60 s · 30.0 por minuto']);
+    assert.deepEqual(getModeResults(GAME_MODES.zen, run), ['Choques: 2 (−4 puntos) · 60 s de vuelo']);
+    assert.deepEqual(getModeResults(GAME_MODES.hardcore, run), ['Nivel de dificultad alcanzado: 5']);
+  });
+});
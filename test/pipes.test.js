@@ -0,0 +1,126 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Simulation, { FIXED_TIME_STEP } from '../src/simulation.js';
+import { DIFFICULTY_PRESETS } from '../src/difficulty.js';
+import {
+  createObstacle,
+  getPipeRects,
+  pickObstacleType,
+  updatePipePair
+} from '../src/pipes.js';
+import { createRng } from '../src/utils.js';
+
+const WORLD_HEIGHT = 600;
+
+/**
+ * Crea un obstáculo de un tipo con valores de mundo por defecto
+ */
+function makeObstacle(type, seed = 1) {
+  return createObstacle(type, {
+    x: 400,
+    width: 60,
+    gapY: 250,
+    gapSize: 150,
+    worldHeight: WORLD_HEIGHT,
+    rng: createRng(seed)
+  });
+}
+
+describe('pipes', () => {
+  describe('pickObstacleType', () => {
+    it('picks types according to their weights', () => {
+      const mix = { static: 0.5, sine: 0.25, closing: 0.25 };
+
+      assert.equal(pickObstacleType(mix, 0), 'static');
+      assert.equal(pickObstacleType(mix, 0.49), 'static');
+      assert.equal(pickObstacleType(mix, 0.5), 'sine');
+      assert.equal(pickObstacleType(mix, 0.8), 'closing');
+    });
+
+    it('ignores types with zero weight', () => {
+      assert.equal(pickObstacleType({ static: 0, slide: 1 }, 0), 'slide');
+    });
+  });
+
+  describe('behaviours', () => {
+    it('keeps an oscillating gap inside the world while it moves', () => {
+      const [pair] = makeObstacle('sine');
+      const positions = new Set();
+
+      for (let i = 0; i < 180; i++) {
+        updatePipePair(pair, FIXED_TIME_STEP);
+        positions.add(Math.round(pair.gapY));
+        assert.ok(pair.gapY >= 40);
+        assert.ok(pair.gapY + pair.gapSize <= WORLD_HEIGHT - 40);
+      }
+
+      assert.ok(positions.size > 10);
+    });
+
+    it('narrows a closing gap around its centre down to its minimum', () => {
+      const [pair] = makeObstacle('closing');
+      const center = pair.gapY + pair.gapSize / 2;
+
+      for (let i = 0; i < 600; i++) {
+        updatePipePair(pair, FIXED_TIME_STEP);
+      }
+
+      assert.equal(pair.gapSize, pair.minGapSize);
+      assert.ok(Math.abs(pair.gapY + pair.gapSize / 2 - center) < 1e-9);
+    });
+
+    it('extends a sliding pipe as the pair travels', () => {
+      const [pair] = makeObstacle('slide');
+      const sliding = pair.slideFrom === 'top' ? 0 : 1;
+      const heightAt = () => getPipeRects(pair, WORLD_HEIGHT)[sliding].height;
+
+      updatePipePair(pair, FIXED_TIME_STEP);
+      assert.equal(heightAt(), 0);
+
+      pair.x -= pair.slideDistance / 2;
+      updatePipePair(pair, FIXED_TIME_STEP);
+      const halfway = heightAt();
+
+      pair.x -= pair.slideDistance;
+      updatePipePair(pair, FIXED_TIME_STEP);
+      assert.ok(halfway > 0);
+      assert.ok(heightAt() > halfway);
+      assert.equal(pair.slideProgress, 1);
+    });
+
+    it('creates two staggered pairs for a double obstacle', () => {
+      const pairs = makeObstacle('double');
+
+      assert.equal(pairs.length, 2);
+      assert.ok(pairs[1].x > pairs[0].x + pairs[0].width);
+      assert.notEqual(pairs[1].gapY, pairs[0].gapY);
+    });
+  });
+
+  describe('spawning', () => {
+    it('only spawns static pairs at the first level', () => {
+      const sim = new Simulation({ seed: 3 });
+      for (let i = 0; i < 20; i++) {
+        sim.spawnPipe();
+      }
+
+      assert.ok(sim.pipes.every(pair => pair.behavior === 'static'));
+    });
+
+    it('mixes in moving variants at higher levels', () => {
+      const sim = new Simulation({ seed: 3 });
+      sim.difficultyLevel = DIFFICULTY_PRESETS.normal.obstacleMix.length - 1;
+      sim.applyDifficulty();
+      for (let i = 0; i < 40; i++) {
+        sim.spawnPipe();
+      }
+
+      const behaviours = new Set(sim.pipes.map(pair => pair.behavior));
+      assert.ok(behaviours.has('sine'));
+      assert.ok(behaviours.has('closing'));
+      assert.ok(behaviours.has('slide'));
+      assert.ok(sim.pipes.some(pair => pair.staggered));
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Simulation, { FIXED_TIME_STEP } from '../src/simulation.js';
+import {
+  POWERUP_TYPES,
+  applyPowerup,
+  createPowerup,
+  createPowerupEffects,
+  pickPowerupType
+} from '../src/powerups.js';
+import { createPipePair } from '../src/pipes.js';
+import { createRng } from '../src/utils.js';
+import { placeWallOnBird, runAutopilot, runScript } from './helpers.js';
+
+const TICKS_PER_SECOND = Math.round(1 / FIXED_TIME_STEP);
+
+describe('powerups', () => {
+  describe('stacking', () => {
+    it('extends slow time up to its maximum', () => {
+      const effects = createPowerupEffects();
+      applyPowerup(effects, 'slowTime');
+      assert.equal(effects.slowTime.activeTimer, POWERUP_TYPES.slowTime.duration);
+
+      applyPowerup(effects, 'slowTime');
+      applyPowerup(effects, 'slowTime');
+      assert.equal(effects.slowTime.activeTimer, POWERUP_TYPES.slowTime.maxDuration);
+    });
+
+    it('restarts the shrink timer instead of adding to it', () => {
+      const effects = createPowerupEffects();
+      applyPowerup(effects, 'shrink');
+      effects.shrink.activeTimer = 1;
+      applyPowerup(effects, 'shrink');
+
+      assert.equal(effects.shrink.activeTimer, POWERUP_TYPES.shrink.duration);
+    });
+
+    it('adds shield charges up to the maximum and drops them when it runs out', () => {
+      const effects = createPowerupEffects();
+      applyPowerup(effects, 'shield');
+      applyPowerup(effects, 'shield');
+      applyPowerup(effects, 'shield');
+      assert.equal(effects.shield.charges, POWERUP_TYPES.shield.maxCharges);
+
+      effects.shield.active = false;
+      applyPowerup(effects, 'shield');
+      assert.equal(effects.shield.charges, 1);
+    });
+
+    it('picks every type according to its weight', () => {
+      const types = Object.keys(POWERUP_TYPES);
+      assert.equal(pickPowerupType(0), types[0]);
+      assert.equal(pickPowerupType(0.999), types[types.length - 1]);
+    });
+
+    it('only spawns in gaps that do not move', () => {
+      const rng = () => 0;
+      const fixed = createPipePair({ x: 400, width: 60, gapY: 200, gapSize: 150 });
+      const moving = createPipePair({ x: 400, width: 60, gapY: 200, gapSize: 150, behavior: 'sine', amplitude: 40 });
+
+      assert.deepEqual(createPowerup(fixed, rng), { x: 430, y: 275, type: 'shield', collected: false });
+      assert.equal(createPowerup(moving, rng), null);
+    });
+  });
+
+  describe('simulation', () => {
+    it('applies and announces a pickup the bird touches', () => {
+      const sim = new Simulation({ seed: 3 });
+      const events = [];
+      sim.on('powerup', data => events.push(data));
+      const bird = sim.bird;
+      sim.powerupItems.push({ x: bird.x + bird.width / 2, y: bird.y + bird.height / 2, type: 'magnet', collected: false });
+
+      sim.step(['jump']);
+
+      assert.deepEqual(events, [{ type: 'magnet' }]);
+      assert.ok(sim.powerups.magnet.active);
+    });
+
+    it('counts effect timers down with the abilities', () => {
+      const sim = new Simulation({ seed: 3 });
+      applyPowerup(sim.powerups, 'shrink');
+
+      runScript(sim, (POWERUP_TYPES.shrink.duration - 0.5) * TICKS_PER_SECOND, {});
+      assert.ok(sim.powerups.shrink.active);
+      runScript(sim, TICKS_PER_SECOND, {});
+      assert.ok(!sim.powerups.shrink.active);
+    });
+
+    it('spends a shield charge instead of dying', () => {
+      const sim = new Simulation({ seed: 3 });
+      const used = [];
+      sim.on('powerupUsed', data => used.push(data));
+      applyPowerup(sim.powerups, 'shield');
+      placeWallOnBird(sim);
+
+      sim.step(['jump']);
+
+      assert.equal(sim.over, false);
+      assert.deepEqual(used, [{ type: 'shield', cause: 'pipe' }]);
+      assert.ok(!sim.powerups.shield.active);
+    });
+
+    it('bounces off the ground with an extra life', () => {
+      const sim = new Simulation({ seed: 3 });
+      applyPowerup(sim.powerups, 'extraLife');
+      sim.bird.y = sim.height;
+
+      sim.step();
+
+      assert.equal(sim.over, false);
+      assert.ok(sim.bird.velocity < 0);
+      assert.equal(sim.powerups.extraLife.charges, 0);
+    });
+
+    it('slows the world but not the bird', () => {
+      const normal = new Simulation({ seed: 3 });
+      const slow = new Simulation({ seed: 3 });
+      applyPowerup(slow.powerups, 'slowTime');
+      runScript(normal, 30, { 1: ['jump'] });
+      runScript(slow, 30, { 1: ['jump'] });
+
+      assert.ok(Math.abs(slow.distance - normal.distance * POWERUP_TYPES.slowTime.timeScale) < 1e-6);
+      assert.equal(slow.bird.y, normal.bird.y);
+    });
+
+    it('shrinks the collision capsule', () => {
+      const sim = new Simulation({ seed: 3 });
+      const radius = sim.getBirdHitbox().radius;
+      applyPowerup(sim.powerups, 'shrink');
+
+      assert.ok(sim.getBirdHitbox().radius < radius);
+    });
+
+    it('pulls nearby coins towards the bird', () => {
+      const sim = new Simulation({ seed: 3 });
+      applyPowerup(sim.powerups, 'magnet');
+      const bird = sim.bird;
+      const coin = { x: bird.x + 100, y: bird.y + bird.height / 2, collected: false };
+      sim.coins.push(coin);
+
+      runScript(sim, 20, { 1: ['jump'] });
+
+      assert.ok(coin.collected);
+      assert.equal(sim.coinsCollected, 1);
+    });
+
+    it('keeps the pipe layout and spawns nothing when disabled', () => {
+      const a = new Simulation({ seed: 21 });
+      const b = new Simulation({ seed: 21 });
+      b.reset(21, { powerups: false });
+      b.powerupRng = createRng(5);
+      runAutopilot(a, sim => sim.tick >= 1800);
+      runAutopilot(b, sim => sim.tick >= 1800);
+
+      assert.deepEqual(a.pipes.map(pair => pair.gapY), b.pipes.map(pair => pair.gapY));
+      assert.equal(b.powerupItems.length, 0);
+    });
+
+    it('has no pickups in modes without abilities', () => {
+      const sim = new Simulation({ seed: 21, mode: 'hardcore' });
+      runScript(sim, 1200, {});
+
+      assert.equal(sim.powerupItems.length, 0);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Simulation from '../src/simulation.js';
+import { CHECKPOINT_INTERVAL, PracticeSession, REWIND_SECONDS } from '../src/practice.js';
+import { runAutopilot, runScript } from './helpers.js';
+
+/**
+ * Obtiene el estado observable de la simulación para compararlo
+ * @param {Simulation} sim - Simulación
+ * @returns {Object}
+ */
+function getState(sim) {
+  return {
+    tick: sim.tick,
+    score: sim.score,
+    bird: { ...sim.bird },
+    pipes: sim.pipes.map(pair => ({ ...pair })),
+    difficultyLevel: sim.difficultyLevel,
+    next: sim.rng()
+  };
+}
+
+describe('practice', () => {
+  describe('snapshots', () => {
+    it('replays the same run after restoring a snapshot', () => {
+      const sim = new Simulation({ seed: 11, difficulty: 'hard' });
+      runAutopilot(sim, s => s.tick >= 600);
+      const snapshot = sim.createSnapshot();
+
+      runAutopilot(sim, s => s.tick >= 1200);
+      const expected = getState(sim);
+
+      sim.restoreSnapshot(snapshot);
+      assert.equal(sim.tick, 600);
+      runAutopilot(sim, s => s.tick >= 1200);
+      assert.deepEqual(getState(sim), expected);
+    });
+
+    it('is not changed by the run that follows it', () => {
+      const sim = new Simulation({ seed: 3 });
+      runScript(sim, 60, { 10: ['jump'], 30: ['invulnerability'] });
+      const snapshot = sim.createSnapshot();
+      const birdY = snapshot.birds[0].y;
+
+      runScript(sim, 60);
+
+      assert.equal(snapshot.birds[0].y, birdY);
+      assert.equal(snapshot.tick, 60);
+      assert.equal(snapshot.abilities.invulnerability.active, true);
+    });
+
+    it('brings a dead bird back to life', () => {
+      const sim = new Simulation({ seed: 5 });
+      const snapshot = sim.createSnapshot();
+      runScript(sim, 300);
+      assert.ok(sim.over);
+
+      sim.restoreSnapshot(snapshot);
+
+      assert.equal(sim.over, false);
+      assert.equal(sim.bird.isDying, false);
+      assert.equal(sim.tick, 0);
+    });
+  });
+
+  describe('session', () => {
+    it('keeps checkpoints and only the last seconds of history', () => {
+      const sim = new Simulation({ seed: 8 });
+      const session = new PracticeSession(sim);
+      runAutopilot(sim, s => {
+        session.record(s);
+        return s.tick >= 60 * 20;
+      });
+
+      const ticks = session.history.map(entry => entry.tick);
+      assert.ok(ticks[0] >= sim.tick - REWIND_SECONDS * 60);
+      assert.equal(ticks[ticks.length - 1], sim.tick);
+      session.checkpoints.forEach(checkpoint => {
+        assert.equal(checkpoint.tick % (CHECKPOINT_INTERVAL * 60), 0);
+      });
+    });
+
+    it('never records a finished run', () => {
+      const sim = new Simulation({ seed: 5 });
+      const session = new PracticeSession(sim);
+      runScript(sim, 300);
+      session.record(sim);
+
+      assert.ok(session.history.every(entry => !entry.over));
+    });
+
+    it('picks a checkpoint with some margin before the crash', () => {
+      const sim = new Simulation({ seed: 8 });
+      const session = new PracticeSession(sim);
+      runAutopilot(sim, s => {
+        session.record(s);
+        return s.tick >= 60 * 6 + 30;
+      });
+
+      // A medio segundo del punto de control de los 6 s se vuelve al de los 3 s
+      assert.equal(session.getCheckpoint(sim.tick).tick, 60 * 3);
+      assert.equal(session.getCheckpoint(sim.tick + 60).tick, 60 * 6);
+    });
+
+    it('drops the snapshots after the rewound one', () => {
+      const sim = new Simulation({ seed: 8 });
+      const session = new PracticeSession(sim);
+      runAutopilot(sim, s => {
+        session.record(s);
+        return s.tick >= 60 * 8;
+      });
+
+      const target = session.getCheckpoint(sim.tick);
+      session.rewind(sim, target);
+
+      assert.equal(sim.tick, target.tick);
+      assert.ok(session.history.every(entry => entry.tick <= target.tick));
+      assert.ok(session.checkpoints.every(checkpoint => checkpoint.tick <= target.tick));
+    });
+  });
+});
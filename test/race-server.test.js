@@ -0,0 +1,245 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+
+import { RaceRooms, getStandings } from '../server/rooms.js';
+import { OPCODES, WebSocketConnection, decodeFrames, encodeFrame, getAcceptKey } from '../server/websocket.js';
+
+/**
+ * Crea una trama enmascarada como las que envía un navegador
+ * @param {number} opcode - Tipo de trama
+ * @param {string} text - Contenido
+ * @returns {Buffer}
+ */
+function maskFrame(opcode, text) {
+  const payload = Buffer.from(text);
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const masked = payload.map((byte, i) => byte ^ mask[i % 4]);
+  return Buffer.concat([Buffer.from([0x80 | opcode, 0x80 | payload.length]), mask, masked]);
+}
+
+/**
+ * Crea un socket falso que anota lo que se escribe y si se ha cortado
+ * @returns {EventEmitter} - Con {written, ended, destroyed}
+ */
+function createFakeSocket() {
+  const socket = new EventEmitter();
+  socket.written = [];
+  socket.ended = null;
+  socket.destroyed = false;
+  socket.write = data => socket.written.push(data);
+  socket.end = data => {
+    socket.ended = data;
+  };
+  socket.destroy = () => {
+    socket.destroyed = true;
+  };
+  return socket;
+}
+
+/**
+ * Crea un gestor de salas con temporizadores manuales
+ * @returns {Object} - {rooms, timers}
+ */
+function createRooms() {
+  const timers = [];
+  const rooms = new RaceRooms({
+    createSeed: () => 42,
+    schedule: callback => {
+      timers.push(callback);
+      return callback;
+    },
+    cancel: timer => {
+      const index = timers.indexOf(timer);
+      if (index >= 0) {
+        timers.splice(index, 1);
+      }
+    }
+  });
+  return { rooms, timers };
+}
+
+/**
+ * Conecta un jugador que guarda los mensajes recibidos
+ * @param {RaceRooms} rooms - Gestor de salas
+ * @returns {Object} - {player, messages, send(mensaje)}
+ */
+function connectPlayer(rooms) {
+  const messages = [];
+  const player = rooms.connect({ send: text => messages.push(JSON.parse(text)) });
+  return { player, messages, send: message => rooms.handleMessage(player, JSON.stringify(message)) };
+}
+
+/**
+ * Obtiene los mensajes de un tipo
+ * @param {Array<Object>} messages - Mensajes recibidos
+ * @param {string} type - Tipo
+ * @returns {Array<Object>}
+ */
+function ofType(messages, type) {
+  return messages.filter(message => message.type === type);
+}
+
+/**
+ * Mete a dos jugadores en una sala y empieza la carrera
+ * @returns {Object} - {rooms, timers, a, b}
+ */
+function startRace() {
+  const { rooms, timers } = createRooms();
+  const a = connectPlayer(rooms);
+  const b = connectPlayer(rooms);
+  a.send({ type: 'join', room: 'abc', name: 'Ana' });
+  b.send({ type: 'join', room: 'ABC', name: 'Bruno' });
+  a.send({ type: 'ready' });
+  b.send({ type: 'ready' });
+  timers.shift()();
+  return { rooms, timers, a, b };
+}
+
+describe('race server', () => {
+  describe('websocket frames', () => {
+    it('computes the handshake accept key', () => {
+      // Ejemplo de la RFC 6455
+      assert.equal(getAcceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    });
+
+    it('decodes masked frames and keeps incomplete ones for later', () => {
+      const frame = maskFrame(OPCODES.text, '{"type":"ready"}');
+      const { frames, rest } = decodeFrames(Buffer.concat([frame, frame.subarray(0, 3)]));
+
+      assert.equal(frames.length, 1);
+      assert.equal(frames[0].opcode, OPCODES.text);
+      assert.equal(frames[0].payload.toString(), '{"type":"ready"}');
+      assert.equal(rest.length, 3);
+    });
+
+    it('rejects unmasked client frames', () => {
+      assert.throws(() => decodeFrames(encodeFrame(OPCODES.text, 'hola')), /sin máscara/);
+    });
+
+    it('encodes long messages with an extended length', () => {
+      const frame = encodeFrame(OPCODES.text, 'x'.repeat(300));
+
+      assert.equal(frame[1], 126);
+      assert.equal(frame.readUInt16BE(2), 300);
+      assert.equal(frame.length, 4 + 300);
+    });
+  });
+
+  describe('connections', () => {
+    it('stops reading frames once closed and cuts the socket after sending the close frame', () => {
+      const socket = createFakeSocket();
+      const connection = new WebSocketConnection(socket);
+      const messages = [];
+      connection.on('message', text => messages.push(text));
+
+      socket.emit('data', Buffer.concat([
+        maskFrame(OPCODES.text, 'antes'),
+        maskFrame(OPCODES.close, ''),
+        maskFrame(OPCODES.text, 'después')
+      ]));
+
+      assert.deepEqual(messages, ['antes']);
+      assert.deepEqual(socket.ended, encodeFrame(OPCODES.close));
+      assert.equal(socket.destroyed, false);
+
+      socket.emit('finish');
+      assert.equal(socket.destroyed, true);
+      socket.emit('close');
+    });
+  });
+
+  describe('rooms', () => {
+    it('starts the countdown with a shared seed once everyone is ready', () => {
+      const { rooms, timers } = createRooms();
+      const a = connectPlayer(rooms);
+      const b = connectPlayer(rooms);
+      a.send({ type: 'join', room: 'abc', name: 'Ana' });
+      b.send({ type: 'join', room: 'ABC', name: 'Bruno' });
+      a.send({ type: 'ready' });
+
+      assert.equal(ofType(a.messages, 'countdown').length, 0);
+      b.send({ type: 'ready' });
+
+      [a, b].forEach(({ messages }) => {
+        assert.deepEqual(ofType(messages, 'countdown'), [{ type: 'countdown', seed: 42, seconds: 3 }]);
+      });
+      assert.equal(timers.length, 1);
+      timers.shift()();
+      assert.equal(ofType(b.messages, 'start').length, 1);
+    });
+
+    it('does not start alone and refuses joins once the race is on', () => {
+      const { rooms } = createRooms();
+      const a = connectPlayer(rooms);
+      a.send({ type: 'join', room: 'solo', name: 'Ana' });
+      a.send({ type: 'ready' });
+      assert.equal(ofType(a.messages, 'countdown').length, 0);
+
+      const race = startRace();
+      const late = connectPlayer(race.rooms);
+      late.send({ type: 'join', room: 'abc', name: 'Carla' });
+      assert.deepEqual(ofType(late.messages, 'error'), [{ type: 'error', message: 'La carrera ya ha empezado' }]);
+    });
+
+    it('relays positions to the other players only', () => {
+      const { a, b } = startRace();
+      a.send({ type: 'state', tick: 3, y: 120.5, rotation: 0.2, distance: 30, score: 0 });
+      a.send({ type: 'state', tick: 'x', y: 1, rotation: 0, distance: 0, score: 0 });
+
+      assert.equal(ofType(a.messages, 'state').length, 0);
+      assert.deepEqual(ofType(b.messages, 'state'), [
+        { type: 'state', id: a.player.id, tick: 3, y: 120.5, rotation: 0.2, distance: 30, score: 0 }
+      ]);
+    });
+
+    it('publishes the standings when everyone has finished', () => {
+      const { a, b } = startRace();
+      a.send({ type: 'finished', score: 4, tick: 500 });
+      assert.equal(ofType(a.messages, 'standings').length, 0);
+      b.send({ type: 'finished', score: 9, tick: 900 });
+
+      const [standings] = ofType(a.messages, 'standings');
+      assert.deepEqual(standings.standings.map(entry => [entry.name, entry.place]), [['Bruno', 1], ['Ana', 2]]);
+      // La sala vuelve a esperar a que todos estén listos
+      assert.ok(ofType(b.messages, 'players').pop().players.every(player => !player.ready));
+    });
+
+    it('keeps racing when a player disconnects and ranks them last', () => {
+      const { rooms, a, b } = startRace();
+      rooms.disconnect(b.player);
+
+      assert.deepEqual(ofType(a.messages, 'left'), [{ type: 'left', id: b.player.id }]);
+      a.send({ type: 'finished', score: 1, tick: 100 });
+
+      const [standings] = ofType(a.messages, 'standings');
+      assert.deepEqual(standings.standings.map(entry => [entry.name, entry.disconnected]), [['Ana', false], ['Bruno', true]]);
+    });
+
+    it('cancels the countdown when a player leaves and deletes empty rooms', () => {
+      const { rooms, timers } = createRooms();
+      const a = connectPlayer(rooms);
+      const b = connectPlayer(rooms);
+      a.send({ type: 'join', room: 'abc', name: 'Ana' });
+      b.send({ type: 'join', room: 'abc', name: 'Bruno' });
+      a.send({ type: 'ready' });
+      b.send({ type: 'ready' });
+
+      rooms.disconnect(b.player);
+      assert.equal(timers.length, 0);
+      assert.equal(rooms.rooms.get('ABC').state, 'lobby');
+
+      rooms.disconnect(a.player);
+      assert.equal(rooms.rooms.size, 0);
+    });
+
+    it('breaks score ties by survival time', () => {
+      const standings = getStandings([
+        { id: 1, name: 'Ana', score: 5, tick: 300, disconnected: false },
+        { id: 2, name: 'Bruno', score: 5, tick: 420, disconnected: false }
+      ]);
+
+      assert.deepEqual(standings.map(entry => entry.id), [2, 1]);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { INTERPOLATION_DELAY, RaceClient, STATE_INTERVAL, interpolateSamples } from '../src/race.js';
+
+/**
+ * WebSocket falso que guarda los mensajes enviados
+ */
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.last = this;
+  }
+
+  open() {
+    this.readyState = 1;
+    this.onopen();
+  }
+
+  receive(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+
+  send(text) {
+    this.sent.push(JSON.parse(text));
+  }
+
+  close() {
+    this.readyState = 3;
+    this.onclose();
+  }
+}
+
+/**
+ * Conecta un cliente a una sala con un rival
+ * @returns {Object} - {client, socket}
+ */
+function joinRoom() {
+  const client = new RaceClient({ WebSocket: FakeWebSocket });
+  client.connect('ws://localhost:8787', 'abc', 'Ana');
+  const socket = FakeWebSocket.last;
+  socket.open();
+  socket.receive({ type: 'joined', id: 1, room: 'ABC', players: [{ id: 1, name: 'Ana', ready: false }] });
+  socket.receive({ type: 'players', players: [{ id: 1, name: 'Ana', ready: true }, { id: 2, name: 'Bruno', ready: true }] });
+  socket.receive({ type: 'countdown', seed: 42, seconds: 3 });
+  return { client, socket };
+}
+
+describe('race client', () => {
+  describe('interpolation', () => {
+    const samples = [
+      { tick: 3, y: 100, rotation: 0, distance: 30 },
+      { tick: 6, y: 130, rotation: 0.3, distance: 60 }
+    ];
+
+    it('interpolates between the surrounding samples', () => {
+      const state = interpolateSamples(samples, 4);
+
+      assert.equal(state.y, 110);
+      assert.ok(Math.abs(state.rotation - 0.1) < 1e-9);
+      assert.equal(state.distance, 40);
+    });
+
+    it('holds the nearest sample outside the known range', () => {
+      assert.equal(interpolateSamples(samples, 0).y, 100);
+      assert.equal(interpolateSamples(samples, 50).y, 130);
+      assert.equal(interpolateSamples([], 10), null);
+    });
+  });
+
+  describe('connection', () => {
+    it('joins the room once the socket opens', () => {
+      const { socket, client } = joinRoom();
+
+      assert.deepEqual(socket.sent[0], { type: 'join', room: 'abc', name: 'Ana' });
+      assert.equal(client.room, 'ABC');
+      assert.deepEqual([...client.opponents.keys()], [2]);
+    });
+
+    it('sends its position every few ticks', () => {
+      const { socket, client } = joinRoom();
+      for (let tick = 1; tick <= STATE_INTERVAL * 2; tick++) {
+        client.sendState(tick, { y: 200.123, rotation: 0.456 }, tick * 10, 0);
+      }
+
+      const states = socket.sent.filter(message => message.type === 'state');
+      assert.deepEqual(states.map(message => message.tick), [STATE_INTERVAL, STATE_INTERVAL * 2]);
+      assert.equal(states[0].y, 200.1);
+    });
+
+    it('draws opponents a few ticks behind and ignores stale samples', () => {
+      const { socket, client } = joinRoom();
+      socket.receive({ type: 'state', id: 2, tick: 3, y: 100, rotation: 0, distance: 30, score: 0 });
+      socket.receive({ type: 'state', id: 2, tick: 9, y: 160, rotation: 0, distance: 90, score: 1 });
+      socket.receive({ type: 'state', id: 2, tick: 6, y: 999, rotation: 0, distance: 60, score: 0 });
+
+      const [opponent] = client.getOpponentStates(6 + INTERPOLATION_DELAY);
+      assert.equal(opponent.name, 'Bruno');
+      assert.equal(opponent.y, 130);
+      assert.equal(opponent.score, 1);
+    });
+
+    it('forgets opponents that leave', () => {
+      const { socket, client } = joinRoom();
+      const left = [];
+      client.on('left', data => left.push(data));
+      socket.receive({ type: 'left', id: 2 });
+
+      assert.deepEqual(left, [{ id: 2, name: 'Bruno' }]);
+      assert.equal(client.opponents.size, 0);
+    });
+
+    it('reports lost connections but not its own close', () => {
+      const lost = joinRoom();
+      let disconnects = 0;
+      lost.client.on('disconnect', () => disconnects++);
+      lost.socket.close();
+      assert.equal(disconnects, 1);
+      assert.equal(lost.client.room, null);
+
+      const closed = joinRoom();
+      closed.client.on('disconnect', () => disconnects++);
+      closed.client.close();
+      assert.equal(disconnects, 1);
+    });
+  });
+});
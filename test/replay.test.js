@@ -0,0 +1,97 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ABILITIES } from '../src/abilities.js';
+import {
+  decodeReplay,
+  encodeReplay,
+  loadSavedReplays,
+  replayHasPowerups,
+  saveReplay
+} from '../src/replay.js';
+import { installLocalStorage, removeLocalStorage } from './helpers.js';
+
+describe('replay', () => {
+  describe('codes', () => {
+    it('keeps the preset in the replay code', () => {
+      const replay = {
+        version: 4,
+        seed: 42,
+        mode: 'classic',
+        difficulty: 'hard',
+        forgiveness: 2,
+        score: 3,
+        ticks: 90,
+        inputs: [{ tick: 5, action: 'jump' }]
+      };
+
+      assert.deepEqual(decodeReplay(encodeReplay(replay)), replay);
+    });
+
+    it('keeps the mode in the replay code', () => {
+      const replay = {
+        version: 4,
+        seed: 9,
+        mode: 'zen',
+        difficulty: 'normal',
+        forgiveness: 1,
+        score: 12,
+        ticks: 600,
+        inputs: [{ tick: 3, action: 'jump' }, { tick: 40, action: 'jump' }]
+      };
+
+      assert.deepEqual(decodeReplay(encodeReplay(replay)), replay);
+    });
+
+    it('round-trips every ability through a replay code', () => {
+      const inputs = Object.keys(ABILITIES).map((action, index) => ({ tick: index * 5, action }));
+      const replay = { version: 5, seed: 7, mode: 'classic', difficulty: 'normal', forgiveness: 2, score: 0, ticks: 40, inputs };
+
+      assert.deepEqual(decodeReplay(encodeReplay(replay)).inputs, inputs);
+    });
+
+    it('rejects codes with an unknown preset', () => {
+      assert.throws(() => decodeReplay('PS3.nightmare.2.16.3.2i.5J'), /inválido/);
+    });
+  });
+
+  describe('older versions', () => {
+    it('reads version 3 replays as classic runs', () => {
+      const replay = decodeReplay('PS3.normal.1.9.c.gg.3J');
+
+      assert.equal(replay.mode, 'classic');
+      assert.equal(replay.seed, 9);
+      assert.deepEqual(replay.inputs, [{ tick: 3, action: 'jump' }]);
+    });
+
+    it('plays older replays without pickups', () => {
+      const old = decodeReplay('PS4.classic.normal.2.9.c.gg.3J');
+
+      assert.equal(replayHasPowerups(old), false);
+      assert.match(encodeReplay(old), /^PS4\./);
+      assert.equal(replayHasPowerups({ ...old, version: 5 }), true);
+    });
+
+    it('rejects codes recorded before the capsule hitbox', () => {
+      assert.throws(() => decodeReplay('PS1.16.3.2i.5J'), /versión anterior/);
+      assert.throws(() => decodeReplay('PS2.hard.16.3.2i.5J'), /versión anterior/);
+    });
+  });
+
+  describe('saved replays', () => {
+    beforeEach(installLocalStorage);
+    afterEach(removeLocalStorage);
+
+    it('keeps the replays of an old version when saving a new one', () => {
+      const old = [{ code: 'PS1.16.3.2i.5J', savedAt: 1 }, { code: 'PS2.hard.16.3.2i.5J', savedAt: 2 }];
+      localStorage.setItem('pajaritoReplays', JSON.stringify(old));
+      const replay = { version: 4, seed: 42, mode: 'classic', difficulty: 'hard', forgiveness: 2, score: 3, ticks: 90, inputs: [] };
+
+      assert.equal(saveReplay(replay), true);
+
+      const saved = loadSavedReplays();
+      assert.equal(saved[0].score, 3);
+      assert.deepEqual(saved.slice(1), old.map(entry => ({ ...entry, outdated: true })));
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  SHOP_CATEGORIES,
+  SHOP_ITEMS,
+  buyItem,
+  createWallet,
+  equipItem,
+  getCategoryItems,
+  getEquippedItems,
+  normalizeWallet
+} from '../src/shop.js';
+
+describe('shop', () => {
+  it('starts with a free item owned and equipped in every category', () => {
+    const wallet = createWallet();
+
+    assert.equal(wallet.coins, 0);
+    SHOP_CATEGORIES.forEach(category => {
+      const [free] = getCategoryItems(category.id);
+      assert.equal(free.price, 0);
+      assert.equal(wallet.equipped[category.id], free.id);
+    });
+  });
+
+  it('buys items only with enough coins and only once', () => {
+    const wallet = createWallet();
+    wallet.coins = SHOP_ITEMS.cardinal.price + 10;
+
+    assert.equal(buyItem(wallet, 'parrot'), false);
+    assert.equal(buyItem(wallet, 'cardinal'), true);
+    assert.equal(wallet.coins, 10);
+    assert.equal(buyItem(wallet, 'cardinal'), false);
+    assert.equal(buyItem(wallet, 'unknown'), false);
+    assert.equal(wallet.coins, 10);
+  });
+
+  it('equips owned items in their category', () => {
+    const wallet = createWallet();
+    wallet.coins = 1000;
+
+    assert.equal(equipItem(wallet, 'goldPipes'), false);
+    buyItem(wallet, 'goldPipes');
+    assert.equal(equipItem(wallet, 'goldPipes'), true);
+
+    const equipped = getEquippedItems(wallet);
+    assert.equal(equipped.pipeTheme, SHOP_ITEMS.goldPipes);
+    assert.equal(equipped.skin, SHOP_ITEMS.classicBird);
+  });
+
+  it('repairs saved wallets', () => {
+    const wallet = normalizeWallet({
+      coins: '42.7',
+      owned: ['crow', 'removedItem', 'crow'],
+      equipped: { skin: 'crow', trail: 'rainbowTrail', pipeTheme: 'crow' }
+    });
+
+    assert.equal(wallet.coins, 42);
+    assert.equal(wallet.owned.filter(id => id === 'crow').length, 1);
+    assert.ok(!wallet.owned.includes('removedItem'));
+    assert.deepEqual(wallet.equipped, { skin: 'crow', trail: 'noTrail', pipeTheme: 'classicPipes' });
+    assert.deepEqual(normalizeWallet(null), createWallet());
+  });
+});
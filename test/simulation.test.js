@@ -0,0 +1,182 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Simulation, { FIXED_TIME_STEP } from '../src/simulation.js';
+import { ABILITIES } from '../src/abilities.js';
+import { DIFFICULTY_PRESETS } from '../src/difficulty.js';
+import { createPipePair } from '../src/pipes.js';
+import { hover, placeWallOnBird, runAutopilot, runScript } from './helpers.js';
+
+const TICKS_PER_SECOND = Math.round(1 / FIXED_TIME_STEP);
+const POINTS_PER_LEVEL = DIFFICULTY_PRESETS.normal.every;
+
+/**
+ * Coloca un par de tubos justo delante del pájaro con el hueco a su altura
+ */
+function placePipePairAhead(sim, x = 150) {
+  sim.pipes.push(createPipePair({ x, width: sim.pipeWidth, gapY: sim.bird.y - 60, gapSize: sim.pipeGap }));
+}
+
+describe('Simulation', () => {
+  describe('determinism', () => {
+    it('produces the same run for the same seed and inputs', () => {
+      const script = { 10: ['jump'], 30: ['jump'], 45: ['speedBoost'], 50: ['jump'], 70: ['jump'] };
+      const a = new Simulation({ seed: 1234 });
+      const b = new Simulation({ seed: 1234 });
+      runScript(a, 200, script);
+      runScript(b, 200, script);
+
+      assert.deepEqual(a.bird, b.bird);
+      assert.deepEqual(a.pipes, b.pipes);
+      assert.equal(a.distance, b.distance);
+    });
+
+    it('lays out different pipes for different seeds', () => {
+      const a = new Simulation({ seed: 1 });
+      const b = new Simulation({ seed: 2 });
+      a.spawnPipe();
+      b.spawnPipe();
+
+      assert.notEqual(a.pipes[0].gapY, b.pipes[0].gapY);
+    });
+  });
+
+  describe('scoring', () => {
+    it('scores once per pipe pair after the bird passes it', () => {
+      const sim = new Simulation({ seed: 1 });
+      const scores = [];
+      sim.on('score', ({ score }) => scores.push(score));
+      placePipePairAhead(sim);
+
+      hover(sim, TICKS_PER_SECOND);
+
+      assert.equal(sim.over, false);
+      assert.equal(sim.score, 1);
+      assert.deepEqual(scores, [1]);
+    });
+
+    it('scores pairs that spawn very close together separately', () => {
+      const sim = new Simulation({ seed: 1 });
+      placePipePairAhead(sim, 150);
+      placePipePairAhead(sim, 155);
+
+      hover(sim, TICKS_PER_SECOND);
+
+      assert.equal(sim.score, 2);
+    });
+
+    it('keeps scoring through a long run with scripted inputs', () => {
+      const sim = new Simulation({ seed: 1 });
+      runAutopilot(sim, s => s.score >= 30);
+
+      assert.equal(sim.over, false);
+      assert.equal(sim.score, 30);
+    });
+  });
+
+  describe('difficulty', () => {
+    it(`steps up every ${POINTS_PER_LEVEL} points`, () => {
+      const sim = new Simulation({ seed: 1 });
+      const levels = [];
+      sim.on('difficulty', ({ level }) => levels.push(level));
+      sim.score = POINTS_PER_LEVEL - 1;
+      placePipePairAhead(sim);
+
+      hover(sim, TICKS_PER_SECOND);
+
+      assert.equal(sim.score, POINTS_PER_LEVEL);
+      assert.equal(sim.difficultyLevel, 1);
+      assert.deepEqual(levels, [1]);
+      assert.equal(sim.pipeSpeed, 180);
+      assert.equal(sim.pipeGap, 140);
+      assert.equal(sim.gravity, 1050);
+      assert.ok(Math.abs(sim.pipeSpawnInterval - 1.4) < 1e-9);
+    });
+
+    it('does not step up between thresholds', () => {
+      const sim = new Simulation({ seed: 1 });
+      sim.score = POINTS_PER_LEVEL;
+      sim.difficultyLevel = 1;
+      placePipePairAhead(sim);
+
+      hover(sim, TICKS_PER_SECOND);
+
+      assert.equal(sim.score, POINTS_PER_LEVEL + 1);
+      assert.equal(sim.difficultyLevel, 1);
+    });
+
+    it('clamps the gap and spawn interval at high levels', () => {
+      const sim = new Simulation({ seed: 1 });
+      sim.difficultyLevel = 20;
+      sim.increaseDifficulty();
+
+      assert.equal(sim.pipeGap, 100);
+      assert.equal(sim.pipeSpawnInterval, 0.8);
+    });
+  });
+
+  describe('abilities', () => {
+    it('cannot reactivate an ability while it is on cooldown', () => {
+      const sim = new Simulation({ seed: 1 });
+      const shield = sim.abilities.invulnerability;
+      sim.pipeSpawnInterval = Infinity; // sin tubos: solo interesa el tiempo
+
+      assert.deepEqual(sim.step(['invulnerability']), ['invulnerability']);
+      assert.deepEqual(sim.step(['invulnerability']), []);
+      assert.equal(shield.active, true);
+
+      hover(sim, shield.duration * TICKS_PER_SECOND);
+      assert.equal(shield.active, false);
+      assert.ok(shield.cooldownTimer > 0);
+
+      hover(sim, (shield.cooldown - shield.duration) * TICKS_PER_SECOND);
+      assert.equal(shield.cooldownTimer, 0);
+      assert.deepEqual(sim.step(['invulnerability']), ['invulnerability']);
+    });
+
+    it('speeds up the pipes while the speed boost is active', () => {
+      const sim = new Simulation({ seed: 1 });
+      sim.step(['speedBoost']);
+      const before = sim.distance;
+      sim.step();
+
+      const expected = sim.pipeSpeed * ABILITIES.speedBoost.physics.speedMultiplier * FIXED_TIME_STEP;
+      assert.ok(Math.abs(sim.distance - before - expected) < 1e-9);
+    });
+  });
+
+  describe('death detection', () => {
+    it('dies when the bird hits the ground', () => {
+      const sim = new Simulation({ seed: 1 });
+      const deaths = [];
+      sim.on('death', death => deaths.push(death));
+
+      runScript(sim, 2 * TICKS_PER_SECOND);
+
+      assert.equal(sim.over, true);
+      assert.equal(sim.bird.isDying, true);
+      assert.deepEqual(deaths, [{ cause: 'ground', player: 0 }]);
+    });
+
+    it('dies when the bird hits a pipe', () => {
+      const sim = new Simulation({ seed: 1 });
+      const deaths = [];
+      sim.on('death', death => deaths.push(death));
+      placeWallOnBird(sim);
+
+      sim.step();
+
+      assert.equal(sim.over, true);
+      assert.deepEqual(deaths, [{ cause: 'pipe', player: 0 }]);
+    });
+
+    it('survives pipe hits while invulnerable', () => {
+      const sim = new Simulation({ seed: 1 });
+      placeWallOnBird(sim);
+
+      sim.step(['invulnerability']);
+
+      assert.equal(sim.over, false);
+    });
+  });
+});
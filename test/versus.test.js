@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Simulation from '../src/simulation.js';
+import { createPipePair } from '../src/pipes.js';
+import { runScript } from './helpers.js';
+
+/**
+ * Crea una simulación de dos jugadores
+ * @returns {Simulation}
+ */
+function playVersus() {
+  const sim = new Simulation({ seed: 4 });
+  sim.reset(4, { players: 2 });
+  return sim;
+}
+
+/**
+ * Mantiene a cada pájaro flotando a su altura inicial salvo a los indicados
+ * @param {Simulation} sim - Simulación
+ * @param {number} ticks - Ticks a simular
+ * @param {Array<number>} falling - Jugadores que dejan de saltar
+ */
+function hoverBirds(sim, ticks, falling = []) {
+  const altitudes = sim.birds.map(bird => bird.y);
+  for (let i = 0; i < ticks && !sim.over; i++) {
+    const actions = [];
+    sim.birds.forEach((bird, player) => {
+      if (!falling.includes(player) && bird.y >= altitudes[player] && bird.velocity > 0) {
+        actions.push(player === 0 ? 'jump' : 'jump2');
+      }
+    });
+    sim.step(actions);
+  }
+}
+
+describe('two players', () => {
+  it('gives each player its own bird', () => {
+    const sim = playVersus();
+
+    assert.equal(sim.birds.length, 2);
+    assert.equal(sim.bird, sim.birds[0]);
+    assert.deepEqual(sim.birds.map(bird => bird.player), [0, 1]);
+    assert.equal(sim.areAbilitiesAllowed(), false);
+  });
+
+  it('jumps each bird with its own action', () => {
+    const sim = playVersus();
+    const performed = sim.step(['jump2']);
+
+    assert.deepEqual(performed, ['jump2']);
+    assert.ok(sim.birds[1].velocity < 0);
+    assert.ok(sim.birds[0].velocity > 0);
+  });
+
+  it('ignores the second jump in one player runs', () => {
+    const sim = new Simulation({ seed: 4 });
+
+    assert.deepEqual(sim.step(['jump2']), []);
+  });
+
+  it('keeps playing until both birds have died', () => {
+    const sim = playVersus();
+    const deaths = [];
+    sim.on('death', death => deaths.push(death.player));
+
+    hoverBirds(sim, 120, [1]);
+    assert.deepEqual(deaths, [1]);
+    assert.equal(sim.over, false);
+
+    runScript(sim, 120);
+    assert.deepEqual(deaths, [1, 0]);
+    assert.equal(sim.over, true);
+  });
+
+  it('scores only the birds that are still alive', () => {
+    const sim = playVersus();
+    sim.pipeSpawnInterval = Infinity;
+    const gapY = Math.min(...sim.birds.map(bird => bird.y)) - 60;
+    sim.pipes.push(createPipePair({ x: 150, width: sim.pipeWidth, gapY, gapSize: 200 }));
+    sim.pipes.push(createPipePair({ x: 450, width: sim.pipeWidth, gapY, gapSize: 200 }));
+
+    hoverBirds(sim, 60);
+    assert.deepEqual(sim.birds.map(bird => bird.score), [1, 1]);
+
+    sim.kill('pipe', sim.birds[1]);
+    hoverBirds(sim, 2 * 60);
+
+    assert.deepEqual(sim.birds.map(bird => bird.score), [2, 1]);
+    assert.equal(sim.score, 2);
+    assert.equal(sim.getWinner(), 0);
+  });
+
+  it('breaks score ties by who survived longer', () => {
+    const sim = playVersus();
+    sim.kill('pipe', sim.birds[0]);
+    runScript(sim, 10);
+    sim.kill('pipe', sim.birds[1]);
+
+    assert.equal(sim.getWinner(), 1);
+  });
+
+  it('declares a draw when both birds die together with the same score', () => {
+    const sim = playVersus();
+    sim.kill('pipe', sim.birds[0]);
+    sim.kill('pipe', sim.birds[1]);
+
+    assert.equal(sim.getWinner(), null);
+  });
+});